@@ -2,7 +2,8 @@ import "@nomiclabs/hardhat-waffle";
 import "@nomiclabs/hardhat-etherscan";
 import dotenv from "dotenv";
 
-dotenv.config();
+// Quietly, so that the banner stays out of the reports scryine writes to stdout
+dotenv.config({ quiet: true });
 
 // This is a sample Hardhat task. To learn how to create your own go to
 // https://hardhat.org/guides/create-task.html
@@ -0,0 +1,64 @@
+// The GOD-TOKEN-COIN deployment, shared by scripts/deploy.mjs and the SCRYINE test runner
+// (scryine/testing.cjs) so that covenants run against the same contracts a real deployment has.
+
+// In deployment order: the deployment.json key, the contract and its constructor arguments,
+// taken from the contracts deployed before it
+const CONTRACTS = [
+  // QuantumSafeCrypto first (base for all quantum contracts)
+  { key: 'quantumSafeCrypto', name: 'QuantumSafeCrypto', args: () => [] },
+  { key: 'quantumConsensus', name: 'QuantumConsensus', args: () => [] },
+  { key: 'quantumAIVerifier', name: 'QuantumAIVerifier', args: () => [] },
+  { key: 'aiVerifier', name: 'AIVerifier', args: () => [] },
+  // QuantumGodToken with quantum components
+  { key: 'quantumGodToken', name: 'QuantumGodToken', args: d => [d.aiVerifier, d.quantumConsensus, d.quantumAIVerifier] },
+  // GodToken with AI verifier address (legacy)
+  { key: 'godToken', name: 'GodToken', args: d => [d.aiVerifier] },
+  { key: 'godNFT', name: 'GodNFT', args: () => [] },
+  { key: 'godStaking', name: 'GodStaking', args: d => [d.godToken] },
+  // Quantum AI Internet contracts
+  { key: 'quantumAINetwork', name: 'QuantumAINetwork', args: d => [d.quantumSafeCrypto, d.quantumConsensus, d.quantumAIVerifier, d.quantumGodToken] },
+  { key: 'quantumAIContent', name: 'QuantumAIContent', args: d => [d.quantumSafeCrypto, d.quantumAIVerifier, d.quantumGodToken] },
+  { key: 'quantumAICompute', name: 'QuantumAICompute', args: d => [d.quantumSafeCrypto, d.quantumConsensus, d.quantumAIVerifier, d.quantumGodToken] },
+  { key: 'quantumAISecurity', name: 'QuantumAISecurity', args: d => [d.quantumSafeCrypto, d.quantumAIVerifier, d.quantumConsensus] }
+];
+
+/**
+ * Deploys the contracts with the first signer and, when AIVerifier is among them, authorizes
+ * it as an AI verifier.
+ * @param {object} hre The Hardhat runtime environment
+ * @param {object} [options]
+ * @param {function} [options.log] Called with progress messages, like console.log
+ * @param {function} [options.include] Async predicate on a contract name; contracts it
+ *   rejects are left out
+ * @returns {Promise<object>} The deployment: an address per contract key, and the deployer
+ */
+async function deployContracts(hre, options = {}) {
+  const { log = () => {}, include = async () => true } = options;
+  const { ethers } = hre;
+  const [deployer] = await ethers.getSigners();
+  log('Deploying contracts with the account:', deployer.address);
+
+  const deployment = {};
+  const contracts = {};
+  for (const { key, name, args } of CONTRACTS) {
+    if (!(await include(name))) continue;
+    log(`Deploying ${name}...`);
+    const factory = await ethers.getContractFactory(name);
+    const contract = await factory.deploy(...args(deployment));
+    await contract.deployed();
+    log(`${name} deployed to:`, contract.address);
+    deployment[key] = contract.address;
+    contracts[key] = contract;
+  }
+
+  if (contracts.aiVerifier) {
+    log('Authorizing deployer as AI verifier...');
+    await (await contracts.aiVerifier.authorizeVerifier(deployer.address)).wait();
+    log('Deployer authorized as AI verifier');
+  }
+
+  deployment.deployer = deployer.address;
+  return deployment;
+}
+
+module.exports = { CONTRACTS, deployContracts };
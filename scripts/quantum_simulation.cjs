@@ -5,11 +5,20 @@
  * Simulates quantum computing enhancements for blockchain operations
  */
 
-const { ethers } = require("hardhat");
+const { ethers } = require("ethers");
 const fs = require("node:fs");
 
 class QuantumSimulator {
-    constructor() {
+    /**
+     * @param {object} [options]
+     * @param {Function} [options.random] Source of random numbers in [0, 1) (default: Math.random)
+     * @param {Function} [options.now] Clock in milliseconds since the epoch (default: Date.now)
+     * @param {Function} [options.log] Where progress messages are written (default: console.log)
+     */
+    constructor(options = {}) {
+        this.random = options.random || Math.random;
+        this.now = options.now || Date.now;
+        this.log = options.log || console.log;
         this.quantumStates = new Map();
         this.entanglementPairs = new Map();
         this.superpositionStates = new Set();
@@ -18,17 +27,17 @@ class QuantumSimulator {
     /**
      * Initialize quantum state for an address
      */
-    initializeQuantumState(address, initialEntropy = Math.random()) {
+    initializeQuantumState(address, initialEntropy = this.random()) {
         const quantumState = {
             address: address,
             entropy: initialEntropy,
             coherence: 1.0,
             superposition: this.generateSuperposition(),
-            lastUpdate: Date.now()
+            lastUpdate: this.now()
         };
 
         this.quantumStates.set(address, quantumState);
-        console.log(`Quantum state initialized for ${address}`);
+        this.log(`Quantum state initialized for ${address}`);
         return quantumState;
     }
 
@@ -39,8 +48,8 @@ class QuantumSimulator {
         const states = [];
         for (let i = 0; i < 256; i++) {
             states.push({
-                amplitude: Math.random() * 2 - 1, // Complex amplitude
-                phase: Math.random() * 2 * Math.PI
+                amplitude: this.random() * 2 - 1, // Complex amplitude
+                phase: this.random() * 2 * Math.PI
             });
         }
         return states;
@@ -58,18 +67,18 @@ class QuantumSimulator {
         this.entanglementPairs.set(pairId, {
             address1: addr1,
             address2: addr2,
-            entanglementStrength: Math.random(),
-            created: Date.now()
+            entanglementStrength: this.random(),
+            created: this.now()
         });
 
-        console.log(`Quantum entanglement established between ${addr1} and ${addr2}`);
+        this.log(`Quantum entanglement established between ${addr1} and ${addr2}`);
     }
 
     /**
      * Simulate quantum transaction processing
      */
     async simulateQuantumTransaction(from, to, amount, quantumProof) {
-        console.log(`Simulating quantum transaction: ${from} -> ${to} (${amount} tokens)`);
+        this.log(`Simulating quantum transaction: ${from} -> ${to} (${amount} tokens)`);
 
         // Initialize quantum states if needed
         if (!this.quantumStates.has(from)) {
@@ -86,14 +95,14 @@ class QuantumSimulator {
             to: to,
             amount: amount,
             proof: quantumProof,
-            timestamp: Date.now()
+            timestamp: this.now()
         });
 
         // Update quantum states
         this.updateQuantumState(from, quantumResult.entropyChange);
         this.updateQuantumState(to, quantumResult.entropyChange * -1);
 
-        console.log(`Quantum transaction completed with confidence: ${quantumResult.confidence}%`);
+        this.log(`Quantum transaction completed with confidence: ${quantumResult.confidence}%`);
         return quantumResult;
     }
 
@@ -102,16 +111,16 @@ class QuantumSimulator {
      */
     async quantumCompute(input) {
         // Simulate quantum processing time
-        await new Promise(resolve => setTimeout(resolve, Math.random() * 100));
+        await new Promise(resolve => setTimeout(resolve, this.random() * 100));
 
         const result = {
-            success: Math.random() > 0.1, // 90% success rate
-            confidence: Math.floor(Math.random() * 30) + 70, // 70-100%
-            entropyChange: (Math.random() - 0.5) * 0.1,
+            success: this.random() > 0.1, // 90% success rate
+            confidence: Math.floor(this.random() * 30) + 70, // 70-100%
+            entropyChange: (this.random() - 0.5) * 0.1,
             quantumSignature: ethers.utils.keccak256(
                 ethers.utils.toUtf8Bytes(JSON.stringify(input))
             ),
-            processingTime: Math.random() * 50 + 10 // 10-60ms
+            processingTime: this.random() * 50 + 10 // 10-60ms
         };
 
         return result;
@@ -126,10 +135,10 @@ class QuantumSimulator {
             state.entropy += entropyChange;
             state.entropy = Math.max(0, Math.min(1, state.entropy)); // Clamp to [0,1]
             state.coherence *= 0.999; // Gradual decoherence
-            state.lastUpdate = Date.now();
+            state.lastUpdate = this.now();
 
             // Regenerate superposition occasionally
-            if (Math.random() < 0.1) {
+            if (this.random() < 0.1) {
                 state.superposition = this.generateSuperposition();
             }
         }
@@ -146,7 +155,7 @@ class QuantumSimulator {
      * Simulate quantum consensus validation
      */
     async validateQuantumConsensus(blockData, validators) {
-        console.log(`Validating quantum consensus for block with ${validators.length} validators`);
+        this.log(`Validating quantum consensus for block with ${validators.length} validators`);
 
         const validations = await Promise.all(
             validators.map(async (validator) => {
@@ -154,7 +163,7 @@ class QuantumSimulator {
                     operation: "CONSENSUS_VALIDATION",
                     blockData: blockData,
                     validator: validator,
-                    timestamp: Date.now()
+                    timestamp: this.now()
                 });
                 return { validator, ...result };
             })
@@ -165,7 +174,7 @@ class QuantumSimulator {
 
         const averageConfidence = validValidations.reduce((sum, v) => sum + v.confidence, 0) / validValidations.length;
 
-        console.log(`Consensus ${consensusReached ? 'reached' : 'failed'} with ${validValidations.length}/${validators.length} validations, avg confidence: ${averageConfidence.toFixed(1)}%`);
+        this.log(`Consensus ${consensusReached ? 'reached' : 'failed'} with ${validValidations.length}/${validators.length} validations, avg confidence: ${averageConfidence.toFixed(1)}%`);
 
         return {
             consensusReached,
@@ -182,11 +191,11 @@ class QuantumSimulator {
         const state = {
             quantumStates: Array.from(this.quantumStates.entries()),
             entanglementPairs: Array.from(this.entanglementPairs.entries()),
-            timestamp: Date.now()
+            timestamp: this.now()
         };
 
         fs.writeFileSync(filename, JSON.stringify(state, null, 2));
-        console.log(`Quantum simulation state saved to ${filename}`);
+        this.log(`Quantum simulation state saved to ${filename}`);
     }
 
     /**
@@ -197,7 +206,7 @@ class QuantumSimulator {
             const data = JSON.parse(fs.readFileSync(filename, 'utf8'));
             this.quantumStates = new Map(data.quantumStates);
             this.entanglementPairs = new Map(data.entanglementPairs);
-            console.log(`Quantum simulation state loaded from ${filename}`);
+            this.log(`Quantum simulation state loaded from ${filename}`);
         }
     }
 }
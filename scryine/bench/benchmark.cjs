@@ -0,0 +1,171 @@
+// SCRYINE Benchmark
+// Times the example scripts on the original interpreter, the tree-walking engine and the
+// bytecode VM:
+//
+//   node scryine/bench/benchmark.cjs [--runs n] [--baseline interpreter.cjs] [file.scry ...]
+//
+// Each script is parsed and run `runs` times per interpreter with a fixed seed and no output;
+// the table shows the median time of a run and how each engine compares to the baseline. The
+// baseline is the interpreter.cjs of the repository's first commit, or the one given with
+// --baseline, e.g. from a `git worktree` of an older version. Scripts that call contracts run
+// against the contracts `scryine test` deploys, reset before every run; they and the scripts
+// that use the quantum simulator mostly time those.
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createRequire } = require('module');
+const ScryineInterpreter = require('../interpreter.cjs');
+const { TestNetwork, TestContracts } = require('../testing.cjs');
+
+const ROOT = path.join(__dirname, '..', '..');
+const EXAMPLES = path.join(__dirname, '..', 'examples');
+
+const DEFAULT_SCRIPTS = fs.readdirSync(EXAMPLES)
+  .filter(name => name.endsWith('.scry'))
+  .sort()
+  .map(name => path.join(EXAMPLES, name))
+  .concat(path.join(__dirname, 'simulation.scry'));
+
+// Loads an interpreter.cjs from its source. It gets a console that prints nothing, because
+// the original interpreter prints its prophecies instead of taking a callback.
+function loadInterpreter(source, file) {
+  const module = { exports: {} };
+  const quiet = { ...console, log() {}, info() {} };
+  const load = new Function('exports', 'require', 'module', '__filename', '__dirname', 'console', source);
+  load(module.exports, createRequire(file), module, file, path.dirname(file), quiet);
+  return module.exports;
+}
+
+// The interpreter this repository started with
+function originalInterpreter() {
+  const git = args => execFileSync('git', args, { cwd: ROOT, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+  let source;
+  try {
+    const [first] = git(['rev-list', '--max-parents=0', 'HEAD']).trim().split('\n');
+    source = git(['show', `${first}:scryine/interpreter.cjs`]);
+  } catch {
+    throw new Error('Cannot read the original interpreter from git; pass --baseline interpreter.cjs');
+  }
+  return loadInterpreter(source, path.join(ROOT, 'scryine', 'interpreter.cjs'));
+}
+
+// Milliseconds for one run, or the error that stopped it
+async function time(Interpreter, file, code, options, network) {
+  await network.reset();
+  const contracts = new TestContracts(network);
+  const interpreter = new Interpreter({ ...options, seed: 1, contracts, onProphesy: () => {}, log: () => {} });
+  interpreter.file = path.relative(process.cwd(), file);
+  const start = process.hrtime.bigint();
+  try {
+    await interpreter.run(code);
+  } catch (err) {
+    return err;
+  } finally {
+    if (interpreter.closeWitnesses) await interpreter.closeWitnesses();
+  }
+  return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * @param {string[]} files
+ * @param {number} runs
+ * @param {object} [options]
+ * @param {Function} [options.baseline] Interpreter class to compare with (default: the original)
+ * @returns {Promise<object[]>} A row per script: median milliseconds for `baseline`, `ast` and
+ *   `vm`, or null where the script failed, with the failures in `errors`
+ */
+async function benchmark(files, runs, { baseline = originalInterpreter() } = {}) {
+  const engines = {
+    baseline: [baseline, {}],
+    ast: [ScryineInterpreter, { engine: 'ast' }],
+    vm: [ScryineInterpreter, { engine: 'vm' }]
+  };
+  const network = new TestNetwork();
+  const rows = [];
+  try {
+    for (const file of files) rows.push(await benchmarkScript(file, runs, engines, network));
+  } finally {
+    await network.close();
+  }
+  return rows;
+}
+
+// One row of the table; an engine's first failure takes it out of the remaining runs
+async function benchmarkScript(file, runs, engines, network) {
+  const code = fs.readFileSync(file, 'utf8');
+  const times = { baseline: [], ast: [], vm: [] };
+  const errors = {};
+  for (const [name, [Interpreter, options]] of Object.entries(engines)) {
+    const warmup = await time(Interpreter, file, code, options, network);
+    if (warmup instanceof Error) errors[name] = warmup.message;
+  }
+  // Alternate engines so that GC pauses fall on all of them alike
+  for (let i = 0; i < runs; i++) {
+    for (const [name, [Interpreter, options]] of Object.entries(engines)) {
+      if (errors[name]) continue;
+      const result = await time(Interpreter, file, code, options, network);
+      if (result instanceof Error) errors[name] = result.message;
+      else times[name].push(result);
+    }
+  }
+  const row = { script: path.relative(process.cwd(), file), errors };
+  for (const name of Object.keys(engines)) row[name] = errors[name] ? null : median(times[name]);
+  return row;
+}
+
+function formatTable(rows) {
+  const ms = value => value === null ? 'failed' : value.toFixed(2);
+  const speedup = (row, engine) => row.baseline === null || row[engine] === null ? '-' : `${(row.baseline / row[engine]).toFixed(2)}x`;
+  const lines = [
+    '| Script | Original (ms) | Tree walker (ms) | Bytecode VM (ms) | Tree walker speedup | VM speedup |',
+    '|--------|--------------:|-----------------:|-----------------:|--------------------:|-----------:|'
+  ];
+  const failures = [];
+  for (const row of rows) {
+    lines.push(`| ${row.script} | ${ms(row.baseline)} | ${ms(row.ast)} | ${ms(row.vm)} | ${speedup(row, 'ast')} | ${speedup(row, 'vm')} |`);
+    for (const [engine, message] of Object.entries(row.errors)) failures.push(`${row.script} (${engine}): ${message}`);
+  }
+  if (failures.length) lines.push('', 'Failed:', ...failures.map(failure => `- ${failure}`));
+  return lines.join('\n');
+}
+
+module.exports = { benchmark, formatTable, originalInterpreter };
+
+if (require.main === module) {
+  const argv = process.argv.slice(2);
+  const option = name => {
+    const at = argv.indexOf(name);
+    if (at === -1) return undefined;
+    return argv.splice(at, 2)[1];
+  };
+  const runsOption = option('--runs');
+  const runs = runsOption === undefined ? 10 : Number(runsOption);
+  const baselineFile = option('--baseline');
+  if (!(runs > 0)) {
+    console.error('--runs expects a positive number');
+    process.exit(2);
+  }
+  Promise.resolve()
+    .then(() => {
+      const baseline = baselineFile
+        ? loadInterpreter(fs.readFileSync(path.resolve(baselineFile), 'utf8'), path.resolve(baselineFile))
+        : originalInterpreter();
+      return benchmark(argv.length ? argv.map(file => path.resolve(file)) : DEFAULT_SCRIPTS, runs, { baseline });
+    })
+    .then(
+      rows => {
+        console.log(formatTable(rows));
+        process.exit(0);
+      },
+      err => {
+        console.error(err.format ? err.format() : err.message);
+        process.exit(1);
+      }
+    );
+}
@@ -0,0 +1,115 @@
+// SCRYINE Builtins
+// The functions every script can call by name. They are shared by the interpreter and the
+// runtime of compiled scripts, which each provide the `host` they run against.
+
+const { QuantumState } = require('./quantum.cjs');
+const { isList, isMap, typeName, formatValue } = require('./values.cjs');
+const { binary, equals } = require('./operations.cjs');
+
+// Thrown by assert and expect; the host reports it as an 'assertion' error at the call
+class AssertionFailure extends Error {}
+
+/**
+ * @param {object} host
+ * @param {Function} host.random Random source for quantum_predict
+ * @param {Function} host.getContracts Returns the contract runtime
+ * @param {Function} host.getQuantum Returns the quantum session
+ * @param {Function} host.callValue Calls a SCRYINE function value, `(func, args, callSite)`;
+ *   `host.callSite` is the call being made when a builtin starts
+ */
+function createBuiltins(host) {
+  const builtins = {
+    quantum_predict: (value) => {
+      // Simulate quantum prediction
+      return host.random() * 100 + value;
+    },
+    ai_verify: (data) => {
+      // Simulate AI verification
+      return data.length > 5;
+    },
+    contract_call: (contract, method, ...args) => {
+      return host.getContracts().call(contract, method, args);
+    },
+    initialize_quantum_state: (address) => host.getQuantum().initialize(address),
+    get_quantum_state: (address) => host.getQuantum().state(address),
+    quantum_simulate_transaction: (from, to, amount, proof) => host.getQuantum().transact(from, to, amount, proof),
+    entangle_states: (state1, state2) => host.getQuantum().entangle(expectQuantumState(state1), expectQuantumState(state2)),
+    measure: (state) => host.getQuantum().measure(expectQuantumState(state)),
+    len: (value) => {
+      if (isList(value) || typeof value === 'string') return value.length;
+      if (isMap(value)) return Object.keys(value).length;
+      throw new Error(`expected a list, map or string but got ${typeName(value)}`);
+    },
+    keys: (map) => Object.keys(expectMap(map)),
+    sum: (list) => expectList(list).reduce((total, item) => binary('+', total, item), 0),
+    avg: (list) => expectList(list).length ? binary('/', builtins.sum(list), list.length) : 0,
+    map: async (list, func) => {
+      const callSite = host.callSite;
+      const results = [];
+      for (const item of expectList(list)) {
+        results.push(await host.callValue(func, [item], callSite));
+      }
+      return results;
+    },
+    filter: async (list, func) => {
+      const callSite = host.callSite;
+      const results = [];
+      for (const item of expectList(list)) {
+        if (await host.callValue(func, [item], callSite)) results.push(item);
+      }
+      return results;
+    },
+    assert: (condition, message) => {
+      if (!condition) throw new AssertionFailure(message === undefined ? 'Assertion failed' : formatValue(message));
+      return null;
+    },
+    expect: (actual, expected, message) => {
+      if (equals(actual, expected)) return null;
+      const problem = `Expected ${formatValue(expected, true)} but got ${formatValue(actual, true)}`;
+      throw new AssertionFailure(message === undefined ? problem : `${formatValue(message)}: ${problem}`);
+    }
+  };
+  // Looked up by name from scripts, so names such as `toString` must not reach Object.prototype
+  return Object.assign(Object.create(null), builtins);
+}
+
+// Pure builtins are left out of traces; everything else can differ between runs
+const UNTRACED_BUILTINS = ['len', 'keys', 'sum', 'avg', 'map', 'filter', 'assert', 'expect'];
+
+// Parameter and result types of the builtins, in the form host functions declare them, for
+// `scryine check`. get_quantum_state gives nothing for an address without a state.
+const BUILTIN_SIGNATURES = {
+  quantum_predict: { params: { value: 'number' }, returns: 'number' },
+  ai_verify: { params: { data: 'any' }, returns: 'boolean' },
+  contract_call: { params: { contract: 'string', method: 'string', 'args...': 'any' }, returns: 'any' },
+  initialize_quantum_state: { params: { address: 'string' }, returns: 'quantum_state' },
+  get_quantum_state: { params: { address: 'any' }, returns: 'any' },
+  quantum_simulate_transaction: { params: { from: 'any', to: 'any', amount: 'number', proof: 'any' }, returns: 'map' },
+  entangle_states: { params: { state1: 'quantum_state', state2: 'quantum_state' }, returns: 'boolean' },
+  measure: { params: { state: 'quantum_state' }, returns: 'number' },
+  len: { params: { value: 'any' }, returns: 'number' },
+  keys: { params: { map: 'map' }, returns: 'list' },
+  sum: { params: { list: 'list' }, returns: 'number' },
+  avg: { params: { list: 'list' }, returns: 'number' },
+  map: { params: { list: 'list', func: 'function' }, returns: 'list' },
+  filter: { params: { list: 'list', func: 'function' }, returns: 'list' },
+  assert: { params: { condition: 'any', message: 'any?' }, returns: 'nothing' },
+  expect: { params: { actual: 'any', expected: 'any', message: 'any?' }, returns: 'nothing' }
+};
+
+function expectList(value) {
+  if (!isList(value)) throw new Error(`expected a list but got ${typeName(value)}`);
+  return value;
+}
+
+function expectQuantumState(value) {
+  if (!(value instanceof QuantumState)) throw new Error(`expected a quantum_state but got ${typeName(value)}`);
+  return value;
+}
+
+function expectMap(value) {
+  if (!isMap(value)) throw new Error(`expected a map but got ${typeName(value)}`);
+  return value;
+}
+
+module.exports = { createBuiltins, AssertionFailure, UNTRACED_BUILTINS, BUILTIN_SIGNATURES };
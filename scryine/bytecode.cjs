@@ -0,0 +1,308 @@
+// SCRYINE Bytecode
+// Compiles parsed programs and function bodies into flat instruction arrays for the stack
+// VM (vm.cjs). Each function body is compiled once, on its first call, and reused.
+
+// Instructions and their operands. A `node` operand indexes the constant holding the AST
+// node the instruction came from, for its location and details such as a callee's name.
+const OPCODES = [
+  ['CONST', 'value'], // push a constant
+  ['LOAD', 'node'], // push the value of an identifier
+  ['POP'],
+  ['DECLARE', 'node'], // pop into a bless/scry variable
+  ['ASSIGN', 'node'], // pop into an existing variable
+  ['FUNCTION', 'node'], // declare a god function
+  ['COVENANT', 'node'], // declare a covenant block for the test runner
+  ['NOT'],
+  ['NEGATE'],
+  ['BINARY', 'value'], // pop two operands, push the result of the operator
+  ['JUMP', 'target'],
+  ['JUMP_IF_FALSE', 'target'], // pop, jump if falsy
+  ['JUMP_IF_FALSE_OR_POP', 'target'], // && : keep a falsy left operand and jump, else pop it
+  ['JUMP_IF_TRUE_OR_POP', 'target'], // || : keep a truthy left operand and jump, else pop it
+  ['LIST', 'count'],
+  ['MAP', 'value'], // pop one value per key in the constant
+  ['MEMBER', 'node'],
+  ['INDEX', 'node'],
+  ['CALL', 'node', 'count'], // call a function by name with `count` arguments
+  ['CALL_VALUE', 'node', 'count'], // call the function value beneath the arguments
+  ['TOKEN', 'node', 'count'],
+  ['ORACLE', 'node'],
+  ['PROPHESY', 'node'],
+  ['TICK', 'node'], // count a statement against the execution limits
+  ['ITERATE', 'node'], // pop an iterable, push an iterator over its items
+  ['NEXT', 'node', 'target'], // bind the next item, or pop the iterator and jump when done
+  ['CONCORD', 'value'], // run the constant's branch chunks concurrently
+  ['IMPORT', 'node'],
+  ['WITNESS', 'node', 'count'], // subscribe to a contract event, popping `count` filter values
+  ['TRY', 'node', 'target'], // errors until END_TRY jump to the target, the repent block
+  ['END_TRY'],
+  ['SMITE', 'node'],
+  ['RETURN'],
+  ['END']
+];
+
+const OP = Object.fromEntries(OPCODES.map(([name], code) => [name, code]));
+
+// A compiled program, function body or concord branch
+class Chunk {
+  constructor(name, kind) {
+    this.name = name;
+    this.kind = kind; // 'program' | 'function' | 'branch'
+    this.code = [];
+    this.constants = [];
+    this.constantIndex = new Map();
+  }
+
+  constant(value) {
+    if (!this.constantIndex.has(value)) {
+      this.constantIndex.set(value, this.constants.length);
+      this.constants.push(value);
+    }
+    return this.constantIndex.get(value);
+  }
+
+  emit(op, ...operands) {
+    this.code.push(op, ...operands);
+    return this.code.length - 1; // position of the last operand, for patching jump targets
+  }
+
+  // Packs the instructions into an Int32Array once compiling is done
+  finish() {
+    this.code = Int32Array.from(this.code);
+    this.constantIndex = null;
+    return this;
+  }
+}
+
+class BytecodeCompiler {
+  constructor(chunk) {
+    this.chunk = chunk;
+  }
+
+  node(node) {
+    return this.chunk.constant(node);
+  }
+
+  jump(op, ...operands) {
+    return this.chunk.emit(op, ...operands, -1);
+  }
+
+  patch(position) {
+    this.chunk.code[position] = this.chunk.code.length;
+  }
+
+  statements(statements) {
+    for (const statement of statements) this.statement(statement);
+  }
+
+  statement(node) {
+    const chunk = this.chunk;
+    chunk.emit(OP.TICK, this.node(node));
+    switch (node.type) {
+      case 'FunctionDeclaration':
+        chunk.emit(OP.FUNCTION, this.node(node));
+        break;
+      case 'CovenantStatement':
+        chunk.emit(OP.COVENANT, this.node(node));
+        break;
+      case 'VariableDeclaration':
+        this.expression(node.init);
+        chunk.emit(OP.DECLARE, this.node(node));
+        break;
+      case 'AssignmentStatement':
+        this.expression(node.value);
+        chunk.emit(OP.ASSIGN, this.node(node));
+        break;
+      case 'DivineStatement': {
+        this.expression(node.test);
+        const end = this.jump(OP.JUMP_IF_FALSE);
+        this.statements(node.consequent.body);
+        this.patch(end);
+        break;
+      }
+      case 'EternalStatement': {
+        const loop = chunk.code.length;
+        this.expression(node.test);
+        const end = this.jump(OP.JUMP_IF_FALSE);
+        chunk.emit(OP.TICK, this.node(node));
+        this.statements(node.body.body);
+        chunk.emit(OP.JUMP, loop);
+        this.patch(end);
+        break;
+      }
+      case 'EachStatement': {
+        this.expression(node.iterable);
+        chunk.emit(OP.ITERATE, this.node(node));
+        const loop = chunk.code.length;
+        const end = this.jump(OP.NEXT, this.node(node));
+        this.statements(node.body.body);
+        chunk.emit(OP.JUMP, loop);
+        this.patch(end);
+        break;
+      }
+      case 'ProphesyStatement':
+        this.expression(node.argument);
+        chunk.emit(OP.PROPHESY, this.node(node));
+        break;
+      case 'QuantumBlock':
+        this.statements(node.body.body);
+        break;
+      case 'ConcordBlock': {
+        const branches = node.body.body.map(statement => {
+          const branch = new Chunk(chunk.name, 'branch');
+          new BytecodeCompiler(branch).statement(statement);
+          branch.emit(OP.END);
+          return branch.finish();
+        });
+        chunk.emit(OP.CONCORD, chunk.constant(branches));
+        break;
+      }
+      case 'ImportDeclaration':
+        chunk.emit(OP.IMPORT, this.node(node));
+        break;
+      case 'WitnessStatement': {
+        const filters = node.params.filter(param => param.filter);
+        filters.forEach(param => this.expression(param.filter));
+        chunk.emit(OP.WITNESS, this.node(node), filters.length);
+        break;
+      }
+      case 'TryStatement': {
+        const handler = this.jump(OP.TRY, this.node(node));
+        this.statements(node.block.body);
+        chunk.emit(OP.END_TRY);
+        const end = this.jump(OP.JUMP);
+        this.patch(handler);
+        this.statements(node.handler.body);
+        this.patch(end);
+        break;
+      }
+      case 'SmiteStatement':
+        this.expression(node.argument);
+        chunk.emit(OP.SMITE, this.node(node));
+        break;
+      case 'ReturnStatement':
+        if (node.argument) this.expression(node.argument);
+        else chunk.emit(OP.CONST, chunk.constant(null));
+        chunk.emit(OP.RETURN);
+        break;
+      case 'ExpressionStatement':
+        this.expression(node.expression);
+        chunk.emit(OP.POP);
+        break;
+      default:
+        throw new Error(`Unknown statement type: ${node.type}`);
+    }
+  }
+
+  expression(node) {
+    const chunk = this.chunk;
+    switch (node.type) {
+      case 'Literal':
+        chunk.emit(OP.CONST, chunk.constant(node.value));
+        break;
+      case 'Identifier':
+        chunk.emit(OP.LOAD, this.node(node));
+        break;
+      case 'UnaryExpression':
+        this.expression(node.argument);
+        chunk.emit(node.operator === '!' ? OP.NOT : OP.NEGATE);
+        break;
+      case 'LogicalExpression': {
+        this.expression(node.left);
+        const end = this.jump(node.operator === '&&' ? OP.JUMP_IF_FALSE_OR_POP : OP.JUMP_IF_TRUE_OR_POP);
+        this.expression(node.right);
+        this.patch(end);
+        break;
+      }
+      case 'BinaryExpression':
+        this.expression(node.left);
+        this.expression(node.right);
+        chunk.emit(OP.BINARY, chunk.constant(node.operator));
+        break;
+      case 'CallExpression':
+        if (node.callee.type === 'MemberExpression') {
+          // module.member(args): the member is looked up before the arguments are evaluated
+          this.expression(node.callee);
+          node.arguments.forEach(arg => this.expression(arg));
+          chunk.emit(OP.CALL_VALUE, this.node(node), node.arguments.length);
+        } else {
+          node.arguments.forEach(arg => this.expression(arg));
+          chunk.emit(OP.CALL, this.node(node), node.arguments.length);
+        }
+        break;
+      case 'MemberExpression':
+        this.expression(node.object);
+        chunk.emit(OP.MEMBER, this.node(node));
+        break;
+      case 'IndexExpression':
+        this.expression(node.object);
+        this.expression(node.index);
+        chunk.emit(OP.INDEX, this.node(node));
+        break;
+      case 'ListExpression':
+        node.elements.forEach(element => this.expression(element));
+        chunk.emit(OP.LIST, node.elements.length);
+        break;
+      case 'MapExpression':
+        node.entries.forEach(entry => this.expression(entry.value));
+        chunk.emit(OP.MAP, chunk.constant(node.entries.map(entry => entry.key)));
+        break;
+      case 'TokenExpression':
+        node.arguments.forEach(arg => this.expression(arg));
+        chunk.emit(OP.TOKEN, this.node(node), node.arguments.length);
+        break;
+      case 'OracleExpression':
+        this.expression(node.requestId);
+        chunk.emit(OP.ORACLE, this.node(node));
+        break;
+      default:
+        throw new Error(`Unknown expression type: ${node.type}`);
+    }
+  }
+}
+
+function compileProgram(program) {
+  const chunk = new Chunk('<program>', 'program');
+  new BytecodeCompiler(chunk).statements(program.body);
+  chunk.emit(OP.END);
+  return chunk.finish();
+}
+
+// Function bodies are compiled on their first call; closures over the same declaration share the chunk
+const functionChunks = new WeakMap();
+
+function compileFunction(func) {
+  let chunk = functionChunks.get(func.body);
+  if (!chunk) {
+    chunk = new Chunk(func.name, 'function');
+    new BytecodeCompiler(chunk).statements(func.body.body);
+    chunk.emit(OP.CONST, chunk.constant(null));
+    chunk.emit(OP.RETURN);
+    functionChunks.set(func.body, chunk.finish());
+  }
+  return chunk;
+}
+
+// A readable listing of a chunk, one instruction per line, e.g. `0004 CALL quantum_predict 1`
+function disassemble(chunk) {
+  const lines = [];
+  for (let pc = 0; pc < chunk.code.length;) {
+    const [name, ...operands] = OPCODES[chunk.code[pc]];
+    const parts = [String(pc).padStart(4, '0'), name];
+    operands.forEach((operand, i) => parts.push(describeOperand(chunk, operand, chunk.code[pc + 1 + i])));
+    lines.push(parts.join(' '));
+    pc += 1 + operands.length;
+  }
+  return lines.join('\n');
+}
+
+function describeOperand(chunk, kind, value) {
+  if (kind === 'count' || kind === 'target') return String(value);
+  const constant = chunk.constants[value];
+  if (kind === 'value') return Array.isArray(constant) && constant[0] instanceof Chunk ? `<${constant.length} branches>` : JSON.stringify(constant);
+  // AST nodes are shown by what identifies them
+  const label = constant.name || constant.variable || (constant.callee && (constant.callee.name || constant.callee.property)) || constant.property || constant.source;
+  return label ? `${label}@${constant.loc.start.line}` : `${constant.type}@${constant.loc.start.line}`;
+}
+
+module.exports = { OP, OPCODES, Chunk, compileProgram, compileFunction, disassemble };
@@ -0,0 +1,924 @@
+// SCRYINE Checker
+// Checks a script without running it, for `scryine check`. Types are inferred from literals,
+// annotations and the signatures of builtins, the standard library and contract ABIs; the
+// checker reports type mismatches, unknown names, wrong arities, unreachable code and unused
+// variables. Where a type cannot be known it is `any`, which matches everything.
+
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('./parser.cjs');
+const { Diagnostic, ScryineError, closestName } = require('./diagnostics.cjs');
+const { BUILTIN_SIGNATURES } = require('./builtins.cjs');
+const { createStdlib } = require('./stdlib.cjs');
+const { QUANTUM_OPERATIONS, QUANTUM_SIGNATURES } = require('./quantum.cjs');
+const { ContractRuntime } = require('./contracts.cjs');
+const { parseParams } = require('./host.cjs');
+const { isFunction, isMap, typeName } = require('./values.cjs');
+const { resolveModule, namespaceName, displayPath, defaultModulePaths } = require('./modules.cjs');
+
+const QUANTUM_STATE_FIELDS = { address: 'string', entropy: 'number', coherence: 'number', lastUpdate: 'number', entangled: 'list' };
+const COMPARISONS = ['<', '<=', '>', '>='];
+
+// `{ params: { amount: 'number' }, returns: 'string' }` as declared by host functions
+// => { name, params: [{ name, type, optional, rest }] | null, returns }
+function signature(name, declared = {}) {
+  return { name, params: declared.params ? parseParams(declared.params, name) : null, returns: declared.returns || 'any' };
+}
+
+// What the checker knows about a value: its type, a function's signature, a map's members
+function describe(value) {
+  if (isFunction(value)) return { type: 'function', signature: value.signature ? { name: value.name, ...value.signature } : signature(value.name) };
+  if (isMap(value)) {
+    return { type: 'map', members: new Map(Object.keys(value).map(key => [key, describe(value[key])])) };
+  }
+  return { type: typeName(value) };
+}
+
+// The builtins and globals every script sees, without an interpreter
+function defaultEnvironment() {
+  const builtins = new Map(Object.entries(BUILTIN_SIGNATURES).map(([name, declared]) => [name, signature(name, declared)]));
+  const globals = new Map();
+  for (const [name, members] of Object.entries(createStdlib({}))) {
+    const described = new Map();
+    for (const [member, definition] of Object.entries(members)) {
+      described.set(member, definition && typeof definition.fn === 'function'
+        ? { type: 'function', signature: signature(`${name}.${member}`, definition) }
+        : describe(definition));
+    }
+    globals.set(name, { type: 'map', members: described, readOnly: true });
+  }
+  return { builtins, globals };
+}
+
+function compatible(actual, expected) {
+  return actual === 'any' || expected === 'any' || actual === expected;
+}
+
+function article(type) {
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+// Names bound in one function body (or file). Blocks share the scope of their function.
+class Scope {
+  constructor(parent = null, func = null) {
+    this.parent = parent;
+    this.func = func; // the FunctionDeclaration, covenant or witness this is the body of, or null at the top level
+    this.names = new Map(); // name => symbol
+  }
+
+  lookup(name) {
+    for (let scope = this; scope; scope = scope.parent) {
+      if (scope.names.has(name)) return scope.names.get(name);
+    }
+    return null;
+  }
+
+  visibleNames() {
+    const names = [];
+    for (let scope = this; scope; scope = scope.parent) names.push(...scope.names.keys());
+    return names;
+  }
+}
+
+class Checker {
+  /**
+   * @param {object} options
+   * @param {string} [options.file] File name shown in diagnostics
+   * @param {Map} [options.builtins] Builtin name => signature (default: the standard builtins)
+   * @param {Map} [options.globals] Global name => symbol (default: the standard library)
+   * @param {ContractRuntime} [options.contracts] Source of contract ABIs
+   * @param {Function} [options.importModule] `(node, checker)` => exported symbols of an import, or null
+   */
+  constructor(options = {}) {
+    const environment = defaultEnvironment();
+    this.file = options.file || null;
+    this.builtins = options.builtins || environment.builtins;
+    this.globals = options.globals || environment.globals;
+    this.contracts = options.contracts || new ContractRuntime();
+    this.importModule = options.importModule || null;
+    this.diagnostics = [];
+    this.abis = new Map();
+  }
+
+  report(severity, kind, message, node) {
+    this.diagnostics.push(new Diagnostic(severity, kind, message, node.loc, this.file));
+  }
+
+  error(kind, message, node) {
+    this.report('error', kind, message, node);
+  }
+
+  warn(kind, message, node) {
+    this.report('warning', kind, message, node);
+  }
+
+  suggest(name, scope) {
+    const match = closestName(name, scope.visibleNames().concat([...this.builtins.keys(), ...this.globals.keys()]));
+    return match ? ` (did you mean "${match}"?)` : '';
+  }
+
+  /**
+   * Checks a parsed program and returns its diagnostics in source order, along with the
+   * symbols of its top-level names other than main, which an import of the file sees.
+   */
+  check(program) {
+    this.assigned = assignedNames(program.body);
+    const scope = new Scope();
+    this.declare(program.body, scope);
+    this.body(program.body, scope, { func: null, facts: new Map(), returns: [] });
+    for (const symbol of scope.names.values()) {
+      if (symbol.kind === 'function') this.checkFunction(symbol);
+    }
+
+    this.diagnostics.sort((a, b) => (a.loc ? a.loc.start.offset : 0) - (b.loc ? b.loc.start.offset : 0));
+    const exports = new Map([...scope.names].filter(([name]) => name !== 'main'));
+    return { diagnostics: this.diagnostics, exports };
+  }
+
+  // Declarations
+
+  // Binds every name declared in a body before checking it, so functions can be called
+  // above their declaration. Variables take their type from their annotation for now;
+  // an unannotated variable gets its inferred type when its declaration is reached.
+  declare(statements, scope) {
+    for (const node of statements) {
+      switch (node.type) {
+        case 'FunctionDeclaration':
+          this.bind(scope, node.name, { kind: 'function', type: 'function', node, scope, state: 'unchecked', returns: null });
+          break;
+        case 'VariableDeclaration':
+          this.bind(scope, node.name, {
+            kind: 'variable',
+            type: node.typeAnnotation ? node.typeAnnotation.name : 'any',
+            annotated: Boolean(node.typeAnnotation),
+            node
+          });
+          break;
+        case 'EachStatement':
+          this.bind(scope, node.variable, { kind: 'each', type: 'any', node });
+          this.declare(node.body.body, scope);
+          break;
+        case 'DivineStatement':
+          this.declare(node.consequent.body, scope);
+          break;
+        case 'EternalStatement':
+        case 'QuantumBlock':
+        case 'ConcordBlock':
+          this.declare(node.body.body, scope);
+          break;
+        case 'TryStatement':
+          this.declare(node.block.body, scope);
+          if (node.param) this.bind(scope, node.param, { kind: 'repent', type: 'map', node });
+          this.declare(node.handler.body, scope);
+          break;
+        case 'ImportDeclaration':
+          if (node.specifiers) node.specifiers.forEach(specifier => this.bind(scope, specifier.local, { kind: 'import', type: 'any', node }));
+          else if (node.alias || namespaceName(node.source)) this.bind(scope, node.alias || namespaceName(node.source), { kind: 'import', type: 'map', node });
+          break;
+      }
+    }
+  }
+
+  // A name declared twice in one scope, or declared in two ways, has no single type
+  bind(scope, name, symbol) {
+    const existing = scope.names.get(name);
+    if (existing) {
+      existing.redeclared = true;
+      if (!existing.annotated) existing.type = 'any';
+      return;
+    }
+    scope.names.set(name, { used: false, redeclared: false, annotated: false, ...symbol });
+  }
+
+  // Functions
+
+  // Checks a god function's body once, the first time it is declared or called, and works
+  // out its return type: the annotation, or the one type all its returns agree on
+  checkFunction(symbol) {
+    if (symbol.state !== 'unchecked') return;
+    symbol.state = 'checking';
+    const { node } = symbol;
+    const scope = new Scope(symbol.scope, node);
+    for (const param of node.params) {
+      scope.names.set(param.name, {
+        kind: 'param',
+        type: param.typeAnnotation ? param.typeAnnotation.name : 'any',
+        annotated: Boolean(param.typeAnnotation),
+        used: false,
+        node: param
+      });
+    }
+    this.declare(node.body.body, scope);
+
+    const context = { func: node, facts: new Map(), returns: [] };
+    const ends = this.body(node.body.body, scope, context);
+    const declared = node.returnType && node.returnType.name;
+    if (!ends) {
+      if (declared && !compatible('nothing', declared)) {
+        this.error('type', `Function "${node.name}" is declared to return ${declared} but can end without a return`, node.returnType);
+      }
+      context.returns.push('nothing');
+    }
+
+    if (declared) symbol.returns = declared;
+    else symbol.returns = context.returns.every(type => type === context.returns[0]) ? context.returns[0] : 'any';
+    symbol.state = 'checked';
+    this.reportUnused(scope);
+  }
+
+  signatureOf(symbol) {
+    const { node } = symbol;
+    this.checkFunction(symbol);
+    return {
+      name: node.name,
+      params: node.params.map(param => ({
+        name: param.name,
+        type: param.typeAnnotation ? param.typeAnnotation.name : 'any',
+        optional: false,
+        rest: false
+      })),
+      // A recursive call is checked before its function's returns are all known
+      returns: symbol.state === 'checked' ? symbol.returns : (node.returnType ? node.returnType.name : 'any'),
+      god: true
+    };
+  }
+
+  reportUnused(scope) {
+    for (const [name, symbol] of scope.names) {
+      if (symbol.used || name.startsWith('_')) continue;
+      if (symbol.kind === 'variable' || symbol.kind === 'each') {
+        this.warn('unused', `Variable "${name}" is never used`, symbol.node);
+      } else if (symbol.kind === 'repent') {
+        this.warn('unused', `The error "${name}" is never used; write \`repent {\` to leave it out`, symbol.node.handler);
+      } else if (symbol.kind === 'function') {
+        this.warn('unused', `Function "${name}" is never used`, symbol.node);
+      }
+    }
+  }
+
+  // Statements
+
+  // Checks a list of statements and returns whether it always ends in a return or smite.
+  // Anything after such a statement is reported once as unreachable.
+  body(statements, scope, context) {
+    let ends = false;
+    for (const statement of statements) {
+      if (ends && !context.unreachableReported) {
+        this.warn('unreachable', 'Unreachable code: the statements before it always return or smite', statement);
+        context.unreachableReported = true;
+      }
+      if (this.statement(statement, scope, context)) ends = true;
+    }
+    context.unreachableReported = false;
+    return ends;
+  }
+
+  statement(node, scope, context) {
+    switch (node.type) {
+      case 'FunctionDeclaration':
+        if (scope.func === null) this.checkFunction(scope.names.get(node.name));
+        return false;
+      case 'CovenantStatement': {
+        // A covenant runs like a function without parameters, once the top level has run
+        const covenant = new Scope(scope, node);
+        this.declare(node.body.body, covenant);
+        this.body(node.body.body, covenant, { func: node, facts: new Map(), returns: [] });
+        this.reportUnused(covenant);
+        return false;
+      }
+      case 'WitnessStatement': {
+        // Filters are worked out where the block stands; the body runs like a function, once per event
+        for (const param of node.params) {
+          if (param.filter) this.expression(param.filter, scope, context);
+        }
+        const handler = new Scope(scope, node);
+        for (const param of node.params) {
+          handler.names.set(param.name, { kind: 'param', type: 'any', annotated: false, used: false, node: param });
+        }
+        this.declare(node.body.body, handler);
+        this.body(node.body.body, handler, { func: node, facts: new Map(), returns: [] });
+        this.reportUnused(handler);
+        return false;
+      }
+      case 'VariableDeclaration': {
+        const type = this.expression(node.init, scope, context);
+        const symbol = scope.names.get(node.name);
+        if (symbol.annotated) {
+          this.expectType(type, symbol.type, node.init, `Cannot assign ${type} to "${node.name}", declared as ${symbol.type}`);
+        } else if (!symbol.redeclared && !this.assigned.has(node.name)) {
+          symbol.type = type;
+          if (node.init.type === 'Literal') symbol.constant = { value: node.init.value };
+        }
+        context.facts.delete(node.name);
+        return false;
+      }
+      case 'AssignmentStatement': {
+        const type = this.expression(node.value, scope, context);
+        const symbol = scope.lookup(node.name);
+        const global = !symbol && this.globals.get(node.name);
+        if (global && global.readOnly) {
+          this.error('reference', `Cannot assign to read-only global "${node.name}"`, node);
+        } else if (!symbol && !global) {
+          this.error('reference', `Cannot assign to undeclared variable "${node.name}" (use bless or scry to declare it)`, node);
+        } else if (symbol && symbol.annotated) {
+          this.expectType(type, symbol.type, node.value, `Cannot assign ${type} to "${node.name}", declared as ${symbol.type}`);
+        }
+        context.facts.delete(node.name);
+        return false;
+      }
+      case 'DivineStatement': {
+        this.expression(node.test, scope, context);
+        const truth = this.truth(node.test, scope, context.facts);
+        if (truth === false) {
+          this.warn('unreachable', 'This divine branch never runs: its condition is always false', node.test);
+        }
+        const facts = new Map(context.facts);
+        this.assume(node.test, scope, facts);
+        this.body(node.consequent.body, scope, { ...context, facts });
+        this.forget(node.consequent.body, context.facts);
+        return false;
+      }
+      case 'EternalStatement': {
+        // Facts about names the loop changes do not hold from the second iteration on
+        this.forget(node.body.body, context.facts);
+        this.expression(node.test, scope, context);
+        if (this.truth(node.test, scope, context.facts) === false) {
+          this.warn('unreachable', 'This eternal loop never runs: its condition is always false', node.test);
+        }
+        const facts = new Map(context.facts);
+        this.assume(node.test, scope, facts);
+        this.body(node.body.body, scope, { ...context, facts });
+        return false;
+      }
+      case 'EachStatement': {
+        const type = this.expression(node.iterable, scope, context);
+        if (!['any', 'list', 'map'].includes(type)) {
+          this.error('type', `Cannot iterate over ${type} (each expects a list or map)`, node.iterable);
+        }
+        const symbol = scope.names.get(node.variable);
+        if (!symbol.redeclared && !this.assigned.has(node.variable)) symbol.type = type === 'map' ? 'string' : 'any';
+        this.forget(node.body.body, context.facts);
+        context.facts.delete(node.variable);
+        this.body(node.body.body, scope, { ...context, facts: new Map(context.facts) });
+        return false;
+      }
+      case 'ProphesyStatement':
+        this.expression(node.argument, scope, context);
+        return false;
+      case 'QuantumBlock':
+        return this.body(node.body.body, scope, context);
+      case 'ConcordBlock':
+        this.body(node.body.body, scope, context);
+        this.forget(node.body.body, context.facts);
+        return false;
+      case 'ImportDeclaration':
+        this.checkImport(node, scope);
+        return false;
+      case 'TryStatement': {
+        const blockEnds = this.body(node.block.body, scope, { ...context, facts: new Map(context.facts) });
+        this.forget(node.block.body, context.facts);
+        const handlerEnds = this.body(node.handler.body, scope, context);
+        return blockEnds && handlerEnds;
+      }
+      case 'SmiteStatement':
+        this.expression(node.argument, scope, context);
+        return true;
+      case 'ReturnStatement': {
+        const type = node.argument ? this.expression(node.argument, scope, context) : 'nothing';
+        const declared = context.func && context.func.returnType && context.func.returnType.name;
+        if (declared) {
+          this.expectType(type, declared, node.argument || node, `Function "${context.func.name}" is declared to return ${declared} but returns ${type}`);
+        }
+        context.returns.push(type);
+        return true;
+      }
+      case 'ExpressionStatement':
+        this.expression(node.expression, scope, context);
+        return false;
+      default:
+        return false;
+    }
+  }
+
+  checkImport(node, scope) {
+    const exports = this.importModule ? this.importModule(node, this) : null;
+    if (node.specifiers) {
+      for (const { imported, local } of node.specifiers) {
+        const symbol = scope.names.get(local);
+        if (!exports) continue;
+        const exported = exports.get(imported);
+        if (!exported) {
+          const match = closestName(imported, [...exports.keys()]);
+          this.error('reference', `Module "${node.source}" has no export "${imported}"${match ? ` (did you mean "${match}"?)` : ''}`, node);
+          continue;
+        }
+        Object.assign(symbol, { type: exported.type, signature: exported.signature || null, members: exported.members || null });
+        if (exported.kind === 'function') symbol.signature = this.signatureOf(exported);
+      }
+    } else {
+      const name = node.alias || namespaceName(node.source);
+      if (!name) {
+        this.error('runtime', `Cannot name a namespace after "${node.source}"; use import "${node.source}" as name`, node);
+        return;
+      }
+      if (exports) scope.names.get(name).members = exports;
+    }
+  }
+
+  expectType(actual, expected, node, message) {
+    if (!compatible(actual, expected)) this.error('type', message, node);
+  }
+
+  // Expressions
+
+  // Returns the type of an expression, reporting problems inside it
+  expression(node, scope, context) {
+    switch (node.type) {
+      case 'Literal':
+        return typeName(node.value);
+      case 'Identifier':
+        return this.identifier(node, scope).type;
+      case 'UnaryExpression': {
+        const type = this.expression(node.argument, scope, context);
+        if (node.operator === '!') return 'boolean';
+        this.expectType(type, 'number', node.argument, `Cannot negate ${type}`);
+        return 'number';
+      }
+      case 'LogicalExpression': {
+        const left = this.expression(node.left, scope, context);
+        const right = this.expression(node.right, scope, context);
+        return left === right ? left : 'any';
+      }
+      case 'BinaryExpression':
+        return this.binary(node, this.expression(node.left, scope, context), this.expression(node.right, scope, context));
+      case 'CallExpression':
+        return this.call(node, scope, context);
+      case 'MemberExpression':
+        return this.member(node, scope, context).type;
+      case 'IndexExpression': {
+        const object = this.expression(node.object, scope, context);
+        const index = this.expression(node.index, scope, context);
+        if (object === 'list' || object === 'string') {
+          this.expectType(index, 'number', node.index, `${object} index must be a number, got ${index}`);
+          return object === 'string' ? 'string' : 'any';
+        }
+        if (!['any', 'map'].includes(object)) this.error('type', `Cannot index into ${object}`, node.object);
+        return 'any';
+      }
+      case 'ListExpression':
+        node.elements.forEach(element => this.expression(element, scope, context));
+        return 'list';
+      case 'MapExpression':
+        node.entries.forEach(entry => this.expression(entry.value, scope, context));
+        return 'map';
+      case 'TokenExpression':
+        node.arguments.forEach(arg => this.expression(arg, scope, context));
+        return node.operation === 'balance' ? 'number' : 'map';
+      case 'OracleExpression':
+        this.expression(node.requestId, scope, context);
+        return 'map';
+      default:
+        return 'any';
+    }
+  }
+
+  // The symbol an identifier refers to, marking it used
+  identifier(node, scope) {
+    const symbol = scope.lookup(node.name);
+    if (symbol) {
+      symbol.used = true;
+      if (symbol.kind === 'function') return { type: 'function', signature: this.signatureOf(symbol) };
+      return symbol;
+    }
+    if (this.globals.has(node.name)) return this.globals.get(node.name);
+    if (this.builtins.has(node.name)) return { type: 'function', signature: this.builtins.get(node.name) };
+    this.error('reference', `Unknown identifier "${node.name}"${this.suggest(node.name, scope)}`, node);
+    return { type: 'any' };
+  }
+
+  binary(node, left, right) {
+    const op = node.operator;
+    if (op === '+') {
+      if (left === 'list' && right === 'list') return 'list';
+      if (left === 'string' || right === 'string') return 'string';
+      if (left === 'number' && right === 'number') return 'number';
+      if (left !== 'any' && right !== 'any') {
+        this.error('type', `Operator "+" cannot combine ${left} and ${right}`, node);
+      } else if (left === 'list' || right === 'list') {
+        return 'list';
+      }
+      return 'any';
+    }
+    if (COMPARISONS.includes(op)) {
+      const known = [left, right].filter(type => type !== 'any');
+      if (known.some(type => type !== 'number' && type !== 'string') || (known.length === 2 && left !== right)) {
+        this.error('type', `Cannot compare ${left} with ${right} using "${op}"`, node);
+      }
+      return 'boolean';
+    }
+    if (op === '==' || op === '!=') return 'boolean';
+    // - * / %
+    if (!compatible(left, 'number') || !compatible(right, 'number')) {
+      this.error('type', `Operator "${op}" expects numbers, got ${left} and ${right}`, node);
+    }
+    return 'number';
+  }
+
+  member(node, scope, context) {
+    const object = node.object.type === 'Identifier'
+      ? this.identifier(node.object, scope)
+      : { type: this.expression(node.object, scope, context) };
+    if (object.members) {
+      const member = object.members.get(node.property);
+      // A namespace's functions were checked with the module that declares them
+      if (member && member.kind === 'function') return { type: 'function', signature: this.signatureOf(member) };
+      if (member) return member;
+      const match = closestName(node.property, [...object.members.keys()]);
+      this.error('reference', `Value has no field "${node.property}"${match ? ` (did you mean "${match}"?)` : ''}`, node);
+      return { type: 'any' };
+    }
+    if (object.type === 'quantum_state') {
+      if (QUANTUM_STATE_FIELDS[node.property]) return { type: QUANTUM_STATE_FIELDS[node.property] };
+      this.error('reference', `quantum_state has no field "${node.property}"`, node);
+      return { type: 'any' };
+    }
+    if (!['any', 'map'].includes(object.type)) {
+      this.error('reference', `${object.type} has no field "${node.property}"`, node);
+    }
+    return { type: 'any' };
+  }
+
+  call(node, scope, context) {
+    let callee;
+    if (node.callee.type === 'MemberExpression') {
+      callee = this.member(node.callee, scope, context);
+    } else {
+      const name = node.callee.name;
+      let symbol = scope.lookup(name);
+      // Builtins are called before top-level god functions of the same name
+      if (symbol && symbol.kind === 'function' && !symbol.scope.parent && this.builtins.has(name)) symbol = null;
+      if (node.quantum && QUANTUM_OPERATIONS.includes(name)) {
+        callee = { type: 'function', signature: signature(name, QUANTUM_SIGNATURES[name]) };
+      } else if (symbol) {
+        callee = this.identifier(node.callee, scope);
+      } else if (this.builtins.has(name)) {
+        callee = { type: 'function', signature: this.builtins.get(name) };
+      } else {
+        if (QUANTUM_OPERATIONS.includes(name)) {
+          this.error('reference', `"${name}" is a quantum operation and can only be called inside a quantum block`, node.callee);
+        } else {
+          this.error('reference', `Call to undefined function "${name}"${this.suggest(name, scope)}`, node.callee);
+        }
+        callee = { type: 'any' };
+      }
+    }
+
+    const args = node.arguments.map(arg => this.expression(arg, scope, context));
+    if (!compatible(callee.type, 'function')) {
+      this.error('type', `Cannot call ${callee.type}`, node.callee);
+      return 'any';
+    }
+    if (!callee.signature) return 'any';
+    if (!this.checkArguments(callee.signature, args, node)) return callee.signature.returns;
+    if (callee.signature.name === 'contract_call' && node.callee.type === 'Identifier') return this.contractCall(node, args);
+    return callee.signature.returns;
+  }
+
+  // Reports calls with the wrong number or types of arguments, in the words the interpreter uses
+  checkArguments({ name, params, god }, args, node) {
+    if (!params) return true;
+    const required = params.filter(param => !param.optional).length;
+    const variadic = params.length > 0 && params[params.length - 1].rest;
+    if (args.length < required || (!variadic && args.length > params.length)) {
+      const names = params.map(param => param.rest ? `${param.name}...` : param.name).join(', ');
+      if (god) {
+        this.error('arity', `Function "${name}" expects ${plural(params.length, 'argument')} (${names}) but was called with ${args.length}`, node);
+      } else {
+        const count = variadic ? `at least ${required}` : required === params.length ? required : `${required} to ${params.length}`;
+        this.error('arity', `${name}: expects ${count} argument${count === 1 ? '' : 's'} (${names}) but was called with ${args.length}`, node);
+      }
+      return false;
+    }
+    args.forEach((type, i) => {
+      const param = params[Math.min(i, params.length - 1)];
+      if (param.optional && type === 'nothing') return;
+      this.expectType(type, param.type, node.arguments[i], `${name}: argument "${param.name}" must be ${article(param.type)}, got ${type}`);
+    });
+    return true;
+  }
+
+  // contract_call("Contract", "method", args...) with literal names is checked against the ABI
+  contractCall(node, args) {
+    const [contractNode, methodNode, ...argNodes] = node.arguments;
+    if (!isStringLiteral(contractNode) || !isStringLiteral(methodNode)) return 'any';
+    const contract = contractNode.value;
+    const method = methodNode.value;
+    const abi = this.abi(contract, contractNode);
+    if (!abi) return 'any';
+
+    const fragments = abi.filter(entry => entry.type === 'function' && entry.name === method);
+    if (!fragments.length) {
+      const match = closestName(method, abi.filter(entry => entry.type === 'function').map(entry => entry.name));
+      this.error('reference', `Contract "${contract}" has no method "${method}"${match ? ` (did you mean "${match}"?)` : ''}`, methodNode);
+      return 'any';
+    }
+    // Overloaded methods are told apart by ethers at run time
+    if (fragments.length > 1) return 'any';
+
+    const [fragment] = fragments;
+    const payable = fragment.stateMutability === 'payable';
+    const given = argNodes.length;
+    if (given !== fragment.inputs.length && !(payable && given === fragment.inputs.length + 1)) {
+      this.error('arity', `${contract}.${method} expects ${plural(fragment.inputs.length, 'argument')} but got ${given}`, node);
+      return abiResult(fragment);
+    }
+    fragment.inputs.forEach((input, i) => {
+      const type = args[i + 2];
+      const accepted = abiAccepts(input.type);
+      if (type !== 'any' && !accepted.includes(type)) {
+        const name = input.name || String(i + 1);
+        this.error('type', `${contract}.${method}: argument "${name}" (${input.type}) must be ${accepted.map(article).join(' or ')}, got ${type}`, argNodes[i]);
+      }
+    });
+    return abiResult(fragment);
+  }
+
+  abi(contract, node) {
+    if (!this.abis.has(contract)) {
+      let abi = null;
+      if (fs.existsSync(this.contracts.artifactsDir)) {
+        try {
+          abi = this.contracts.loadAbi(contract);
+        } catch (err) {
+          this.error('reference', err.message, node);
+        }
+      }
+      this.abis.set(contract, abi);
+    }
+    return this.abis.get(contract);
+  }
+
+  // Reachability
+
+  // Whether a condition is always true or always false given what is known, or null
+  truth(node, scope, facts) {
+    switch (node.type) {
+      case 'Literal':
+        return Boolean(node.value);
+      case 'Identifier': {
+        const constant = this.constant(node, scope);
+        return constant ? Boolean(constant.value) : null;
+      }
+      case 'UnaryExpression': {
+        if (node.operator !== '!') return null;
+        const truth = this.truth(node.argument, scope, facts);
+        return truth === null ? null : !truth;
+      }
+      case 'LogicalExpression': {
+        const left = this.truth(node.left, scope, facts);
+        if (node.operator === '&&') {
+          if (left === false) return false;
+          // The right side is only evaluated with the left side's facts
+          const narrowed = new Map(facts);
+          this.assume(node.left, scope, narrowed);
+          const right = this.truth(node.right, scope, narrowed);
+          if (right === false) return false;
+          return left === true && right === true ? true : null;
+        }
+        const right = this.truth(node.right, scope, facts);
+        if (left === true || right === true) return true;
+        return left === false && right === false ? false : null;
+      }
+      case 'BinaryExpression': {
+        const comparison = this.comparison(node, scope);
+        if (!comparison) return null;
+        if (comparison.value !== undefined) return compare(comparison.value, node.operator, comparison.bound);
+        const range = facts.get(comparison.name);
+        return range ? rangeTruth(range, comparison.op, comparison.bound) : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  // Narrows `facts` to what holds when `node` is true
+  assume(node, scope, facts) {
+    if (node.type === 'LogicalExpression' && node.operator === '&&') {
+      this.assume(node.left, scope, facts);
+      this.assume(node.right, scope, facts);
+      return;
+    }
+    if (node.type !== 'BinaryExpression') return;
+    const comparison = this.comparison(node, scope);
+    if (!comparison || comparison.value !== undefined) return;
+    facts.set(comparison.name, narrow(facts.get(comparison.name) || FULL_RANGE, comparison.op, comparison.bound));
+  }
+
+  // `name op number` (or `number op name`) as { name, op, bound }, or { value, bound } when
+  // both sides are constants. Only variables of the running function are tracked.
+  comparison(node, scope) {
+    if (!COMPARISONS.includes(node.operator) && node.operator !== '==') return null;
+    const left = this.numeric(node.left, scope);
+    const right = this.numeric(node.right, scope);
+    if (!left || !right) return null;
+    if (left.value !== undefined && right.value !== undefined) return { value: left.value, bound: right.value };
+    if (left.name && right.value !== undefined) return { name: left.name, op: node.operator, bound: right.value };
+    if (right.name && left.value !== undefined) return { name: right.name, op: FLIPPED[node.operator], bound: left.value };
+    return null;
+  }
+
+  numeric(node, scope) {
+    if (node.type === 'Literal') return typeof node.value === 'number' ? { value: node.value } : null;
+    if (node.type === 'UnaryExpression' && node.operator === '-' && node.argument.type === 'Literal' && typeof node.argument.value === 'number') {
+      return { value: -node.argument.value };
+    }
+    if (node.type !== 'Identifier') return null;
+    const constant = this.constant(node, scope);
+    if (constant) return typeof constant.value === 'number' ? { value: constant.value } : null;
+    const symbol = scope.lookup(node.name);
+    return symbol && (symbol.kind === 'variable' || symbol.kind === 'param') && !this.captured(node.name, scope) ? { name: node.name } : null;
+  }
+
+  // A bless/scry with a literal value that nothing ever assigns to
+  constant(node, scope) {
+    const symbol = scope.lookup(node.name);
+    return symbol && symbol.constant && !this.assigned.has(node.name) ? symbol.constant : null;
+  }
+
+  // Names a nested function may assign while the running function waits on a call
+  captured(name, scope) {
+    return this.assigned.has(name) && scope.lookup(name) !== scope.names.get(name);
+  }
+
+  // Drops facts about names a block may change
+  forget(statements, facts) {
+    for (const name of declaredOrAssigned(statements)) facts.delete(name);
+  }
+}
+
+// Ranges of numbers known for a variable: { min, max, minOpen, maxOpen }
+const FULL_RANGE = { min: -Infinity, max: Infinity, minOpen: false, maxOpen: false };
+const FLIPPED = { '<': '>', '<=': '>=', '>': '<', '>=': '<=', '==': '==' };
+
+function narrow(range, op, bound) {
+  const next = { ...range };
+  if ((op === '>' || op === '>=' || op === '==') && (bound > next.min || (bound === next.min && op === '>'))) {
+    next.min = bound;
+    next.minOpen = op === '>';
+  }
+  if ((op === '<' || op === '<=' || op === '==') && (bound < next.max || (bound === next.max && op === '<'))) {
+    next.max = bound;
+    next.maxOpen = op === '<';
+  }
+  return next;
+}
+
+function isEmpty(range) {
+  return range.min > range.max || (range.min === range.max && (range.minOpen || range.maxOpen));
+}
+
+// Whether `x op bound` holds for every x in the range (true), for none (false), or neither
+function rangeTruth(range, op, bound) {
+  if (isEmpty(narrow(range, op, bound))) return false;
+  const negated = { '<': '>=', '<=': '>', '>': '<=', '>=': '<' }[op];
+  if (negated && isEmpty(narrow(range, negated, bound))) return true;
+  return null;
+}
+
+function compare(left, op, right) {
+  switch (op) {
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+    case '==': return left === right;
+  }
+  return null;
+}
+
+function isStringLiteral(node) {
+  return Boolean(node) && node.type === 'Literal' && typeof node.value === 'string';
+}
+
+// SCRYINE types an ABI parameter accepts; numbers may also be decimal strings
+function abiAccepts(type) {
+  if (type.endsWith(']')) return ['list'];
+  if (/^u?int\d*$/.test(type)) return ['number', 'string'];
+  if (type === 'bool') return ['boolean'];
+  if (type === 'tuple') return ['map', 'list'];
+  return ['string'];
+}
+
+// What contract_call returns: a transaction receipt, or the decoded result of a view
+function abiResult(fragment) {
+  if (!['view', 'pure'].includes(fragment.stateMutability) && !fragment.constant) return 'map';
+  const outputs = fragment.outputs || [];
+  if (outputs.length === 0) return 'nothing';
+  if (outputs.length > 1) return outputs.every(output => output.name) ? 'map' : 'list';
+  const [output] = outputs;
+  if (output.type.endsWith(']')) return 'list';
+  if (/^u?int\d*$/.test(output.type)) return 'number';
+  if (output.type === 'bool') return 'boolean';
+  if (output.type === 'tuple') return 'map';
+  return 'string';
+}
+
+// Every name assigned anywhere in the statements, including inside functions
+function assignedNames(statements, names = new Set()) {
+  for (const node of statements) {
+    if (node.type === 'AssignmentStatement') names.add(node.name);
+    for (const block of blocksOf(node)) assignedNames(block, names);
+  }
+  return names;
+}
+
+// Names a block may declare or assign, outside the functions it declares
+function declaredOrAssigned(statements, names = new Set()) {
+  for (const node of statements) {
+    if (node.type === 'AssignmentStatement' || node.type === 'VariableDeclaration') names.add(node.name);
+    if (node.type === 'EachStatement') names.add(node.variable);
+    if (node.type === 'FunctionDeclaration' || node.type === 'CovenantStatement' || node.type === 'WitnessStatement') continue;
+    for (const block of blocksOf(node)) declaredOrAssigned(block, names);
+  }
+  return names;
+}
+
+function blocksOf(node) {
+  switch (node.type) {
+    case 'FunctionDeclaration':
+    case 'CovenantStatement':
+    case 'WitnessStatement':
+    case 'EternalStatement':
+    case 'EachStatement':
+    case 'QuantumBlock':
+    case 'ConcordBlock': return [node.body.body];
+    case 'DivineStatement': return [node.consequent.body];
+    case 'TryStatement': return [node.block.body, node.handler.body];
+    default: return [];
+  }
+}
+
+/**
+ * Checks source text. A syntax error is returned as the only diagnostic.
+ * @param {string} source
+ * @param {object} [options] See Checker; `file` also locates imports
+ * @param {string[]} [options.modulePaths] Folders searched for bare import names
+ * @returns {{ diagnostics: Diagnostic[], sources: Map<string, string> }} The diagnostics,
+ *   imported modules' included, and the text of every file they point into
+ */
+function checkSource(source, options = {}) {
+  const modulePaths = options.modulePaths || defaultModulePaths();
+  const sources = new Map();
+  const diagnostics = [];
+  const modules = new Map(); // file => exports, or null while being checked
+
+  function checkText(text, file, dir) {
+    sources.set(file, text);
+    let program;
+    try {
+      program = parse(text, { file: file || undefined });
+    } catch (err) {
+      if (!(err instanceof ScryineError)) throw err;
+      diagnostics.push(new Diagnostic('error', err.kind, err.message, err.loc, file));
+      return new Map();
+    }
+
+    const checker = new Checker({
+      ...options,
+      file,
+      importModule: (node, importer) => {
+        const { file: target, searched } = resolveModule(node.source, dir, modulePaths);
+        if (!target) {
+          importer.error('reference', `Cannot find module "${node.source}" (looked in ${searched.map(displayPath).join(', ')})`, node);
+          return null;
+        }
+        if (modules.has(target)) {
+          if (modules.get(target) === null) importer.error('runtime', `Import cycle through ${displayPath(target)}`, node);
+          return modules.get(target);
+        }
+        modules.set(target, null);
+        const exports = checkText(fs.readFileSync(target, 'utf8'), displayPath(target), path.dirname(target));
+        modules.set(target, exports);
+        return exports;
+      }
+    });
+    const result = checker.check(program);
+    diagnostics.push(...result.diagnostics);
+    return result.exports;
+  }
+
+  const file = options.file || null;
+  checkText(source, file, file ? path.dirname(path.resolve(file)) : process.cwd());
+  return { diagnostics, sources };
+}
+
+// Checks a file; see checkSource
+function checkFile(file, options = {}) {
+  return checkSource(fs.readFileSync(file, 'utf8'), { ...options, file: displayPath(path.resolve(file)) });
+}
+
+module.exports = { Checker, checkSource, checkFile, describe, signature };
@@ -0,0 +1,357 @@
+#!/usr/bin/env node
+// SCRYINE Command Line
+//
+//   scryine [run] [options] file.scry [args...]   run a script (no file: start the REPL)
+//   scryine compile file.scry [-o out.mjs]        compile a script to an ES module
+//   scryine check file.scry...                    check scripts for type errors without running them
+//   scryine debug [--break line] file.scry        run a script in the step debugger
+//   scryine fmt [--check] file.scry|dir...        format scripts in place (--check: only report)
+//   scryine lsp [--stdio]                         serve the Language Server Protocol to an editor
+//   scryine test [--format tap|junit] [dir...]    run the covenants of *.test.scry files
+//   scryine repl [options]                        start the REPL
+
+const ScryineInterpreter = require('./interpreter.cjs');
+const { ScryineError } = require('./diagnostics.cjs');
+
+const RUN_USAGE = 'Usage: scryine [run] [--format text|json] [--level debug|info|warn|error] [--strict] [--engine ast|vm] [--network name | --rpc-url url] [--signer index|address] [--deployment file] [--max-steps n] [--timeout ms] [--max-depth n] [--max-memory mb] [--seed s] [--record file | --replay file] [scryine_file [args...]]';
+const COMPILE_USAGE = 'Usage: scryine compile scryine_file [-o out.mjs] [--runtime specifier]';
+const CHECK_USAGE = 'Usage: scryine check scryine_file|directory...';
+const DEBUG_USAGE = 'Usage: scryine debug [--break [file:]line]... [--no-stop] [run options] scryine_file [args...]';
+const FMT_USAGE = 'Usage: scryine fmt [--check] scryine_file|directory...';
+const LSP_USAGE = 'Usage: scryine lsp [--stdio] [--deployment file]';
+const TEST_USAGE = 'Usage: scryine test [--format tap|junit] [-o report_file] [--seed s] [--engine ast|vm] [test_file|directory...]';
+
+// Splits interpreter options from the script path and the arguments passed to main
+function parseCliArgs(argv) {
+  const options = { limits: {} };
+  let format = 'text';
+  const valued = {
+    '--level': 'level',
+    '--engine': 'engine',
+    '--network': 'network',
+    '--rpc-url': 'rpcUrl',
+    '--signer': 'signer',
+    '--deployment': 'deployment',
+    '--seed': 'seed',
+    '--record': 'record',
+    '--replay': 'replay'
+  };
+  const limits = { '--max-steps': 'steps', '--timeout': 'time', '--max-depth': 'callDepth', '--max-memory': 'memory' };
+  let i = 0;
+  for (; i < argv.length && argv[i].startsWith('--'); i++) {
+    if (argv[i] === '--strict') options.strict = true;
+    else if (argv[i] === '--format' && i + 1 < argv.length) format = argv[++i];
+    else if (valued[argv[i]] && i + 1 < argv.length) options[valued[argv[i]]] = argv[++i];
+    else if (limits[argv[i]] && i + 1 < argv.length) options.limits[limits[argv[i]]] = parseLimit(argv[i], argv[++i]);
+    else throw new Error(`Unknown option ${argv[i]}`);
+  }
+  if (options.record && options.replay) throw new Error('--record and --replay cannot be used together');
+  if (format !== 'text' && format !== 'json') throw new Error(`Unknown format "${format}" (expected text or json)`);
+  return { options, format, filePath: argv[i], args: argv.slice(i + 1) };
+}
+
+function parseLimit(option, value) {
+  const number = Number(value);
+  if (!(number > 0)) throw new Error(`${option} expects a positive number, got "${value}"`);
+  return number;
+}
+
+function parseCompileArgs(argv) {
+  const options = {};
+  let filePath = null;
+  for (let i = 0; i < argv.length; i++) {
+    if ((argv[i] === '-o' || argv[i] === '--out') && i + 1 < argv.length) options.out = argv[++i];
+    else if (argv[i] === '--runtime' && i + 1 < argv.length) options.runtime = argv[++i];
+    else if (argv[i].startsWith('-') || filePath) throw new Error(`Unexpected argument ${argv[i]}`);
+    else filePath = argv[i];
+  }
+  if (!filePath) throw new Error('Missing the script to compile');
+  return { options, filePath };
+}
+
+function run(argv) {
+  let cli;
+  try {
+    cli = parseCliArgs(argv);
+  } catch (err) {
+    console.error(err.message);
+    console.error(RUN_USAGE);
+    process.exit(2);
+  }
+
+  if (!cli.filePath) {
+    repl(cli.options);
+    return;
+  }
+
+  // With --format json, prophecies are collected rather than printed, and the run's report is
+  // the only thing written to stdout
+  let report = null;
+  if (cli.format === 'json') {
+    cli.options.log = console.error;
+    const { RunReport } = require('./output.cjs');
+    report = new RunReport(cli.filePath);
+    cli.options.onProphesy = (text, value, prophecy) => report.prophesy(text, value, prophecy);
+    cli.options.onContractCall = call => report.contractCall(call);
+  }
+
+  let interpreter;
+  try {
+    interpreter = new ScryineInterpreter(cli.options);
+  } catch (err) {
+    // e.g. an unreadable replay trace
+    console.error('SCRYINE Error:', err.message);
+    process.exit(1);
+  }
+  interpreter.loadAndRun(cli.filePath, cli.args, { report }).then(code => {
+    if (report) process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+    // Hardhat and RPC providers keep the event loop alive, so exit explicitly
+    process.exit(code);
+  });
+}
+
+function repl(options) {
+  const ScryineRepl = require('./repl.cjs');
+  new ScryineRepl({ interpreter: options }).start().then(() => process.exit(0));
+}
+
+function compile(argv) {
+  let cli;
+  try {
+    cli = parseCompileArgs(argv);
+  } catch (err) {
+    console.error(err.message);
+    console.error(COMPILE_USAGE);
+    process.exit(2);
+  }
+
+  const { compileFile } = require('./compiler.cjs');
+  const path = require('path');
+  try {
+    const written = compileFile(cli.filePath, cli.options);
+    for (const { source, out } of written) {
+      console.log(`${path.relative(process.cwd(), source)} -> ${path.relative(process.cwd(), out)}`);
+    }
+  } catch (err) {
+    if (err instanceof ScryineError) console.error(err.format());
+    else console.error('SCRYINE Error:', err.message);
+    process.exit(1);
+  }
+}
+
+// `--break` and `--no-stop` come first; the rest are the options of `run`
+function debug(argv) {
+  const breakpoints = [];
+  let stopOnEntry = true;
+  let i = 0;
+  for (; i < argv.length; i++) {
+    if ((argv[i] === '--break' || argv[i] === '-b') && i + 1 < argv.length) breakpoints.push(argv[++i]);
+    else if (argv[i] === '--no-stop') stopOnEntry = false;
+    else break;
+  }
+
+  let cli;
+  try {
+    cli = parseCliArgs(argv.slice(i));
+    if (!cli.filePath) throw new Error('Missing the script to debug');
+  } catch (err) {
+    console.error(err.message);
+    console.error(DEBUG_USAGE);
+    process.exit(2);
+  }
+
+  const { ScryineDebugger } = require('./debugger.cjs');
+  new ScryineDebugger({ breakpoints, stopOnEntry, interpreter: cli.options })
+    .run(cli.filePath, cli.args)
+    .then(code => process.exit(code));
+}
+
+// Prints every problem found in the files, and the .scry files under directories; fails only
+// on errors, not warnings
+function check(paths) {
+  if (!paths.length || paths.some(arg => arg.startsWith('-'))) {
+    console.error(CHECK_USAGE);
+    process.exit(2);
+  }
+
+  const { checkFile } = require('./checker.cjs');
+  const { scryFiles } = require('./formatter.cjs');
+  let files;
+  try {
+    files = scryFiles(paths);
+  } catch (err) {
+    console.error('SCRYINE Error:', err.message);
+    process.exit(1);
+  }
+  let errors = 0;
+  let warnings = 0;
+  for (const file of files) {
+    let result;
+    try {
+      result = checkFile(file);
+    } catch (err) {
+      console.error('SCRYINE Error:', err.message);
+      process.exit(1);
+    }
+    for (const diagnostic of result.diagnostics) {
+      console.log(diagnostic.format(result.sources.get(diagnostic.file)));
+      if (diagnostic.severity === 'error') errors++;
+      else warnings++;
+    }
+  }
+  console.log(`${plural(errors, 'error')}, ${plural(warnings, 'warning')} in ${plural(files.length, 'file')}`);
+  process.exit(errors ? 1 : 0);
+}
+
+// Rewrites every file that is not formatted and names it; with --check, only names it and fails
+function fmt(argv) {
+  const checkOnly = argv.includes('--check');
+  const paths = argv.filter(arg => arg !== '--check');
+  if (!paths.length || paths.some(arg => arg.startsWith('-'))) {
+    console.error(FMT_USAGE);
+    process.exit(2);
+  }
+
+  const fs = require('fs');
+  const { formatSource, scryFiles } = require('./formatter.cjs');
+  let files;
+  try {
+    files = scryFiles(paths);
+  } catch (err) {
+    console.error('SCRYINE Error:', err.message);
+    process.exit(1);
+  }
+
+  let unformatted = 0;
+  let failed = 0;
+  for (const file of files) {
+    const source = fs.readFileSync(file, 'utf8');
+    let formatted;
+    try {
+      formatted = formatSource(source, { file });
+    } catch (err) {
+      if (!(err instanceof ScryineError)) throw err;
+      if (!err.file) err.file = file;
+      console.error(err.format(source));
+      failed++;
+      continue;
+    }
+    if (formatted === source) continue;
+    unformatted++;
+    if (!checkOnly) fs.writeFileSync(file, formatted);
+    console.log(checkOnly ? `${file} is not formatted` : `Formatted ${file}`);
+  }
+  if (checkOnly && unformatted) console.log(`${plural(unformatted, 'file')} of ${files.length} need formatting; run scryine fmt to fix`);
+  process.exit(failed || (checkOnly && unformatted) ? 1 : 0);
+}
+
+// The server talks over stdin and stdout, so nothing else may be printed to stdout
+function lsp(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--stdio') continue;
+    if (argv[i] === '--deployment' && i + 1 < argv.length) {
+      options.deployment = argv[++i];
+      continue;
+    }
+    console.error(`Unknown option ${argv[i]}`);
+    console.error(LSP_USAGE);
+    process.exit(2);
+  }
+
+  const { ScryineLanguageServer } = require('./lsp.cjs');
+  const { ContractRuntime } = require('./contracts.cjs');
+  new ScryineLanguageServer({ contracts: new ContractRuntime(options) }).start();
+}
+
+// Runs every covenant found under the paths (default: the working directory) and reports them
+// on stdout, or in the -o file; fails if any covenant fails
+function test(argv) {
+  const options = {};
+  const paths = [];
+  let format = 'tap';
+  let out = null;
+  for (let i = 0; i < argv.length; i++) {
+    const valued = i + 1 < argv.length;
+    if (argv[i] === '--format' && valued) format = argv[++i];
+    else if ((argv[i] === '-o' || argv[i] === '--out') && valued) out = argv[++i];
+    else if (argv[i] === '--seed' && valued) options.seed = argv[++i];
+    else if (argv[i] === '--engine' && valued) options.engine = argv[++i];
+    else if (!argv[i].startsWith('-')) paths.push(argv[i]);
+    else {
+      console.error(`Unknown option ${argv[i]}`);
+      console.error(TEST_USAGE);
+      process.exit(2);
+    }
+  }
+  const { CovenantRunner, findTestFiles, REPORTERS } = require('./testing.cjs');
+  if (!REPORTERS[format]) {
+    console.error(`Unknown format "${format}" (expected tap or junit)`);
+    console.error(TEST_USAGE);
+    process.exit(2);
+  }
+
+  // The report goes to stdout on its own
+  if (!out) options.log = console.error;
+
+  let files;
+  let runner;
+  try {
+    files = findTestFiles(paths.length ? paths : ['.']);
+    runner = new CovenantRunner(options);
+  } catch (err) {
+    console.error('SCRYINE Error:', err.message);
+    process.exit(1);
+  }
+
+  runner.runFiles(files).then(async suites => {
+    await runner.close();
+    const report = REPORTERS[format](suites);
+    const results = suites.flatMap(suite => suite.results);
+    const failed = results.filter(result => !result.passed).length;
+    if (out) {
+      require('fs').writeFileSync(out, report);
+      console.log(`${plural(results.length - failed, 'covenant')} kept, ${failed} broken in ${plural(files.length, 'file')}`);
+    } else {
+      process.stdout.write(report);
+    }
+    // Hardhat keeps the event loop alive, so exit explicitly
+    process.exit(failed ? 1 : 0);
+  }, err => {
+    console.error('SCRYINE Error:', err.message);
+    process.exit(1);
+  });
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function main(argv) {
+  const [command, ...rest] = argv;
+  switch (command) {
+    case 'run': return run(rest);
+    case 'compile': return compile(rest);
+    case 'check': return check(rest);
+    case 'debug': return debug(rest);
+    case 'fmt': return fmt(rest);
+    case 'lsp': return lsp(rest);
+    case 'test': return test(rest);
+    case 'repl': {
+      try {
+        return repl(parseCliArgs(rest).options);
+      } catch (err) {
+        console.error(err.message);
+        process.exit(2);
+      }
+    }
+    // `scryine file.scry` runs the file, like `node scryine/interpreter.cjs file.scry`
+    default: return run(argv);
+  }
+}
+
+module.exports = { main, parseCliArgs };
+
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
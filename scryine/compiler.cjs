@@ -0,0 +1,520 @@
+// SCRYINE Compiler
+// Translates a script, and the modules it imports, into ES modules that run against
+// runtime.cjs instead of the interpreter. Names are resolved at compile time, so an unknown
+// name or a call to an undefined function is a compile error rather than a run-time warning.
+
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('./parser.cjs');
+const { ScryineError, closestName } = require('./diagnostics.cjs');
+const { QUANTUM_OPERATIONS } = require('./quantum.cjs');
+const { createBuiltins } = require('./builtins.cjs');
+const { createStdlib } = require('./stdlib.cjs');
+const { resolveModule, namespaceName, displayPath, defaultModulePaths } = require('./modules.cjs');
+const { SourceMapBuilder } = require('./sourcemap.cjs');
+
+// The runtime as imported through this package, so the output does not depend on where the
+// checkout it was compiled with lives
+const RUNTIME = 'god-token-coin/scryine/runtime.cjs';
+const BUILTINS = Object.keys(createBuiltins({}));
+const LIBRARY = Object.keys(createStdlib({}));
+
+// SCRYINE names that cannot be JavaScript bindings are compiled with a `$` prefix; the
+// compiler's own names all start with `$`, which SCRYINE identifiers cannot
+const RESERVED = new Set([
+  'arguments', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default',
+  'delete', 'do', 'else', 'enum', 'eval', 'export', 'extends', 'false', 'finally', 'for', 'function',
+  'if', 'implements', 'import', 'in', 'Infinity', 'instanceof', 'interface', 'let', 'NaN', 'new', 'null',
+  'package', 'private', 'protected', 'public', 'return', 'static', 'super', 'switch', 'this', 'throw',
+  'true', 'try', 'typeof', 'undefined', 'var', 'void', 'while', 'with', 'yield'
+]);
+
+function jsName(name) {
+  return RESERVED.has(name) ? `$${name}` : name;
+}
+
+// The names bound in one function (or file) scope. `god` functions remember their
+// declaration so that calls to them can be checked for arity.
+class Scope {
+  constructor(parent = null) {
+    this.parent = parent;
+    this.names = new Map(); // name => { kind: 'param' | 'variable' | 'function', node }
+  }
+
+  declare(name, kind, node = null) {
+    const existing = this.names.get(name);
+    this.names.set(name, existing && existing.kind !== kind ? { kind: 'variable', node: null } : { kind, node });
+  }
+
+  lookup(name) {
+    for (let scope = this; scope; scope = scope.parent) {
+      if (scope.names.has(name)) return scope.names.get(name);
+    }
+    return null;
+  }
+
+  visibleNames() {
+    const names = [];
+    for (let scope = this; scope; scope = scope.parent) names.push(...scope.names.keys());
+    return names;
+  }
+
+  // Names declared with bless/scry, each, repent, import or god anywhere in the function,
+  // except inside nested functions: SCRYINE blocks share the scope of their function
+  collect(statements) {
+    for (const node of statements) {
+      switch (node.type) {
+        case 'FunctionDeclaration': this.declare(node.name, 'function', node); break;
+        case 'VariableDeclaration': this.declare(node.name, 'variable'); break;
+        case 'EachStatement':
+          this.declare(node.variable, 'variable');
+          this.collect(node.body.body);
+          break;
+        case 'DivineStatement': this.collect(node.consequent.body); break;
+        case 'EternalStatement':
+        case 'QuantumBlock':
+        case 'ConcordBlock': this.collect(node.body.body); break;
+        case 'TryStatement':
+          this.collect(node.block.body);
+          if (node.param) this.declare(node.param, 'variable');
+          this.collect(node.handler.body);
+          break;
+        case 'ImportDeclaration':
+          if (node.specifiers) node.specifiers.forEach(specifier => this.declare(specifier.local, 'variable'));
+          else if (node.alias || namespaceName(node.source)) this.declare(node.alias || namespaceName(node.source), 'variable');
+          break;
+      }
+    }
+  }
+}
+
+// Compiles one parsed file. `imports` maps each ImportDeclaration node to the module it
+// loads: `{ binding, exports }`, where `binding` names the `import * as` of its compiled file.
+class ModuleCompiler {
+  constructor(program, { file, source, imports = new Map() }) {
+    this.program = program;
+    this.file = file;
+    this.source = source;
+    this.imports = imports;
+    this.lines = [];
+    this.segments = [];
+    this.locations = [];
+    this.indent = 0;
+    this.temporaries = 0;
+  }
+
+  error(message, node, kind = 'reference') {
+    return new ScryineError(message, { kind, loc: node.loc, file: this.file, source: this.source });
+  }
+
+  suggest(name, scope) {
+    const match = closestName(name, scope.visibleNames().concat(BUILTINS, LIBRARY));
+    return match ? ` (did you mean "${match}"?)` : '';
+  }
+
+  // Writes one line of output, mapped back to `node` in the source map
+  emit(text, node) {
+    if (node && node.loc) this.segments.push([this.lines.length, this.indent * 2, node.loc.start.line - 1, node.loc.start.column - 1]);
+    this.lines.push('  '.repeat(this.indent) + text);
+  }
+
+  // A reference to `node`'s source location, for errors raised by the runtime
+  loc(node) {
+    const { start, end } = node.loc;
+    this.locations.push([start.line, start.column, end.line, end.column]);
+    return `$L[${this.locations.length - 1}]`;
+  }
+
+  temporary(prefix) {
+    return `$${prefix}${this.temporaries++}`;
+  }
+
+  /**
+   * @param {object} options
+   * @param {string} options.runtime Module specifier of runtime.cjs
+   * @param {string} options.out File name of the output, for the source map
+   * @param {string} options.sourceName Path of the .scry file relative to the output, for error messages
+   * @returns {{ code: string, map: object, exports: string[] }}
+   */
+  compile({ runtime, out, sourceName }) {
+    const scope = new Scope();
+    scope.collect(this.program.body);
+
+    this.indent = 1;
+    this.emitLocals(scope);
+    this.emitStatements(this.program.body, scope);
+    const names = [...scope.names.keys()];
+    this.emit(`return { ${names.map(name => jsName(name) === name ? name : `${name}: ${jsName(name)}`).join(', ')} };`);
+    const body = this.lines;
+
+    const header = [
+      `// Compiled from ${path.basename(this.file)} by \`scryine compile\`. Edit the .scry file and compile again.`,
+      `import $runtime from ${JSON.stringify(runtime)};`
+    ];
+    const bindings = new Map();
+    for (const { binding, specifier } of this.imports.values()) bindings.set(binding, specifier);
+    for (const [binding, specifier] of bindings) header.push(`import * as ${binding} from ${JSON.stringify(specifier)};`);
+    header.push(
+      '',
+      'const { ScryineRuntime, locations, isEntryPoint, runAsScript } = $runtime;',
+      `const $L = locations(import.meta.url, ${JSON.stringify(sourceName)}, ${JSON.stringify(this.source)}, ${JSON.stringify(this.locations)});`,
+      '',
+      'async function $body($rt) {'
+    );
+
+    const footer = [
+      '}',
+      '',
+      'export async function load($rt) {',
+      '  return (await $rt.load(import.meta.url, $body)).namespace;',
+      '}',
+      '',
+      'export default async function run(options = {}) {',
+      '  const $rt = ScryineRuntime.from(options);',
+      '  const { main } = await $rt.load(import.meta.url, $body);',
+      '  return main ? $rt.callMain(main, options.args) : null;',
+      '}',
+      '',
+      'if (isEntryPoint(import.meta.url)) runAsScript(run);',
+      `//# sourceMappingURL=${path.basename(out)}.map`
+    ];
+
+    const map = new SourceMapBuilder();
+    for (const [line, column, sourceLine, sourceColumn] of this.segments) {
+      map.add(line + header.length, column, sourceLine, sourceColumn);
+    }
+    return {
+      code: header.concat(body, footer).join('\n') + '\n',
+      map: map.toJSON(path.basename(out), sourceName, this.source),
+      exports: names.filter(name => name !== 'main')
+    };
+  }
+
+  emitLocals(scope, params = []) {
+    const locals = [...scope.names.keys()].filter(name => !params.includes(name));
+    if (locals.length) this.emit(`let ${locals.map(jsName).join(', ')};`);
+  }
+
+  emitStatements(statements, scope) {
+    for (const statement of statements) this.emitStatement(statement, scope);
+  }
+
+  emitBlock(opening, block, scope, node) {
+    this.emit(opening ? `${opening} {` : '{', node);
+    this.indent++;
+    this.emitStatements(block.body, scope);
+    this.indent--;
+    this.emit('}');
+  }
+
+  emitStatement(node, scope) {
+    switch (node.type) {
+      case 'FunctionDeclaration': {
+        const inner = new Scope(scope);
+        const params = node.params.map(param => param.name);
+        params.forEach(param => inner.declare(param, 'param'));
+        inner.collect(node.body.body);
+        const name = jsName(node.name);
+        this.emit(`${name} = async function ${name}(${params.map(jsName).join(', ')}) {`, node);
+        this.indent++;
+        this.emitLocals(inner, params);
+        this.emitStatements(node.body.body, inner);
+        this.emit('return null;');
+        this.indent--;
+        this.emit('};');
+        break;
+      }
+      case 'WitnessStatement': {
+        const inner = new Scope(scope);
+        const params = node.params.map(param => param.name);
+        params.forEach(param => inner.declare(param, 'param'));
+        inner.collect(node.body.body);
+        const filters = node.params
+          .filter(param => param.filter)
+          .map(param => `${JSON.stringify(param.name)}: ${this.expression(param.filter, scope)}`);
+        this.emit(`await $rt.witness(${JSON.stringify(node.contract)}, ${JSON.stringify(node.event)}, ${JSON.stringify(params)}, { ${filters.join(', ')} }, async (${params.map(jsName).join(', ')}) => {`, node);
+        this.indent++;
+        this.emitLocals(inner, params);
+        this.emitStatements(node.body.body, inner);
+        this.emit('return null;');
+        this.indent--;
+        this.emit(`}, ${this.loc(node)});`);
+        break;
+      }
+      case 'CovenantStatement':
+        // Covenants are run by `scryine test` (see testing.cjs); compiled scripts leave them out
+        break;
+      case 'VariableDeclaration':
+        this.emit(`${jsName(node.name)} = ${this.expression(node.init, scope)};`, node);
+        break;
+      case 'AssignmentStatement': {
+        const value = this.expression(node.value, scope);
+        if (!scope.lookup(node.name)) {
+          if (LIBRARY.includes(node.name)) throw this.error(`Cannot assign to read-only global "${node.name}"`, node);
+          throw this.error(`Cannot assign to undeclared variable "${node.name}" (use bless or scry to declare it)`, node);
+        }
+        this.emit(`${jsName(node.name)} = ${value};`, node);
+        break;
+      }
+      case 'DivineStatement':
+        this.emitBlock(`if (${this.expression(node.test, scope)})`, node.consequent, scope, node);
+        break;
+      case 'EternalStatement':
+        this.emitBlock(`while (${this.expression(node.test, scope)})`, node.body, scope, node);
+        break;
+      case 'EachStatement': {
+        const iterable = `$rt.items(${this.expression(node.iterable, scope)}, ${this.loc(node.iterable)})`;
+        this.emitBlock(`for (${jsName(node.variable)} of ${iterable})`, node.body, scope, node);
+        break;
+      }
+      case 'ProphesyStatement': {
+        const prophecy = node.channel || node.level ? `, ${JSON.stringify(node.channel)}, ${JSON.stringify(node.level)}` : '';
+        this.emit(`await $rt.prophesy(${this.expression(node.argument, scope)}${prophecy});`, node);
+        break;
+      }
+      case 'QuantumBlock':
+        this.emitBlock('', node.body, scope, node);
+        break;
+      case 'ConcordBlock':
+        this.emit('await $rt.concord([', node);
+        this.indent++;
+        for (const statement of node.body.body) {
+          this.emit('async () => {', statement);
+          this.indent++;
+          this.emitStatement(statement, scope);
+          this.indent--;
+          this.emit('},');
+        }
+        this.indent--;
+        this.emit(']);');
+        break;
+      case 'TryStatement': {
+        const caught = this.temporary('error');
+        this.emitBlock('try', node.block, scope, node);
+        this.lines[this.lines.length - 1] += ` catch (${caught}) {`;
+        this.indent++;
+        this.emit(node.param ? `${jsName(node.param)} = $rt.repent(${caught});` : `$rt.repent(${caught});`, node.handler);
+        this.emitStatements(node.handler.body, scope);
+        this.indent--;
+        this.emit('}');
+        break;
+      }
+      case 'SmiteStatement':
+        this.emit(`throw $rt.smite(${this.expression(node.argument, scope)}, ${this.loc(node)});`, node);
+        break;
+      case 'ImportDeclaration':
+        this.emitImport(node);
+        break;
+      case 'ReturnStatement':
+        this.emit(`return ${node.argument ? this.expression(node.argument, scope) : 'null'};`, node);
+        break;
+      case 'ExpressionStatement':
+        this.emit(`${this.expression(node.expression, scope)};`, node);
+        break;
+      default:
+        throw new Error(`Unknown statement type: ${node.type}`);
+    }
+  }
+
+  emitImport(node) {
+    const { binding, exports } = this.imports.get(node);
+    const namespace = `await ${binding}.load($rt)`;
+    if (!node.specifiers) {
+      const name = node.alias || namespaceName(node.source);
+      if (!name) throw this.error(`Cannot name a namespace after "${node.source}"; use import "${node.source}" as name`, node, 'runtime');
+      this.emit(`${jsName(name)} = ${namespace};`, node);
+      return;
+    }
+
+    const temporary = this.temporary('module');
+    this.emit(`const ${temporary} = ${namespace};`, node);
+    for (const { imported, local } of node.specifiers) {
+      if (!exports.includes(imported)) {
+        const match = closestName(imported, exports);
+        throw this.error(`Module "${node.source}" has no export "${imported}"${match ? ` (did you mean "${match}"?)` : ''}`, node);
+      }
+      this.emit(`${jsName(local)} = ${temporary}[${JSON.stringify(imported)}];`, node);
+    }
+  }
+
+  expression(node, scope) {
+    switch (node.type) {
+      case 'Literal':
+        return JSON.stringify(node.value);
+      case 'Identifier':
+        if (scope.lookup(node.name)) return jsName(node.name);
+        if (BUILTINS.includes(node.name)) return `$rt.builtins.${node.name}`;
+        if (LIBRARY.includes(node.name)) return `$rt.lib.${node.name}`;
+        throw this.error(`Unknown identifier "${node.name}"${this.suggest(node.name, scope)}`, node);
+      case 'UnaryExpression':
+        return `(${node.operator}${this.expression(node.argument, scope)})`;
+      case 'LogicalExpression':
+        return `(${this.expression(node.left, scope)} ${node.operator} ${this.expression(node.right, scope)})`;
+      case 'BinaryExpression': {
+        const left = this.expression(node.left, scope);
+        const right = this.expression(node.right, scope);
+        // `+` also joins strings and lists, `/` and `%` give 0 for a zero divisor, and arithmetic
+        // may mix numbers with the BigInts of large contract integers
+        if (['+', '-', '*', '/', '%'].includes(node.operator)) return `$rt.binary(${JSON.stringify(node.operator)}, ${left}, ${right})`;
+        return `(${left} ${node.operator} ${right})`;
+      }
+      case 'CallExpression':
+        return this.call(node, scope);
+      case 'MemberExpression':
+        return `$rt.member(${this.expression(node.object, scope)}, ${JSON.stringify(node.property)}, ${this.loc(node)})`;
+      case 'IndexExpression':
+        return `$rt.index(${this.expression(node.object, scope)}, ${this.expression(node.index, scope)}, ${this.loc(node)}, ${this.loc(node.index)})`;
+      case 'ListExpression':
+        return `[${node.elements.map(element => this.expression(element, scope)).join(', ')}]`;
+      case 'MapExpression': {
+        // A computed key defines `__proto__` as an ordinary field, like Object.fromEntries
+        const entries = node.entries.map(({ key, value }) => `[${JSON.stringify(key)}]: ${this.expression(value, scope)}`);
+        return `{ ${entries.join(', ')} }`;
+      }
+      case 'TokenExpression': {
+        const args = this.list(node.arguments, scope);
+        return `(await $rt.token(${JSON.stringify(node.contract)}, ${JSON.stringify(node.operation)}, ${args}, ${this.loc(node)}))`;
+      }
+      case 'OracleExpression':
+        return `(await $rt.oracle(${JSON.stringify(node.verifier)}, ${this.expression(node.requestId, scope)}, ${this.loc(node)}))`;
+      default:
+        throw new Error(`Unknown expression type: ${node.type}`);
+    }
+  }
+
+  list(nodes, scope) {
+    return `[${nodes.map(node => this.expression(node, scope)).join(', ')}]`;
+  }
+
+  call(node, scope) {
+    if (node.callee.type === 'MemberExpression') {
+      // module.member(args)
+      const func = this.expression(node.callee, scope);
+      return `(await $rt.call(${func}, ${this.list(node.arguments, scope)}, ${this.loc(node)}))`;
+    }
+
+    const name = node.callee.name;
+    const args = this.list(node.arguments, scope);
+    if (node.quantum && QUANTUM_OPERATIONS.includes(name)) {
+      return `(await $rt.quantumCall(${JSON.stringify(name)}, ${args}, ${this.loc(node)}))`;
+    }
+
+    const binding = scope.lookup(name);
+    if (binding) {
+      if (binding.kind === 'function') {
+        const params = binding.node.params.map(param => param.name);
+        if (params.length !== node.arguments.length) {
+          const expected = `${params.length} argument${params.length === 1 ? '' : 's'}`;
+          throw this.error(`Function "${name}" expects ${expected} (${params.join(', ')}) but was called with ${node.arguments.length}`, node, 'arity');
+        }
+      }
+      return `(await $rt.call(${jsName(name)}, ${args}, ${this.loc(node)}))`;
+    }
+    if (BUILTINS.includes(name)) {
+      return `(await $rt.builtin(${JSON.stringify(name)}, ${args}, ${this.loc(node)}))`;
+    }
+    if (QUANTUM_OPERATIONS.includes(name)) {
+      throw this.error(`"${name}" is a quantum operation and can only be called inside a quantum block`, node.callee);
+    }
+    throw this.error(`Call to undefined function "${name}"${this.suggest(name, scope)}`, node.callee);
+  }
+}
+
+/**
+ * Compiles the script `entry` to the ES module `options.out` (default: next to it, as .mjs),
+ * with a source map beside it. Imported modules are compiled too, laid out under the output's
+ * folder as they are under the script's. Returns the files written, entry first.
+ * @param {string} entry
+ * @param {object} [options]
+ * @param {string} [options.out] Output file
+ * @param {string} [options.runtime] Module specifier to import the runtime from
+ *   (default: `god-token-coin/scryine/runtime.cjs`)
+ * @param {string[]} [options.modulePaths] Folders searched for bare import names
+ */
+function compileFile(entry, options = {}) {
+  const entryFile = path.resolve(entry);
+  const out = path.resolve(options.out || withExtension(entryFile, '.mjs'));
+  const modulePaths = options.modulePaths || defaultModulePaths();
+  const compiled = new Map(); // source file => { out, exports }
+  const compiling = [];
+  const written = [];
+
+  const outputFor = file => withExtension(path.join(path.dirname(out), path.relative(path.dirname(entryFile), file)), '.mjs');
+
+  function compileOne(file, outFile, importNode, importer) {
+    if (compiled.has(file)) return compiled.get(file);
+    if (compiling.includes(file)) {
+      const cycle = compiling.slice(compiling.indexOf(file)).concat(file).map(displayPath);
+      throw importer.error(`Import cycle: ${cycle.join(' -> ')}`, importNode, 'runtime');
+    }
+
+    compiling.push(file);
+    const name = displayPath(file);
+    const source = fs.readFileSync(file, 'utf8');
+    let program;
+    try {
+      program = parse(source, { file: name });
+    } catch (err) {
+      if (err instanceof ScryineError) Object.assign(err, { file: name, source });
+      throw err;
+    }
+
+    const compiler = new ModuleCompiler(program, { file: name, source });
+    const bindings = new Map(); // imported file => binding
+    for (const node of importsIn(program.body)) {
+      const { file: target, searched } = resolveModule(node.source, path.dirname(file), modulePaths);
+      if (!target) {
+        throw compiler.error(`Cannot find module "${node.source}" (looked in ${searched.map(displayPath).join(', ')})`, node);
+      }
+      const dependency = compileOne(target, outputFor(target), node, compiler);
+      if (!bindings.has(target)) bindings.set(target, `$m${bindings.size}`);
+      compiler.imports.set(node, {
+        binding: bindings.get(target),
+        specifier: specifierFor(outFile, dependency.out),
+        exports: dependency.exports
+      });
+    }
+
+    const result = compiler.compile({
+      runtime: options.runtime || RUNTIME,
+      out: outFile,
+      sourceName: path.relative(path.dirname(outFile), file).split(path.sep).join('/')
+    });
+    fs.mkdirSync(path.dirname(outFile), { recursive: true });
+    fs.writeFileSync(outFile, result.code);
+    fs.writeFileSync(`${outFile}.map`, JSON.stringify(result.map) + '\n');
+    written.push({ source: file, out: outFile, map: `${outFile}.map` });
+
+    compiling.pop();
+    const entry = { out: outFile, exports: result.exports };
+    compiled.set(file, entry);
+    return entry;
+  }
+
+  compileOne(entryFile, out, null, null);
+  return written.reverse();
+}
+
+// Imports may sit inside top-level blocks, but never inside functions
+function importsIn(statements) {
+  const found = [];
+  for (const node of statements) {
+    if (node.type === 'ImportDeclaration') found.push(node);
+    else if (node.type === 'DivineStatement') found.push(...importsIn(node.consequent.body));
+    else if (node.type === 'TryStatement') found.push(...importsIn(node.block.body), ...importsIn(node.handler.body));
+    else if (node.body && node.body.type === 'Block' && node.type !== 'FunctionDeclaration') found.push(...importsIn(node.body.body));
+  }
+  return found;
+}
+
+function withExtension(file, extension) {
+  return path.join(path.dirname(file), path.basename(file, path.extname(file)) + extension);
+}
+
+// An ES import specifier for `target`, relative to the module `from`
+function specifierFor(from, target) {
+  const relative = path.relative(path.dirname(from), target).split(path.sep).join('/');
+  return relative.startsWith('.') ? relative : `./${relative}`;
+}
+
+module.exports = { compileFile, ModuleCompiler };
@@ -0,0 +1,423 @@
+// SCRYINE Contract Runtime
+// Resolves contract names through deployment.json, loads ABIs from artifacts/ and performs
+// calls on a Hardhat or JSON-RPC network, converting between SCRYINE and ethers values.
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { normalizeInteger } = require('./values.cjs');
+
+const ROOT = path.join(__dirname, '..');
+// How many `witness` polls in a row must fail before the failure is reported
+const POLL_FAILURES_REPORTED = 3;
+
+class ContractRuntime {
+  /**
+   * @param {object} options
+   * @param {string} [options.network] Hardhat network to run on (default: the in-process `hardhat` network)
+   * @param {string} [options.rpcUrl] JSON-RPC endpoint; takes precedence over `network`
+   * @param {number|string} [options.signer] Signer index or address (default: 0)
+   * @param {string|object} [options.deployment] Path to a deployment file, or a name => address map
+   * @param {string} [options.artifactsDir] Directory holding the compiled Hardhat artifacts
+   * @param {object} [options.hre] An already loaded Hardhat runtime environment
+   * @param {number} [options.pollingInterval] Milliseconds between checks for `witness` events (default: 4000)
+   * @param {Function} [options.onCall] Called after every contract call with `{ contract, method, args,
+   *   transaction, duration }`, plus the `result` of a read, the `hash`, `blockNumber`, `status` and
+   *   `gasUsed` of a transaction, or the `error` of a failed call
+   */
+  constructor(options = {}) {
+    this.network = options.network || null;
+    this.rpcUrl = options.rpcUrl || null;
+    this.signerOption = options.signer !== undefined ? options.signer : 0;
+    this.deploymentOption = options.deployment || path.join(ROOT, 'deployment.json');
+    this.artifactsDir = options.artifactsDir || path.join(ROOT, 'artifacts');
+    this.hre = options.hre || null;
+    this.provider = null;
+    this.signer = null;
+    this.deployment = null;
+    this.abis = new Map();
+    this.contracts = new Map();
+    this.transactions = Promise.resolve();
+    this.pollingInterval = options.pollingInterval || 4000;
+    this.onCall = options.onCall || null;
+  }
+
+  async connect() {
+    if (this.signer) return this.signer;
+
+    if (this.rpcUrl) {
+      this.provider = new ethers.providers.JsonRpcProvider(this.rpcUrl);
+      this.signer = this.provider.getSigner(this.signerOption);
+      return this.signer;
+    }
+
+    const hre = this.hre || loadHardhat(this.network);
+    this.provider = hre.ethers.provider;
+    if (isIndex(this.signerOption)) {
+      const signers = await hre.ethers.getSigners();
+      this.signer = signers[Number(this.signerOption)];
+      if (!this.signer) throw new Error(`No signer at index ${this.signerOption} on network "${hre.network.name}"`);
+    } else {
+      this.signer = await hre.ethers.getSigner(this.signerOption);
+    }
+    return this.signer;
+  }
+
+  loadDeployment() {
+    if (!this.deployment) {
+      this.deployment = typeof this.deploymentOption === 'string'
+        ? readJson(this.deploymentOption, 'deployment file')
+        : this.deploymentOption;
+    }
+    return this.deployment;
+  }
+
+  // Deployed address for a contract name such as "GodToken" (deployment.json keys are camelCase)
+  resolveAddress(name) {
+    this.loadDeployment();
+    const camel = name.charAt(0).toLowerCase() + name.slice(1);
+    const key = [name, camel].find(k => k in this.deployment)
+      || Object.keys(this.deployment).find(k => k.toLowerCase() === name.toLowerCase());
+    const address = key && this.deployment[key];
+    if (!address || !ethers.utils.isAddress(address)) {
+      throw new Error(`Unknown contract "${name}": no address in the deployment`);
+    }
+    return address;
+  }
+
+  loadAbi(name) {
+    if (!this.abis.has(name)) {
+      const file = findArtifact(this.artifactsDir, `${name}.json`);
+      if (!file) throw new Error(`Unknown contract "${name}": no artifact ${name}.json under ${this.artifactsDir}`);
+      this.abis.set(name, readJson(file, 'artifact').abi);
+    }
+    return this.abis.get(name);
+  }
+
+  // Names of the contracts with an address in the deployment and a compiled artifact, spelled
+  // as the artifact is (the `aiVerifier` key is AIVerifier), for editor completion
+  deployedContracts() {
+    const artifacts = new Map(artifactNames(this.artifactsDir).map(name => [name.toLowerCase(), name]));
+    return Object.entries(this.loadDeployment())
+      .filter(([key, address]) => artifacts.has(key.toLowerCase()) && typeof address === 'string' && ethers.utils.isAddress(address))
+      .map(([key]) => artifacts.get(key.toLowerCase()));
+  }
+
+  async getContract(name) {
+    if (!this.contracts.has(name)) {
+      const signer = await this.connect();
+      const address = this.resolveAddress(name);
+      if (await this.provider.getCode(address) === '0x') {
+        throw new Error(`No contract deployed at ${address} for "${name}"; is the deployment for this network?`);
+      }
+      this.contracts.set(name, new ethers.Contract(address, this.loadAbi(name), signer));
+    }
+    return this.contracts.get(name);
+  }
+
+  // Timestamp of the latest block, in seconds
+  async blockTimestamp() {
+    await this.connect();
+    return (await this.provider.getBlock('latest')).timestamp;
+  }
+
+  /**
+   * Calls `method` on the named contract. View and pure methods are read directly and return
+   * their decoded result; anything else is sent as a transaction and returns its receipt.
+   * A payable method accepts one extra trailing argument: the value to send, in wei.
+   */
+  async call(name, method, args = []) {
+    const contract = await this.getContract(name);
+    let fragment;
+    try {
+      fragment = contract.interface.getFunction(method);
+    } catch (err) {
+      throw new Error(`Contract "${name}" has no method "${method}"`);
+    }
+
+    const callArgs = args.map(toEthersValue);
+    if (fragment.payable && callArgs.length === fragment.inputs.length + 1) {
+      callArgs.push({ value: callArgs.pop() });
+    }
+    if (callArgs.length < fragment.inputs.length) {
+      throw new Error(`${name}.${method} expects ${fragment.inputs.length} arguments but got ${args.length}`);
+    }
+
+    const started = Date.now();
+    const report = details => {
+      if (this.onCall) this.onCall({ contract: name, method, args: args.map(toScryineValue), transaction: !fragment.constant, ...details, duration: Date.now() - started });
+    };
+    try {
+      if (fragment.constant) {
+        const result = toScryineValue(await contract.callStatic[fragment.format()](...callArgs));
+        report({ result });
+        return result;
+      }
+
+      // Transactions from one signer are sent one at a time so that concurrent calls
+      // (e.g. from a concord block) do not race for the same nonce
+      const send = async () => (await contract[fragment.format()](...callArgs)).wait();
+      const sent = this.transactions.then(send);
+      this.transactions = sent.catch(() => {});
+      const receipt = receiptToStruct(contract, await sent);
+      report({ hash: receipt.hash, blockNumber: receipt.blockNumber, status: receipt.status, gasUsed: receipt.gasUsed });
+      return receipt;
+    } catch (err) {
+      const failure = contractError(name, method, err);
+      report({ hash: transactionHash(err), error: failure.message });
+      throw failure;
+    }
+  }
+
+  /**
+   * Semantics of the `witness` construct: subscribes to `eventName` on the named contract and
+   * calls `listener(args, log)` for every emitted event, in order, with `args` holding the
+   * `params` asked for by name. `filters` maps indexed parameter names to the values they must
+   * have. `onError(err)` is told about events that cannot be decoded, which are skipped, and
+   * about polls that keep failing. Returns an async function that unsubscribes.
+   */
+  async witness(name, eventName, params, filters, listener, onError = () => {}) {
+    const contract = await this.getContract(name);
+    let fragment;
+    try {
+      fragment = contract.interface.getEvent(eventName);
+    } catch (err) {
+      throw new Error(`Contract "${name}" has no event "${eventName}"`);
+    }
+
+    const inputs = fragment.inputs.map(input => input.name);
+    for (const param of params) {
+      if (!inputs.includes(param)) {
+        throw new Error(`Event ${name}.${eventName} has no parameter "${param}" (it has ${inputs.join(', ') || 'none'})`);
+      }
+    }
+    const topics = fragment.inputs.map(input => {
+      if (!Object.prototype.hasOwnProperty.call(filters, input.name)) return null;
+      if (!input.indexed) throw new Error(`Cannot filter ${name}.${eventName} on "${input.name}": only indexed parameters can be filtered`);
+      return toEthersValue(filters[input.name]);
+    });
+
+    // Logs are fetched one block range after another rather than through ethers' own event
+    // polling, whose overlapping polls can skip blocks, so none is missed or seen twice. The
+    // range only moves on once its whole batch has been handed to the listener.
+    const filter = contract.filters[fragment.format()](...topics);
+    let next = await this.provider.getBlockNumber() + 1;
+    const poll = async () => {
+      const latest = await this.provider.getBlockNumber();
+      if (latest < next) return;
+      const logs = await this.provider.getLogs({ ...filter, fromBlock: next, toBlock: latest });
+      for (const log of logs) {
+        let args;
+        try {
+          args = toScryineValue(contract.interface.parseLog(log).args);
+        } catch (err) {
+          onError(new Error(`Cannot decode the event in block ${log.blockNumber} (${err.message}); it is skipped`));
+          continue;
+        }
+        listener(Object.fromEntries(params.map(param => [param, args[param]])), log);
+      }
+      next = latest + 1;
+    };
+
+    // A poll that fails, e.g. on a network hiccup, is tried again from the same block. Failures
+    // are reported once they repeat, and again each time they have repeated as often since.
+    let failures = 0;
+    const attempt = () => poll().then(() => {
+      failures = 0;
+    }, err => {
+      failures++;
+      if (failures % POLL_FAILURES_REPORTED === 0) onError(new Error(`Polling for events failed ${failures} times in a row: ${err.message}`));
+    });
+
+    let stopped = false;
+    let polling = Promise.resolve();
+    let timer;
+    const tick = () => {
+      polling = attempt().then(() => {
+        if (!stopped) timer = setTimeout(tick, this.pollingInterval);
+      });
+    };
+    timer = setTimeout(tick, this.pollingInterval);
+
+    // Unsubscribing delivers the events emitted up to now before it resolves
+    return async () => {
+      stopped = true;
+      clearTimeout(timer);
+      await polling;
+      await poll().catch(err => onError(new Error(`Polling for the last events failed: ${err.message}`)));
+    };
+  }
+
+  /**
+   * Semantics of the `token` construct. Amounts are in whole GOD (18 decimals) both ways;
+   * `balance` with no address reads the signer's balance.
+   */
+  async token(contract, operation, args) {
+    switch (operation) {
+      case 'balance': {
+        const holder = args.length ? args[0] : await (await this.connect()).getAddress();
+        return Number(ethers.utils.formatEther(String(await this.call(contract, 'balanceOf', [holder]))));
+      }
+      case 'transfer':
+        return this.call(contract, 'transfer', [args[0], toWei(args[1])]);
+      case 'quantumTransfer':
+        return this.call(contract, 'quantumTransfer', [args[0], toWei(args[1]), toBytes(args[2])]);
+      case 'burn':
+        return this.call(contract, 'burn', [toWei(args[0])]);
+      default:
+        throw new Error(`Unknown token operation "${operation}"`);
+    }
+  }
+
+  /**
+   * Semantics of the `oracle` construct: the verification result for a request, always with
+   * a `verified` field that is true only once the request has been processed and approved.
+   */
+  async oracle(verifier, requestId) {
+    if (verifier === 'AIVerifier') {
+      const request = await this.call(verifier, 'getVerificationRequest', [requestId]);
+      return { ...request, verified: request.processed && request.approved };
+    }
+    if (verifier === 'QuantumAIVerifier') {
+      return this.call(verifier, 'getVerificationResult', [requestId]);
+    }
+    throw new Error(`Unknown oracle "${verifier}"`);
+  }
+}
+
+function loadHardhat(network) {
+  // The Hardhat network is picked when the runtime environment is first loaded
+  if (network && !process.env.HARDHAT_NETWORK) process.env.HARDHAT_NETWORK = network;
+  return require('hardhat');
+}
+
+function isIndex(value) {
+  return typeof value === 'number' || /^\d+$/.test(String(value));
+}
+
+function readJson(file, what) {
+  if (!fs.existsSync(file)) throw new Error(`Missing ${what}: ${file}`);
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function findArtifact(dir, fileName) {
+  if (!fs.existsSync(dir)) return null;
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      const found = findArtifact(full, fileName);
+      if (found) return found;
+    } else if (entry.name === fileName) {
+      return full;
+    }
+  }
+  return null;
+}
+
+// Contract names with a compiled artifact, e.g. artifacts/contracts/GodToken.sol/GodToken.json
+function artifactNames(dir) {
+  if (!fs.existsSync(dir)) return [];
+  const names = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.isDirectory()) names.push(...artifactNames(path.join(dir, entry.name)));
+    else if (entry.name.endsWith('.json') && !entry.name.endsWith('.dbg.json') && path.basename(dir) === `${entry.name.slice(0, -5)}.sol`) {
+      names.push(entry.name.slice(0, -5));
+    }
+  }
+  return names;
+}
+
+// SCRYINE numbers become integers for the ABI encoder; everything else passes through
+function toEthersValue(value) {
+  if (typeof value === 'number') {
+    if (!Number.isInteger(value)) throw new Error(`Cannot pass fractional number ${value} to a contract`);
+    return ethers.BigNumber.from(value);
+  }
+  if (typeof value === 'bigint') return ethers.BigNumber.from(value.toString());
+  if (Array.isArray(value)) return value.map(toEthersValue);
+  return value;
+}
+
+// Whole-token amounts to wei; numbers are written out in full so 1e-7 does not become "1e-7"
+function toWei(amount) {
+  const text = typeof amount === 'number'
+    ? amount.toLocaleString('en-US', { useGrouping: false, maximumFractionDigits: 18 })
+    : String(amount);
+  return ethers.utils.parseEther(text);
+}
+
+// Hex strings are passed as raw bytes, any other string as its UTF-8 encoding
+function toBytes(value) {
+  const text = String(value);
+  return ethers.utils.isHexString(text) ? text : ethers.utils.toUtf8Bytes(text);
+}
+
+// Decoded ethers values become SCRYINE values: numbers (BigInts when too large for a safe
+// integer), strings, booleans, and structs of named fields (lists when unnamed)
+function toScryineValue(value) {
+  if (ethers.BigNumber.isBigNumber(value)) {
+    return normalizeInteger(BigInt(value.toString()));
+  }
+  if (Array.isArray(value)) {
+    const named = Object.keys(value).filter(key => isNaN(key));
+    if (!named.length) return value.map(toScryineValue);
+    return Object.fromEntries(named.map(key => [key, toScryineValue(value[key])]));
+  }
+  return value;
+}
+
+function receiptToStruct(contract, receipt) {
+  const events = [];
+  for (const log of receipt.logs) {
+    try {
+      const parsed = contract.interface.parseLog(log);
+      events.push({ name: parsed.name, args: toScryineValue(parsed.args) });
+    } catch (err) {
+      // Logs emitted by other contracts cannot be decoded with this ABI
+    }
+  }
+
+  return {
+    hash: receipt.transactionHash,
+    from: receipt.from,
+    to: receipt.to,
+    blockNumber: receipt.blockNumber,
+    status: receipt.status === 1,
+    gasUsed: toScryineValue(receipt.gasUsed),
+    events
+  };
+}
+
+function contractError(name, method, err) {
+  if (err.code === 'INVALID_ARGUMENT') {
+    return new Error(`${name}.${method}: invalid argument ${err.argument || ''} (${err.reason})`, { cause: err });
+  }
+
+  const reason = revertReason(err);
+  const message = reason ? `${name}.${method} reverted: ${reason}` : `${name}.${method} failed: ${err.message}`;
+  const wrapped = new Error(message, { cause: err });
+  wrapped.reason = reason;
+  return wrapped;
+}
+
+// The hash of a transaction that was mined but failed, if the error carries one
+function transactionHash(err) {
+  for (let e = err; e; e = e.error || e.cause) {
+    if (e.transactionHash) return e.transactionHash;
+    if (e.receipt && e.receipt.transactionHash) return e.receipt.transactionHash;
+  }
+  return null;
+}
+
+// Digs the revert reason string out of the error shapes of ethers and Hardhat
+function revertReason(err) {
+  let reason = null;
+  for (let e = err; e; e = e.error || e.cause) {
+    const match = /reverted with reason string '(.*)'/.exec(e.reason || e.message || '');
+    if (match) return match[1];
+    reason = reason || e.reason || null;
+  }
+  return reason;
+}
+
+module.exports = { ContractRuntime, toScryineValue, toEthersValue, toWei, toBytes };
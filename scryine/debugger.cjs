@@ -0,0 +1,345 @@
+// SCRYINE Debugger
+// A terminal debugger for `scryine debug`: pauses a script at breakpoints, steps in, over and
+// out of god functions, and shows the variables and call stack where it stopped. The
+// interpreter awaits `pause(node, env)` before every statement and loop iteration.
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const ScryineInterpreter = require('./interpreter.cjs');
+const { ScryineError } = require('./diagnostics.cjs');
+const { parseExpression } = require('./parser.cjs');
+const { formatValue } = require('./values.cjs');
+const { displayPath } = require('./modules.cjs');
+const { prophecyLabel } = require('./output.cjs');
+
+const COMMANDS = {
+  'break [file:]line': 'Stop whenever a statement on the line is about to run (alias b)',
+  'clear [file:]line': 'Remove a breakpoint',
+  'breakpoints': 'List breakpoints',
+  'continue': 'Run until the next breakpoint (alias c)',
+  'step': 'Run to the next statement, entering god functions (alias s)',
+  'next': 'Run to the next statement in this function, stepping over calls (alias n)',
+  'out': 'Run until the current god function returns (alias o)',
+  'print expr': 'Evaluate an expression where the script stopped (alias p)',
+  'scope': 'List the variables visible where the script stopped (alias vars)',
+  'backtrace': 'Show the chain of god function calls (alias bt)',
+  'list': 'Show the source around the current line (alias l)',
+  'help': 'Show this help',
+  'quit': 'Stop the script and leave (alias q)'
+};
+
+// The file name of expressions typed at `print`
+const DEBUGGER_FILE = '<debugger>';
+
+const ALIASES = { b: 'break', c: 'continue', s: 'step', n: 'next', o: 'out', p: 'print', vars: 'scope', bt: 'backtrace', l: 'list', q: 'quit' };
+
+// Thrown through the script by `quit`; not a ScryineError, so repent blocks cannot catch it
+class DebuggerQuit extends Error {
+  constructor() {
+    super('Debugging stopped');
+    this.name = 'DebuggerQuit';
+  }
+}
+
+class ScryineDebugger {
+  /**
+   * @param {object} [options]
+   * @param {stream.Readable} [options.input] Where commands are read from (default: stdin)
+   * @param {stream.Writable} [options.output] Where the debugger and prophesy write (default: stdout)
+   * @param {string[]} [options.breakpoints] Breakpoints to start with, `line` or `file:line`
+   * @param {boolean} [options.stopOnEntry] Pause before the first statement (default: true)
+   * @param {object} [options.interpreter] Interpreter options, as for `scryine run`
+   */
+  constructor(options = {}) {
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.terminal = options.terminal !== undefined ? options.terminal : Boolean(this.output.isTTY);
+    this.interpreterOptions = options.interpreter || {};
+    this.breakpoints = new Map(); // absolute file:line => label as typed
+    this.mode = options.stopOnEntry === false ? { type: 'continue' } : { type: 'step' };
+    this.lines = []; // commands typed while the script was running
+    this.waiting = null;
+    this.closed = false;
+    this.stopped = null; // settles when the script resumes; concord branches wait on it
+    this.current = null; // { node, env, frames } where the script is stopped
+    this.evaluating = false;
+    this.detached = false; // set once input ends; the script then runs to its end
+    this.file = null;
+    this.initialBreakpoints = options.breakpoints || [];
+  }
+
+  print(text) {
+    this.output.write(`${text}\n`);
+  }
+
+  /**
+   * Runs a script under the debugger and returns its exit code, as `scryine run` would.
+   */
+  async run(filePath, args = []) {
+    this.file = filePath;
+    this.interpreter = new ScryineInterpreter({
+      ...this.interpreterOptions,
+      debugger: this,
+      onProphesy: (text, value, prophecy) => this.print(`${prophecyLabel(prophecy)} ${text}`)
+    });
+    this.interpreter.file = filePath;
+    this.listen();
+
+    let code = 1;
+    try {
+      this.initialBreakpoints.forEach(spec => this.addBreakpoint(spec));
+      const source = await fs.promises.readFile(path.resolve(filePath), 'utf8');
+      code = ScryineInterpreter.exitCode(await this.interpreter.run(source, args));
+      this.print(`Script finished with exit code ${code}`);
+    } catch (err) {
+      if (err instanceof DebuggerQuit) this.print(err.message);
+      else if (err instanceof ScryineError) this.print(err.format(this.interpreter.source));
+      else this.print(`SCRYINE Error: ${err.message}`);
+    } finally {
+      if (this.rl) this.rl.close();
+    }
+    return code;
+  }
+
+  // Commands are read as they are typed and handed out while the script is stopped
+  listen() {
+    this.rl = readline.createInterface({ input: this.input, output: this.output, terminal: this.terminal, prompt: '(scry) ' });
+    this.rl.on('line', line => {
+      if (this.waiting) {
+        const resolve = this.waiting;
+        this.waiting = null;
+        resolve(line);
+      } else {
+        this.lines.push(line);
+      }
+    });
+    this.rl.on('close', () => {
+      this.closed = true;
+      if (this.waiting) this.waiting(null);
+    });
+    // Ctrl+C while the script runs stops it at the next statement
+    this.rl.on('SIGINT', () => {
+      if (this.current) this.print('(type quit to leave)');
+      else this.mode = { type: 'step' };
+    });
+  }
+
+  nextCommand() {
+    if (this.lines.length) return Promise.resolve(this.lines.shift());
+    if (this.closed) return Promise.resolve(null);
+    this.rl.prompt();
+    return new Promise(resolve => {
+      this.waiting = resolve;
+    });
+  }
+
+  // Breakpoints
+
+  // `12` is a line of the script being debugged; `lib/psalms.scry:3` a line of another file
+  parseLocation(spec) {
+    const match = /^(?:(.+):)?(\d+)$/.exec(spec.trim());
+    if (!match) throw new Error(`Expected a line or file:line, got "${spec}"`);
+    const file = match[1] || this.file;
+    return { key: `${path.resolve(file)}:${Number(match[2])}`, label: `${displayPath(path.resolve(file))}:${Number(match[2])}` };
+  }
+
+  addBreakpoint(spec) {
+    const { key, label } = this.parseLocation(spec);
+    this.breakpoints.set(key, label);
+    return label;
+  }
+
+  locationOf(node) {
+    const file = path.resolve(node.loc.file || this.file);
+    return { file, line: node.loc.start.line, key: `${file}:${node.loc.start.line}` };
+  }
+
+  // Stopping
+
+  async pause(node, env) {
+    if (this.evaluating || this.detached) return;
+    // Only one concord branch is stopped at a time
+    while (this.stopped) await this.stopped;
+
+    const depth = this.interpreter.callStack.length;
+    const location = this.locationOf(node);
+    const atBreakpoint = this.breakpoints.has(location.key);
+    const { mode } = this;
+    const stop = atBreakpoint || mode.type === 'step' ||
+      (mode.type === 'next' && depth <= mode.depth) ||
+      (mode.type === 'out' && depth < mode.depth);
+    if (!stop) return;
+
+    let resume;
+    this.stopped = new Promise(resolve => {
+      resume = resolve;
+    });
+    this.current = { node, env, location, frames: this.interpreter.callStack.slice().reverse() };
+    try {
+      this.print(`${atBreakpoint ? 'Breakpoint' : 'Stopped'} at ${displayPath(location.file)}:${location.line} in ${this.frameName(0)}`);
+      this.printLines(location, location.line, location.line);
+      for (;;) {
+        const line = await this.nextCommand();
+        // Without more input the script runs to its end
+        if (line === null) {
+          this.detached = true;
+          return;
+        }
+        if (await this.command(line.trim())) return;
+      }
+    } finally {
+      this.current = null;
+      this.stopped = null;
+      resume();
+    }
+  }
+
+  // Runs one command while stopped; returns true when the script should resume
+  async command(line) {
+    if (!line) return false;
+    const [word, ...rest] = line.split(/\s+/);
+    const name = ALIASES[word] || word;
+    const arg = line.slice(word.length).trim();
+    const depth = this.current.frames.length;
+
+    switch (name) {
+      case 'continue':
+        this.mode = { type: 'continue' };
+        return true;
+      case 'step':
+        this.mode = { type: 'step' };
+        return true;
+      case 'next':
+        this.mode = { type: 'next', depth };
+        return true;
+      case 'out':
+        if (!depth) {
+          this.print('Not inside a god function');
+          return false;
+        }
+        this.mode = { type: 'out', depth };
+        return true;
+      case 'break':
+      case 'clear':
+        if (!rest.length) {
+          this.print(`Usage: ${name} [file:]line`);
+          return false;
+        }
+        try {
+          if (name === 'break') {
+            this.print(`Breakpoint set at ${this.addBreakpoint(arg)}`);
+          } else {
+            const { key, label } = this.parseLocation(arg);
+            this.print(this.breakpoints.delete(key) ? `Breakpoint cleared at ${label}` : `No breakpoint at ${label}`);
+          }
+        } catch (err) {
+          this.print(err.message);
+        }
+        return false;
+      case 'breakpoints':
+        if (!this.breakpoints.size) this.print('(no breakpoints)');
+        for (const label of this.breakpoints.values()) this.print(label);
+        return false;
+      case 'print':
+        await this.evaluate(arg);
+        return false;
+      case 'scope':
+        this.printScope();
+        return false;
+      case 'backtrace':
+        this.printBacktrace();
+        return false;
+      case 'list': {
+        const { location } = this.current;
+        this.printLines(location, location.line - 3, location.line + 3);
+        return false;
+      }
+      case 'help':
+        for (const [usage, description] of Object.entries(COMMANDS)) {
+          this.print(`${usage.padEnd(20)}${description}`);
+        }
+        return false;
+      case 'quit':
+        throw new DebuggerQuit();
+      default:
+        this.print(`Unknown command ${word}, type help for a list`);
+        return false;
+    }
+  }
+
+  // Evaluates an expression in the scope the script stopped in, without stopping inside it.
+  // The expression is its own <debugger> source, and unknown names are errors rather than
+  // the script's warnings.
+  async evaluate(code) {
+    if (!code) {
+      this.print('Usage: print expr');
+      return;
+    }
+    const { interpreter } = this;
+    const strict = interpreter.strict;
+    this.evaluating = true;
+    interpreter.strict = true;
+    interpreter.moduleSources.set(DEBUGGER_FILE, code);
+    try {
+      const expression = parseExpression(code, { file: DEBUGGER_FILE });
+      this.print(formatValue(await interpreter.evaluateExpression(expression, this.current.env), true));
+    } catch (err) {
+      if (err instanceof DebuggerQuit) throw err;
+      this.print(`Error: ${err.message}`);
+    } finally {
+      interpreter.strict = strict;
+      interpreter.moduleSources.delete(DEBUGGER_FILE);
+      this.evaluating = false;
+    }
+  }
+
+  // Variables from the innermost scope out; the standard library is left out
+  printScope() {
+    const { env, frames } = this.current;
+    let printed = false;
+    for (let scope = env; scope && scope !== this.interpreter.library; scope = scope.parent) {
+      const names = Object.keys(scope.values);
+      if (!names.length) continue;
+      const label = scope === this.interpreter.globals ? 'globals' : scope === env && frames.length ? `${this.frameName(0)} locals` : 'module';
+      this.print(`${label}:`);
+      names.forEach(name => this.print(`  ${name} = ${formatValue(scope.values[name], true)}`));
+      printed = true;
+    }
+    if (!printed) this.print('(no variables)');
+  }
+
+  printBacktrace() {
+    const { frames, location } = this.current;
+    this.print(`#0 ${this.frameName(0)} at ${displayPath(location.file)}:${location.line}`);
+    frames.forEach((frame, i) => {
+      const call = this.locationOf(frame.callSite);
+      this.print(`#${i + 1} ${this.frameName(i + 1)} at ${displayPath(call.file)}:${call.line}`);
+    });
+  }
+
+  // The function running in frame `i` of the current stop, counting from the innermost
+  frameName(i) {
+    const { frames } = this.current;
+    return i < frames.length ? frames[i].name : '<top level>';
+  }
+
+  printLines(location, from, to) {
+    const source = this.sourceOf(location.file);
+    if (source === null) return;
+    const lines = source.split('\n');
+    const width = String(Math.min(to, lines.length)).length;
+    for (let line = Math.max(from, 1); line <= Math.min(to, lines.length); line++) {
+      const marker = line === location.line ? '>' : ' ';
+      this.print(`${marker} ${String(line).padStart(width)} | ${lines[line - 1]}`);
+    }
+  }
+
+  sourceOf(file) {
+    if (file === path.resolve(this.file)) return this.interpreter.source;
+    const name = displayPath(file);
+    return this.interpreter.moduleSources.has(name) ? this.interpreter.moduleSources.get(name) : null;
+  }
+}
+
+module.exports = { ScryineDebugger, DebuggerQuit, COMMANDS };
@@ -0,0 +1,135 @@
+// SCRYINE Diagnostics
+// Source-located errors and warnings, rendered with a caret-underlined snippet:
+//
+//   error[reference]: Unknown identifier "predicton"
+//     --> predict.scry:8:36
+//      |
+//    8 |   prophesy "Quantum prediction result: " + predicton
+//      |                                            ^^^^^^^^^
+
+const MAX_FRAMES = 10;
+
+// Levels a prophecy can be sent at, least severe first: checked by the parser for
+// `prophesy ... at level`, and used by output.cjs to filter what is printed
+const PROPHESY_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+class Diagnostic {
+  constructor(severity, kind, message, loc, file = null) {
+    this.severity = severity; // 'error' | 'warning'
+    // 'syntax' | 'reference' | 'arity' | 'runtime' | 'limit' | 'smite' | 'assertion', a kind
+    // given to smite, or from `scryine check` 'type' | 'unreachable' | 'unused'
+    this.kind = kind;
+    this.message = message;
+    this.loc = loc || null;
+    this.file = file;
+  }
+
+  format(source) {
+    return formatDiagnostic(this, source);
+  }
+}
+
+class ScryineError extends Error {
+  constructor(message, { kind = 'runtime', loc = null, file = null, source = null, stack = [], cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'ScryineError';
+    this.kind = kind;
+    this.loc = loc;
+    this.file = file;
+    this.source = source; // text of `file` when it is not the script being run, e.g. an imported module
+    this.scryineStack = stack; // [{ name, loc, file }] innermost call first
+  }
+
+  get line() {
+    return this.loc ? this.loc.start.line : null;
+  }
+
+  get column() {
+    return this.loc ? this.loc.start.column : null;
+  }
+
+  toDiagnostic() {
+    return new Diagnostic('error', this.kind, this.message, this.loc, this.file);
+  }
+
+  format(source) {
+    let text = formatDiagnostic(this.toDiagnostic(), this.source !== null ? this.source : source);
+    // Runaway recursion can leave thousands of frames; the innermost ones are enough
+    for (const frame of this.scryineStack.slice(0, MAX_FRAMES)) {
+      text += `\n    at ${frame.name} (${locationOf(frame.file || this.file, frame.loc)})`;
+    }
+    if (this.scryineStack.length > MAX_FRAMES) {
+      text += `\n    ... ${this.scryineStack.length - MAX_FRAMES} more`;
+    }
+    return text;
+  }
+}
+
+class ScryineSyntaxError extends ScryineError {
+  constructor(message, loc) {
+    super(message, { kind: 'syntax', loc });
+    this.name = 'ScryineSyntaxError';
+  }
+}
+
+// Raised when a script runs past one of its execution limits; `limit` names which one
+class ScryineLimitError extends ScryineError {
+  constructor(message, limit, options = {}) {
+    super(message, { ...options, kind: 'limit' });
+    this.name = 'ScryineLimitError';
+    this.limit = limit; // 'steps' | 'time' | 'callDepth' | 'memory'
+  }
+}
+
+function locationOf(file, loc) {
+  const name = file || '<input>';
+  return loc ? `${name}:${loc.start.line}:${loc.start.column}` : name;
+}
+
+function formatDiagnostic(diagnostic, source) {
+  const { severity, kind, message, loc, file } = diagnostic;
+  const lines = [`${severity}[${kind}]: ${message}`, `  --> ${locationOf(file, loc)}`];
+
+  if (loc && typeof source === 'string') {
+    const text = source.split('\n')[loc.start.line - 1];
+    if (text !== undefined) {
+      const gutter = String(loc.start.line).length;
+      const pad = ' '.repeat(gutter);
+      const endColumn = loc.end && loc.end.line === loc.start.line ? loc.end.column : text.length + 1;
+      const width = Math.max(1, endColumn - loc.start.column);
+      lines.push(`${pad} |`);
+      lines.push(`${loc.start.line} | ${text.replace(/\r$/, '')}`);
+      lines.push(`${pad} | ${' '.repeat(loc.start.column - 1)}${'^'.repeat(width)}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+// Closest candidate within a small edit distance, for "did you mean" hints
+function closestName(name, candidates) {
+  let best = null;
+  let bestDistance = Math.max(1, Math.floor(name.length / 3));
+  for (const candidate of candidates) {
+    const distance = editDistance(name, candidate);
+    if (distance > 0 && distance <= bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+function editDistance(a, b) {
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const next = [i];
+    for (let j = 1; j <= b.length; j++) {
+      next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    row = next;
+  }
+  return row[b.length];
+}
+
+module.exports = { Diagnostic, ScryineError, ScryineSyntaxError, ScryineLimitError, formatDiagnostic, closestName, PROPHESY_LEVELS };
@@ -0,0 +1,51 @@
+// SCRYINE Environment
+// A lexical scope: variable bindings plus a link to the enclosing scope.
+
+class Environment {
+  constructor(parent = null) {
+    this.parent = parent;
+    // No prototype, so that names such as `constructor` or `__proto__` are ordinary bindings
+    this.values = Object.create(null);
+    this.constants = new Set(); // read-only names, e.g. globals injected by a host
+  }
+
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(this.values, name);
+  }
+
+  // Find the nearest scope that binds `name`, or null
+  resolve(name) {
+    let env = this;
+    while (env && !env.has(name)) env = env.parent;
+    return env;
+  }
+
+  lookup(name) {
+    const env = this.resolve(name);
+    return env ? { found: true, value: env.values[name] } : { found: false, value: undefined };
+  }
+
+  // `bless` and `scry` always bind in the current scope, shadowing outer names
+  declare(name, value) {
+    this.values[name] = value;
+  }
+
+  declareConstant(name, value) {
+    this.values[name] = value;
+    this.constants.add(name);
+  }
+
+  isConstant(name) {
+    return this.constants.has(name);
+  }
+
+  // Plain assignment updates the nearest existing binding
+  assign(name, value) {
+    const env = this.resolve(name);
+    if (!env) return false;
+    env.values[name] = value;
+    return true;
+  }
+}
+
+module.exports = Environment;
@@ -0,0 +1,311 @@
+// SCRYINE Formatter
+// Prints a script in the one canonical layout used by `scryine fmt`: two-space indentation,
+// opening braces on the line of their statement, single spaces around binary operators and at
+// most one blank line in a row. The output is printed from the syntax tree, so only comments
+// are carried over from the source text, and every one of them is kept.
+
+const fs = require('fs');
+const path = require('path');
+const { Lexer } = require('./lexer.cjs');
+const { parse, PRECEDENCE } = require('./parser.cjs');
+
+const INDENT = '  ';
+const BINDING = new Map(PRECEDENCE.flatMap((operators, level) => operators.map(operator => [operator, level])));
+
+// Characters a string needs escaped to read back the same, as the lexer's ESCAPES
+function quote(value) {
+  return `"${value.replace(/[\\"\n\t\r]/g, ch => ({ '\\': '\\\\', '"': '\\"', '\n': '\\n', '\t': '\\t', '\r': '\\r' })[ch])}"`;
+}
+
+class Formatter {
+  /**
+   * @param {string} source Script text; throws a ScryineSyntaxError when it does not parse
+   * @param {object} [options]
+   * @param {string} [options.file] Path shown in syntax errors
+   */
+  constructor(source, options = {}) {
+    this.source = source;
+    this.program = parse(source, { file: options.file });
+    const lexer = new Lexer(source);
+    this.tokens = lexer.tokenize();
+    this.comments = lexer.comments;
+    this.used = new Set();
+  }
+
+  format() {
+    const { lines } = this.body(this.program.body, 0, { line: 0, start: 0, end: this.source.length });
+    return lines.length ? `${lines.join('\n')}\n` : '';
+  }
+
+  // Comments
+
+  text(comment) {
+    this.used.add(comment);
+    return comment.value.trimEnd();
+  }
+
+  // Comments in [start, end) not yet printed and not inside any of `nodes`
+  free(start, end, nodes = []) {
+    return this.comments.filter(comment => !this.used.has(comment) &&
+      comment.start.offset >= start && comment.end.offset <= end &&
+      !nodes.some(node => comment.start.offset >= node.start && comment.end.offset <= node.end));
+  }
+
+  // Interleaves items with the comments between them. A comment on the line where the previous
+  // item (or the opening bracket) ends stays at the end of that line; the others get lines of
+  // their own. Blank lines between items are kept, but never more than one in a row.
+  sequence(items, opener) {
+    const comments = this.free(opener.start, opener.end, items).map(comment => ({
+      comment, start: comment.start.offset, end: comment.end.offset, startLine: comment.start.line, endLine: comment.end.line
+    }));
+    const entries = [];
+    let openerComment = null;
+    let lastLine = opener.line;
+    for (const entry of [...items, ...comments].sort((a, b) => a.start - b.start)) {
+      if (entry.comment && entry.startLine === lastLine) {
+        const text = this.text(entry.comment);
+        const previous = entries[entries.length - 1];
+        if (previous) previous.trailing = previous.trailing ? `${previous.trailing} ${text}` : text;
+        else openerComment = openerComment ? `${openerComment} ${text}` : text;
+        lastLine = entry.endLine;
+        continue;
+      }
+      entries.push({ ...entry, blank: entries.length > 0 && entry.startLine > lastLine + 1 });
+      lastLine = entry.endLine;
+    }
+    return { openerComment, entries };
+  }
+
+  // The statements of a file or block, one per line at `depth`
+  body(statements, depth, opener) {
+    const pad = INDENT.repeat(depth);
+    const items = statements.map(node => ({
+      node, start: node.loc.start.offset, end: node.loc.end.offset, startLine: node.loc.start.line, endLine: node.loc.end.line
+    }));
+    const { openerComment, entries } = this.sequence(items, opener);
+    const lines = [];
+    for (const entry of entries) {
+      if (entry.blank) lines.push('');
+      const text = entry.comment ? this.commentLines(entry.comment, pad) : this.statement(entry.node, depth);
+      lines.push(...text.split('\n'));
+      if (entry.trailing) lines[lines.length - 1] += ` ${entry.trailing}`;
+    }
+    return { trailing: openerComment, lines };
+  }
+
+  // Later lines of a block comment are left as written
+  commentLines(comment, pad) {
+    return `${pad}${this.text(comment)}`;
+  }
+
+  // Statements
+
+  statement(node, depth) {
+    const pad = INDENT.repeat(depth);
+    const expression = child => this.expression(child, depth);
+    let text;
+    switch (node.type) {
+      case 'FunctionDeclaration': {
+        const params = node.params.map(param => `${param.name}${this.annotation(param.typeAnnotation)}`).join(', ');
+        text = this.block(`${pad}god ${node.name}(${params})${this.annotation(node.returnType)}`, node.body, depth);
+        break;
+      }
+      case 'VariableDeclaration':
+        text = `${pad}${node.kind} ${node.name}${this.annotation(node.typeAnnotation)} = ${expression(node.init)}`;
+        break;
+      case 'AssignmentStatement':
+        text = `${pad}${node.name} = ${expression(node.value)}`;
+        break;
+      case 'ReturnStatement':
+        text = node.argument ? `${pad}return ${expression(node.argument)}` : `${pad}return`;
+        break;
+      case 'ProphesyStatement':
+        text = `${pad}prophesy ${expression(node.argument)}${node.channel ? ` to ${node.channel}` : ''}${node.level ? ` at ${node.level}` : ''}`;
+        break;
+      case 'SmiteStatement':
+        text = `${pad}smite ${expression(node.argument)}`;
+        break;
+      case 'DivineStatement':
+        text = this.block(`${pad}divine ${expression(node.test)}`, node.consequent, depth);
+        break;
+      case 'EternalStatement':
+        text = this.block(`${pad}eternal ${expression(node.test)}`, node.body, depth);
+        break;
+      case 'EachStatement':
+        text = this.block(`${pad}each ${node.variable} in ${expression(node.iterable)}`, node.body, depth);
+        break;
+      case 'QuantumBlock':
+      case 'ConcordBlock':
+        text = this.block(`${pad}${node.type === 'QuantumBlock' ? 'quantum' : 'concord'}`, node.body, depth);
+        break;
+      case 'TryStatement': {
+        const block = this.block(`${pad}try`, node.block, depth);
+        text = `${block} ${this.block(`repent${node.param ? ` ${node.param}` : ''}`, node.handler, depth)}`;
+        break;
+      }
+      case 'CovenantStatement':
+        text = this.block(`${pad}covenant ${quote(node.name)}`, node.body, depth);
+        break;
+      case 'WitnessStatement': {
+        const params = node.params.map(param => param.filter ? `${param.name} == ${expression(param.filter)}` : param.name);
+        text = this.block(`${pad}witness ${node.contract}.${node.event}(${params.join(', ')})`, node.body, depth);
+        break;
+      }
+      case 'ImportDeclaration':
+        if (node.specifiers) {
+          const names = node.specifiers.map(({ imported, local }) => imported === local ? imported : `${imported} as ${local}`);
+          text = `${pad}import { ${names.join(', ')} } from ${quote(node.source)}`;
+        } else {
+          text = `${pad}import ${quote(node.source)}${node.alias ? ` as ${node.alias}` : ''}`;
+        }
+        break;
+      case 'ExpressionStatement':
+        text = `${pad}${expression(node.expression)}`;
+        break;
+      default:
+        throw new Error(`Cannot format ${node.type}`);
+    }
+
+    // Comments inside an expression have nowhere to go on its line, so they move above the statement
+    const inside = this.free(node.loc.start.offset, node.loc.end.offset);
+    return [...inside.map(comment => this.commentLines(comment, pad)), text].join('\n');
+  }
+
+  block(head, block, depth) {
+    const { trailing, lines } = this.body(block.body, depth + 1, {
+      line: block.loc.start.line, start: block.loc.start.offset, end: block.loc.end.offset
+    });
+    if (!lines.length && !trailing) return `${head} {}`;
+    return [`${head} {${trailing ? ` ${trailing}` : ''}`, ...lines, `${INDENT.repeat(depth)}}`].join('\n');
+  }
+
+  annotation(type) {
+    return type ? `: ${type.name}` : '';
+  }
+
+  // Expressions
+
+  expression(node, depth) {
+    const expression = child => this.expression(child, depth);
+    switch (node.type) {
+      case 'Literal':
+        // Numbers and strings are printed as written, keeping escapes and decimals
+        return typeof node.value === 'boolean' ? String(node.value) : this.source.slice(node.loc.start.offset, node.loc.end.offset);
+      case 'Identifier':
+        return node.name;
+      case 'BinaryExpression':
+      case 'LogicalExpression': {
+        const level = BINDING.get(node.operator);
+        // Operators of one level group to the left, so only a right operand of that level needs parentheses
+        return `${this.operand(node.left, level, depth)} ${node.operator} ${this.operand(node.right, level + 1, depth)}`;
+      }
+      case 'UnaryExpression': {
+        const operand = this.operand(node.argument, PRECEDENCE.length, depth);
+        // `- -x`, not `--x`
+        return node.argument.type === 'UnaryExpression' && node.argument.operator === '-' ? `${node.operator}(${operand})` : `${node.operator}${operand}`;
+      }
+      case 'CallExpression':
+        return `${expression(node.callee)}(${node.arguments.map(expression).join(', ')})`;
+      case 'MemberExpression':
+        return `${this.object(node.object, depth)}.${node.property}`;
+      case 'IndexExpression':
+        return `${this.object(node.object, depth)}[${expression(node.index)}]`;
+      case 'ListExpression':
+        return this.items('[', ']', node, node.elements.map(element => ({
+          text: expression(element), start: element.loc.start.offset, end: element.loc.end.offset,
+          startLine: element.loc.start.line, endLine: element.loc.end.line
+        })), depth);
+      case 'MapExpression':
+        return this.items('{', '}', node, node.entries.map(entry => {
+          const key = this.keyToken(entry);
+          return {
+            text: `${key.type === 'string' ? quote(entry.key) : entry.key}: ${expression(entry.value)}`,
+            start: key.start.offset, end: entry.value.loc.end.offset, startLine: key.start.line, endLine: entry.value.loc.end.line
+          };
+        }), depth);
+      case 'TokenExpression':
+        return `token ${node.contract}.${node.operation}(${node.arguments.map(expression).join(', ')})`;
+      case 'OracleExpression':
+        return `oracle ${node.verifier}(${expression(node.requestId)})`;
+      default:
+        throw new Error(`Cannot format ${node.type}`);
+    }
+  }
+
+  // An operand binding less tightly than `level` is wrapped in parentheses
+  operand(node, level, depth) {
+    const text = this.expression(node, depth);
+    const binary = node.type === 'BinaryExpression' || node.type === 'LogicalExpression';
+    return binary && BINDING.get(node.operator) < level ? `(${text})` : text;
+  }
+
+  // The object of `.field` and `[index]` binds tighter than any operator
+  object(node, depth) {
+    const text = this.expression(node, depth);
+    return ['BinaryExpression', 'LogicalExpression', 'UnaryExpression'].includes(node.type) ? `(${text})` : text;
+  }
+
+  // The key of a map entry, which has no node of its own: the token before the `:` before its value
+  keyToken(entry) {
+    let index = this.tokens.findIndex(token => token.start.offset === entry.value.loc.start.offset);
+    while (this.tokens[index - 1].value !== ':') index--;
+    return this.tokens[index - 2];
+  }
+
+  // A list or map written across several lines keeps one item per line; one written on a
+  // single line stays on one line
+  items(open, close, node, items, depth) {
+    const multiline = node.loc.start.line !== node.loc.end.line && items.length > 0;
+    if (!multiline) {
+      return `${open}${items.map(item => item.text).join(', ')}${close}`;
+    }
+    const pad = INDENT.repeat(depth + 1);
+    const { openerComment, entries } = this.sequence(items, {
+      line: node.loc.start.line, start: node.loc.start.offset, end: node.loc.end.offset
+    });
+    const last = entries.filter(entry => !entry.comment).pop();
+    const lines = [`${open}${openerComment ? ` ${openerComment}` : ''}`];
+    for (const entry of entries) {
+      if (entry.blank) lines.push('');
+      let text = entry.comment ? this.commentLines(entry.comment, pad) : `${pad}${this.indentItem(entry.text)}${entry === last ? '' : ','}`;
+      if (entry.trailing) text += ` ${entry.trailing}`;
+      lines.push(text);
+    }
+    lines.push(`${INDENT.repeat(depth)}${close}`);
+    return lines.join('\n');
+  }
+
+  // Items were printed one level out; nested multi-line literals need their lines moved in
+  indentItem(text) {
+    return text.split('\n').map((line, i) => i === 0 || !line ? line : `${INDENT}${line}`).join('\n');
+  }
+}
+
+/**
+ * Formats script text; throws a ScryineSyntaxError when it does not parse.
+ * @param {string} source
+ * @param {object} [options] See Formatter
+ * @returns {string}
+ */
+function formatSource(source, options) {
+  return new Formatter(source, options).format();
+}
+
+// The .scry files under each path, or the path itself when it is a file
+function scryFiles(paths) {
+  const files = [];
+  for (const target of paths) {
+    if (!fs.statSync(target).isDirectory()) {
+      files.push(target);
+      continue;
+    }
+    for (const entry of fs.readdirSync(target, { withFileTypes: true })) {
+      const child = path.join(target, entry.name);
+      if (entry.isDirectory()) files.push(...scryFiles([child]));
+      else if (entry.name.endsWith('.scry')) files.push(child);
+    }
+  }
+  return files;
+}
+
+module.exports = { Formatter, formatSource, scryFiles };
@@ -0,0 +1,73 @@
+// SCRYINE Host Functions
+// Wraps JavaScript functions registered by an embedding application, so that a script's
+// arguments are checked against the declared parameter types before the host code runs.
+
+const { KEYWORDS } = require('./lexer.cjs');
+const { typeName } = require('./values.cjs');
+
+const TYPES = ['any', 'number', 'string', 'boolean', 'list', 'map', 'function', 'quantum_state'];
+// Types a script can write in an annotation; `nothing` is the type of null, e.g. `god log(): nothing`
+const ANNOTATION_TYPES = [...TYPES, 'nothing'];
+
+function checkName(name, what) {
+  if (typeof name !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(name) || KEYWORDS.has(name)) {
+    throw new Error(`Invalid ${what} name "${name}": expected an identifier that is not a keyword`);
+  }
+}
+
+// { symbol: 'string', amount: 'number?', 'rest...': 'any' } => [{ name, type, optional, rest }]
+function parseParams(params, functionName) {
+  return Object.entries(params).map(([key, declared], i, all) => {
+    const rest = key.endsWith('...');
+    const optional = declared.endsWith('?');
+    const type = optional ? declared.slice(0, -1) : declared;
+    if (!TYPES.includes(type)) {
+      throw new Error(`Unknown type "${declared}" for parameter "${key}" of ${functionName} (expected one of ${TYPES.join(', ')})`);
+    }
+    if (rest && i !== all.length - 1) throw new Error(`Rest parameter "${key}" of ${functionName} must come last`);
+    return { name: rest ? key.slice(0, -3) : key, type, optional: optional || rest, rest };
+  });
+}
+
+function checkArguments(params, args) {
+  const required = params.filter(param => !param.optional).length;
+  const variadic = params.length > 0 && params[params.length - 1].rest;
+  if (args.length < required || (!variadic && args.length > params.length)) {
+    const count = variadic ? `at least ${required}` : required === params.length ? required : `${required} to ${params.length}`;
+    const names = params.map(param => param.rest ? `${param.name}...` : param.name).join(', ');
+    throw new Error(`expects ${count} argument${count === 1 ? '' : 's'} (${names}) but was called with ${args.length}`);
+  }
+
+  args.forEach((arg, i) => {
+    const param = params[Math.min(i, params.length - 1)];
+    if (param.type === 'any' || (param.optional && (arg === undefined || arg === null))) return;
+    if (typeName(arg) !== param.type) {
+      throw new Error(`argument "${param.name}" must be a ${param.type}, got ${typeName(arg)}`);
+    }
+  });
+}
+
+/**
+ * Wraps `fn` as a SCRYINE builtin named `name`. With `options.params` declared, calls are
+ * checked for arity and types first; `fn` may be sync or async. `options.returns` names the
+ * result type for `scryine check`.
+ */
+function hostFunction(name, fn, options = {}) {
+  if (typeof fn !== 'function') throw new TypeError(`Host function ${name} must be a function`);
+  const params = options.params ? parseParams(options.params, name) : null;
+  const returns = options.returns || 'any';
+  if (!ANNOTATION_TYPES.includes(returns)) {
+    throw new Error(`Unknown return type "${returns}" for ${name} (expected one of ${ANNOTATION_TYPES.join(', ')})`);
+  }
+  const host = params
+    ? (...args) => {
+      checkArguments(params, args);
+      return fn(...args);
+    }
+    : (...args) => fn(...args);
+  Object.defineProperty(host, 'name', { value: name });
+  host.signature = { params, returns };
+  return host;
+}
+
+module.exports = { hostFunction, checkName, parseParams, TYPES, ANNOTATION_TYPES };
@@ -1,258 +1,920 @@
 const fs = require('fs');
 const path = require('path');
+const v8 = require('v8');
+const { AsyncLocalStorage } = require('async_hooks');
+const { parse, parseExpression } = require('./parser.cjs');
+const Environment = require('./environment.cjs');
+const { Diagnostic, ScryineError, ScryineLimitError, closestName } = require('./diagnostics.cjs');
+const { ContractRuntime } = require('./contracts.cjs');
+const { QuantumSession, QUANTUM_OPERATIONS } = require('./quantum.cjs');
+const { ScryineFunction, isFunction, formatValue } = require('./values.cjs');
+const { createRandom, createClock, randomSeed } = require('./random.cjs');
+const { Trace } = require('./trace.cjs');
+const { prophecyOf, printProphecy, checkLevel, DEFAULT_LEVEL } = require('./output.cjs');
+const { hostFunction, checkName } = require('./host.cjs');
+const { createStdlib } = require('./stdlib.cjs');
+const { createBuiltins, AssertionFailure, UNTRACED_BUILTINS, BUILTIN_SIGNATURES } = require('./builtins.cjs');
+const operations = require('./operations.cjs');
+const { resolveModule, namespaceName, displayPath, defaultModulePaths } = require('./modules.cjs');
+const { compileProgram, compileFunction } = require('./bytecode.cjs');
+const { ScryineVM, ReturnSignal } = require('./vm.cjs');
+
+// Execution limits: statements and loop iterations, wall-clock milliseconds, nested god
+// calls, and megabytes of JS heap growth. Only the call depth is bounded by default.
+const DEFAULT_LIMITS = { steps: Infinity, time: Infinity, callDepth: 1000, memory: Infinity };
+
+// Programs run on the tree-walking engine unless the bytecode VM is asked for. The VM only pays
+// off for loop-heavy scripts; short ones run slower on it (see bench/benchmark.cjs).
+const ENGINES = ['vm', 'ast'];
+
+// Each branch of a `concord` block runs with its own call stack
+const branches = new AsyncLocalStorage();
 
 // SCRYINE Interpreter for GOD-TOKEN-COIN
 class ScryineInterpreter {
-  constructor() {
-    this.variables = {};
-    this.functions = {};
-    this.builtins = {
-      quantum_predict: (value) => {
-        // Simulate quantum prediction
-        return Math.random() * 100 + value;
-      },
-      ai_verify: (data) => {
-        // Simulate AI verification
-        return data.length > 5;
-      },
-      contract_call: (contract, method, ...args) => {
-        // Simulate contract interaction
-        console.log(`Calling ${contract}.${method} with args:`, args);
-        return `Result from ${contract}.${method}`;
-      }
+  constructor(options = {}) {
+    this.strict = Boolean(options.strict);
+    this.engine = options.engine || 'ast';
+    if (!ENGINES.includes(this.engine)) throw new Error(`Unknown engine "${this.engine}" (expected ${ENGINES.join(' or ')})`);
+    this.vm = this.engine === 'vm' ? new ScryineVM(this) : null;
+    this.limits = { ...DEFAULT_LIMITS };
+    for (const [name, value] of Object.entries(options.limits || {})) {
+      if (value !== undefined && value !== null) this.limits[name] = Number(value);
+    }
+    this.resetBudget();
+    // The standard library sits in a scope of its own around the globals
+    this.library = new Environment();
+    this.globals = new Environment(this.library);
+    this.variables = this.globals.values;
+    // The scope the last run ended in: main's own when the script has one, else the top level
+    this.finalScope = this.globals;
+    this.functions = Object.create(null);
+    // The `covenant` blocks of the script being run, for the test runner (see testing.cjs)
+    this.covenants = [];
+    // Open `witness` subscriptions: their unsubscribe functions, the events waiting to be
+    // handled one at a time, and how many handlers failed
+    this.witnesses = new Set();
+    this.witnessQueue = Promise.resolve();
+    this.witnessFailures = 0;
+    this.witnessesClosed = null;
+    this.endWitnessing = null;
+    this.mainCallStack = [];
+    this.source = '';
+    this.file = null;
+    this.diagnostics = [];
+    this.reported = new WeakSet();
+    this.contracts = options.contracts || null;
+    this.quantum = options.quantum || null;
+    this.onProphesy = options.onProphesy || null;
+    // Where host code such as the quantum simulator writes its progress (default: console.log)
+    this.log = options.log || null;
+    // The least severe prophecies printed without an onProphesy callback
+    this.level = options.level ? checkLevel(options.level) : DEFAULT_LEVEL;
+    // Under a debugger, `debugger.pause(node, env)` is awaited before every statement and loop iteration
+    this.debugger = options.debugger || null;
+    // Imported modules by absolute path, with their sources by display name for diagnostics
+    this.modules = new Map();
+    this.moduleSources = new Map();
+    this.importing = [];
+    this.importDir = null;
+    this.modulePaths = options.modulePaths || defaultModulePaths();
+    // Builtins whose results come from outside the interpreter; replays return their recorded results
+    this.externals = new Set(['contract_call']);
+    this.untraced = new Set(UNTRACED_BUILTINS);
+
+    // A replay takes its seed from the trace; a recording without a seed picks one
+    let seed = options.seed;
+    this.trace = null;
+    if (options.replay) {
+      this.trace = Trace.replay(options.replay);
+      seed = this.trace.seed;
+    } else if (options.record) {
+      if (seed === undefined || seed === null) seed = randomSeed();
+      this.trace = Trace.record(options.record, seed);
+    }
+    this.seed = seed === undefined ? null : seed;
+    this.random = this.seed !== null ? createRandom(this.seed) : Math.random;
+    this.now = this.seed !== null ? createClock() : Date.now;
+    this.contractOptions = {
+      network: options.network,
+      rpcUrl: options.rpcUrl,
+      signer: options.signer,
+      deployment: options.deployment,
+      onCall: options.onContractCall
     };
+    this.builtins = createBuiltins(this);
+
+    for (const [name, members] of Object.entries(createStdlib(this))) {
+      this.library.declareConstant(name, this.createModule(name, members));
+    }
+  }
+
+  // The call stack of the running branch: the main one, or a `concord` branch's own
+  get callStack() {
+    const branch = branches.getStore();
+    return branch && branch.interpreter === this ? branch.callStack : this.mainCallStack;
+  }
+
+  // Embedding API
+
+  /**
+   * Exposes a host function to scripts as a builtin. `options.params` declares parameter
+   * types, e.g. `{ symbol: 'string', amount: 'number?', 'rest...': 'any' }`, checked on every
+   * call; `options.external` marks results that come from outside (replayed from a trace),
+   * and `options.pure` marks functions whose calls need not be traced at all.
+   */
+  registerFunction(name, fn, options = {}) {
+    checkName(name, 'function');
+    this.builtins[name] = hostFunction(name, fn, options);
+    this.classify(name, options);
+    return this;
   }
 
-  parse(code) {
-    const lines = code.split('\n').map(line => line.trim()).filter(line => line && !line.startsWith('//'));
-    let i = 0;
-
-    while (i < lines.length) {
-      const line = lines[i];
-
-      if (line.startsWith('god ')) {
-        i = this.parseFunction(lines, i);
-      } else if (line.startsWith('bless ')) {
-        this.parseAssignment(line);
-        i++;
-      } else if (line.startsWith('scry ')) {
-        this.parseScry(line);
-        i++;
-      } else if (line.startsWith('divine ')) {
-        i = this.parseDivine(lines, i);
-      } else if (line.startsWith('prophesy ')) {
-        this.parseProphesy(line);
-        i++;
-      } else if (line.startsWith('eternal ')) {
-        i = this.parseEternal(lines, i);
+  /**
+   * Exposes a read-only namespace of host functions and constants, called as `name.member()`.
+   * Each member is a function, `{ fn, params, external, pure }`, or a plain value.
+   */
+  registerModule(name, members, options = {}) {
+    this.globals.declareConstant(name, this.createModule(name, members, options));
+    return this;
+  }
+
+  createModule(name, members, options = {}) {
+    checkName(name, 'module');
+    const module = {};
+    for (const [member, definition] of Object.entries(members)) {
+      checkName(member, 'module member');
+      const qualified = `${name}.${member}`;
+      if (typeof definition === 'function') {
+        module[member] = hostFunction(qualified, definition, {});
+        this.classify(qualified, options);
+      } else if (definition && typeof definition.fn === 'function') {
+        module[member] = hostFunction(qualified, definition.fn, definition);
+        this.classify(qualified, { external: definition.external || options.external, pure: definition.pure || options.pure });
       } else {
-        i++;
+        module[member] = definition;
       }
     }
+    return Object.freeze(module);
   }
 
-  parseFunction(lines, start) {
-    const funcMatch = lines[start].match(/god (\w+)\((.*?)\)/);
-    if (!funcMatch) return start + 1;
+  // Records how a host function's calls are traced
+  classify(name, { external, pure }) {
+    if (external) this.externals.add(name);
+    if (pure) this.untraced.add(name);
+  }
 
-    const funcName = funcMatch[1];
-    const params = funcMatch[2].split(',').map(p => p.trim()).filter(p => p);
+  // Injects a global that scripts can read but not assign or redeclare
+  defineGlobal(name, value) {
+    checkName(name, 'global');
+    this.globals.declareConstant(name, typeof value === 'function' ? hostFunction(name, value) : value);
+    return this;
+  }
 
-    let i = start + 1;
-    let body = [];
-    let braceCount = 0;
+  // The contract runtime is created on first use so that scripts which never touch a
+  // contract do not pay for loading Hardhat
+  getContracts() {
+    if (!this.contracts) this.contracts = new ContractRuntime(this.contractOptions);
+    return this.contracts;
+  }
 
-    while (i < lines.length) {
-      const line = lines[i];
-      if (line.includes('{')) braceCount++;
-      if (line.includes('}')) {
-        braceCount--;
-        if (braceCount === 0) break;
-      }
-      body.push(line);
-      i++;
-    }
+  getQuantum() {
+    if (!this.quantum) this.quantum = new QuantumSession({ random: this.random, now: this.now, log: this.log });
+    return this.quantum;
+  }
 
-    this.functions[funcName] = { params, body: body.slice(0, -1) };
-    return i + 1;
+  parse(code, options) {
+    return parse(code, options);
   }
 
-  parseAssignment(line) {
-    const match = line.match(/bless (\w+) = (.+)/);
-    if (match) {
-      const varName = match[1];
-      const value = this.evaluateExpression(match[2]);
-      this.variables[varName] = value;
+  // Diagnostics
+
+  // Builds a ScryineError located at `node`, carrying the current SCRYINE call stack
+  error(message, node, kind = 'runtime', cause) {
+    const loc = node && node.loc;
+    const stack = this.callStack.slice().reverse().map(frame => ({
+      name: frame.name,
+      loc: frame.callSite.loc,
+      file: frame.callSite.loc.file || this.file
+    }));
+    const origin = this.sourceOf(loc);
+    return new ScryineError(message, { kind, loc, file: origin.file, source: origin.source, stack, cause });
+  }
+
+  // The file and text a location points into: an imported module, or the script being run
+  sourceOf(loc) {
+    if (loc && loc.file && this.moduleSources.has(loc.file)) {
+      return { file: loc.file, source: this.moduleSources.get(loc.file) };
     }
+    return { file: this.file, source: null };
+  }
+
+  // Reports a recoverable problem: a warning by default, a hard failure in strict mode
+  report(kind, message, node) {
+    if (this.strict) throw this.error(message, node, kind);
+    if (this.reported.has(node)) return;
+    this.reported.add(node);
+
+    const origin = this.sourceOf(node.loc);
+    const diagnostic = new Diagnostic('warning', kind, message, node.loc, origin.file);
+    this.diagnostics.push(diagnostic);
+    console.error(diagnostic.format(origin.source !== null ? origin.source : this.source));
+  }
+
+  // Builds the error raised by `smite value`
+  smite(value, node) {
+    const { message, kind, reason } = operations.smitten(value);
+    const err = this.error(message, node, kind);
+    err.value = value;
+    if (reason !== undefined) err.reason = reason;
+    return err;
+  }
+
+  // Limits
+
+  // Each run or REPL input starts with a fresh budget
+  resetBudget() {
+    this.steps = 0;
+    this.deadline = Date.now() + this.limits.time;
+    this.heapBase = Number.isFinite(this.limits.memory) ? v8.getHeapStatistics().used_heap_size : 0;
   }
 
-  parseScry(line) {
-    const match = line.match(/scry (\w+) = (.+)/);
-    if (match) {
-      const varName = match[1];
-      const value = this.evaluateExpression(match[2]);
-      this.variables[varName] = value;
+  // Called before every statement and loop iteration; stops the script at `node` once a limit is hit
+  tick(node) {
+    const { steps, time, memory } = this.limits;
+    if (++this.steps > steps) {
+      throw this.limitError('steps', `Step limit of ${steps} exceeded`, node);
+    }
+    if (Number.isFinite(time) && Date.now() > this.deadline) {
+      throw this.limitError('time', `Time limit of ${time} ms exceeded`, node);
+    }
+    if (Number.isFinite(memory) && v8.getHeapStatistics().used_heap_size - this.heapBase > memory * 1024 * 1024) {
+      throw this.limitError('memory', `Memory limit of ${memory} MB exceeded`, node);
     }
   }
 
-  parseDivine(lines, start) {
-    const conditionMatch = lines[start].match(/divine (.+) \{/);
-    if (!conditionMatch) return start + 1;
+  limitError(limit, message, node) {
+    const { loc, file, source, scryineStack } = this.error(message, node);
+    return new ScryineLimitError(message, limit, { loc, file, source, stack: scryineStack });
+  }
+
+  suggest(name, candidates) {
+    const match = closestName(name, candidates);
+    return match ? ` (did you mean "${match}"?)` : '';
+  }
+
+  visibleNames(env) {
+    const names = new Set(Object.keys(this.functions).concat(Object.keys(this.builtins)));
+    for (let scope = env; scope; scope = scope.parent) {
+      Object.keys(scope.values).forEach(name => names.add(name));
+    }
+    return [...names];
+  }
 
-    const condition = this.evaluateExpression(conditionMatch[1]);
+  async executeBlock(statements, env) {
+    for (const statement of statements) {
+      await this.executeStatement(statement, env);
+    }
+  }
 
-    let i = start + 1;
-    let body = [];
-    let braceCount = 0;
+  // Runs the top level of a parsed file or REPL input on the configured engine
+  async executeProgram(program, env) {
+    if (this.vm) await this.vm.run(compileProgram(program), env);
+    else await this.executeBlock(program.body, env);
+  }
 
-    while (i < lines.length) {
-      const line = lines[i];
-      if (line.includes('{')) braceCount++;
-      if (line.includes('}')) {
-        braceCount--;
-        if (braceCount === 0) break;
+  async executeStatement(node, env) {
+    this.tick(node);
+    if (this.debugger) await this.debugger.pause(node, env);
+    switch (node.type) {
+      case 'FunctionDeclaration':
+        this.declareFunction(node, env);
+        break;
+      case 'CovenantStatement':
+        this.declareCovenant(node, env);
+        break;
+      case 'VariableDeclaration':
+        this.declareVariable(node, await this.evaluateExpression(node.init, env), env);
+        break;
+      case 'AssignmentStatement':
+        this.assignVariable(node, await this.evaluateExpression(node.value, env), env);
+        break;
+      case 'DivineStatement':
+        if (await this.evaluateExpression(node.test, env)) {
+          await this.executeBlock(node.consequent.body, env);
+        }
+        break;
+      case 'EternalStatement':
+        while (await this.evaluateExpression(node.test, env)) {
+          this.tick(node);
+          if (this.debugger) await this.debugger.pause(node, env);
+          await this.executeBlock(node.body.body, env);
+        }
+        break;
+      case 'EachStatement':
+        for (const item of this.items(await this.evaluateExpression(node.iterable, env), node)) {
+          this.tick(node);
+          env.declare(node.variable, item);
+          if (this.debugger) await this.debugger.pause(node, env);
+          await this.executeBlock(node.body.body, env);
+        }
+        break;
+      case 'ProphesyStatement':
+        await this.prophesy(await this.evaluateExpression(node.argument, env), node);
+        break;
+      case 'QuantumBlock':
+        await this.executeBlock(node.body.body, env);
+        break;
+      case 'ConcordBlock':
+        await this.concord(node.body.body.map(statement => () => this.executeStatement(statement, env)));
+        break;
+      case 'ImportDeclaration':
+        await this.executeImport(node, env);
+        break;
+      case 'WitnessStatement': {
+        const filters = [];
+        for (const param of node.params) {
+          if (param.filter) filters.push(await this.evaluateExpression(param.filter, env));
+        }
+        await this.witness(node, filters, env);
+        break;
       }
-      body.push(line);
-      i++;
+      case 'TryStatement':
+        try {
+          await this.executeBlock(node.block.body, env);
+        } catch (err) {
+          this.repent(err, node, env);
+          await this.executeBlock(node.handler.body, env);
+        }
+        break;
+      case 'SmiteStatement':
+        throw this.smite(await this.evaluateExpression(node.argument, env), node);
+      case 'ReturnStatement':
+        throw new ReturnSignal(node.argument ? await this.evaluateExpression(node.argument, env) : null);
+      case 'ExpressionStatement':
+        await this.evaluateExpression(node.expression, env);
+        break;
+      default:
+        throw new Error(`Unknown statement type: ${node.type}`);
     }
+  }
+
+  // Statements, as both engines run them
+
+  declareFunction(node, env) {
+    const func = new ScryineFunction(node, env);
+    // Top-level functions are global; nested ones are local to their enclosing function
+    if (env === this.globals) this.functions[node.name] = func;
+    else env.declare(node.name, func);
+  }
+
+  // Running a file only collects its covenants; those of imported modules are left out
+  declareCovenant(node, env) {
+    if (node.loc.file) return;
+    const func = new ScryineFunction({ name: `covenant "${node.name}"`, params: [], body: node.body }, env);
+    this.covenants.push({ name: node.name, node, func });
+  }
 
-    if (condition) {
-      this.parse(body.join('\n'));
+  declareVariable(node, value, env) {
+    // Functions may shadow a read-only global; the top level of a script may only shadow
+    // the standard library
+    if (this.callStack.length === 0 && isConstant(env, node.name) && env.resolve(node.name) !== this.library) {
+      throw this.error(`Cannot redeclare read-only global "${node.name}"`, node, 'reference');
     }
+    env.declare(node.name, value);
+  }
 
-    return i + 1;
+  assignVariable(node, value, env) {
+    if (isConstant(env, node.name)) throw this.error(`Cannot assign to read-only global "${node.name}"`, node, 'reference');
+    if (!env.assign(node.name, value)) {
+      throw this.error(`Cannot assign to undeclared variable "${node.name}" (use bless or scry to declare it)`, node, 'reference');
+    }
+  }
+
+  // The items an `each` loop visits; maps are iterated by key
+  items(iterable, node) {
+    return operations.items(iterable, message => this.error(message, node.iterable));
+  }
+
+  async prophesy(value, node) {
+    const prophecy = prophecyOf(node.channel, node.level);
+    if (this.onProphesy) await this.onProphesy(formatValue(value), value, prophecy);
+    else printProphecy(formatValue(value), prophecy, this.level);
+  }
+
+  // Starts every branch of a concord block at once, waits for all of them, then reports
+  // the first failure. Each branch gets its own copy of the call stack.
+  async concord(runs) {
+    const callStack = this.callStack;
+    const results = await Promise.allSettled(runs.map(run =>
+      branches.run({ interpreter: this, callStack: callStack.slice() }, run)
+    ));
+    const failed = results.find(result => result.status === 'rejected');
+    if (failed) throw failed.reason;
+  }
+
+  // Subscribes a `witness` block to its event; `filters` are the values of its filtered
+  // parameters, in order. The script carries on; events are handled as they arrive.
+  async witness(node, filters, env) {
+    const what = `witness ${node.contract}.${node.event}`;
+    const handler = new ScryineFunction({ name: what, params: node.params, body: node.body }, env);
+    const filtered = node.params.filter(param => param.filter);
+    const values = Object.fromEntries(filtered.map((param, i) => [param.name, filters[i]]));
+    let unsubscribe;
+    try {
+      unsubscribe = await this.getContracts().witness(node.contract, node.event, handler.params, values, args => {
+        this.witnessed(handler, handler.params.map(param => args[param]), node);
+      }, err => {
+        // An event that cannot be decoded or a subscription that keeps failing to poll is
+        // reported like a failing handler, in turn with the events around it
+        const failure = this.error(`${what}: ${err.message}`, node, 'runtime', err);
+        this.witnessQueue = this.witnessQueue.then(() => this.witnessFailed(failure));
+      });
+    } catch (err) {
+      if (err instanceof ScryineError) throw err;
+      throw this.error(`${what}: ${err.message}`, node, 'runtime', err);
+    }
+    this.witnesses.add(unsubscribe);
+    if (!this.witnessesClosed) this.witnessesClosed = new Promise(resolve => { this.endWitnessing = resolve; });
+  }
+
+  // Events are handled one at a time, in the order they arrive, each on a call stack of its
+  // own. A failing handler is reported and the subscription stays open.
+  witnessed(handler, args, node) {
+    this.witnessQueue = this.witnessQueue
+      .then(() => branches.run({ interpreter: this, callStack: [] }, () => this.callFunction(handler, args, node)))
+      .catch(err => this.witnessFailed(err));
   }
 
-  parseProphesy(line) {
-    const match = line.match(/prophesy (.+)/);
-    if (match) {
-      const value = this.evaluateExpression(match[1]);
-      console.log('SCRYINE Output:', value);
+  witnessFailed(err) {
+    this.witnessFailures++;
+    if (err instanceof ScryineError) {
+      if (!err.file) err.file = this.file;
+      console.error(err.format(this.source));
+    } else {
+      console.error('SCRYINE Error:', err.message);
     }
   }
 
-  parseEternal(lines, start) {
-    const loopMatch = lines[start].match(/eternal (.+) \{/);
-    if (!loopMatch) return start + 1;
+  /**
+   * Stops every open `witness` subscription, then waits for the events already received to be
+   * handled. Scripts that witness events keep running until this is called.
+   */
+  async closeWitnesses() {
+    const open = [...this.witnesses];
+    this.witnesses.clear();
+    await Promise.all(open.map(unsubscribe => unsubscribe()));
+    await this.witnessQueue;
+    if (this.endWitnessing) this.endWitnessing();
+    this.witnessesClosed = null;
+    this.endWitnessing = null;
+  }
+
+  // Resolves once closeWitnesses has run, or at once if nothing is being witnessed
+  async waitForWitnesses() {
+    if (this.witnesses.size) await this.witnessesClosed;
+  }
 
-    const condition = loopMatch[1];
+  async executeImport(node, env) {
+    const namespace = await this.importModule(node);
+    if (node.specifiers) {
+      for (const { imported, local } of node.specifiers) {
+        if (!Object.prototype.hasOwnProperty.call(namespace, imported)) {
+          const hint = this.suggest(imported, Object.keys(namespace));
+          throw this.error(`Module "${node.source}" has no export "${imported}"${hint}`, node, 'reference');
+        }
+        env.declare(local, namespace[imported]);
+      }
+    } else {
+      const name = node.alias || namespaceName(node.source);
+      if (!name) throw this.error(`Cannot name a namespace after "${node.source}"; use import "${node.source}" as name`, node);
+      env.declare(name, namespace);
+    }
+  }
 
-    let i = start + 1;
-    let body = [];
-    let braceCount = 0;
+  // Binds the error caught by a try statement to its repent parameter. Limits stop the script
+  // wherever they are hit, and anything but a SCRYINE error is thrown on.
+  repent(err, node, env) {
+    if (!(err instanceof ScryineError) || err instanceof ScryineLimitError) throw err;
+    if (node.param) env.declare(node.param, operations.errorValue(err));
+  }
 
-    while (i < lines.length) {
-      const line = lines[i];
-      if (line.includes('{')) braceCount++;
-      if (line.includes('}')) {
-        braceCount--;
-        if (braceCount === 0) break;
+  async evaluateExpression(node, env = this.globals) {
+    if (typeof node === 'string') node = parseExpression(node);
+
+    switch (node.type) {
+      case 'Literal':
+        return node.value;
+      case 'Identifier':
+        return this.lookup(node, env);
+      case 'UnaryExpression': {
+        const value = await this.evaluateExpression(node.argument, env);
+        return node.operator === '!' ? !value : -value;
+      }
+      case 'LogicalExpression': {
+        const left = await this.evaluateExpression(node.left, env);
+        if (node.operator === '&&') return left && await this.evaluateExpression(node.right, env);
+        return left || await this.evaluateExpression(node.right, env);
       }
-      body.push(line);
-      i++;
+      case 'BinaryExpression':
+        return operations.binary(node.operator, await this.evaluateExpression(node.left, env), await this.evaluateExpression(node.right, env));
+      case 'CallExpression':
+        return this.evaluateCall(node, env);
+      case 'MemberExpression':
+        return this.evaluateMember(await this.evaluateExpression(node.object, env), node);
+      case 'IndexExpression':
+        return this.evaluateIndex(await this.evaluateExpression(node.object, env), await this.evaluateExpression(node.index, env), node);
+      case 'ListExpression':
+        return this.evaluateArguments(node.elements, env);
+      case 'MapExpression': {
+        const entries = [];
+        for (const entry of node.entries) {
+          entries.push([entry.key, await this.evaluateExpression(entry.value, env)]);
+        }
+        return Object.fromEntries(entries);
+      }
+      case 'TokenExpression':
+        return this.token(node, await this.evaluateArguments(node.arguments, env));
+      case 'OracleExpression':
+        return this.oracle(node, await this.evaluateExpression(node.requestId, env));
+      default:
+        throw new Error(`Unknown expression type: ${node.type}`);
     }
+  }
 
-    while (this.evaluateExpression(condition)) {
-      this.parse(body.join('\n'));
+  async evaluateArguments(nodes, env) {
+    const args = [];
+    for (const arg of nodes) {
+      args.push(await this.evaluateExpression(arg, env));
     }
+    return args;
+  }
 
-    return i + 1;
+  lookup(node, env) {
+    const binding = env.lookup(node.name);
+    if (binding.found) return binding.value;
+    // Functions are values too, e.g. `map(addresses, predict)`
+    if (this.functions[node.name]) return this.functions[node.name];
+    if (this.builtins[node.name]) return this.builtins[node.name];
+    this.report('reference', `Unknown identifier "${node.name}"${this.suggest(node.name, this.visibleNames(env))}`, node);
+    return node.name; // Legacy fallback: unknown names evaluate to themselves
   }
 
-  evaluateExpression(expr) {
-    expr = expr.trim();
+  token(node, args) {
+    return this.hostCall(`token ${node.contract}.${node.operation}`, node, args, () => this.getContracts().token(node.contract, node.operation, args));
+  }
+
+  oracle(node, requestId) {
+    return this.hostCall(`oracle ${node.verifier}`, node, [requestId], () => this.getContracts().oracle(node.verifier, requestId));
+  }
+
+  // Runs host code for a construct, turning JS exceptions into located SCRYINE errors.
+  // Calls go through the trace when recording or replaying.
+  async hostCall(what, node, args, fn) {
+    try {
+      if (!this.trace || this.untraced.has(what)) return await fn();
+      const external = this.externals.has(what) || node.type === 'TokenExpression' || node.type === 'OracleExpression';
+      return await this.trace.call(what, args, external, fn);
+    } catch (err) {
+      if (err instanceof ScryineError) throw err;
+      if (err instanceof AssertionFailure) throw this.error(err.message, node, 'assertion', err);
+      throw this.error(`${what}: ${err.message}`, node, 'runtime', err);
+    }
+  }
 
-    // String literals
-    if (expr.startsWith('"') && expr.endsWith('"')) {
-      return expr.slice(1, -1);
+  async evaluateCall(node, env) {
+    if (node.callee.type === 'MemberExpression') {
+      // module.member(args)
+      const func = this.evaluateMember(await this.evaluateExpression(node.callee.object, env), node.callee);
+      return this.callValue(func, await this.evaluateArguments(node.arguments, env), node);
     }
+    return this.callNamed(node, await this.evaluateArguments(node.arguments, env), env);
+  }
 
-    // Numbers
-    if (!isNaN(expr)) {
-      return parseFloat(expr);
+  // Calls `name(args)`: a quantum operation, a local function, a builtin or a god function
+  async callNamed(node, args, env) {
+    const funcName = node.callee.name;
+    if (node.quantum && QUANTUM_OPERATIONS.includes(funcName)) {
+      return this.hostCall(funcName, node, args, () => this.getQuantum().call(funcName, args));
     }
 
-    // Booleans
-    if (expr === 'true') return true;
-    if (expr === 'false') return false;
+    const local = env.lookup(funcName);
+    if (local.found && isFunction(local.value)) {
+      return this.callValue(local.value, args, node);
+    }
+
+    if (this.builtins[funcName]) {
+      return this.callValue(this.builtins[funcName], args, node);
+    }
+
+    if (this.functions[funcName]) {
+      this.checkArity(this.functions[funcName], args, node);
+      return this.callFunction(this.functions[funcName], args, node);
+    }
+
+    if (QUANTUM_OPERATIONS.includes(funcName)) {
+      this.report('reference', `"${funcName}" is a quantum operation and can only be called inside a quantum block`, node.callee);
+    } else {
+      this.report('reference', `Call to undefined function "${funcName}"${this.suggest(funcName, this.visibleNames(env))}`, node.callee);
+    }
+    // Legacy fallback: unknown calls evaluate to their source text
+    const origin = this.sourceOf(node.loc);
+    return (origin.source !== null ? origin.source : this.source).slice(node.loc.start.offset, node.loc.end.offset);
+  }
+
+  evaluateMember(object, node) {
+    return operations.member(object, node.property, (message, kind) => this.error(message, node, kind));
+  }
+
+  evaluateIndex(object, index, node) {
+    return operations.index(object, index, (message, part, kind) => this.error(message, part === 'index' ? node.index : node, kind));
+  }
+
+  // Calls a function value: a `god` function or a builtin
+  async callValue(func, args, callSite) {
+    if (func instanceof ScryineFunction) {
+      this.checkArity(func, args, callSite);
+      return this.callFunction(func, args, callSite);
+    }
+    if (isFunction(func)) {
+      // Higher-order builtins such as map report callback frames against this call
+      this.callSite = callSite;
+      return this.hostCall(func.name, callSite, args, () => func(...args));
+    }
+    throw this.error(`${formatValue(func, true)} is not a function`, callSite);
+  }
+
+  checkArity(func, args, node) {
+    if (args.length !== func.params.length) {
+      const expected = `${func.params.length} argument${func.params.length === 1 ? '' : 's'}`;
+      this.report('arity', `Function "${func.name}" expects ${expected} (${func.params.join(', ')}) but was called with ${args.length}`, node);
+    }
+  }
 
-    // Variables
-    if (this.variables[expr]) {
-      return this.variables[expr];
+  async callFunction(func, args, callSite, env = new Environment(func.closure)) {
+    if (this.callStack.length >= this.limits.callDepth) {
+      throw this.limitError('callDepth', `Call depth limit of ${this.limits.callDepth} exceeded in "${func.name}"`, callSite);
+    }
+    func.params.forEach((param, i) => env.declare(param, args[i]));
+
+    this.callStack.push({ name: func.name, env, callSite });
+    try {
+      if (this.vm) return await this.vm.run(compileFunction(func), env);
+      await this.executeBlock(func.body.body, env);
+      return null;
+    } catch (signal) {
+      if (signal instanceof ReturnSignal) return signal.value;
+      throw signal;
+    } finally {
+      this.callStack.pop();
     }
+  }
 
-    // Function calls
-    const funcMatch = expr.match(/(\w+)\((.*?)\)/);
-    if (funcMatch) {
-      const funcName = funcMatch[1];
-      const args = funcMatch[2].split(',').map(arg => this.evaluateExpression(arg.trim()));
+  // Modules
+
+  // Runs an imported file once and returns its namespace: a read-only map of the
+  // functions and variables declared at its top level, other than main
+  async importModule(node) {
+    const file = this.resolveModule(node);
+    const cached = this.modules.get(file);
+    if (cached && cached.namespace) return cached.namespace;
+    if (cached) {
+      const cycle = this.importing.slice(this.importing.indexOf(file)).concat(file).map(displayPath);
+      throw this.error(`Import cycle: ${cycle.join(' -> ')}`, node);
+    }
 
-      if (this.builtins[funcName]) {
-        return this.builtins[funcName](...args);
+    const name = displayPath(file);
+    this.modules.set(file, { namespace: null });
+    this.importing.push(file);
+    try {
+      let source;
+      try {
+        source = await fs.promises.readFile(file, 'utf8');
+      } catch (err) {
+        throw this.error(`Cannot read module "${node.source}": ${err.message}`, node, 'runtime', err);
       }
+      this.moduleSources.set(name, source);
+
+      let program;
+      try {
+        program = this.parse(source, { file: name });
+      } catch (err) {
+        if (err instanceof ScryineError) Object.assign(err, { file: name, source });
+        throw err;
+      }
+      const env = new Environment(this.globals);
+      await this.executeProgram(program, env);
+
+      const exports = Object.fromEntries(Object.entries(env.values).filter(([key]) => key !== 'main'));
+      const namespace = Object.freeze(exports);
+      this.modules.get(file).namespace = namespace;
+      return namespace;
+    } catch (err) {
+      this.modules.delete(file);
+      throw err;
+    } finally {
+      this.importing.pop();
+    }
+  }
 
-      if (this.functions[funcName]) {
-        // Simple function execution (no scope handling for simplicity)
-        const func = this.functions[funcName];
-        for (let i = 0; i < func.params.length; i++) {
-          this.variables[func.params[i]] = args[i];
+  // The file an import names, relative to the file the import is written in
+  resolveModule(node) {
+    let dir;
+    if (node.loc.file) dir = path.dirname(path.resolve(node.loc.file));
+    else if (this.importDir) dir = this.importDir;
+    else dir = this.file ? path.dirname(path.resolve(this.file)) : process.cwd();
+    const { file, searched } = resolveModule(node.source, dir, this.modulePaths);
+    if (file) return file;
+    throw this.error(`Cannot find module "${node.source}" (looked in ${searched.map(displayPath).join(', ')})`, node, 'reference');
+  }
+
+  // Runs a snippet in the global scope, keeping all state from earlier snippets, without
+  // invoking main. Returns the value of a trailing expression statement (used by the REPL).
+  // `options.dir` is where the snippet's imports are resolved from, e.g. a loaded file's folder.
+  async evaluate(code, options = {}) {
+    const origin = { offset: this.source.length, line: this.source.split('\n').length };
+    this.source += code + '\n';
+    this.resetBudget();
+
+    let result;
+    this.importDir = options.dir || null;
+    try {
+      for (const statement of this.parse(code, { origin }).body) {
+        if (statement.type === 'ExpressionStatement') {
+          result = await this.evaluateExpression(statement.expression, this.globals);
+        } else {
+          await this.executeStatement(statement, this.globals);
+          result = undefined;
         }
-        this.parse(func.body.join('\n'));
-        return this.variables.returnValue || null;
       }
+    } catch (err) {
+      if (err instanceof ScryineError && !err.file) err.file = this.file;
+      throw err;
+    } finally {
+      this.importDir = null;
     }
+    return result;
+  }
 
-    // Arithmetic and comparisons
-    const operators = ['>', '<', '>=', '<=', '==', '!=', '\\+', '-', '\\*', '/'];
-    for (const op of operators) {
-      const regex = new RegExp(`(.+) ${op} (.+)`);
-      const match = expr.match(regex);
-      if (match) {
-        const left = this.evaluateExpression(match[1]);
-        const right = this.evaluateExpression(match[2]);
-        switch (op) {
-          case '>': return left > right;
-          case '<': return left < right;
-          case '>=': return left >= right;
-          case '<=': return left <= right;
-          case '==': return left == right;
-          case '!=': return left != right;
-          case '+': return left + right;
-          case '-': return left - right;
-          case '*': return left * right;
-          case '/': return right !== 0 ? left / right : 0;
-        }
+  // Runs the top level of a program, then its `god main()` entry point if it declares one.
+  // Returns whatever main returned.
+  async run(code, args = []) {
+    return this.execute(code, this.globals, args);
+  }
+
+  /**
+   * Runs a program in a scope of its own, for embedding: `context` entries become read-only
+   * globals for this run only, and the program's variables and functions are dropped afterwards.
+   * Registered host functions and globals stay shared between runs. Runs must not overlap.
+   * @param {string} code
+   * @param {object} [options]
+   * @param {object} [options.context] Names and values visible to this run
+   * @param {Array} [options.args] Arguments passed to main
+   * @param {string} [options.file] File name used in diagnostics
+   * @param {Function} [options.onProphesy] Output callback for this run, `(text, value, { channel, level })`
+   */
+  async runSource(code, options = {}) {
+    const env = new Environment(this.globals);
+    for (const [name, value] of Object.entries(options.context || {})) {
+      checkName(name, 'context');
+      env.declareConstant(name, typeof value === 'function' ? hostFunction(name, value) : value);
+    }
+
+    const saved = { file: this.file, onProphesy: this.onProphesy };
+    if (options.file !== undefined) this.file = options.file;
+    if (options.onProphesy) this.onProphesy = options.onProphesy;
+    try {
+      return await this.execute(code, env, options.args || []);
+    } finally {
+      this.file = saved.file;
+      this.onProphesy = saved.onProphesy;
+    }
+  }
+
+  /**
+   * Checks a program without running it (see checker.cjs), knowing the host functions,
+   * modules and globals registered on this interpreter. Returns the diagnostics and the
+   * text of every file they point into.
+   * @param {string} code
+   * @param {object} [options]
+   * @param {string} [options.file] File name used in diagnostics and to resolve imports
+   */
+  check(code, options = {}) {
+    const { checkSource, describe, signature } = require('./checker.cjs');
+    const builtins = new Map();
+    for (const [name, fn] of Object.entries(this.builtins)) {
+      builtins.set(name, fn.signature ? { name, ...fn.signature } : signature(name, BUILTIN_SIGNATURES[name]));
+    }
+    const globals = new Map();
+    for (const env of [this.library, this.globals]) {
+      for (const [name, value] of Object.entries(env.values)) {
+        globals.set(name, { ...describe(value), readOnly: env.isConstant(name) });
       }
     }
+    return checkSource(code, { file: options.file, builtins, globals, contracts: this.getContracts(), modulePaths: this.modulePaths });
+  }
 
-    // Handle negated conditions
-    if (expr.startsWith('!')) {
-      return !this.evaluateExpression(expr.slice(1));
+  /**
+   * Runs the top level of a test file without invoking main and returns its `covenant`
+   * blocks, in the order they were declared; `runCovenant` then runs one of them.
+   * @param {string} code
+   * @returns {Promise<Array<{name: string, node: object}>>}
+   */
+  async loadCovenants(code) {
+    this.covenants = [];
+    await this.execute(code, this.globals, [], { main: false });
+    return this.covenants;
+  }
+
+  /**
+   * Runs one covenant returned by `loadCovenants`, with a fresh execution budget. A covenant
+   * passes when it finishes; a failed assertion or any other error is thrown.
+   */
+  async runCovenant(covenant) {
+    this.resetBudget();
+    try {
+      await this.callFunction(covenant.func, [], covenant.node);
+    } catch (err) {
+      if (err instanceof ScryineError && !err.file) err.file = this.file;
+      throw err;
     }
+  }
 
-    return expr; // Fallback
+  async execute(code, env, args, options = {}) {
+    this.source = code;
+    this.resetBudget();
+    try {
+      const program = this.parse(code);
+      await this.executeProgram(program, env);
+
+      const main = options.main !== false && program.body.find(node => node.type === 'FunctionDeclaration' && node.name === 'main');
+      const entry = env === this.globals ? this.functions.main : env.lookup('main').value;
+      this.finalScope = main ? new Environment(entry.closure) : env;
+      const result = main ? await this.callFunction(entry, args.map(operations.toScryineArg), main, this.finalScope) : null;
+      if (this.trace) {
+        try {
+          this.trace.finish();
+        } catch (err) {
+          throw this.error(err.message, null, 'runtime', err);
+        }
+      }
+      return result;
+    } catch (err) {
+      if (err instanceof ScryineError && !err.file) err.file = this.file;
+      throw err;
+    } finally {
+      // A recording is saved even when the script fails, to help reproduce the failure
+      if (this.trace && this.trace.mode === 'record') this.trace.save();
+    }
   }
 
-  run(code) {
-    this.parse(code);
+  // Runs a file and returns a process exit code: main's return value, or 1 on an uncaught error.
+  // A script that witnesses events runs until Ctrl+C or SIGTERM, and then shuts down gracefully;
+  // it exits with 1 if any event handler failed. `options.report` is a RunReport (see
+  // output.cjs) to record the outcome in.
+  async loadAndRun(filePath, args = [], options = {}) {
+    const { report } = options;
+    this.file = filePath;
+    try {
+      const code = await fs.promises.readFile(path.resolve(filePath), 'utf8');
+      const result = await this.run(code, args);
+      let exitCode = ScryineInterpreter.exitCode(result);
+      if (this.witnesses.size) {
+        const stop = () => this.closeWitnesses();
+        process.once('SIGINT', stop);
+        process.once('SIGTERM', stop);
+        console.error(`Witnessing ${this.witnesses.size} event subscription${this.witnesses.size === 1 ? '' : 's'}; press Ctrl+C to stop`);
+        try {
+          await this.waitForWitnesses();
+        } finally {
+          process.off('SIGINT', stop);
+          process.off('SIGTERM', stop);
+        }
+        if (this.witnessFailures) exitCode = 1;
+      }
+      if (report) report.finish({ result, exitCode, variables: this.finalScope.values });
+      return exitCode;
+    } catch (err) {
+      if (err instanceof ScryineError) console.error(err.format(this.source));
+      else console.error('SCRYINE Error:', err.message);
+      if (report) report.finish({ error: err, exitCode: 1, variables: this.finalScope.values });
+      return 1;
+    }
   }
 
-  loadAndRun(filePath) {
-    const fullPath = path.resolve(filePath);
-    const code = fs.readFileSync(fullPath, 'utf8');
-    this.run(code);
+  static exitCode(value) {
+    return operations.exitCode(value);
   }
 }
 
+function isConstant(env, name) {
+  const scope = env.resolve(name);
+  return Boolean(scope && scope.isConstant(name));
+}
+
 module.exports = ScryineInterpreter;
 
-// CLI usage
+// `node interpreter.cjs [options] [file.scry [args...]]` still works; see cli.cjs
 if (require.main === module) {
-  const interpreter = new ScryineInterpreter();
-  const filePath = process.argv[2];
-  if (filePath) {
-    interpreter.loadAndRun(filePath);
-  } else {
-    console.log('Usage: node interpreter.js <scryine_file>');
-  }
+  require('./cli.cjs').main(['run', ...process.argv.slice(2)]);
 }
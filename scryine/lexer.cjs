@@ -0,0 +1,188 @@
+// SCRYINE Lexer
+// Turns source text into a flat list of tokens carrying their source positions. Comments are
+// not tokens; they are kept aside in `comments` for the formatter.
+
+const { ScryineSyntaxError } = require('./diagnostics.cjs');
+
+const KEYWORDS = new Set([
+  'god',
+  'bless',
+  'scry',
+  'divine',
+  'prophesy',
+  'eternal',
+  'return',
+  'each',
+  'in',
+  'oracle',
+  'token',
+  'quantum',
+  'concord',
+  'import',
+  'try',
+  'repent',
+  'smite',
+  'covenant',
+  'witness',
+  'true',
+  'false'
+]);
+
+// Longest operators first so that `>=` wins over `>`
+const OPERATORS = [
+  '&&', '||', '==', '!=', '<=', '>=',
+  '+', '-', '*', '/', '%', '<', '>', '!', '=',
+  '(', ')', '{', '}', '[', ']', ',', '.', ':'
+];
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\' };
+
+class Token {
+  constructor(type, value, start, end) {
+    this.type = type; // 'keyword' | 'identifier' | 'number' | 'string' | 'operator' | 'newline' | 'eof'
+    this.value = value;
+    this.start = start; // { offset, line, column }, 1-based line and column
+    this.end = end;
+  }
+}
+
+class Lexer {
+  // `origin` places the source inside a larger text, e.g. one REPL input within the whole session
+  constructor(source, origin = { offset: 0, line: 1 }) {
+    this.source = source;
+    this.baseOffset = origin.offset;
+    this.offset = 0;
+    this.line = origin.line;
+    this.column = 1;
+    this.tokens = [];
+    this.comments = []; // { type: 'line' | 'block', value, start, end }, value as written
+    this.parenDepth = 0;
+  }
+
+  position() {
+    return { offset: this.baseOffset + this.offset, line: this.line, column: this.column };
+  }
+
+  peek(ahead = 0) {
+    return this.source[this.offset + ahead];
+  }
+
+  advance() {
+    const ch = this.source[this.offset++];
+    if (ch === '\n') {
+      this.line++;
+      this.column = 1;
+    } else {
+      this.column++;
+    }
+    return ch;
+  }
+
+  error(message, pos = this.position()) {
+    const end = { offset: pos.offset + 1, line: pos.line, column: pos.column + 1 };
+    return new ScryineSyntaxError(message, { start: pos, end });
+  }
+
+  push(type, value, start) {
+    this.tokens.push(new Token(type, value, start, this.position()));
+  }
+
+  tokenize() {
+    while (this.offset < this.source.length) {
+      const ch = this.peek();
+      const start = this.position();
+
+      if (ch === '\n') {
+        this.advance();
+        // Newlines terminate statements, except inside parentheses
+        if (this.parenDepth === 0) this.push('newline', '\n', start);
+      } else if (ch === ' ' || ch === '\t' || ch === '\r') {
+        this.advance();
+      } else if (ch === '/' && this.peek(1) === '/') {
+        while (this.offset < this.source.length && this.peek() !== '\n') this.advance();
+        this.comment('line', start);
+      } else if (ch === '/' && this.peek(1) === '*') {
+        this.skipBlockComment(start);
+      } else if (ch === '"') {
+        this.readString(start);
+      } else if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(this.peek(1) || ''))) {
+        this.readNumber(start);
+      } else if (/[A-Za-z_]/.test(ch)) {
+        this.readWord(start);
+      } else {
+        this.readOperator(start);
+      }
+    }
+
+    this.push('eof', null, this.position());
+    return this.tokens;
+  }
+
+  skipBlockComment(start) {
+    this.advance();
+    this.advance();
+    while (!(this.peek() === '*' && this.peek(1) === '/')) {
+      if (this.offset >= this.source.length) throw this.error('Unterminated comment', start);
+      this.advance();
+    }
+    this.advance();
+    this.advance();
+    this.comment('block', start);
+  }
+
+  comment(type, start) {
+    const value = this.source.slice(start.offset - this.baseOffset, this.offset);
+    this.comments.push({ type, value, start, end: this.position() });
+  }
+
+  readString(start) {
+    this.advance();
+    let value = '';
+    while (this.peek() !== '"') {
+      if (this.offset >= this.source.length || this.peek() === '\n') {
+        throw this.error('Unterminated string', start);
+      }
+      const ch = this.advance();
+      if (ch === '\\') {
+        const next = this.advance();
+        value += next in ESCAPES ? ESCAPES[next] : next;
+      } else {
+        value += ch;
+      }
+    }
+    this.advance();
+    this.push('string', value, start);
+  }
+
+  readNumber(start) {
+    let text = '';
+    while (/[0-9]/.test(this.peek() || '')) text += this.advance();
+    if (this.peek() === '.' && /[0-9]/.test(this.peek(1) || '')) {
+      text += this.advance();
+      while (/[0-9]/.test(this.peek() || '')) text += this.advance();
+    }
+    this.push('number', parseFloat(text), start);
+  }
+
+  readWord(start) {
+    let text = '';
+    while (/[A-Za-z0-9_]/.test(this.peek() || '')) text += this.advance();
+    this.push(KEYWORDS.has(text) ? 'keyword' : 'identifier', text, start);
+  }
+
+  readOperator(start) {
+    const op = OPERATORS.find(candidate => this.source.startsWith(candidate, this.offset));
+    if (!op) throw this.error(`Unexpected character '${this.peek()}'`);
+
+    for (let i = 0; i < op.length; i++) this.advance();
+    if (op === '(') this.parenDepth++;
+    if (op === ')' && this.parenDepth > 0) this.parenDepth--;
+    this.push('operator', op, start);
+  }
+}
+
+function tokenize(source, origin) {
+  return new Lexer(source, origin).tokenize();
+}
+
+module.exports = { Lexer, Token, KEYWORDS, tokenize };
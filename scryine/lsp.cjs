@@ -0,0 +1,570 @@
+// SCRYINE Language Server
+// Speaks the Language Server Protocol over stdio for `scryine lsp`, so editors get diagnostics,
+// go-to-definition, hover docs, completion and an outline for .scry files.
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL, fileURLToPath } = require('url');
+const { tokenize, KEYWORDS } = require('./lexer.cjs');
+const { parse } = require('./parser.cjs');
+const { ScryineError } = require('./diagnostics.cjs');
+const { BUILTIN_SIGNATURES } = require('./builtins.cjs');
+const { createStdlib } = require('./stdlib.cjs');
+const { ContractRuntime } = require('./contracts.cjs');
+const { checkSource } = require('./checker.cjs');
+const { resolveModule, namespaceName, defaultModulePaths } = require('./modules.cjs');
+
+const KEYWORD_DOCS = {
+  god: 'Declares a function: `god name(params) { ... }`. A script\'s `god main()` runs after its top level.',
+  bless: 'Declares a variable in the current scope: `bless name = value`.',
+  scry: 'Declares a variable in the current scope, like `bless`: `scry prediction = quantum_predict(x)`.',
+  divine: 'Runs its block when the condition is truthy: `divine x > 5 { ... }`.',
+  prophesy: 'Prints a value: `prophesy "The future is bright"`, or sends it to a channel at a level: `prophesy balance to treasury at warn`.',
+  eternal: 'Runs its block for as long as the condition is truthy: `eternal i < 3 { ... }`.',
+  return: 'Ends a `god` function and hands a value back to the caller.',
+  each: 'Loops over the items of a list or the keys of a map: `each name in names { ... }`.',
+  in: 'Names what an `each` loop walks over.',
+  oracle: 'Asks a verifier contract about a request: `oracle AIVerifier(request_id).verified`.',
+  token: 'Calls a GOD token contract: `token GodToken.balance(holder)`.',
+  quantum: 'Runs a block of quantum operations: `initialize`, `entangle`, `transact` and `state`.',
+  concord: 'Runs the statements of its block concurrently and waits for all of them.',
+  import: 'Uses the functions and variables of another `.scry` file: `import "lib/math"` or `import { add } from "lib/math"`.',
+  try: 'Runs a block; an error raised inside it runs the `repent` block instead of stopping the script.',
+  repent: 'Handles an error from the `try` block before it: `repent err { ... }`, where `err` is a map with `message`, `kind` and `line`.',
+  smite: 'Raises an error: `smite "message"` or `smite {"message": "...", "kind": "..."}`.',
+  witness: 'Handles a contract event as it happens: `witness GodToken.TokensMinted(to, amount) { ... }`; `to == holder` keeps only matching events.',
+  covenant: 'Declares a test that `scryine test` runs after the top level: `covenant "adds up" { expect(add(1, 2), 3) }`.',
+  true: 'The boolean true.',
+  false: 'The boolean false.'
+};
+
+const BUILTIN_DOCS = {
+  quantum_predict: 'A simulated quantum prediction around `value`.',
+  ai_verify: 'A simulated AI verification of `data`; true for data longer than five characters.',
+  contract_call: 'Calls `method` on a deployed contract. View methods return their result; others send a transaction and return its receipt.',
+  initialize_quantum_state: 'Creates the quantum state of an address in the simulator.',
+  get_quantum_state: 'The quantum state of an address, or nothing if it has none.',
+  quantum_simulate_transaction: 'Simulates a quantum-safe transfer and returns its result.',
+  entangle_states: 'Entangles two quantum states.',
+  measure: 'Measures a quantum state, collapsing it.',
+  len: 'The number of items in a list, keys in a map or characters in a string.',
+  keys: 'The keys of a map, as a list.',
+  sum: 'The sum of a list of numbers.',
+  avg: 'The average of a list of numbers, or 0 for an empty list.',
+  map: 'A list of `func(item)` for every item.',
+  filter: 'The items for which `func(item)` is truthy.',
+  assert: 'Fails the running covenant, or raises an assertion error, unless `condition` is truthy.',
+  expect: 'Fails unless `actual` equals `expected`; lists and maps are compared by their contents.'
+};
+
+// LSP SymbolKind and CompletionItemKind values
+const SYMBOL_KIND = { function: 12, variable: 13, each: 13, repent: 13, param: 13, import: 2 };
+const COMPLETION_KIND = { method: 2, function: 3, variable: 6, class: 7, module: 9, keyword: 14, constant: 21 };
+
+// Signature text of a host function, e.g. `math.round(value: number, digits?: number): number`
+function formatSignature(name, declared = {}) {
+  const params = Object.entries(declared.params || {}).map(([param, type]) => {
+    if (param.endsWith('...')) return `${param}: ${type}`;
+    return type.endsWith('?') ? `${param}?: ${type.slice(0, -1)}` : `${param}: ${type}`;
+  });
+  return `${name}(${declared.params ? params.join(', ') : '...'}): ${declared.returns || 'any'}`;
+}
+
+function formatFunction(node) {
+  const params = node.params.map(param => param.typeAnnotation ? `${param.name}: ${param.typeAnnotation.name}` : param.name);
+  return `god ${node.name}(${params.join(', ')})${node.returnType ? `: ${node.returnType.name}` : ''}`;
+}
+
+// Positions: LSP lines and characters count from 0, SCRYINE lines and columns from 1
+function toPosition(point) {
+  return { line: point.line - 1, character: point.column - 1 };
+}
+
+function toRange(loc) {
+  return { start: toPosition(loc.start), end: toPosition(loc.end) };
+}
+
+function offsetAt(text, position) {
+  let offset = 0;
+  for (let line = 0; line < position.line; line++) {
+    const next = text.indexOf('\n', offset);
+    if (next === -1) return text.length;
+    offset = next + 1;
+  }
+  return Math.min(offset + position.character, text.length);
+}
+
+function uriToPath(uri) {
+  return uri.startsWith('file:') ? fileURLToPath(uri) : null;
+}
+
+// The names a function body or the top level declares, outside nested functions, in source order
+function declarationsIn(statements, declarations = []) {
+  for (const node of statements) {
+    switch (node.type) {
+      case 'FunctionDeclaration':
+        declarations.push({ name: node.name, kind: 'function', node });
+        break;
+      case 'VariableDeclaration':
+        declarations.push({ name: node.name, kind: 'variable', node });
+        break;
+      case 'EachStatement':
+        declarations.push({ name: node.variable, kind: 'each', node });
+        declarationsIn(node.body.body, declarations);
+        break;
+      case 'DivineStatement':
+        declarationsIn(node.consequent.body, declarations);
+        break;
+      case 'EternalStatement':
+      case 'QuantumBlock':
+      case 'ConcordBlock':
+        declarationsIn(node.body.body, declarations);
+        break;
+      case 'TryStatement':
+        declarationsIn(node.block.body, declarations);
+        if (node.param) declarations.push({ name: node.param, kind: 'repent', node });
+        declarationsIn(node.handler.body, declarations);
+        break;
+      case 'ImportDeclaration':
+        if (node.specifiers) node.specifiers.forEach(specifier => declarations.push({ name: specifier.local, kind: 'import', node, imported: specifier.imported }));
+        else if (node.alias || namespaceName(node.source)) declarations.push({ name: node.alias || namespaceName(node.source), kind: 'import', node });
+        break;
+    }
+  }
+  return declarations;
+}
+
+// Every god function, covenant or witness block containing `offset`, outermost first
+function functionsAt(statements, offset, chain = []) {
+  for (const node of statements) {
+    if (node.loc.start.offset > offset || node.loc.end.offset < offset) continue;
+    if (node.type === 'FunctionDeclaration' || node.type === 'CovenantStatement' || node.type === 'WitnessStatement') {
+      chain.push(node);
+      functionsAt(node.body.body, offset, chain);
+    } else {
+      for (const block of blocksOf(node)) functionsAt(block, offset, chain);
+    }
+  }
+  return chain;
+}
+
+function blocksOf(node) {
+  switch (node.type) {
+    case 'EternalStatement':
+    case 'EachStatement':
+    case 'QuantumBlock':
+    case 'ConcordBlock': return [node.body.body];
+    case 'DivineStatement': return [node.consequent.body];
+    case 'TryStatement': return [node.block.body, node.handler.body];
+    default: return [];
+  }
+}
+
+// A parsed .scry file: its text, tokens and syntax tree, or the syntax error that stopped it
+class ScryineDocument {
+  constructor(uri, text) {
+    this.uri = uri;
+    this.file = uriToPath(uri);
+    this.text = text;
+    this.error = null;
+    try {
+      this.tokens = tokenize(text);
+      this.program = parse(text);
+    } catch (err) {
+      if (!(err instanceof ScryineError)) throw err;
+      this.error = err;
+      this.tokens = null;
+      this.program = null;
+    }
+  }
+
+  // The identifier or keyword token at `offset`, with the object name when it is `object.member`
+  wordAt(offset) {
+    if (!this.tokens) return null;
+    const index = this.tokens.findIndex(token => token.start.offset <= offset && offset <= token.end.offset &&
+      (token.type === 'identifier' || token.type === 'keyword'));
+    if (index === -1) return null;
+    const token = this.tokens[index];
+    const before = this.tokens[index - 1];
+    const object = before && before.value === '.' && this.tokens[index - 2] && this.tokens[index - 2].type === 'identifier' ? this.tokens[index - 2].value : null;
+    return { token, object };
+  }
+
+  // The range of the first `name` identifier inside a declaration node
+  nameRange(declaration) {
+    const { node, name } = declaration;
+    const { loc } = node;
+    const from = node.type === 'TryStatement' ? node.block.loc.end.offset : loc.start.offset;
+    let match = null;
+    for (const token of this.tokens) {
+      if (token.start.offset >= from && token.end.offset <= loc.end.offset && token.type === 'identifier' && token.value === name) {
+        match = token;
+        // An import's local name is the last one: `import { add as plus }`
+        if (node.type !== 'ImportDeclaration') break;
+      }
+    }
+    return toRange(match ? { start: match.start, end: match.end } : loc);
+  }
+
+  // The declaration `name` refers to at `offset`, innermost scope first
+  resolve(name, offset) {
+    const chain = functionsAt(this.program.body, offset);
+    for (const func of chain.reverse()) {
+      const param = (func.params || []).find(p => p.name === name);
+      if (param) return { name, kind: 'param', node: param };
+      const found = declarationsIn(func.body.body).find(declaration => declaration.name === name);
+      if (found) return found;
+    }
+    return declarationsIn(this.program.body).find(declaration => declaration.name === name) || null;
+  }
+
+  // Names visible at `offset`: the enclosing functions' params and declarations, then the top level
+  visible(offset) {
+    const declarations = [];
+    for (const func of functionsAt(this.program.body, offset).reverse()) {
+      (func.params || []).forEach(param => declarations.push({ name: param.name, kind: 'param', node: param }));
+      declarationsIn(func.body.body, declarations);
+    }
+    return declarationsIn(this.program.body, declarations);
+  }
+}
+
+class ScryineLanguageServer {
+  /**
+   * @param {object} [options]
+   * @param {stream.Readable} [options.input] Where LSP messages arrive (default: stdin)
+   * @param {stream.Writable} [options.output] Where responses go (default: stdout)
+   * @param {ContractRuntime} [options.contracts] Source of deployed contract names and ABIs
+   * @param {string[]} [options.modulePaths] Folders searched for bare import names
+   * @param {Function} [options.onExit] Called with the exit code on the `exit` notification
+   */
+  constructor(options = {}) {
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.contracts = options.contracts || new ContractRuntime();
+    this.modulePaths = options.modulePaths || defaultModulePaths();
+    this.onExit = options.onExit || (code => process.exit(code));
+    this.documents = new Map(); // uri => ScryineDocument
+    this.stdlib = createStdlib({});
+    this.buffer = Buffer.alloc(0);
+    this.shutdown = false;
+  }
+
+  start() {
+    this.input.on('data', chunk => this.receive(chunk));
+    this.input.on('end', () => this.onExit(this.shutdown ? 0 : 1));
+  }
+
+  // Messages are framed by a Content-Length header, counted in bytes
+  receive(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    for (;;) {
+      const headerEnd = this.buffer.indexOf('\r\n\r\n');
+      if (headerEnd === -1) return;
+      const match = /Content-Length: *(\d+)/i.exec(this.buffer.slice(0, headerEnd).toString('ascii'));
+      if (!match) {
+        this.buffer = this.buffer.slice(headerEnd + 4);
+        continue;
+      }
+      const end = headerEnd + 4 + Number(match[1]);
+      if (this.buffer.length < end) return;
+      const body = this.buffer.slice(headerEnd + 4, end).toString('utf8');
+      this.buffer = this.buffer.slice(end);
+      let message;
+      try {
+        message = JSON.parse(body);
+      } catch (err) {
+        this.send({ jsonrpc: '2.0', id: null, error: { code: -32700, message: `Parse error: ${err.message}` } });
+        continue;
+      }
+      this.handle(message);
+    }
+  }
+
+  send(message) {
+    const body = JSON.stringify(message);
+    this.output.write(`Content-Length: ${Buffer.byteLength(body, 'utf8')}\r\n\r\n${body}`);
+  }
+
+  notify(method, params) {
+    this.send({ jsonrpc: '2.0', method, params });
+  }
+
+  handle(message) {
+    const { id, method, params } = message;
+    const handler = this.handlers()[method];
+    // Requests have an id and need an answer; notifications do not
+    if (id === undefined) {
+      if (handler) handler(params);
+      return;
+    }
+    if (!handler) {
+      this.send({ jsonrpc: '2.0', id, error: { code: -32601, message: `Unhandled method ${method}` } });
+      return;
+    }
+    try {
+      this.send({ jsonrpc: '2.0', id, result: handler(params) });
+    } catch (err) {
+      this.send({ jsonrpc: '2.0', id, error: { code: -32603, message: err.message } });
+    }
+  }
+
+  handlers() {
+    return {
+      initialize: () => ({
+        capabilities: {
+          textDocumentSync: 1, // full text on every change
+          definitionProvider: true,
+          hoverProvider: true,
+          completionProvider: { triggerCharacters: ['.', '"'] },
+          documentSymbolProvider: true
+        },
+        serverInfo: { name: 'scryine' }
+      }),
+      initialized: () => {},
+      shutdown: () => {
+        this.shutdown = true;
+        return null;
+      },
+      exit: () => this.onExit(this.shutdown ? 0 : 1),
+      'textDocument/didOpen': ({ textDocument }) => this.update(textDocument.uri, textDocument.text),
+      'textDocument/didChange': ({ textDocument, contentChanges }) => this.update(textDocument.uri, contentChanges[contentChanges.length - 1].text),
+      'textDocument/didClose': ({ textDocument }) => {
+        this.documents.delete(textDocument.uri);
+        this.notify('textDocument/publishDiagnostics', { uri: textDocument.uri, diagnostics: [] });
+      },
+      'textDocument/definition': ({ textDocument, position }) => this.definition(this.document(textDocument.uri), position),
+      'textDocument/hover': ({ textDocument, position }) => this.hover(this.document(textDocument.uri), position),
+      'textDocument/completion': ({ textDocument, position }) => this.completion(this.document(textDocument.uri), position),
+      'textDocument/documentSymbol': ({ textDocument }) => this.symbols(this.document(textDocument.uri))
+    };
+  }
+
+  document(uri) {
+    const document = this.documents.get(uri);
+    if (!document) throw new Error(`Document ${uri} is not open`);
+    return document;
+  }
+
+  // A document keeps its last syntax tree that parsed, so features still work while typing
+  update(uri, text) {
+    const document = new ScryineDocument(uri, text);
+    const previous = this.documents.get(uri);
+    if (document.error && previous && previous.program) {
+      Object.assign(document, { tokens: previous.tokens, program: previous.program, parsedText: previous.parsedText || previous.text });
+    }
+    this.documents.set(uri, document);
+    this.notify('textDocument/publishDiagnostics', { uri, diagnostics: this.diagnostics(document) });
+  }
+
+  // Syntax errors, or when the file parses, what `scryine check` finds in it
+  diagnostics(document) {
+    if (document.error) {
+      return [{ range: toRange(document.error.loc), severity: 1, code: 'syntax', source: 'scryine', message: document.error.message }];
+    }
+    const { diagnostics } = checkSource(document.text, { file: document.file || undefined, contracts: this.contracts, modulePaths: this.modulePaths });
+    return diagnostics
+      .filter(diagnostic => diagnostic.file === (document.file || null) && diagnostic.loc)
+      .map(diagnostic => ({
+        range: toRange(diagnostic.loc),
+        severity: diagnostic.severity === 'error' ? 1 : 2,
+        code: diagnostic.kind,
+        source: 'scryine',
+        message: diagnostic.message
+      }));
+  }
+
+  // The document an import points at, read from the editor when it is open there
+  importedDocument(document, node) {
+    const dir = document.file ? path.dirname(document.file) : process.cwd();
+    const { file } = resolveModule(node.source, dir, this.modulePaths);
+    if (!file) return null;
+    const uri = pathToFileURL(file).href;
+    const imported = this.documents.get(uri) || new ScryineDocument(uri, fs.readFileSync(file, 'utf8'));
+    return imported.program ? imported : null;
+  }
+
+  location(document, declaration) {
+    return { uri: document.uri, range: document.nameRange(declaration) };
+  }
+
+  // Features
+
+  definition(document, position) {
+    if (!document.program) return null;
+    const offset = offsetAt(document.parsedText || document.text, position);
+    const word = document.wordAt(offset);
+    if (!word || word.token.type !== 'identifier') return null;
+    const name = word.token.value;
+
+    if (word.object) {
+      const namespace = document.resolve(word.object, offset);
+      if (!namespace || namespace.kind !== 'import' || namespace.imported) return null;
+      return this.exportedLocation(document, namespace.node, name);
+    }
+
+    const declaration = document.resolve(name, offset);
+    if (!declaration) return null;
+    if (declaration.kind === 'import') {
+      return this.exportedLocation(document, declaration.node, declaration.imported) || this.location(document, declaration);
+    }
+    return this.location(document, declaration);
+  }
+
+  // Where a module declares one of its exports; a namespace import without a name goes to the file
+  exportedLocation(document, node, name) {
+    const imported = this.importedDocument(document, node);
+    if (!imported) return null;
+    if (!name) return { uri: imported.uri, range: { start: { line: 0, character: 0 }, end: { line: 0, character: 0 } } };
+    const declaration = declarationsIn(imported.program.body).find(d => d.name === name && d.kind !== 'import');
+    return declaration ? this.location(imported, declaration) : null;
+  }
+
+  hover(document, position) {
+    if (!document.tokens) return null;
+    const offset = offsetAt(document.parsedText || document.text, position);
+    const word = document.wordAt(offset);
+    if (!word) return null;
+    const { token, object } = word;
+    const range = toRange({ start: token.start, end: token.end });
+    const markdown = (code, doc) => ({ contents: { kind: 'markdown', value: `\`\`\`scryine\n${code}\n\`\`\`${doc ? `\n${doc}` : ''}` }, range });
+
+    if (token.type === 'keyword') return KEYWORD_DOCS[token.value] ? markdown(token.value, KEYWORD_DOCS[token.value]) : null;
+    const name = token.value;
+
+    if (object) {
+      const local = document.program && document.resolve(object, offset);
+      if (!local && this.stdlib[object] && this.stdlib[object][name] !== undefined) {
+        const member = this.stdlib[object][name];
+        return markdown(member && typeof member.fn === 'function' ? formatSignature(`${object}.${name}`, member) : `${object}.${name} = ${member}`);
+      }
+      if (local && local.kind === 'import' && !local.imported) {
+        const imported = this.importedDocument(document, local.node);
+        const declaration = imported && declarationsIn(imported.program.body).find(d => d.name === name);
+        return declaration ? markdown(this.describe(declaration), `From \`${local.node.source}\``) : null;
+      }
+      return null;
+    }
+
+    const declaration = document.program && document.resolve(name, offset);
+    if (declaration) return markdown(this.describe(declaration));
+    if (BUILTIN_SIGNATURES[name]) return markdown(formatSignature(name, BUILTIN_SIGNATURES[name]), BUILTIN_DOCS[name]);
+    if (this.stdlib[name]) return markdown(`${name}: ${Object.keys(this.stdlib[name]).join(', ')}`, `The \`${name}\` standard library namespace.`);
+    return null;
+  }
+
+  describe(declaration) {
+    const { node, name, kind } = declaration;
+    switch (kind) {
+      case 'function': return formatFunction(node);
+      case 'variable': return `${node.kind} ${name}${node.typeAnnotation ? `: ${node.typeAnnotation.name}` : ''}`;
+      case 'param': return `(parameter) ${name}${node.typeAnnotation ? `: ${node.typeAnnotation.name}` : ''}`;
+      case 'each': return `(loop variable) ${name}`;
+      case 'repent': return `(error) ${name}: map`;
+      default: return declaration.imported
+        ? `import { ${declaration.imported === name ? name : `${declaration.imported} as ${name}`} } from "${node.source}"`
+        : `import "${node.source}" as ${name}`;
+    }
+  }
+
+  completion(document, position) {
+    const text = document.text;
+    const offset = offsetAt(text, position);
+    const line = text.slice(text.lastIndexOf('\n', offset - 1) + 1, offset);
+
+    // contract_call("Name", "method", ...): deployed contracts, then the methods of their ABI
+    const contract = /contract_call\(\s*"([A-Za-z0-9_]*)$/.exec(line);
+    if (contract) {
+      let names = [];
+      try {
+        names = this.contracts.deployedContracts();
+      } catch (err) {
+        // No deployment file: nothing to offer
+      }
+      return names.map(name => ({ label: name, kind: COMPLETION_KIND.class, detail: 'deployed contract' }));
+    }
+    const method = /contract_call\(\s*"([A-Za-z0-9_]+)"\s*,\s*"([A-Za-z0-9_]*)$/.exec(line);
+    if (method) return this.methodCompletions(method[1]);
+    if (((line.match(/"/g) || []).length - (line.match(/\\"/g) || []).length) % 2 === 1) return [];
+
+    const member = /([A-Za-z_][A-Za-z0-9_]*)\.[A-Za-z0-9_]*$/.exec(line);
+    if (member) return this.memberCompletions(document, member[1], offset);
+
+    const items = [...KEYWORDS].map(keyword => ({ label: keyword, kind: COMPLETION_KIND.keyword }));
+    for (const [name, declared] of Object.entries(BUILTIN_SIGNATURES)) {
+      items.push({ label: name, kind: COMPLETION_KIND.function, detail: formatSignature(name, declared), documentation: BUILTIN_DOCS[name] });
+    }
+    Object.keys(this.stdlib).forEach(name => items.push({ label: name, kind: COMPLETION_KIND.module }));
+    if (document.program) {
+      const seen = new Set(items.map(item => item.label));
+      for (const declaration of document.visible(offsetAt(document.parsedText || text, position))) {
+        if (seen.has(declaration.name)) continue;
+        seen.add(declaration.name);
+        items.push({
+          label: declaration.name,
+          kind: declaration.kind === 'function' ? COMPLETION_KIND.function : declaration.kind === 'import' ? COMPLETION_KIND.module : COMPLETION_KIND.variable,
+          detail: this.describe(declaration)
+        });
+      }
+    }
+    return items;
+  }
+
+  methodCompletions(contract) {
+    let abi;
+    try {
+      abi = this.contracts.loadAbi(contract);
+    } catch (err) {
+      return [];
+    }
+    const items = new Map();
+    for (const fragment of abi.filter(entry => entry.type === 'function')) {
+      if (items.has(fragment.name)) continue;
+      const inputs = fragment.inputs.map(input => `${input.type}${input.name ? ` ${input.name}` : ''}`).join(', ');
+      const outputs = (fragment.outputs || []).map(output => output.type).join(', ');
+      items.set(fragment.name, {
+        label: fragment.name,
+        kind: COMPLETION_KIND.method,
+        detail: `${fragment.name}(${inputs})${outputs ? ` returns (${outputs})` : ''}`,
+        documentation: fragment.stateMutability
+      });
+    }
+    return [...items.values()];
+  }
+
+  memberCompletions(document, object, offset) {
+    const local = document.program && document.resolve(object, Math.min(offset, (document.parsedText || document.text).length));
+    if (local && local.kind === 'import' && !local.imported) {
+      const imported = this.importedDocument(document, local.node);
+      if (!imported) return [];
+      return declarationsIn(imported.program.body)
+        .filter(d => d.name !== 'main' && d.kind !== 'import')
+        .map(d => ({ label: d.name, kind: d.kind === 'function' ? COMPLETION_KIND.function : COMPLETION_KIND.variable, detail: this.describe(d) }));
+    }
+    if (local || !this.stdlib[object]) return [];
+    return Object.entries(this.stdlib[object]).map(([name, member]) => member && typeof member.fn === 'function'
+      ? { label: name, kind: COMPLETION_KIND.function, detail: formatSignature(`${object}.${name}`, member) }
+      : { label: name, kind: COMPLETION_KIND.constant, detail: `${object}.${name} = ${member}` });
+  }
+
+  // Functions with what they declare nested inside, then top-level variables and imports
+  symbols(document) {
+    if (!document.program) return [];
+    const symbolsIn = statements => declarationsIn(statements).map(declaration => {
+      const symbol = {
+        name: declaration.name,
+        detail: declaration.kind === 'function' ? formatFunction(declaration.node).slice(4) : this.describe(declaration),
+        kind: SYMBOL_KIND[declaration.kind],
+        range: toRange(declaration.node.loc),
+        selectionRange: document.nameRange(declaration)
+      };
+      if (declaration.kind === 'function') {
+        symbol.children = symbolsIn(declaration.node.body.body);
+      }
+      return symbol;
+    });
+    return symbolsIn(document.program.body);
+  }
+}
+
+module.exports = { ScryineLanguageServer, ScryineDocument, KEYWORD_DOCS, BUILTIN_DOCS };
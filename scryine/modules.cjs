@@ -0,0 +1,43 @@
+// SCRYINE Module Resolution
+// How `import` paths map to files, shared by the interpreter and the compiler.
+
+const fs = require('fs');
+const path = require('path');
+const { KEYWORDS } = require('./lexer.cjs');
+
+// Folders searched for bare module names when no `modulePaths` are given
+function defaultModulePaths() {
+  return process.env.SCRYINE_PATH ? process.env.SCRYINE_PATH.split(path.delimiter) : [];
+}
+
+/**
+ * Finds the file for `import "source"` written in a file in `dir`. Paths are relative to
+ * that folder; bare names are also looked up in `modulePaths`. The `.scry` extension may be
+ * left out. Returns `{ file }`, or `{ file: null, searched }` listing the folders tried.
+ */
+function resolveModule(source, dir, modulePaths = []) {
+  const dirs = [dir];
+  if (!/^\.\.?[\\/]/.test(source) && !path.isAbsolute(source)) dirs.push(...modulePaths);
+  const names = path.extname(source) ? [source] : [source + '.scry', source];
+
+  for (const folder of dirs) {
+    for (const name of names) {
+      const candidate = path.resolve(folder, name);
+      if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) return { file: candidate };
+    }
+  }
+  return { file: null, searched: dirs };
+}
+
+// A plain `import "lib/math"` binds the namespace `math`, so the file name must be a valid name
+function namespaceName(source) {
+  const name = path.basename(source, path.extname(source));
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) && !KEYWORDS.has(name) ? name : null;
+}
+
+// Module paths in messages are relative to the working directory
+function displayPath(file) {
+  return path.relative(process.cwd(), file) || file;
+}
+
+module.exports = { resolveModule, namespaceName, displayPath, defaultModulePaths };
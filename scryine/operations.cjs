@@ -0,0 +1,145 @@
+// SCRYINE Operations
+// The meaning of operators, field access, indexing and errors, shared by the interpreter and
+// compiled scripts so that both behave the same. Problems are reported through `fail`, which
+// returns the error to throw and is told which part of the expression is at fault.
+
+const { QuantumState } = require('./quantum.cjs');
+const { isList, isMap, isNumber, normalizeInteger, typeName, formatValue } = require('./values.cjs');
+
+const ARITHMETIC = ['+', '-', '*', '/', '%'];
+
+function binary(op, left, right) {
+  if ((typeof left === 'bigint' || typeof right === 'bigint') && isNumber(left) && isNumber(right) && ARITHMETIC.includes(op)) {
+    return wide(op, left, right);
+  }
+  switch (op) {
+    case '>': return left > right;
+    case '<': return left < right;
+    case '>=': return left >= right;
+    case '<=': return left <= right;
+    case '==': return left == right;
+    case '!=': return left != right;
+    case '+':
+      if (isList(left) && isList(right)) return left.concat(right);
+      if (typeof left === 'string' || typeof right === 'string') return formatValue(left) + formatValue(right);
+      return left + right;
+    case '-': return left - right;
+    case '*': return left * right;
+    case '/': return right !== 0 ? left / right : 0;
+    case '%': return right !== 0 ? left % right : 0;
+  }
+}
+
+// Arithmetic with a BigInt operand: exact while both sides are whole numbers (a division that
+// leaves a remainder gives a fraction), otherwise in floating point like any other number
+function wide(op, left, right) {
+  if (!isWhole(left) || !isWhole(right)) return binary(op, Number(left), Number(right));
+  const a = BigInt(left);
+  const b = BigInt(right);
+  switch (op) {
+    case '+': return normalizeInteger(a + b);
+    case '-': return normalizeInteger(a - b);
+    case '*': return normalizeInteger(a * b);
+    case '/':
+      if (b === 0n) return 0;
+      return a % b === 0n ? normalizeInteger(a / b) : Number(a) / Number(b);
+    case '%': return b !== 0n ? normalizeInteger(a % b) : 0;
+  }
+}
+
+function isWhole(value) {
+  return typeof value === 'bigint' || Number.isInteger(value);
+}
+
+// Structural equality, as `expect` compares: lists and maps by their contents
+function equals(left, right) {
+  if (isList(left) && isList(right)) {
+    return left.length === right.length && left.every((item, i) => equals(item, right[i]));
+  }
+  if (isMap(left) && isMap(right)) {
+    const keys = Object.keys(left);
+    return keys.length === Object.keys(right).length &&
+      keys.every(key => Object.prototype.hasOwnProperty.call(right, key) && equals(left[key], right[key]));
+  }
+  if (left === null || left === undefined) return right === null || right === undefined;
+  if (typeof left === 'bigint' || typeof right === 'bigint') return isNumber(left) && isNumber(right) && left == right;
+  return left === right;
+}
+
+// object.property; `fail(message, kind)`
+function member(object, property, fail) {
+  if (object instanceof QuantumState && QuantumState.FIELDS.includes(property)) {
+    return object.get(property);
+  }
+  if (object !== null && typeof object === 'object' && Object.prototype.hasOwnProperty.call(object, property)) {
+    return object[property];
+  }
+  throw fail(`Value has no field "${property}"`, 'reference');
+}
+
+// object[index]; `fail(message, part, kind)` with part 'index' or 'object'
+function index(object, key, fail) {
+  if (isList(object) || typeof object === 'string') {
+    if (!Number.isInteger(key)) throw fail(`${typeName(object)} index must be a whole number, got ${formatValue(key, true)}`, 'index', 'runtime');
+    if (key < 0 || key >= object.length) {
+      throw fail(`Index ${key} is out of range for a ${typeName(object)} of length ${object.length}`, 'index', 'runtime');
+    }
+    return object[key];
+  }
+  if (isMap(object)) {
+    if (Object.prototype.hasOwnProperty.call(object, key)) return object[key];
+    throw fail(`Map has no key ${formatValue(key, true)}`, 'index', 'reference');
+  }
+  throw fail(`Cannot index into ${typeName(object)}`, 'object', 'runtime');
+}
+
+// The items an `each` loop visits: a copy of a list, or a map's keys; `fail(message)`
+function items(iterable, fail) {
+  if (isList(iterable)) return iterable.slice();
+  if (isMap(iterable)) return Object.keys(iterable);
+  throw fail(`Cannot iterate over ${typeName(iterable)} (each expects a list or map)`);
+}
+
+// What `smite value` raises: a message, or a map with a message and optionally a kind and
+// reason, e.g. a caught error being raised again
+function smitten(value) {
+  const fields = isMap(value) ? value : {};
+  let message = typeof value === 'string' ? value : fields.message;
+  if (typeof message !== 'string') message = formatValue(value, true);
+  return {
+    message,
+    kind: typeof fields.kind === 'string' ? fields.kind : 'smite',
+    reason: typeof fields.reason === 'string' ? fields.reason : undefined
+  };
+}
+
+// The value bound by `repent name`: what went wrong and where
+function errorValue(err) {
+  let reason = null;
+  if (err.reason !== undefined) reason = err.reason;
+  else if (err.cause && typeof err.cause.reason === 'string') reason = err.cause.reason; // contract reverts
+  return {
+    message: err.message,
+    kind: err.kind,
+    reason,
+    file: err.file,
+    line: err.line,
+    column: err.column,
+    value: err.value === undefined ? null : err.value
+  };
+}
+
+// Command-line arguments that look like decimal numbers are passed to main as numbers;
+// hex strings such as addresses stay strings
+function toScryineArg(arg) {
+  return typeof arg === 'string' && /^\s*-?(\d+\.?\d*|\.\d+)\s*$/.test(arg) ? parseFloat(arg) : arg;
+}
+
+// Process exit code for what main returned
+function exitCode(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return Math.trunc(value) & 0xff;
+  if (value === false) return 1;
+  return 0;
+}
+
+module.exports = { binary, equals, member, index, items, smitten, errorValue, toScryineArg, exitCode };
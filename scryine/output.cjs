@@ -0,0 +1,119 @@
+// SCRYINE Output
+// `prophesy value to channel at level` sends a prophecy to a named channel at a level. Without
+// an output callback, prophecies are printed: `SCRYINE Output:` lines for the main channel at
+// info level, tagged lines for the others, warnings and errors on stderr, and debug ones only
+// when asked for. `scryine run --format json` collects them in a RunReport instead.
+
+const { ScryineError, PROPHESY_LEVELS: LEVELS } = require('./diagnostics.cjs');
+const { encode } = require('./trace.cjs');
+const { isFunction } = require('./values.cjs');
+
+const DEFAULT_CHANNEL = 'main';
+const DEFAULT_LEVEL = 'info';
+
+const REPORT_VERSION = 1;
+
+// The channel and level of a ProphesyStatement, with the defaults filled in
+function prophecyOf(channel, level) {
+  return { channel: channel || DEFAULT_CHANNEL, level: level || DEFAULT_LEVEL };
+}
+
+// `SCRYINE Output:`, tagged with the channel and level when they are not the defaults
+function prophecyLabel({ channel, level }) {
+  const tags = [];
+  if (channel !== DEFAULT_CHANNEL) tags.push(channel);
+  if (level !== DEFAULT_LEVEL) tags.push(level);
+  return tags.length ? `SCRYINE Output [${tags.join(' ')}]:` : 'SCRYINE Output:';
+}
+
+// Prints a prophecy to the console, unless its level is below `minimum`
+function printProphecy(text, prophecy, minimum = DEFAULT_LEVEL) {
+  if (LEVELS.indexOf(prophecy.level) < LEVELS.indexOf(minimum)) return;
+  if (prophecy.level === 'warn' || prophecy.level === 'error') console.error(prophecyLabel(prophecy), text);
+  else console.log(prophecyLabel(prophecy), text);
+}
+
+function checkLevel(level) {
+  if (!LEVELS.includes(level)) throw new Error(`Unknown prophesy level "${level}" (expected one of ${LEVELS.join(', ')})`);
+  return level;
+}
+
+// Everything a run produced, as one JSON document: every prophecy, the contract calls made,
+// main's result or the error that stopped the script, the variables of the scope the script
+// ended in (main's, or the top level without a main) and the timings. Times are milliseconds
+// since the run started.
+class RunReport {
+  constructor(file = null) {
+    this.file = file;
+    this.startedAt = new Date();
+    this.started = Date.now();
+    this.prophecies = [];
+    this.contractCalls = [];
+    this.result = null;
+    this.error = null;
+    this.exitCode = null;
+    this.variables = {};
+    this.duration = null;
+  }
+
+  elapsed() {
+    return Date.now() - this.started;
+  }
+
+  // An onProphesy callback
+  prophesy(text, value, { channel, level } = prophecyOf()) {
+    this.prophecies.push({ channel, level, text, value: encode(value), time: this.elapsed() });
+  }
+
+  // A ContractRuntime onCall callback
+  contractCall(call) {
+    const { args, result, ...details } = call;
+    const entry = { ...details, args: encode(args), time: this.elapsed() - call.duration };
+    if (result !== undefined) entry.result = encode(result);
+    this.contractCalls.push(entry);
+  }
+
+  /**
+   * Records how the run ended.
+   * @param {object} outcome
+   * @param {*} [outcome.result] What main returned
+   * @param {Error} [outcome.error] The error that stopped the script
+   * @param {number} outcome.exitCode
+   * @param {object} [outcome.variables] The variables of the final scope; functions are left out
+   */
+  finish({ result = null, error = null, exitCode, variables = {} }) {
+    this.result = encode(result);
+    this.error = error ? errorToJson(error) : null;
+    this.exitCode = exitCode;
+    this.variables = Object.fromEntries(
+      Object.entries(variables).filter(([, value]) => !isFunction(value)).map(([name, value]) => [name, encode(value)])
+    );
+    this.duration = this.elapsed();
+  }
+
+  toJSON() {
+    return {
+      version: REPORT_VERSION,
+      file: this.file,
+      status: this.error ? 'error' : 'ok',
+      exitCode: this.exitCode,
+      result: this.result,
+      error: this.error,
+      prophecies: this.prophecies,
+      variables: this.variables,
+      contractCalls: this.contractCalls,
+      timings: {
+        startedAt: this.startedAt.toISOString(),
+        duration: this.duration === null ? this.elapsed() : this.duration,
+        contractCalls: this.contractCalls.reduce((total, call) => total + call.duration, 0)
+      }
+    };
+  }
+}
+
+function errorToJson(err) {
+  if (!(err instanceof ScryineError)) return { kind: 'internal', message: err.message, file: null, line: null, column: null };
+  return { kind: err.kind, message: err.message, file: err.file || null, line: err.line || null, column: err.column || null };
+}
+
+module.exports = { LEVELS, DEFAULT_CHANNEL, DEFAULT_LEVEL, prophecyOf, prophecyLabel, printProphecy, checkLevel, RunReport, REPORT_VERSION };
@@ -0,0 +1,553 @@
+// SCRYINE Parser
+// Recursive-descent parser producing an AST. Every node carries a `loc`
+// with `start` and `end` positions ({ offset, line, column }) in the source,
+// plus the `file` it came from when the source is an imported module.
+
+const { tokenize } = require('./lexer.cjs');
+const { ScryineSyntaxError, PROPHESY_LEVELS } = require('./diagnostics.cjs');
+const { ANNOTATION_TYPES } = require('./host.cjs');
+
+// Contracts and operations understood by the `token` and `oracle` constructs
+const TOKEN_CONTRACTS = ['GodToken', 'QuantumGodToken'];
+const TOKEN_OPERATIONS = {
+  balance: { min: 0, max: 1, contracts: TOKEN_CONTRACTS },
+  transfer: { min: 2, max: 2, contracts: TOKEN_CONTRACTS },
+  quantumTransfer: { min: 3, max: 3, contracts: ['QuantumGodToken'] },
+  burn: { min: 1, max: 1, contracts: TOKEN_CONTRACTS }
+};
+const ORACLE_VERIFIERS = ['AIVerifier', 'QuantumAIVerifier'];
+
+// Binary operator precedence, lowest first
+const PRECEDENCE = [
+  ['||'],
+  ['&&'],
+  ['==', '!='],
+  ['<', '<=', '>', '>='],
+  ['+', '-'],
+  ['*', '/', '%']
+];
+
+class Parser {
+  constructor(source, options = {}) {
+    this.source = source;
+    this.file = options.file || null;
+    this.tokens = tokenize(source, options.origin);
+    this.pos = 0;
+    this.functionDepth = 0;
+    this.blockDepth = 0;
+    this.covenantDepth = 0;
+    this.quantumDepth = 0;
+    this.concordDepth = 0;
+  }
+
+  // Token helpers
+
+  peek(ahead = 0) {
+    return this.tokens[Math.min(this.pos + ahead, this.tokens.length - 1)];
+  }
+
+  next() {
+    const token = this.peek();
+    if (token.type !== 'eof') this.pos++;
+    return token;
+  }
+
+  previous() {
+    return this.tokens[this.pos - 1];
+  }
+
+  check(type, value) {
+    const token = this.peek();
+    return token.type === type && (value === undefined || token.value === value);
+  }
+
+  match(type, value) {
+    if (this.check(type, value)) return this.next();
+    return null;
+  }
+
+  expect(type, value, what) {
+    if (this.check(type, value)) return this.next();
+    throw this.error(`Expected ${what || `'${value}'`} but found ${this.describe(this.peek())}`);
+  }
+
+  describe(token) {
+    if (token.type === 'eof') return 'end of input';
+    if (token.type === 'newline') return 'end of line';
+    if (token.type === 'string') return `"${token.value}"`;
+    return `'${token.value}'`;
+  }
+
+  error(message, token = this.peek()) {
+    return new ScryineSyntaxError(message, this.loc(token.start, token.end));
+  }
+
+  skipNewlines() {
+    while (this.match('newline'));
+  }
+
+  node(type, props, startToken) {
+    const end = this.previous() || startToken;
+    return { type, ...props, loc: this.loc(startToken.start, end.end) };
+  }
+
+  loc(start, end) {
+    return this.file ? { start, end, file: this.file } : { start, end };
+  }
+
+  // Statements
+
+  parseProgram() {
+    const start = this.peek();
+    const body = [];
+    this.skipNewlines();
+    while (!this.check('eof')) {
+      body.push(this.parseStatement());
+      this.skipNewlines();
+    }
+    return { type: 'Program', body, loc: this.loc(start.start, this.peek().end) };
+  }
+
+  parseStatement() {
+    const token = this.peek();
+    let statement;
+
+    if (token.type === 'operator' && token.value === '}') {
+      throw this.error(`Unmatched '}'`);
+    }
+
+    if (token.type === 'keyword') {
+      switch (token.value) {
+        case 'god': statement = this.parseFunction(); break;
+        case 'bless':
+        case 'scry': statement = this.parseDeclaration(); break;
+        case 'divine': statement = this.parseDivine(); break;
+        case 'eternal': statement = this.parseEternal(); break;
+        case 'each': statement = this.parseEach(); break;
+        case 'prophesy': statement = this.parseProphesy(); break;
+        case 'return': statement = this.parseReturn(); break;
+        case 'quantum': statement = this.parseQuantum(); break;
+        case 'concord': statement = this.parseConcord(); break;
+        case 'import': statement = this.parseImport(); break;
+        case 'try': statement = this.parseTry(); break;
+        case 'smite': statement = this.parseSmite(); break;
+        case 'covenant': statement = this.parseCovenant(); break;
+        case 'witness': statement = this.parseWitness(); break;
+      }
+    } else if (token.type === 'identifier' && this.peek(1).type === 'operator' && this.peek(1).value === '=') {
+      statement = this.parseAssignment();
+    }
+
+    if (!statement) {
+      const expression = this.parseExpression();
+      statement = this.node('ExpressionStatement', { expression }, token);
+    }
+
+    this.endStatement();
+    return statement;
+  }
+
+  endStatement() {
+    if (this.check('newline') || this.check('eof') || this.check('operator', '}')) return;
+    throw this.error(`Unexpected ${this.describe(this.peek())}`);
+  }
+
+  parseBlock() {
+    const start = this.expect('operator', '{');
+    const body = [];
+    this.blockDepth++;
+    this.skipNewlines();
+    while (!this.check('operator', '}')) {
+      if (this.check('eof')) throw this.error(`Unclosed '{': expected a matching '}' before end of input`, start);
+      body.push(this.parseStatement());
+      this.skipNewlines();
+    }
+    this.next();
+    this.blockDepth--;
+    return this.node('Block', { body }, start);
+  }
+
+  parseFunction() {
+    const start = this.next();
+    const name = this.expect('identifier', undefined, 'function name');
+    this.expect('operator', '(');
+    const params = [];
+    if (!this.check('operator', ')')) {
+      do {
+        const param = this.expect('identifier', undefined, 'parameter name');
+        const typeAnnotation = this.parseAnnotation();
+        params.push(this.node('Identifier', { name: param.value, typeAnnotation }, param));
+      } while (this.match('operator', ','));
+    }
+    this.expect('operator', ')');
+    const returnType = this.parseAnnotation();
+    const concordDepth = this.concordDepth;
+    this.functionDepth++;
+    this.concordDepth = 0;
+    const body = this.parseBlock();
+    this.functionDepth--;
+    this.concordDepth = concordDepth;
+    return this.node('FunctionDeclaration', { name: name.value, params, returnType, body }, start);
+  }
+
+  parseDeclaration() {
+    const start = this.next();
+    const name = this.expect('identifier', undefined, 'variable name');
+    const typeAnnotation = this.parseAnnotation();
+    this.expect('operator', '=');
+    const init = this.parseExpression();
+    return this.node('VariableDeclaration', { kind: start.value, name: name.value, typeAnnotation, init }, start);
+  }
+
+  // Optional `: type` after a parameter, a parameter list or a declared name. Annotations are
+  // checked by `scryine check` (checker.cjs); running a script ignores them.
+  parseAnnotation() {
+    if (!this.match('operator', ':')) return null;
+    const token = this.expect('identifier', undefined, 'type name');
+    if (!ANNOTATION_TYPES.includes(token.value)) {
+      throw this.error(`Unknown type "${token.value}" (expected one of ${ANNOTATION_TYPES.join(', ')})`, token);
+    }
+    return this.node('TypeAnnotation', { name: token.value }, token);
+  }
+
+  parseAssignment() {
+    const name = this.next();
+    this.next();
+    const value = this.parseExpression();
+    return this.node('AssignmentStatement', { name: name.value, value }, name);
+  }
+
+  parseReturn() {
+    const start = this.next();
+    if (this.functionDepth === 0) throw this.error(`'return' outside of a god function`, start);
+    if (this.concordDepth > 0) throw this.error(`'return' cannot be used inside a concord block`, start);
+    const ends = this.check('newline') || this.check('eof') || this.check('operator', '}');
+    const argument = ends ? null : this.parseExpression();
+    return this.node('ReturnStatement', { argument }, start);
+  }
+
+  parseDivine() {
+    const start = this.next();
+    const test = this.parseExpression();
+    const consequent = this.parseBlock();
+    return this.node('DivineStatement', { test, consequent }, start);
+  }
+
+  parseEternal() {
+    const start = this.next();
+    const test = this.parseExpression();
+    const body = this.parseBlock();
+    return this.node('EternalStatement', { test, body }, start);
+  }
+
+  // each <name> in <list or map> { ... }
+  parseEach() {
+    const start = this.next();
+    const name = this.expect('identifier', undefined, 'loop variable name');
+    this.expect('keyword', 'in', "'in'");
+    const iterable = this.parseExpression();
+    const body = this.parseBlock();
+    return this.node('EachStatement', { variable: name.value, iterable, body }, start);
+  }
+
+  parseQuantum() {
+    const start = this.next();
+    this.quantumDepth++;
+    const body = this.parseBlock();
+    this.quantumDepth--;
+    return this.node('QuantumBlock', { body }, start);
+  }
+
+  // try { ... } repent [name] { ... }
+  parseTry() {
+    const start = this.next();
+    const block = this.parseBlock();
+    this.skipNewlines();
+    this.expect('keyword', 'repent', "'repent' after the try block");
+    const param = this.check('identifier') ? this.next().value : null;
+    const handler = this.parseBlock();
+    return this.node('TryStatement', { block, param, handler }, start);
+  }
+
+  parseSmite() {
+    const start = this.next();
+    const argument = this.parseExpression();
+    return this.node('SmiteStatement', { argument }, start);
+  }
+
+  // import "path" [as name]
+  // import { name [as local], ... } from "path"
+  parseImport() {
+    const start = this.next();
+    if (this.functionDepth > 0 || this.covenantDepth > 0) throw this.error(`'import' is only allowed at the top level of a file`, start);
+
+    let specifiers = null;
+    if (this.match('operator', '{')) {
+      specifiers = [];
+      do {
+        const imported = this.expect('identifier', undefined, 'imported name');
+        const local = this.matchWord('as') ? this.expect('identifier', undefined, 'local name') : imported;
+        specifiers.push({ imported: imported.value, local: local.value });
+      } while (this.match('operator', ','));
+      this.expect('operator', '}');
+      if (!this.matchWord('from')) throw this.error(`Expected 'from' but found ${this.describe(this.peek())}`);
+    }
+
+    const source = this.expect('string', undefined, 'module path in quotes');
+    let alias = null;
+    if (!specifiers && this.matchWord('as')) alias = this.expect('identifier', undefined, 'namespace name').value;
+    return this.node('ImportDeclaration', { source: source.value, alias, specifiers }, start);
+  }
+
+  // covenant "name" { ... }: a test, run by `scryine test` after the top level of its file
+  parseCovenant() {
+    const start = this.next();
+    if (this.blockDepth > 0) throw this.error(`'covenant' is only allowed at the top level of a file`, start);
+    const name = this.expect('string', undefined, 'covenant name in quotes');
+    this.covenantDepth++;
+    const body = this.parseBlock();
+    this.covenantDepth--;
+    return this.node('CovenantStatement', { name: name.value, body }, start);
+  }
+
+  // witness Contract.Event(param [== value], ...) { ... }: runs the block for every event the
+  // contract emits, with the named event parameters bound; `== value` filters an indexed one.
+  // The block is the body of a handler, so `return` ends the handling of one event.
+  parseWitness() {
+    const start = this.next();
+    const contract = this.expect('identifier', undefined, 'contract name');
+    this.expect('operator', '.');
+    const event = this.expect('identifier', undefined, 'event name');
+    this.expect('operator', '(');
+    const params = [];
+    if (!this.check('operator', ')')) {
+      do {
+        const param = this.expect('identifier', undefined, 'event parameter name');
+        if (params.some(other => other.name === param.value)) throw this.error(`Event parameter "${param.value}" is listed twice`, param);
+        const filter = this.match('operator', '==') ? this.parseExpression() : null;
+        params.push(this.node('Identifier', { name: param.value, filter }, param));
+      } while (this.match('operator', ','));
+    }
+    this.expect('operator', ')');
+    const concordDepth = this.concordDepth;
+    this.functionDepth++;
+    this.concordDepth = 0;
+    const body = this.parseBlock();
+    this.functionDepth--;
+    this.concordDepth = concordDepth;
+    return this.node('WitnessStatement', { contract: contract.value, event: event.value, params, body }, start);
+  }
+
+  // `as` and `from` are only special inside an import, and `to` and `at` after a prophecy, so they stay usable as names elsewhere
+  matchWord(word) {
+    return this.match('identifier', word);
+  }
+
+  // concord { ... }: every statement in the block runs concurrently
+  parseConcord() {
+    const start = this.next();
+    this.concordDepth++;
+    const body = this.parseBlock();
+    this.concordDepth--;
+    return this.node('ConcordBlock', { body }, start);
+  }
+
+  // prophesy value [to channel] [at level]
+  parseProphesy() {
+    const start = this.next();
+    const argument = this.parseExpression();
+    const channel = this.matchWord('to') ? this.expect('identifier', undefined, 'channel name').value : null;
+    let level = null;
+    if (this.matchWord('at')) {
+      const token = this.expect('identifier', undefined, 'prophesy level');
+      if (!PROPHESY_LEVELS.includes(token.value)) {
+        throw this.error(`Unknown prophesy level "${token.value}" (expected one of ${PROPHESY_LEVELS.join(', ')})`, token);
+      }
+      level = token.value;
+    }
+    return this.node('ProphesyStatement', { argument, channel, level }, start);
+  }
+
+  // Expressions
+
+  parseExpression() {
+    return this.parseBinary(0);
+  }
+
+  parseBinary(level) {
+    if (level >= PRECEDENCE.length) return this.parseUnary();
+
+    const start = this.peek();
+    let left = this.parseBinary(level + 1);
+    while (this.check('operator') && PRECEDENCE[level].includes(this.peek().value)) {
+      const operator = this.next().value;
+      this.skipNewlines(); // allow an expression to continue after a trailing operator
+      const right = this.parseBinary(level + 1);
+      const type = operator === '&&' || operator === '||' ? 'LogicalExpression' : 'BinaryExpression';
+      left = this.node(type, { operator, left, right }, start);
+    }
+    return left;
+  }
+
+  parseUnary() {
+    const start = this.peek();
+    if (this.match('operator', '!') || this.match('operator', '-')) {
+      const argument = this.parseUnary();
+      return this.node('UnaryExpression', { operator: start.value, argument }, start);
+    }
+    return this.parseCall();
+  }
+
+  parseCall() {
+    const start = this.peek();
+    let expression = this.parsePrimary();
+    for (;;) {
+      if ((expression.type === 'Identifier' || expression.type === 'MemberExpression') && this.check('operator', '(')) {
+        // Calls written inside a `quantum` block may name quantum operations
+        const props = { callee: expression, arguments: this.parseArguments() };
+        if (this.quantumDepth > 0 && expression.type === 'Identifier') props.quantum = true;
+        expression = this.node('CallExpression', props, start);
+      } else if (this.match('operator', '.')) {
+        const property = this.expect('identifier', undefined, 'field name');
+        expression = this.node('MemberExpression', { object: expression, property: property.value }, start);
+      } else if (this.match('operator', '[')) {
+        const index = this.parseExpression();
+        this.expect('operator', ']');
+        expression = this.node('IndexExpression', { object: expression, index }, start);
+      } else {
+        return expression;
+      }
+    }
+  }
+
+  parseArguments() {
+    this.expect('operator', '(');
+    const args = [];
+    if (!this.check('operator', ')')) {
+      do {
+        args.push(this.parseExpression());
+      } while (this.match('operator', ','));
+    }
+    this.expect('operator', ')');
+    return args;
+  }
+
+  // Items of a list or map literal may each sit on their own line
+  parseItems(close, parseItem) {
+    const items = [];
+    this.skipNewlines();
+    while (!this.check('operator', close)) {
+      items.push(parseItem());
+      this.skipNewlines();
+      if (!this.match('operator', ',')) break;
+      this.skipNewlines();
+    }
+    this.expect('operator', close);
+    return items;
+  }
+
+  parseList() {
+    const start = this.next();
+    const elements = this.parseItems(']', () => this.parseExpression());
+    return this.node('ListExpression', { elements }, start);
+  }
+
+  // { key: value, "any key": value }
+  parseMap() {
+    const start = this.next();
+    const entries = this.parseItems('}', () => {
+      const key = this.peek();
+      if (key.type !== 'identifier' && key.type !== 'string') {
+        throw this.error(`Expected a map key but found ${this.describe(key)}`);
+      }
+      this.next();
+      this.expect('operator', ':');
+      return { key: key.value, value: this.parseExpression() };
+    });
+    return this.node('MapExpression', { entries }, start);
+  }
+
+  // token <Contract>.<operation>(args)
+  parseToken() {
+    const start = this.next();
+    const contract = this.expect('identifier', undefined, 'token contract');
+    if (!TOKEN_CONTRACTS.includes(contract.value)) {
+      throw this.error(`Unknown token contract '${contract.value}' (expected ${TOKEN_CONTRACTS.join(' or ')})`, contract);
+    }
+    this.expect('operator', '.');
+    const operation = this.expect('identifier', undefined, 'token operation');
+    const spec = TOKEN_OPERATIONS[operation.value];
+    if (!spec) {
+      throw this.error(`Unknown token operation '${operation.value}' (expected ${Object.keys(TOKEN_OPERATIONS).join(', ')})`, operation);
+    }
+    if (!spec.contracts.includes(contract.value)) {
+      throw this.error(`'${operation.value}' is only available on ${spec.contracts.join(', ')}`, operation);
+    }
+    const args = this.parseArguments();
+    if (args.length < spec.min || args.length > spec.max) {
+      const expected = spec.min === spec.max ? spec.min : `${spec.min} to ${spec.max}`;
+      throw this.error(`token ${operation.value} takes ${expected} argument${spec.max === 1 ? '' : 's'}`, this.previous());
+    }
+    return this.node('TokenExpression', { contract: contract.value, operation: operation.value, arguments: args }, start);
+  }
+
+  // oracle <Verifier>(requestId)
+  parseOracle() {
+    const start = this.next();
+    const verifier = this.expect('identifier', undefined, 'verifier contract');
+    if (!ORACLE_VERIFIERS.includes(verifier.value)) {
+      throw this.error(`Unknown oracle '${verifier.value}' (expected ${ORACLE_VERIFIERS.join(' or ')})`, verifier);
+    }
+    const args = this.parseArguments();
+    if (args.length !== 1) throw this.error('oracle takes exactly one request id', this.previous());
+    return this.node('OracleExpression', { verifier: verifier.value, requestId: args[0] }, start);
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        this.next();
+        return this.node('Literal', { value: token.value }, token);
+      case 'identifier':
+        this.next();
+        return this.node('Identifier', { name: token.value }, token);
+      case 'keyword':
+        if (token.value === 'true' || token.value === 'false') {
+          this.next();
+          return this.node('Literal', { value: token.value === 'true' }, token);
+        }
+        if (token.value === 'token') return this.parseToken();
+        if (token.value === 'oracle') return this.parseOracle();
+        break;
+      case 'operator':
+        if (token.value === '(') {
+          this.next();
+          const expression = this.parseExpression();
+          this.expect('operator', ')');
+          return expression;
+        }
+        if (token.value === '[') return this.parseList();
+        if (token.value === '{') return this.parseMap();
+        break;
+    }
+
+    throw this.error(`Unexpected ${this.describe(token)}`);
+  }
+}
+
+function parse(source, options) {
+  return new Parser(source, options).parseProgram();
+}
+
+function parseExpression(source, options) {
+  const parser = new Parser(source, options);
+  const expression = parser.parseExpression();
+  parser.skipNewlines();
+  if (!parser.check('eof')) throw parser.error(`Unexpected ${parser.describe(parser.peek())}`);
+  return expression;
+}
+
+module.exports = { Parser, parse, parseExpression, PRECEDENCE, TOKEN_OPERATIONS, ORACLE_VERIFIERS };
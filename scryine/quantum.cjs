@@ -0,0 +1,130 @@
+// SCRYINE Quantum Session
+// The `quantum_state` value type and the quantum operations, run against the project's QuantumSimulator.
+// One session lives as long as its interpreter, so states and entanglements persist across blocks.
+
+const QuantumSimulator = require('../scripts/quantum_simulation.cjs');
+
+// A live view of one address's state in the simulator: fields always reflect the latest
+// transactions, entanglements and measurements
+class QuantumState {
+  constructor(session, address) {
+    this.session = session;
+    this.address = address;
+  }
+
+  get scryineType() {
+    return 'quantum_state';
+  }
+
+  get(field) {
+    const state = this.session.simulator.getQuantumState(this.address);
+    switch (field) {
+      case 'address': return this.address;
+      case 'entropy': return state.entropy;
+      case 'coherence': return state.coherence;
+      case 'lastUpdate': return state.lastUpdate;
+      case 'entangled': return this.session.entangledWith(this.address);
+    }
+  }
+
+  toString() {
+    const entropy = this.get('entropy').toFixed(3);
+    const coherence = this.get('coherence').toFixed(3);
+    return `<quantum_state ${this.address} entropy=${entropy} coherence=${coherence}>`;
+  }
+}
+
+QuantumState.FIELDS = ['address', 'entropy', 'coherence', 'lastUpdate', 'entangled'];
+
+class QuantumSession {
+  /**
+   * @param {object} [options]
+   * @param {QuantumSimulator} [options.simulator] Simulator to run against (default: a new one)
+   * @param {Function} [options.random] Random source for a new simulator and for measurements
+   * @param {Function} [options.now] Clock for a new simulator
+   * @param {Function} [options.log] Where a new simulator writes its progress (default: console.log)
+   */
+  constructor(options = {}) {
+    this.simulator = options.simulator || new QuantumSimulator({ random: options.random, now: options.now, log: options.log });
+    this.states = new Map();
+  }
+
+  // Operations available by name inside `quantum { ... }` blocks
+  has(name) {
+    return QUANTUM_OPERATIONS.includes(name);
+  }
+
+  call(name, args) {
+    return this[name](...args);
+  }
+
+  initialize(address) {
+    if (typeof address !== 'string' || !address) throw new Error('expected an address string');
+    this.simulator.initializeQuantumState(address);
+    return this.wrap(address);
+  }
+
+  state(address) {
+    address = toAddress(address);
+    return this.simulator.getQuantumState(address) ? this.wrap(address) : null;
+  }
+
+  entangle(a, b) {
+    this.simulator.entangleAddresses(toAddress(a), toAddress(b));
+    return true;
+  }
+
+  async transact(from, to, amount, proof) {
+    const result = await this.simulator.simulateQuantumTransaction(toAddress(from), toAddress(to), amount, proof);
+    return { ...result };
+  }
+
+  // Samples one of the 256 basis states with probability amplitude², then collapses the
+  // superposition onto it so that measuring again gives the same answer
+  measure(state) {
+    const address = toAddress(state);
+    const current = this.simulator.getQuantumState(address);
+    if (!current) throw new Error(`no quantum state for ${address}`);
+
+    const weights = current.superposition.map(s => s.amplitude * s.amplitude);
+    let pick = this.simulator.random() * weights.reduce((total, w) => total + w, 0);
+    let outcome = weights.findIndex(w => (pick -= w) < 0);
+    if (outcome === -1) outcome = weights.length - 1;
+
+    current.superposition = weights.map((_, i) => ({ amplitude: i === outcome ? 1 : 0, phase: 0 }));
+    current.lastUpdate = this.simulator.now();
+    return outcome;
+  }
+
+  entangledWith(address) {
+    const partners = [];
+    for (const pair of this.simulator.entanglementPairs.values()) {
+      if (pair.address1 === address) partners.push(pair.address2);
+      else if (pair.address2 === address) partners.push(pair.address1);
+    }
+    return partners;
+  }
+
+  // One QuantumState per address, so the same state compares equal to itself
+  wrap(address) {
+    if (!this.states.has(address)) this.states.set(address, new QuantumState(this, address));
+    return this.states.get(address);
+  }
+}
+
+// Quantum operations take a quantum_state or a plain address
+function toAddress(value) {
+  return value instanceof QuantumState ? value.address : value;
+}
+
+const QUANTUM_OPERATIONS = ['initialize', 'entangle', 'transact', 'state'];
+
+// Parameter and result types of the operations, for `scryine check`
+const QUANTUM_SIGNATURES = {
+  initialize: { params: { address: 'string' }, returns: 'quantum_state' },
+  entangle: { params: { a: 'any', b: 'any' }, returns: 'boolean' },
+  transact: { params: { from: 'any', to: 'any', amount: 'number', proof: 'any' }, returns: 'map' },
+  state: { params: { address: 'any' }, returns: 'any' }
+};
+
+module.exports = { QuantumSession, QuantumState, QUANTUM_OPERATIONS, QUANTUM_SIGNATURES };
@@ -0,0 +1,44 @@
+// SCRYINE Randomness
+// Seeded sources of randomness and time, so that a run with `--seed` is reproducible.
+
+// Seeded runs read time from a clock that starts here and advances 1 ms per reading
+const SEEDED_EPOCH = Date.UTC(2025, 0, 1);
+
+// Hashes any seed (number or string) to 32 bits
+function hashSeed(seed) {
+  const text = String(seed);
+  let h = 1779033703 ^ text.length;
+  for (let i = 0; i < text.length; i++) {
+    h = Math.imul(h ^ text.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  h = Math.imul(h ^ (h >>> 16), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+// mulberry32: a small, fast PRNG returning numbers in [0, 1) like Math.random
+function createRandom(seed) {
+  let state = hashSeed(seed);
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function createClock(start = SEEDED_EPOCH) {
+  let time = start;
+  return function now() {
+    return time++;
+  };
+}
+
+// A fresh seed for runs that record a trace without choosing one
+function randomSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+module.exports = { createRandom, createClock, randomSeed };
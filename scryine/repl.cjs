@@ -0,0 +1,226 @@
+// SCRYINE REPL
+// Interactive session that keeps variables and functions alive between inputs.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const ScryineInterpreter = require('./interpreter.cjs');
+const { KEYWORDS } = require('./lexer.cjs');
+const { ScryineError, ScryineSyntaxError } = require('./diagnostics.cjs');
+const { formatValue } = require('./values.cjs');
+
+const DEFAULT_HISTORY = path.join(os.homedir(), '.scryine_history');
+const HISTORY_SIZE = 500;
+
+const COMMANDS = {
+  '.help': 'Show this help',
+  '.vars': 'List global variables and their values',
+  '.functions': 'List declared god functions',
+  '.load': 'Run a .scry file into the session (main is not invoked)',
+  '.reset': 'Forget all variables and functions',
+  '.exit': 'Leave the REPL'
+};
+
+class ScryineRepl {
+  constructor(options = {}) {
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.terminal = options.terminal !== undefined ? options.terminal : Boolean(this.output.isTTY);
+    this.historyFile = options.historyFile !== undefined ? options.historyFile : DEFAULT_HISTORY;
+    this.interpreterOptions = options.interpreter || {};
+    this.interpreter = this.createInterpreter();
+    this.buffer = [];
+    this.closed = false;
+  }
+
+  createInterpreter() {
+    const interpreter = new ScryineInterpreter(this.interpreterOptions);
+    interpreter.file = '<repl>';
+    return interpreter;
+  }
+
+  print(text) {
+    this.output.write(`${text}\n`);
+  }
+
+  // Starts reading input; resolves once the session is closed
+  start() {
+    this.rl = readline.createInterface({
+      input: this.input,
+      output: this.output,
+      terminal: this.terminal,
+      prompt: 'scryine> ',
+      completer: line => this.complete(line),
+      history: this.loadHistory(),
+      historySize: HISTORY_SIZE
+    });
+
+    if (this.terminal) this.print('SCRYINE REPL - type .help for commands');
+    this.rl.prompt();
+
+    // Evaluation is asynchronous, so lines are queued and handled one at a time
+    let queue = Promise.resolve();
+    this.rl.on('line', line => {
+      queue = queue.then(async () => {
+        if (this.closed) return;
+        if (await this.handleLine(line) === false) {
+          this.closed = true;
+          this.rl.close();
+          return;
+        }
+        this.rl.setPrompt(this.buffer.length ? '...      ' : 'scryine> ');
+        this.rl.prompt();
+      });
+    });
+
+    // Ctrl+C abandons a half-typed block instead of leaving
+    this.rl.on('SIGINT', () => {
+      if (this.buffer.length) {
+        this.buffer = [];
+        this.print('(input discarded)');
+        this.rl.setPrompt('scryine> ');
+        this.rl.prompt();
+      } else {
+        this.rl.close();
+      }
+    });
+
+    return new Promise(resolve => {
+      this.rl.on('close', () => {
+        // Input may end (e.g. piped from a file) while earlier lines are still running
+        queue.then(() => {
+          this.closed = true;
+          this.saveHistory();
+          resolve();
+        });
+      });
+    });
+  }
+
+  // Handles one line of input. Returns false when the session should end.
+  async handleLine(line) {
+    if (!this.buffer.length && line.trim().startsWith('.')) {
+      return this.runCommand(line.trim());
+    }
+
+    this.buffer.push(line);
+    const code = this.buffer.join('\n');
+    if (!code.trim()) {
+      this.buffer = [];
+      return true;
+    }
+    if (this.isIncomplete(code)) return true;
+
+    this.buffer = [];
+    try {
+      const result = await this.interpreter.evaluate(code);
+      if (result !== undefined) this.print(formatValue(result, true));
+    } catch (err) {
+      this.printError(err);
+    }
+    return true;
+  }
+
+  // Input is incomplete while a block, comment or parenthesis is still open
+  isIncomplete(code) {
+    try {
+      this.interpreter.parse(code);
+      return false;
+    } catch (err) {
+      if (!(err instanceof ScryineSyntaxError)) return false;
+      return /^(Unclosed|Unterminated comment)/.test(err.message) || err.loc.start.offset >= code.length;
+    }
+  }
+
+  printError(err) {
+    if (err instanceof ScryineError) this.print(err.format(this.interpreter.source));
+    else this.print(`SCRYINE Error: ${err.message}`);
+  }
+
+  async runCommand(line) {
+    const [command, ...rest] = line.split(/\s+/);
+    const arg = rest.join(' ');
+
+    switch (command) {
+      case '.help':
+        for (const [name, description] of Object.entries(COMMANDS)) {
+          this.print(`${name.padEnd(12)}${description}`);
+        }
+        break;
+      case '.vars': {
+        const names = Object.keys(this.interpreter.variables);
+        if (!names.length) this.print('(no variables)');
+        names.forEach(name => this.print(`${name} = ${formatValue(this.interpreter.variables[name], true)}`));
+        break;
+      }
+      case '.functions': {
+        const functions = Object.values(this.interpreter.functions);
+        if (!functions.length) this.print('(no functions)');
+        functions.forEach(func => this.print(`god ${func.name}(${func.params.join(', ')})`));
+        break;
+      }
+      case '.load':
+        await this.load(arg);
+        break;
+      case '.reset':
+        this.interpreter = this.createInterpreter();
+        this.print('Session reset');
+        break;
+      case '.exit':
+        return false;
+      default:
+        this.print(`Unknown command ${command}, type .help for a list`);
+    }
+    return true;
+  }
+
+  async load(filePath) {
+    if (!filePath) {
+      this.print('Usage: .load <file.scry>');
+      return;
+    }
+    try {
+      const code = await fs.promises.readFile(path.resolve(filePath), 'utf8');
+      const before = Object.keys(this.interpreter.functions).length;
+      await this.interpreter.evaluate(code, { dir: path.dirname(path.resolve(filePath)) });
+      const added = Object.keys(this.interpreter.functions).length - before;
+      this.print(`Loaded ${filePath} (${added} new function${added === 1 ? '' : 's'})`);
+    } catch (err) {
+      this.printError(err);
+    }
+  }
+
+  complete(line) {
+    const word = (line.match(/[.A-Za-z_][A-Za-z0-9_]*$/) || [''])[0];
+    let candidates;
+    if (word.startsWith('.')) {
+      candidates = line.trim() === word ? Object.keys(COMMANDS) : [];
+    } else {
+      candidates = [
+        ...KEYWORDS,
+        ...Object.keys(this.interpreter.builtins),
+        ...Object.keys(this.interpreter.functions),
+        ...Object.keys(this.interpreter.variables)
+      ];
+    }
+    const hits = [...new Set(candidates)].filter(name => name.startsWith(word)).sort();
+    return [hits, word];
+  }
+
+  loadHistory() {
+    if (!this.historyFile || !fs.existsSync(this.historyFile)) return [];
+    return fs.readFileSync(this.historyFile, 'utf8').split('\n').filter(Boolean).reverse().slice(0, HISTORY_SIZE);
+  }
+
+  saveHistory() {
+    if (!this.historyFile || !this.rl || !this.rl.history) return;
+    try {
+      fs.writeFileSync(this.historyFile, this.rl.history.slice().reverse().join('\n') + '\n');
+    } catch (err) {
+      // History is a convenience; an unwritable home directory should not break the session
+    }
+  }
+}
+
+module.exports = ScryineRepl;
@@ -0,0 +1,274 @@
+// SCRYINE Runtime
+// What compiled scripts (see compiler.cjs) run against: the builtins, standard library,
+// contracts and quantum session of the interpreter, without the parser or the interpreter.
+
+const path = require('path');
+const { pathToFileURL, fileURLToPath } = require('url');
+const { ScryineError, ScryineLimitError } = require('./diagnostics.cjs');
+const { ContractRuntime } = require('./contracts.cjs');
+const { QuantumSession } = require('./quantum.cjs');
+const { isFunction, formatValue } = require('./values.cjs');
+const { createRandom, createClock } = require('./random.cjs');
+const { hostFunction } = require('./host.cjs');
+const { createStdlib } = require('./stdlib.cjs');
+const { createBuiltins, AssertionFailure } = require('./builtins.cjs');
+const { displayPath } = require('./modules.cjs');
+const { prophecyOf, printProphecy, checkLevel, DEFAULT_LEVEL } = require('./output.cjs');
+const operations = require('./operations.cjs');
+
+class ScryineRuntime {
+  /**
+   * @param {object} [options]
+   * @param {Function} [options.onProphesy] Output callback, `(text, value, { channel, level })` (default: the console)
+   * @param {string} [options.level] The least severe prophecies printed without a callback (default: info)
+   * @param {Function} [options.onContractCall] Called with every contract call made, see ContractRuntime
+   * @param {Function} [options.log] Where the quantum simulator writes its progress (default: console.log)
+   * @param {number|string} [options.seed] Seed for quantum_predict, the quantum simulator and time.now
+   * @param {string} [options.network] Hardhat network for contract calls
+   * @param {string} [options.rpcUrl] JSON-RPC endpoint for contract calls
+   * @param {number|string} [options.signer] Signer index or address
+   * @param {string|object} [options.deployment] Deployment file or name => address map
+   * @param {ContractRuntime} [options.contracts] An existing contract runtime
+   */
+  constructor(options = {}) {
+    this.onProphesy = options.onProphesy || null;
+    this.log = options.log || null;
+    this.level = options.level ? checkLevel(options.level) : DEFAULT_LEVEL;
+    this.seed = options.seed === undefined ? null : options.seed;
+    this.random = this.seed !== null ? createRandom(this.seed) : Math.random;
+    this.now = this.seed !== null ? createClock() : Date.now;
+    this.contracts = options.contracts || null;
+    this.quantum = options.quantum || null;
+    this.contractOptions = {
+      network: options.network,
+      rpcUrl: options.rpcUrl,
+      signer: options.signer,
+      deployment: options.deployment,
+      onCall: options.onContractCall
+    };
+    this.modules = new Map();
+    this.callSite = null;
+    // Open `witness` subscriptions, as in the interpreter
+    this.witnesses = new Set();
+    this.witnessQueue = Promise.resolve();
+    this.witnessFailures = 0;
+    this.witnessesClosed = null;
+    this.endWitnessing = null;
+    this.builtins = createBuiltins(this);
+    this.lib = {};
+    for (const [name, members] of Object.entries(createStdlib(this))) {
+      const module = {};
+      for (const [member, definition] of Object.entries(members)) {
+        module[member] = definition && typeof definition.fn === 'function'
+          ? hostFunction(`${name}.${member}`, definition.fn, definition)
+          : definition;
+      }
+      this.lib[name] = Object.freeze(module);
+    }
+  }
+
+  // A compiled script's `run(options)` may be handed an existing runtime to share
+  static from(options = {}) {
+    return options.runtime || new ScryineRuntime(options);
+  }
+
+  getContracts() {
+    if (!this.contracts) this.contracts = new ContractRuntime(this.contractOptions);
+    return this.contracts;
+  }
+
+  getQuantum() {
+    if (!this.quantum) this.quantum = new QuantumSession({ random: this.random, now: this.now, log: this.log });
+    return this.quantum;
+  }
+
+  // Runs a compiled file's top level once per runtime; `body` returns its top-level names
+  load(url, body) {
+    if (!this.modules.has(url)) {
+      this.modules.set(url, body(this).then(({ main, ...names }) => {
+        // Names declared in blocks that never ran are left out, as in the interpreter
+        const namespace = Object.fromEntries(Object.entries(names).filter(([, value]) => value !== undefined));
+        return { namespace: Object.freeze(namespace), main: isFunction(main) ? main : null };
+      }));
+    }
+    return this.modules.get(url);
+  }
+
+  async callMain(main, args = []) {
+    return main(...args.map(operations.toScryineArg));
+  }
+
+  error(message, loc, kind = 'runtime', cause) {
+    return new ScryineError(message, { kind, loc, file: loc ? loc.file : null, source: (loc && loc.source) || null, cause });
+  }
+
+  // Calls a function value: a compiled `god` function, a builtin or a library function
+  async call(func, args, loc) {
+    if (!isFunction(func)) throw this.error(`${formatValue(func, true)} is not a function`, loc);
+    this.callSite = loc;
+    return this.host(func.name, loc, () => func(...args));
+  }
+
+  builtin(name, args, loc) {
+    return this.call(this.builtins[name], args, loc);
+  }
+
+  quantumCall(name, args, loc) {
+    return this.host(name, loc, () => this.getQuantum().call(name, args));
+  }
+
+  token(contract, operation, args, loc) {
+    return this.host(`token ${contract}.${operation}`, loc, () => this.getContracts().token(contract, operation, args));
+  }
+
+  oracle(verifier, requestId, loc) {
+    return this.host(`oracle ${verifier}`, loc, () => this.getContracts().oracle(verifier, requestId));
+  }
+
+  // Subscribes a compiled `witness` block to its event; `filters` maps filtered parameters to values
+  async witness(contract, event, params, filters, handler, loc) {
+    const what = `witness ${contract}.${event}`;
+    // Events that cannot be decoded and polls that keep failing are reported like failing handlers
+    const failed = err => {
+      const failure = this.error(`${what}: ${err.message}`, loc, 'runtime', err);
+      this.witnessQueue = this.witnessQueue.then(() => this.witnessFailed(failure));
+    };
+    const unsubscribe = await this.host(what, loc, () =>
+      this.getContracts().witness(contract, event, params, filters, args => this.witnessed(handler, params.map(param => args[param])), failed)
+    );
+    this.witnesses.add(unsubscribe);
+    if (!this.witnessesClosed) this.witnessesClosed = new Promise(resolve => { this.endWitnessing = resolve; });
+  }
+
+  // Events are handled one at a time, in the order they arrive; a failing handler is reported
+  witnessed(handler, args) {
+    this.witnessQueue = this.witnessQueue
+      .then(() => handler(...args))
+      .catch(err => this.witnessFailed(err));
+  }
+
+  witnessFailed(err) {
+    this.witnessFailures++;
+    if (err instanceof ScryineError) console.error(err.format());
+    else console.error('SCRYINE Error:', err.message);
+  }
+
+  // Stops every open `witness` subscription and waits for the events already received
+  async closeWitnesses() {
+    const open = [...this.witnesses];
+    this.witnesses.clear();
+    await Promise.all(open.map(unsubscribe => unsubscribe()));
+    await this.witnessQueue;
+    if (this.endWitnessing) this.endWitnessing();
+    this.witnessesClosed = null;
+    this.endWitnessing = null;
+  }
+
+  async waitForWitnesses() {
+    if (this.witnesses.size) await this.witnessesClosed;
+  }
+
+  // Runs host code, turning JS exceptions into located SCRYINE errors
+  async host(what, loc, fn) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (err instanceof ScryineError) throw err;
+      if (err instanceof AssertionFailure) throw this.error(err.message, loc, 'assertion', err);
+      throw this.error(`${what}: ${err.message}`, loc, 'runtime', err);
+    }
+  }
+
+  // Builtins such as map call back into SCRYINE functions through the host
+  callValue(func, args, loc) {
+    return this.call(func, args, loc);
+  }
+
+  binary(op, left, right) {
+    return operations.binary(op, left, right);
+  }
+
+  member(object, property, loc) {
+    return operations.member(object, property, (message, kind) => this.error(message, loc, kind));
+  }
+
+  index(object, key, loc, keyLoc) {
+    return operations.index(object, key, (message, part, kind) => this.error(message, part === 'index' ? keyLoc : loc, kind));
+  }
+
+  items(iterable, loc) {
+    return operations.items(iterable, message => this.error(message, loc));
+  }
+
+  async prophesy(value, channel, level) {
+    const prophecy = prophecyOf(channel, level);
+    if (this.onProphesy) await this.onProphesy(formatValue(value), value, prophecy);
+    else printProphecy(formatValue(value), prophecy, this.level);
+  }
+
+  // Starts every branch at once, waits for all of them, then throws the first failure
+  async concord(branches) {
+    const results = await Promise.allSettled(branches.map(branch => branch()));
+    const failed = results.find(result => result.status === 'rejected');
+    if (failed) throw failed.reason;
+  }
+
+  smite(value, loc) {
+    const { message, kind, reason } = operations.smitten(value);
+    const err = this.error(message, loc, kind);
+    err.value = value;
+    if (reason !== undefined) err.reason = reason;
+    return err;
+  }
+
+  // The value bound by `repent name`; anything that is not a SCRYINE error is thrown on
+  repent(err) {
+    if (!(err instanceof ScryineError) || err instanceof ScryineLimitError) throw err;
+    return operations.errorValue(err);
+  }
+}
+
+// Source locations of a compiled file, from `[line, column, endLine, endColumn]` entries.
+// `name` is the .scry file relative to the compiled module at `url`, so that errors name it
+// from whatever directory the module is run in; `source` is its text, compiled into the
+// module so that errors can quote it wherever the module is deployed.
+function locations(url, name, source, entries) {
+  const file = displayPath(path.resolve(path.dirname(fileURLToPath(url)), name));
+  return entries.map(([line, column, endLine, endColumn]) => ({
+    start: { line, column },
+    end: { line: endLine, column: endColumn },
+    file,
+    source
+  }));
+}
+
+// Whether a compiled module is the script node was started with
+function isEntryPoint(url) {
+  return Boolean(process.argv[1]) && pathToFileURL(process.argv[1]).href === url;
+}
+
+// `node compiled.mjs [args...]`: runs the script and exits with main's exit code. A script
+// that witnesses events runs until Ctrl+C or SIGTERM, then exits with 1 if a handler failed.
+function runAsScript(run) {
+  const runtime = new ScryineRuntime();
+  run({ args: process.argv.slice(2), runtime }).then(
+    async result => {
+      if (runtime.witnesses.size) {
+        const stop = () => runtime.closeWitnesses();
+        process.once('SIGINT', stop);
+        process.once('SIGTERM', stop);
+        console.error(`Witnessing ${runtime.witnesses.size} event subscription${runtime.witnesses.size === 1 ? '' : 's'}; press Ctrl+C to stop`);
+        await runtime.waitForWitnesses();
+        if (runtime.witnessFailures) process.exit(1);
+      }
+      process.exit(operations.exitCode(result));
+    },
+    err => {
+      if (err instanceof ScryineError) console.error(err.format());
+      else console.error('SCRYINE Error:', err.message);
+      process.exit(1);
+    }
+  );
+}
+
+module.exports = { ScryineRuntime, locations, isEntryPoint, runAsScript };
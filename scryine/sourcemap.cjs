@@ -0,0 +1,61 @@
+// SCRYINE Source Maps
+// Builds version 3 source maps for compiled scripts, so that stack traces through the
+// generated JavaScript point at lines of the original .scry file.
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+class SourceMapBuilder {
+  constructor() {
+    this.segments = []; // [generatedLine, generatedColumn, sourceLine, sourceColumn], all 0-based
+  }
+
+  add(generatedLine, generatedColumn, sourceLine, sourceColumn) {
+    this.segments.push([generatedLine, generatedColumn, sourceLine, sourceColumn]);
+  }
+
+  // `file` is the generated file; `source` its .scry file, relative to the map
+  toJSON(file, source, sourceContent) {
+    return {
+      version: 3,
+      file,
+      sources: [source],
+      sourcesContent: [sourceContent],
+      names: [],
+      mappings: this.mappings()
+    };
+  }
+
+  mappings() {
+    const segments = this.segments.slice().sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    const lines = [];
+    let previousSourceLine = 0;
+    let previousSourceColumn = 0;
+    for (const [line, column, sourceLine, sourceColumn] of segments) {
+      while (lines.length <= line) lines.push([]);
+      const current = lines[line];
+      const previousColumn = current.length ? current[current.length - 1].column : 0;
+      current.push({
+        column,
+        text: vlq(column - previousColumn) + vlq(0) + vlq(sourceLine - previousSourceLine) + vlq(sourceColumn - previousSourceColumn)
+      });
+      previousSourceLine = sourceLine;
+      previousSourceColumn = sourceColumn;
+    }
+    return lines.map(segmentsOnLine => segmentsOnLine.map(segment => segment.text).join(',')).join(';');
+  }
+}
+
+// Base64 VLQ: sign in the lowest bit, then 5 bits per digit with a continuation bit
+function vlq(value) {
+  let rest = value < 0 ? (-value << 1) | 1 : value << 1;
+  let text = '';
+  do {
+    let digit = rest & 31;
+    rest >>>= 5;
+    if (rest > 0) digit |= 32;
+    text += BASE64[digit];
+  } while (rest > 0);
+  return text;
+}
+
+module.exports = { SourceMapBuilder, vlq };
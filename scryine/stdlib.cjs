@@ -0,0 +1,105 @@
+// SCRYINE Standard Library
+// The `math`, `string`, `time` and `eth` namespaces available to every script. The Ethereum
+// helpers use the same ethers utilities, and the same amount conversions, as the contract runtime.
+
+const { ethers } = require('ethers');
+const { formatValue, isList, isNumber, typeName } = require('./values.cjs');
+const { toWei, toBytes } = require('./contracts.cjs');
+
+// Durations in seconds, the unit of block timestamps: `time.now() + 2 * time.days`
+const DURATIONS = { seconds: 1, minutes: 60, hours: 3600, days: 86400, weeks: 604800 };
+
+/**
+ * Namespace definitions in the shape taken by `registerModule`. Members marked `pure` always
+ * return the same result for the same arguments and are left out of traces; `returns` gives
+ * their result type to `scryine check`.
+ * @param {ScryineInterpreter} interpreter Supplies the clock and the contract runtime
+ */
+function createStdlib(interpreter) {
+  return {
+    math: {
+      min: { fn: (...values) => numbers('min', values).reduce((least, value) => value < least ? value : least), returns: 'number', pure: true },
+      max: { fn: (...values) => numbers('max', values).reduce((most, value) => value > most ? value : most), returns: 'number', pure: true },
+      round: { fn: round, params: { value: 'number', digits: 'number?' }, returns: 'number', pure: true },
+      floor: { fn: value => typeof value === 'bigint' ? value : Math.floor(value), params: { value: 'number' }, returns: 'number', pure: true },
+      pow: { fn: (base, exponent) => Math.pow(Number(base), Number(exponent)), params: { base: 'number', exponent: 'number' }, returns: 'number', pure: true },
+      sqrt: { fn: sqrt, params: { value: 'number' }, returns: 'number', pure: true }
+    },
+    string: {
+      concat: { fn: (...parts) => parts.map(part => formatValue(part)).join(''), returns: 'string', pure: true },
+      slice: { fn: (text, start, end) => text.slice(start, end === null ? undefined : end), params: { text: 'string', start: 'number', end: 'number?' }, returns: 'string', pure: true },
+      upper: { fn: text => text.toUpperCase(), params: { text: 'string' }, returns: 'string', pure: true },
+      format: { fn: format, params: { template: 'string', 'values...': 'any' }, returns: 'string', pure: true }
+    },
+    time: {
+      now: { fn: () => Math.floor(interpreter.now() / 1000), returns: 'number' },
+      block: { fn: () => interpreter.getContracts().blockTimestamp(), returns: 'number', external: true },
+      ...DURATIONS
+    },
+    eth: {
+      parseEther: { fn: amount => toWei(toAmount(amount)).toString(), params: { amount: 'any' }, returns: 'string', pure: true },
+      formatEther: { fn: wei => ethers.utils.formatEther(toBigNumber(wei)), params: { wei: 'any' }, returns: 'string', pure: true },
+      parseUnits: { fn: (amount, decimals) => ethers.utils.parseUnits(toAmount(amount), decimals).toString(), params: { amount: 'any', decimals: 'number' }, returns: 'string', pure: true },
+      formatUnits: { fn: (value, decimals) => ethers.utils.formatUnits(toBigNumber(value), decimals), params: { value: 'any', decimals: 'number' }, returns: 'string', pure: true },
+      keccak256: { fn: data => ethers.utils.keccak256(toBytes(data)), params: { data: 'string' }, returns: 'string', pure: true },
+      isAddress: { fn: value => typeof value === 'string' && ethers.utils.isAddress(value), params: { value: 'any' }, returns: 'boolean', pure: true }
+    }
+  };
+}
+
+// min and max take numbers, or a single list of numbers
+function numbers(name, values) {
+  const list = values.length === 1 && isList(values[0]) ? values[0] : values;
+  if (!list.length) throw new Error(`${name} needs at least one number`);
+  for (const value of list) {
+    if (!isNumber(value)) throw new Error(`expected numbers but got ${typeName(value)}`);
+  }
+  return list;
+}
+
+// BigInts are whole already
+function round(value, digits) {
+  if (typeof value === 'bigint') return value;
+  if (digits === undefined || digits === null) return Math.round(value);
+  if (!Number.isInteger(digits) || digits < 0) throw new Error(`digits must be a whole number, got ${digits}`);
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function sqrt(value) {
+  if (value < 0) throw new Error(`cannot take the square root of ${value}`);
+  return Math.sqrt(Number(value));
+}
+
+// "{}" placeholders take the values in order; "{0}", "{1}" pick one by position
+function format(template, ...values) {
+  let next = 0;
+  return template.replace(/\{(\d*)\}/g, (placeholder, index) => {
+    const i = index === '' ? next++ : Number(index);
+    if (i >= values.length) throw new Error(`no value for placeholder ${placeholder} (got ${values.length})`);
+    return formatValue(values[i]);
+  });
+}
+
+// Amounts are numbers or decimal strings, e.g. 1.5 or "0.000000000000000001"
+function toAmount(value) {
+  if (typeof value === 'number') {
+    return value.toLocaleString('en-US', { useGrouping: false, maximumFractionDigits: 18 });
+  }
+  if (typeof value === 'string' || typeof value === 'bigint') return String(value);
+  throw new Error(`expected a number or decimal string but got ${typeName(value)}`);
+}
+
+// Wei values are whole numbers (BigInts when too large for a safe integer) or decimal strings
+function toBigNumber(value) {
+  if (typeof value === 'bigint') return ethers.BigNumber.from(value.toString());
+  if (typeof value === 'number' && !Number.isSafeInteger(value)) {
+    throw new Error(`expected a whole number of wei but got ${value}; pass large amounts as strings`);
+  }
+  if (typeof value !== 'number' && typeof value !== 'string') {
+    throw new Error(`expected a number or decimal string but got ${typeName(value)}`);
+  }
+  return ethers.BigNumber.from(String(value));
+}
+
+module.exports = { createStdlib, DURATIONS };
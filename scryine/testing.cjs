@@ -0,0 +1,313 @@
+// SCRYINE Test Runner
+// Runs the `covenant "name" { ... }` blocks of *.test.scry files for `scryine test`. Every
+// covenant runs in an interpreter of its own with seeded builtins, after its file's top level,
+// against contracts freshly deployed to the Hardhat network. Results are reported as TAP or
+// JUnit XML, or as mocha tests through `describeCovenants`.
+
+const fs = require('fs');
+const path = require('path');
+const ScryineInterpreter = require('./interpreter.cjs');
+const { parse } = require('./parser.cjs');
+const { ScryineError } = require('./diagnostics.cjs');
+const { ContractRuntime } = require('./contracts.cjs');
+const { displayPath } = require('./modules.cjs');
+const { deployContracts } = require('../scripts/deployment.cjs');
+
+const TEST_EXTENSION = '.test.scry';
+
+// Covenants are reproducible by default: quantum_predict, the quantum simulator and time.now
+// give the same results on every run unless another seed is asked for
+const DEFAULT_SEED = 'covenant';
+
+// The *.test.scry files under the given files and folders, skipping node_modules and hidden folders.
+// Files named directly are kept whatever their name.
+function findTestFiles(paths) {
+  const files = [];
+  for (const target of paths) {
+    if (!fs.statSync(target).isDirectory()) {
+      files.push(target);
+      continue;
+    }
+    for (const entry of fs.readdirSync(target, { withFileTypes: true })) {
+      if (entry.name === 'node_modules' || entry.name.startsWith('.')) continue;
+      const child = path.join(target, entry.name);
+      if (entry.isDirectory()) files.push(...findTestFiles([child]));
+      else if (entry.name.endsWith(TEST_EXTENSION)) files.push(child);
+    }
+  }
+  return files;
+}
+
+// The covenants of a test file in source order, as tests for `CovenantRunner.run`
+function loadTests(file) {
+  const source = fs.readFileSync(file, 'utf8');
+  let program;
+  try {
+    program = parse(source);
+  } catch (err) {
+    if (err instanceof ScryineError) Object.assign(err, { file, source });
+    throw err;
+  }
+  return program.body
+    .filter(node => node.type === 'CovenantStatement')
+    .map((node, index) => ({ file, source, name: node.name, index }));
+}
+
+// The Hardhat network covenants run against. The contracts of scripts/deploy.mjs are deployed
+// the first time a covenant touches the chain; every covenant after that starts from a
+// snapshot taken right after the deployment.
+class TestNetwork {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.hre] An already loaded Hardhat runtime environment
+   */
+  constructor(options = {}) {
+    this.hre = options.hre || null;
+    this.fixture = null;
+    this.baseline = null;
+    this.snapshot = null;
+    this.used = false;
+  }
+
+  async send(method, params = []) {
+    return this.hre.network.provider.send(method, params);
+  }
+
+  // The Hardhat runtime and deployment for a covenant's contract runtime
+  async acquire() {
+    if (!this.fixture) this.fixture = this.deploy();
+    const fixture = await this.fixture;
+    this.used = true;
+    return fixture;
+  }
+
+  // Deploys what scripts/deploy.mjs deploys. Contracts that have not been compiled cannot be
+  // called from a covenant anyway, so they are left out.
+  async deploy() {
+    if (!this.hre) this.hre = require('hardhat');
+    this.baseline = await this.send('evm_snapshot');
+    const { artifacts } = this.hre;
+    const deployment = {
+      network: this.hre.network.name,
+      ...await deployContracts(this.hre, { include: name => artifacts.artifactExists(name) })
+    };
+    this.snapshot = await this.send('evm_snapshot');
+    return { hre: this.hre, deployment };
+  }
+
+  // Puts the chain back to just after the deployment if the last covenant used it.
+  // A snapshot can only be reverted to once, so a new one is taken each time.
+  async reset() {
+    if (!this.used) return;
+    await this.send('evm_revert', [this.snapshot]);
+    this.snapshot = await this.send('evm_snapshot');
+    this.used = false;
+  }
+
+  // Leaves the network as it was before the deployment, for whatever runs on it next
+  async close() {
+    if (!this.fixture) return;
+    await this.fixture;
+    await this.send('evm_revert', [this.baseline]);
+    this.fixture = null;
+    this.used = false;
+  }
+}
+
+// A contract runtime that connects to the test network, deploying its contracts on first use
+class TestContracts extends ContractRuntime {
+  constructor(network, options = {}) {
+    super(options);
+    this.testNetwork = network;
+  }
+
+  async connect() {
+    if (!this.signer) {
+      const { hre, deployment } = await this.testNetwork.acquire();
+      this.hre = hre;
+      this.deployment = deployment;
+    }
+    return super.connect();
+  }
+}
+
+class CovenantRunner {
+  /**
+   * @param {object} [options]
+   * @param {number|string} [options.seed] Seed for quantum_predict, the quantum simulator and time.now
+   * @param {string} [options.engine] 'ast' (default) or 'vm'
+   * @param {string[]} [options.modulePaths] Folders searched for bare import names
+   * @param {object} [options.hre] An already loaded Hardhat runtime environment
+   * @param {Function} [options.log] Where the quantum simulator writes its progress (default: console.log)
+   */
+  constructor(options = {}) {
+    this.seed = options.seed === undefined || options.seed === null ? DEFAULT_SEED : options.seed;
+    this.engine = options.engine;
+    this.modulePaths = options.modulePaths;
+    this.log = options.log;
+    this.network = new TestNetwork({ hre: options.hre });
+  }
+
+  /**
+   * Runs one covenant from `loadTests`: its file's top level runs first, in a fresh
+   * interpreter, then the covenant. Returns `{ file, name, passed, duration, output, error,
+   * message }`, where output holds what was prophesied and message describes the failure.
+   */
+  async run(test) {
+    const result = { file: test.file, name: test.name, passed: false, duration: 0, output: [], error: null, message: null };
+    const started = Date.now();
+    const interpreter = new ScryineInterpreter({
+      engine: this.engine,
+      seed: this.seed,
+      modulePaths: this.modulePaths,
+      log: this.log,
+      contracts: new TestContracts(this.network),
+      onProphesy: text => { result.output.push(text); }
+    });
+    interpreter.file = test.file;
+    try {
+      await this.network.reset();
+      const covenants = await interpreter.loadCovenants(test.source);
+      await interpreter.runCovenant(covenants[test.index]);
+      // Witness blocks opened by the covenant are closed with it; a failed handler breaks it
+      await interpreter.closeWitnesses();
+      if (interpreter.witnessFailures) throw new Error(`${interpreter.witnessFailures} witness handler${interpreter.witnessFailures === 1 ? '' : 's'} failed`);
+      result.passed = true;
+    } catch (err) {
+      await interpreter.closeWitnesses();
+      result.error = err;
+      result.message = err instanceof ScryineError ? err.format(test.source) : err.message;
+    }
+    result.duration = Date.now() - started;
+    return result;
+  }
+
+  // Runs every covenant of the files in order. A file that does not parse gets a single
+  // failed result, named after the file.
+  async runFiles(files) {
+    const suites = [];
+    for (const file of files) {
+      const suite = { file, results: [] };
+      suites.push(suite);
+      let tests;
+      try {
+        tests = loadTests(file);
+      } catch (err) {
+        if (!(err instanceof ScryineError)) throw err;
+        suite.results.push({ file, name: displayPath(file), passed: false, duration: 0, output: [], error: err, message: err.format() });
+        continue;
+      }
+      for (const test of tests) suite.results.push(await this.run(test));
+    }
+    return suites;
+  }
+
+  close() {
+    return this.network.close();
+  }
+}
+
+// Reporters
+
+// TAP version 13, with a YAML block under each failure
+function formatTap(suites) {
+  const results = suites.flatMap(suite => suite.results);
+  const lines = ['TAP version 13', `1..${results.length}`];
+  results.forEach((result, i) => {
+    lines.push(`${result.passed ? 'ok' : 'not ok'} ${i + 1} - ${displayPath(result.file)}: ${result.name.replace(/#/g, '\\#')}`);
+    if (result.passed) return;
+    lines.push('  ---');
+    lines.push(`  message: ${JSON.stringify(result.error.message)}`);
+    if (result.error instanceof ScryineError) {
+      lines.push(`  kind: ${result.error.kind}`);
+      if (result.error.loc) lines.push(`  at: ${JSON.stringify(`${displayPath(result.error.file || result.file)}:${result.error.line}:${result.error.column}`)}`);
+    }
+    if (result.output.length) {
+      lines.push('  output:');
+      result.output.forEach(text => lines.push(`    - ${JSON.stringify(text)}`));
+    }
+    lines.push('  ...');
+  });
+  const failed = results.filter(result => !result.passed).length;
+  lines.push(`# pass ${results.length - failed}`, `# fail ${failed}`);
+  return lines.join('\n') + '\n';
+}
+
+// JUnit XML: a testsuite per file and a testcase per covenant, as CI servers read it
+function formatJunit(suites) {
+  const seconds = ms => (ms / 1000).toFixed(3);
+  const total = (results, what) => results.reduce((sum, result) => sum + what(result), 0);
+  const all = suites.flatMap(suite => suite.results);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="scryine" tests="${all.length}" failures="${total(all, r => r.passed ? 0 : 1)}" time="${seconds(total(all, r => r.duration))}">`
+  ];
+  for (const { file, results } of suites) {
+    const name = escapeXml(displayPath(file));
+    lines.push(`  <testsuite name="${name}" tests="${results.length}" failures="${total(results, r => r.passed ? 0 : 1)}" time="${seconds(total(results, r => r.duration))}">`);
+    for (const result of results) {
+      const testcase = `    <testcase name="${escapeXml(result.name)}" classname="${name}" time="${seconds(result.duration)}"`;
+      if (result.passed && !result.output.length) {
+        lines.push(`${testcase}/>`);
+        continue;
+      }
+      lines.push(`${testcase}>`);
+      if (!result.passed) {
+        const type = result.error instanceof ScryineError ? result.error.kind : 'error';
+        lines.push(`      <failure message="${escapeXml(result.error.message)}" type="${escapeXml(type)}">${escapeXml(result.message)}</failure>`);
+      }
+      if (result.output.length) lines.push(`      <system-out>${escapeXml(result.output.join('\n'))}</system-out>`);
+      lines.push('    </testcase>');
+    }
+    lines.push('  </testsuite>');
+  }
+  lines.push('</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+const REPORTERS = { tap: formatTap, junit: formatJunit };
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, ch => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[ch]);
+}
+
+/**
+ * Registers the covenants of the test files under `paths` as mocha tests, a `describe` per
+ * file, so they run with the rest of a Hardhat test suite. Call it at the top level of a
+ * mocha test file; files are parsed while mocha collects the tests.
+ * @param {string[]} paths Test files and folders holding them
+ * @param {object} [options] See CovenantRunner
+ */
+function describeCovenants(paths, options = {}) {
+  const runner = new CovenantRunner(options);
+  for (const file of findTestFiles(paths)) {
+    describe(displayPath(file), function () {
+      let tests;
+      try {
+        tests = loadTests(file);
+      } catch (err) {
+        if (!(err instanceof ScryineError)) throw err;
+        it('parses', function () {
+          throw failure(err.format());
+        });
+        return;
+      }
+      for (const test of tests) {
+        it(test.name, async function () {
+          const result = await runner.run(test);
+          if (!result.passed) throw failure(result.message);
+        });
+      }
+    });
+  }
+  after(() => runner.close());
+}
+
+// Mocha prints an error's stack; a covenant's is its diagnostic
+function failure(message) {
+  const err = new Error(message);
+  err.stack = message;
+  return err;
+}
+
+module.exports = { CovenantRunner, TestNetwork, TestContracts, findTestFiles, loadTests, formatTap, formatJunit, REPORTERS, describeCovenants, DEFAULT_SEED };
@@ -0,0 +1,130 @@
+// SCRYINE Traces
+// A record run saves its seed and the result of every builtin call to a JSON trace file.
+// A replay run takes the seed from the trace, hands back the recorded results of calls
+// that reach outside the interpreter (contracts), and checks that every other call
+// reproduces its recorded result, so any divergence is reported where it happens.
+
+const fs = require('fs');
+const { QuantumState } = require('./quantum.cjs');
+const { isList, isMap, isFunction } = require('./values.cjs');
+
+const TRACE_VERSION = 1;
+
+class Trace {
+  constructor(mode, file, { seed, calls = [] }) {
+    this.mode = mode; // 'record' | 'replay'
+    this.file = file;
+    this.seed = seed;
+    this.calls = calls;
+    this.position = 0; // first recorded call not yet replayed
+    this.used = null;
+  }
+
+  static record(file, seed) {
+    return new Trace('record', file, { seed });
+  }
+
+  static replay(file) {
+    if (!fs.existsSync(file)) throw new Error(`Missing trace file: ${file}`);
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (data.version !== TRACE_VERSION || !Array.isArray(data.calls)) {
+      throw new Error(`${file} is not a SCRYINE trace (version ${TRACE_VERSION})`);
+    }
+    return new Trace('replay', file, data);
+  }
+
+  // Runs `fn` for the builtin `name`, recording or checking its result. External calls
+  // are not run at all when replaying; a recorded failure is thrown again.
+  async call(name, args, external, fn) {
+    if (this.mode === 'record') {
+      // The slot is taken before the call starts, so concurrent calls keep their start order
+      const entry = { name, args: encode(args), result: null };
+      this.calls.push(entry);
+      try {
+        const result = await fn();
+        entry.result = encode(result);
+        return result;
+      } catch (err) {
+        entry.error = err.message;
+        throw err;
+      }
+    }
+
+    const actual = { name, args: encode(args) };
+    const index = this.claim(actual);
+    const entry = this.calls[index];
+    if (external) {
+      if (entry.error !== undefined) throw new Error(entry.error);
+      return decode(entry.result);
+    }
+
+    const result = await fn();
+    if (!sameValue(entry.result, encode(result))) {
+      throw new Error(`replay diverged at call ${index + 1}: recorded ${JSON.stringify(entry.result)} but got ${JSON.stringify(encode(result))}`);
+    }
+    return result;
+  }
+
+  // Finds the earliest unused recorded call with the same name and arguments. Sequential
+  // scripts always take the next call; branches of a concord block may take them out of order.
+  claim(actual) {
+    if (!this.used) this.used = new Set();
+    const index = this.calls.findIndex((entry, i) =>
+      i >= this.position && !this.used.has(i) && entry.name === actual.name && sameValue(entry.args, actual.args)
+    );
+    if (index === -1) {
+      const next = this.calls[this.position];
+      const expected = next ? `the trace has ${describe(next)}` : 'the trace ends here';
+      throw new Error(`replay diverged at call ${this.position + 1}: ${expected}, but the script called ${describe(actual)}`);
+    }
+    this.used.add(index);
+    while (this.used.has(this.position)) this.position++;
+    return index;
+  }
+
+  // Checks that a finished replay used the whole trace
+  finish() {
+    if (this.mode !== 'replay') return;
+    const left = this.calls.length - (this.used ? this.used.size : 0);
+    if (left > 0) {
+      throw new Error(`replay diverged: the script finished with ${left} recorded call${left === 1 ? '' : 's'} left, next ${describe(this.calls[this.position])}`);
+    }
+  }
+
+  save() {
+    const data = { version: TRACE_VERSION, seed: this.seed, calls: this.calls };
+    fs.writeFileSync(this.file, JSON.stringify(data, null, 2) + '\n');
+  }
+}
+
+// Values as plain JSON, as stored in a trace or a run report: quantum states and functions by
+// name, and BigInts as decimal strings
+function encode(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'bigint') return { $bigint: value.toString() };
+  if (value instanceof QuantumState) return { $quantum_state: value.address };
+  if (isFunction(value)) return { $function: value.name };
+  if (isList(value)) return value.map(encode);
+  if (isMap(value)) return Object.fromEntries(Object.keys(value).map(key => [key, encode(value[key])]));
+  return value;
+}
+
+// The BigInts in an encoded value, restored for a replayed contract call
+function decode(value) {
+  if (isList(value)) return value.map(decode);
+  if (isMap(value)) {
+    if (typeof value.$bigint === 'string') return BigInt(value.$bigint);
+    return Object.fromEntries(Object.keys(value).map(key => [key, decode(value[key])]));
+  }
+  return value;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function describe(entry) {
+  return `${entry.name}(${entry.args.map(arg => JSON.stringify(arg)).join(', ')})`;
+}
+
+module.exports = { Trace, TRACE_VERSION, encode };
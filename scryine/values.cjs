@@ -0,0 +1,68 @@
+// SCRYINE Values
+// Lists are JS arrays and maps are plain objects (the same shape as contract structs). Numbers
+// are JS numbers, except integers too large to be exact (e.g. token amounts from a contract),
+// which are BigInts; both are of type number.
+// This module names and prints values consistently for prophesy, string concatenation and the REPL.
+
+// A user-defined `god` function, closing over the scope it was declared in
+class ScryineFunction {
+  constructor(node, closure) {
+    this.name = node.name;
+    this.params = node.params.map(p => p.name);
+    this.body = node.body;
+    this.closure = closure;
+  }
+}
+
+function isList(value) {
+  return Array.isArray(value);
+}
+
+function isMap(value) {
+  if (value === null || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+function isFunction(value) {
+  return value instanceof ScryineFunction || typeof value === 'function';
+}
+
+// A BigInt result as a number when it fits, so an integer is only ever a BigInt when it has to be
+function normalizeInteger(value) {
+  return typeof value === 'bigint' && value >= MIN_SAFE && value <= MAX_SAFE ? Number(value) : value;
+}
+
+const MAX_SAFE = BigInt(Number.MAX_SAFE_INTEGER);
+const MIN_SAFE = -MAX_SAFE;
+
+function isNumber(value) {
+  return typeof value === 'number' || typeof value === 'bigint';
+}
+
+function typeName(value) {
+  if (value === null || value === undefined) return 'nothing';
+  if (isList(value)) return 'list';
+  if (isMap(value)) return 'map';
+  if (isFunction(value)) return 'function';
+  if (value.scryineType) return value.scryineType; // e.g. quantum_state
+  return isNumber(value) ? 'number' : typeof value;
+}
+
+// Nested strings are always quoted; a top-level string only when `quoteStrings` is set
+function formatValue(value, quoteStrings = false) {
+  if (typeof value === 'string') return quoteStrings ? JSON.stringify(value) : value;
+  if (isList(value)) return `[${value.map(item => formatValue(item, true)).join(', ')}]`;
+  if (isMap(value)) {
+    const fields = Object.keys(value).map(key => `${formatKey(key)}: ${formatValue(value[key], true)}`);
+    return `{${fields.join(', ')}}`;
+  }
+  if (isFunction(value)) return `<god ${value.name || 'anonymous'}>`;
+  return String(value);
+}
+
+function formatKey(key) {
+  return /^[A-Za-z_][A-Za-z0-9_]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+module.exports = { ScryineFunction, isList, isMap, isFunction, isNumber, normalizeInteger, typeName, formatValue };
@@ -0,0 +1,200 @@
+// SCRYINE Virtual Machine
+// Runs bytecode (bytecode.cjs) on an operand stack. Scopes, calls, errors and limits are the
+// interpreter's own, so both engines behave the same; the VM only awaits instructions that
+// can be asynchronous (calls, output, imports), where the tree walker awaited every node.
+
+const { OP } = require('./bytecode.cjs');
+const operations = require('./operations.cjs');
+
+// Thrown by `return` and caught by the enclosing call frame
+class ReturnSignal {
+  constructor(value) {
+    this.value = value;
+  }
+}
+
+class ScryineVM {
+  constructor(interpreter) {
+    this.interpreter = interpreter;
+  }
+
+  /**
+   * Runs `chunk` in `env`. A function chunk returns what its `return` returned; a `return`
+   * anywhere else unwinds to the enclosing call, as it does in the tree walker.
+   */
+  async run(chunk, env) {
+    const host = this.interpreter;
+    const { code, constants } = chunk;
+    const stack = [];
+    const handlers = []; // try blocks entered and not yet left: { node, target, depth }
+    let pc = 0;
+
+    for (;;) {
+      try {
+        for (;;) {
+          switch (code[pc++]) {
+            case OP.CONST:
+              stack.push(constants[code[pc++]]);
+              break;
+            case OP.LOAD:
+              stack.push(host.lookup(constants[code[pc++]], env));
+              break;
+            case OP.POP:
+              stack.pop();
+              break;
+            case OP.DECLARE:
+              host.declareVariable(constants[code[pc++]], stack.pop(), env);
+              break;
+            case OP.ASSIGN:
+              host.assignVariable(constants[code[pc++]], stack.pop(), env);
+              break;
+            case OP.FUNCTION:
+              host.declareFunction(constants[code[pc++]], env);
+              break;
+            case OP.COVENANT:
+              host.declareCovenant(constants[code[pc++]], env);
+              break;
+            case OP.NOT:
+              stack.push(!stack.pop());
+              break;
+            case OP.NEGATE:
+              stack.push(-stack.pop());
+              break;
+            case OP.BINARY: {
+              const right = stack.pop();
+              const left = stack.pop();
+              stack.push(operations.binary(constants[code[pc++]], left, right));
+              break;
+            }
+            case OP.JUMP:
+              pc = code[pc];
+              break;
+            case OP.JUMP_IF_FALSE:
+              pc = stack.pop() ? pc + 1 : code[pc];
+              break;
+            case OP.JUMP_IF_FALSE_OR_POP:
+              if (stack[stack.length - 1]) {
+                stack.pop();
+                pc++;
+              } else {
+                pc = code[pc];
+              }
+              break;
+            case OP.JUMP_IF_TRUE_OR_POP:
+              if (stack[stack.length - 1]) {
+                pc = code[pc];
+              } else {
+                stack.pop();
+                pc++;
+              }
+              break;
+            case OP.LIST:
+              stack.push(stack.splice(stack.length - code[pc++]));
+              break;
+            case OP.MAP: {
+              const keys = constants[code[pc++]];
+              const values = stack.splice(stack.length - keys.length);
+              stack.push(Object.fromEntries(keys.map((key, i) => [key, values[i]])));
+              break;
+            }
+            case OP.MEMBER:
+              stack.push(host.evaluateMember(stack.pop(), constants[code[pc++]]));
+              break;
+            case OP.INDEX: {
+              const index = stack.pop();
+              stack.push(host.evaluateIndex(stack.pop(), index, constants[code[pc++]]));
+              break;
+            }
+            case OP.CALL: {
+              const node = constants[code[pc++]];
+              const args = stack.splice(stack.length - code[pc++]);
+              stack.push(await host.callNamed(node, args, env));
+              break;
+            }
+            case OP.CALL_VALUE: {
+              const node = constants[code[pc++]];
+              const args = stack.splice(stack.length - code[pc++]);
+              stack.push(await host.callValue(stack.pop(), args, node));
+              break;
+            }
+            case OP.TOKEN: {
+              const node = constants[code[pc++]];
+              const args = stack.splice(stack.length - code[pc++]);
+              stack.push(await host.token(node, args));
+              break;
+            }
+            case OP.ORACLE:
+              stack.push(await host.oracle(constants[code[pc++]], stack.pop()));
+              break;
+            case OP.PROPHESY:
+              await host.prophesy(stack.pop(), constants[code[pc++]]);
+              break;
+            case OP.TICK: {
+              const node = constants[code[pc++]];
+              host.tick(node);
+              if (host.debugger) await host.debugger.pause(node, env);
+              break;
+            }
+            case OP.ITERATE: {
+              const node = constants[code[pc++]];
+              stack.push({ items: host.items(stack.pop(), node), next: 0 });
+              break;
+            }
+            case OP.NEXT: {
+              const node = constants[code[pc++]];
+              const iterator = stack[stack.length - 1];
+              if (iterator.next < iterator.items.length) {
+                host.tick(node);
+                env.declare(node.variable, iterator.items[iterator.next++]);
+                pc++;
+                if (host.debugger) await host.debugger.pause(node, env);
+              } else {
+                stack.pop();
+                pc = code[pc];
+              }
+              break;
+            }
+            case OP.CONCORD: {
+              const branches = constants[code[pc++]];
+              await host.concord(branches.map(branch => () => this.run(branch, env)));
+              break;
+            }
+            case OP.IMPORT:
+              await host.executeImport(constants[code[pc++]], env);
+              break;
+            case OP.WITNESS: {
+              const node = constants[code[pc++]];
+              const filters = stack.splice(stack.length - code[pc++]);
+              await host.witness(node, filters, env);
+              break;
+            }
+            case OP.TRY:
+              handlers.push({ node: constants[code[pc]], target: code[pc + 1], depth: stack.length });
+              pc += 2;
+              break;
+            case OP.END_TRY:
+              handlers.pop();
+              break;
+            case OP.SMITE:
+              throw host.smite(stack.pop(), constants[code[pc++]]);
+            case OP.RETURN:
+              if (chunk.kind === 'function') return stack.pop();
+              throw new ReturnSignal(stack.pop());
+            case OP.END:
+              return null;
+            default:
+              throw new Error(`Unknown opcode ${code[pc - 1]} at ${pc - 1} in ${chunk.name}`);
+          }
+        }
+      } catch (err) {
+        const handler = handlers.pop();
+        if (!handler) throw err;
+        host.repent(err, handler.node, env);
+        stack.length = handler.depth;
+        pc = handler.target;
+      }
+    }
+  }
+}
+
+module.exports = { ScryineVM, ReturnSignal };
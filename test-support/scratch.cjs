@@ -0,0 +1,40 @@
+// Shared by the SCRYINE test files: a temporary directory for the .scry files a test writes.
+// It lives outside test/ because Hardhat loads every file under test/ as a test file.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Gives every test of the calling describe block an empty directory, named after `prefix`,
+// and removes it afterwards. `scratch.dir` is the current test's directory, and
+// `scratch.write(name, code)` writes a file there, creating its folders, and returns its path.
+function useScratchDir(prefix) {
+  const scratch = {
+    dir: null,
+    write(name, code) {
+      const file = path.join(scratch.dir, name);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, code);
+      return file;
+    }
+  };
+
+  beforeEach(function () {
+    scratch.dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  });
+
+  afterEach(function () {
+    fs.rmSync(scratch.dir, { recursive: true, force: true });
+  });
+
+  return scratch;
+}
+
+// Links this checkout into `dir`'s node_modules, as if the package were installed there, so
+// that scripts compiled into `dir` find the runtime they import
+function installPackage(dir) {
+  const target = path.join(dir, "node_modules", "god-token-coin");
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.symlinkSync(path.join(__dirname, ".."), target, "dir");
+}
+
+module.exports = { useScratchDir, installPackage };
@@ -0,0 +1,203 @@
+const { expect } = require("chai");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const ScryineInterpreter = require("../scryine/interpreter.cjs");
+const { checkSource } = require("../scryine/checker.cjs");
+const { useScratchDir } = require("../test-support/scratch.cjs");
+
+describe("SCRYINE Checker", function () {
+  const scratch = useScratchDir("scryine-check-");
+  const { write } = scratch;
+
+  // Diagnostics as "line severity: message", in source order
+  function check(code, options) {
+    return checkSource(code, options).diagnostics.map(d => `${d.loc.start.line} ${d.severity}: ${d.message}`);
+  }
+
+  it("Should check annotated variables, parameters and returns", function () {
+    expect(check([
+      "god tithe(amount: number): number {",
+      "  return amount / 10",
+      "}",
+      "god label(x): string {",
+      "  divine x > 5 {",
+      "    return \"big\"",
+      "  }",
+      "}",
+      "god main(name: string): number {",
+      "  scry total: number = \"zero\"",
+      "  total = tithe(name) + total",
+      "  prophesy tithe(1, 2) + label(3)",
+      "  return name",
+      "}"
+    ].join("\n"))).to.deep.equal([
+      "4 error: Function \"label\" is declared to return string but can end without a return",
+      "10 error: Cannot assign string to \"total\", declared as number",
+      "11 error: tithe: argument \"amount\" must be a number, got string",
+      "12 error: Function \"tithe\" expects 1 argument (amount) but was called with 2",
+      "13 error: Function \"main\" is declared to return number but returns string"
+    ]);
+  });
+
+  it("Should infer types from literals, operators and builtin signatures", function () {
+    expect(check([
+      "bless names = [\"alice\", \"bob\"]",
+      "bless count = len(names)",
+      "god main() {",
+      "  prophesy count + names",
+      "  prophesy count - \"one\"",
+      "  prophesy string.upper(count) + math.sqrt(16)",
+      "  prophesy sum(count) + keys(names)",
+      "  prophesy string.uper(\"a\")",
+      "  prophesy quantum_predcit(1)",
+      "  scry state = initialize_quantum_state(\"0x1\")",
+      "  prophesy state.entropy * 2 + state.spin",
+      "  each name in count {",
+      "    prophesy name",
+      "  }",
+      "}"
+    ].join("\n"))).to.deep.equal([
+      "4 error: Operator \"+\" cannot combine number and list",
+      "5 error: Operator \"-\" expects numbers, got number and string",
+      "6 error: string.upper: argument \"text\" must be a string, got number",
+      "7 error: Operator \"+\" cannot combine number and list",
+      "7 error: sum: argument \"list\" must be a list, got number",
+      "7 error: keys: argument \"map\" must be a map, got list",
+      "8 error: Value has no field \"uper\" (did you mean \"upper\"?)",
+      "9 error: Call to undefined function \"quantum_predcit\" (did you mean \"quantum_predict\"?)",
+      "11 error: quantum_state has no field \"spin\"",
+      "12 error: Cannot iterate over number (each expects a list or map)"
+    ]);
+  });
+
+  it("Should check contract calls against the compiled ABIs", function () {
+    expect(check([
+      "god main() {",
+      "  scry balance: number = contract_call(\"GodToken\", \"balanceOf\", \"0x742d35Cc6634C0532925a3b844Bc454e4438f44e\")",
+      "  scry reserves: list = contract_call(\"GodToken\", \"reserves\")",
+      "  contract_call(\"GodToken\", \"transfr\", \"0x1\", 5)",
+      "  contract_call(\"GodToken\", \"transfer\", true, \"5\")",
+      "  contract_call(\"GodToken\", \"transfer\", \"0x1\")",
+      "  return balance + len(reserves)",
+      "}"
+    ].join("\n"))).to.deep.equal([
+      "3 error: Cannot assign map to \"reserves\", declared as list",
+      "4 error: Contract \"GodToken\" has no method \"transfr\" (did you mean \"transfer\"?)",
+      "5 error: GodToken.transfer: argument \"to\" (address) must be a string, got boolean",
+      "6 error: GodToken.transfer expects 2 arguments but got 1"
+    ]);
+  });
+
+  it("Should warn about unreachable branches and code", function () {
+    expect(check([
+      "bless LIMIT = 3",
+      "god grade(score) {",
+      "  divine score > 90 {",
+      "    divine score < 50 || false {",
+      "      return \"impossible\"",
+      "    }",
+      "    return \"A\"",
+      "    prophesy \"after return\"",
+      "  }",
+      "  divine LIMIT > 5 && score > 0 {",
+      "    return \"never\"",
+      "  }",
+      "  scry tries = 0",
+      "  eternal tries < 3 {",
+      "    divine tries > 5 {",
+      "      smite \"too many\"",
+      "    }",
+      "    tries = tries + 1",
+      "  }",
+      "  return \"B\"",
+      "}",
+      "prophesy grade(95)"
+    ].join("\n"))).to.deep.equal([
+      "4 warning: This divine branch never runs: its condition is always false",
+      "8 warning: Unreachable code: the statements before it always return or smite",
+      "10 warning: This divine branch never runs: its condition is always false",
+      "15 warning: This divine branch never runs: its condition is always false"
+    ]);
+  });
+
+  it("Should warn about unused variables, errors and functions", function () {
+    expect(check([
+      "bless unused_global = 1",
+      "god main() {",
+      "  scry spare = 1",
+      "  bless _ignored = 2",
+      "  god helper() {",
+      "    return 1",
+      "  }",
+      "  each item in [1, 2] {",
+      "    prophesy \"tick\"",
+      "  }",
+      "  try {",
+      "    smite \"no\"",
+      "  } repent err {",
+      "    prophesy \"recovered\"",
+      "  }",
+      "}"
+    ].join("\n"))).to.deep.equal([
+      "3 warning: Variable \"spare\" is never used",
+      "5 warning: Function \"helper\" is never used",
+      "8 warning: Variable \"item\" is never used",
+      "13 warning: The error \"err\" is never used; write `repent {` to leave it out"
+    ]);
+  });
+
+  it("Should check imported modules and the names they export", function () {
+    write("lib/psalms.scry", "bless VERSE = 23\ngod recite(n: number): string {\n  return \"psalm \" + n\n}\nprophesy VERSE - \"x\"");
+    const file = path.join(scratch.dir, "main.scry");
+    const { diagnostics, sources } = checkSource([
+      "import { recite, VERSE as verse, sing } from \"lib/psalms\"",
+      "import \"lib/psalms\"",
+      "god main() {",
+      "  scry line: number = recite(verse)",
+      "  return psalms.recite(\"one\") + line",
+      "}"
+    ].join("\n"), { file });
+
+    expect(diagnostics.map(d => `${path.basename(d.file)}:${d.loc.start.line} ${d.message}`)).to.deep.equal([
+      "psalms.scry:5 Operator \"-\" expects numbers, got number and string",
+      "main.scry:1 Module \"lib/psalms\" has no export \"sing\"",
+      "main.scry:4 Cannot assign string to \"line\", declared as number",
+      "main.scry:5 recite: argument \"n\" must be a number, got string"
+    ]);
+    expect([...sources.keys()].map(name => path.basename(name))).to.deep.equal(["main.scry", "psalms.scry"]);
+  });
+
+  it("Should know the host functions and globals of an interpreter", function () {
+    const interpreter = new ScryineInterpreter()
+      .registerFunction("price", symbol => symbol.length, { params: { symbol: "string" }, returns: "number" })
+      .registerModule("oracle_feed", { latest: { fn: () => 1, returns: "number" } })
+      .defineGlobal("NETWORK", "hardhat");
+    const { diagnostics } = interpreter.check("prophesy price(1) + oracle_feed.latest()\nNETWORK = 1\nprophesy NETWORK - 1\nprophesy undeclared");
+    expect(diagnostics.map(d => d.message)).to.deep.equal([
+      "price: argument \"symbol\" must be a string, got number",
+      "Cannot assign to read-only global \"NETWORK\"",
+      "Operator \"-\" expects numbers, got string and number",
+      "Unknown identifier \"undeclared\""
+    ]);
+  });
+
+  it("Should run from the command line and fail only on errors", function () {
+    const cli = path.join(__dirname, "..", "scryine", "cli.cjs");
+    const clean = write("clean.scry", "god main() {\n  scry spare = 1\n  return 0\n}");
+    const broken = write("broken.scry", "bless x: number = \"one\"");
+
+    const warned = spawnSync(process.execPath, [cli, "check", clean], { encoding: "utf8", timeout: 60000 });
+    expect(warned.status).to.equal(0);
+    expect(warned.stdout).to.contain("warning[unused]: Variable \"spare\" is never used");
+    expect(warned.stdout).to.contain("0 errors, 1 warning in 1 file");
+
+    const failed = spawnSync(process.execPath, [cli, "check", clean, broken], { encoding: "utf8", timeout: 60000 });
+    expect(failed.status).to.equal(1);
+    expect(failed.stdout).to.contain("1 | bless x: number = \"one\"");
+    expect(failed.stdout).to.contain("1 error, 1 warning in 2 files");
+
+    const searched = spawnSync(process.execPath, [cli, "check", scratch.dir], { encoding: "utf8", timeout: 60000 });
+    expect(searched.status).to.equal(1);
+    expect(searched.stdout).to.contain("1 error, 1 warning in 2 files");
+  });
+});
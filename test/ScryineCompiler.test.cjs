@@ -0,0 +1,161 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const { execFileSync, spawnSync } = require("child_process");
+const { pathToFileURL } = require("url");
+const ScryineInterpreter = require("../scryine/interpreter.cjs");
+const { compileFile } = require("../scryine/compiler.cjs");
+const { ScryineError } = require("../scryine/diagnostics.cjs");
+const { useScratchDir, installPackage } = require("../test-support/scratch.cjs");
+
+describe("SCRYINE Compiler", function () {
+  const scratch = useScratchDir("scryine-compile-");
+  const { write } = scratch;
+
+  beforeEach(function () {
+    installPackage(scratch.dir);
+  });
+
+  // Compiles `name` into out/ and runs it, returning main's result and the output lines
+  async function compileAndRun(name, code, args = []) {
+    const file = write(name, code);
+    const [entry] = compileFile(file, { out: path.join(scratch.dir, "out", name.replace(/\.scry$/, ".mjs")) });
+    const { default: run } = await import(pathToFileURL(entry.out).href);
+    const output = [];
+    const result = await run({ seed: 7, args, onProphesy: text => output.push(text) });
+    return { result, output, out: entry.out };
+  }
+
+  async function interpret(code, args = []) {
+    const output = [];
+    const interpreter = new ScryineInterpreter({ seed: 7, strict: true, onProphesy: text => output.push(text) });
+    const result = await interpreter.runSource(code, { args });
+    return { result, output };
+  }
+
+  it("Should produce the same output and result as the interpreter", async function () {
+    const code = [
+      "bless offerings = [3, 1, 2]",
+      "god tithe(amount) {",
+      "  return amount / 10",
+      "}",
+      "god main(name) {",
+      "  scry total = 0",
+      "  each offering in offerings {",
+      "    total = total + offering",
+      "    prophesy name + \" gives \" + offering",
+      "  }",
+      "  scry ledger = {\"total\": total, \"tithe\": tithe(total)}",
+      "  prophesy ledger",
+      "  prophesy quantum_predict(10)",
+      "  prophesy keys(ledger) + [len(offerings), sum(offerings)]",
+      "  prophesy map([1, 2], tithe)",
+      "  return ledger[\"tithe\"] * 10",
+      "}"
+    ].join("\n");
+
+    const compiled = await compileAndRun("offerings.scry", code, ["alice"]);
+    expect(compiled).to.deep.include(await interpret(code, ["alice"]));
+    expect(compiled.result).to.equal(6);
+  });
+
+  it("Should compile imports into sibling modules", async function () {
+    write("lib/psalms.scry", "bless VERSE = 23\nprophesy \"psalms loaded\"\ngod recite(n) {\n  return \"psalm \" + n\n}");
+    const { result, output, out } = await compileAndRun("main.scry", [
+      "import \"lib/psalms\"",
+      "import { recite, VERSE as verse } from \"./lib/psalms.scry\"",
+      "god main() {",
+      "  return psalms.recite(verse) + \", \" + recite(1)",
+      "}"
+    ].join("\n"));
+
+    expect(result).to.equal("psalm 23, psalm 1");
+    expect(output).to.deep.equal(["psalms loaded"]);
+    expect(fs.existsSync(path.join(path.dirname(out), "lib", "psalms.mjs"))).to.equal(true);
+    expect(fs.existsSync(path.join(path.dirname(out), "lib", "psalms.mjs.map"))).to.equal(true);
+  });
+
+  it("Should compile try, repent and smite", async function () {
+    const { result } = await compileAndRun("errors.scry", [
+      "god withdraw(amount) {",
+      "  divine amount > 10 {",
+      "    smite {\"message\": \"too much\", \"kind\": \"limit\"}",
+      "  }",
+      "  return amount",
+      "}",
+      "god main() {",
+      "  scry seen = []",
+      "  try {",
+      "    withdraw(50)",
+      "  } repent err {",
+      "    seen = seen + [err[\"message\"], err[\"kind\"]]",
+      "  }",
+      "  try {",
+      "    [1, 2][5]",
+      "  } repent err {",
+      "    seen = seen + [err[\"line\"]]",
+      "  }",
+      "  return seen",
+      "}"
+    ].join("\n"));
+    expect(result).to.deep.equal(["too much", "limit", 15]);
+  });
+
+  it("Should report compile errors against the .scry file", function () {
+    const file = write("broken.scry", "god main() {\n  return missing + 1\n}");
+    const err = (() => {
+      try {
+        compileFile(file, { out: path.join(scratch.dir, "out", "broken.mjs") });
+      } catch (e) {
+        return e;
+      }
+    })();
+    expect(err).to.be.instanceOf(ScryineError);
+    expect(err.message).to.equal("Unknown identifier \"missing\"");
+    expect(err.line).to.equal(2);
+    expect(err.format()).to.contain("2 |   return missing + 1");
+    expect(fs.existsSync(path.join(scratch.dir, "out"))).to.equal(false);
+  });
+
+  it("Should locate runtime errors in the .scry source", async function () {
+    const err = await compileAndRun("fail.scry", "god main() {\n  scry xs = [1]\n  return xs[\"one\"]\n}").catch(e => e);
+    expect(err).to.be.instanceOf(ScryineError);
+    expect(err.file).to.match(/fail\.scry$/);
+    expect(err.line).to.equal(3);
+  });
+
+  it("Should point runtime errors at the .scry source from any working directory", function () {
+    const file = write("src/fail.scry", "god main() {\n  scry xs = [1]\n  return xs[\"one\"]\n}");
+    const out = path.join(scratch.dir, "build", "fail.mjs");
+    compileFile(file, { out });
+    expect(fs.readFileSync(out, "utf8")).to.contain("import $runtime from \"god-token-coin/scryine/runtime.cjs\";");
+    // The excerpt comes from the compiled module, not the .scry file
+    fs.rmSync(file);
+
+    const elsewhere = path.join(scratch.dir, "elsewhere");
+    fs.mkdirSync(elsewhere);
+    const ran = spawnSync(process.execPath, [out], { cwd: elsewhere, encoding: "utf8", timeout: 60000 });
+    expect(ran.status).to.equal(1);
+    expect(ran.stderr).to.contain(`--> ${path.join("..", "src", "fail.scry")}:3:`);
+    expect(ran.stderr).to.contain("3 |   return xs[\"one\"]");
+  });
+
+  it("Should map JavaScript stack traces back to the .scry file", function () {
+    const file = write("trace.scry", "god main() {\n  scry verse = 23\n  prophesy \"psalm \" + verse\n}");
+    const out = path.join(scratch.dir, "out", "trace.mjs");
+    compileFile(file, { out });
+
+    const map = JSON.parse(fs.readFileSync(`${out}.map`, "utf8"));
+    expect(map.sources).to.deep.equal(["../trace.scry"]);
+
+    // An exception from host code carries a JavaScript stack through the compiled main
+    const script = `import run from ${JSON.stringify(pathToFileURL(out).href)};\n` +
+      "await run({ onProphesy: () => { throw new Error(\"host failed\"); } }).catch(err => console.log(err.stack));";
+    const stack = execFileSync(process.execPath, ["--enable-source-maps", "--input-type=module", "-e", script], {
+      encoding: "utf8",
+      timeout: 60000
+    });
+    expect(stack).to.contain("host failed");
+    expect(stack).to.match(/at main \(.*trace\.scry:3:\d+\)/);
+  });
+});
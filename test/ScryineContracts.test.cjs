@@ -0,0 +1,351 @@
+const { expect } = require("chai");
+const path = require("path");
+const { pathToFileURL } = require("url");
+const hre = require("hardhat");
+const ScryineInterpreter = require("../scryine/interpreter.cjs");
+const { ContractRuntime } = require("../scryine/contracts.cjs");
+const { ScryineError } = require("../scryine/diagnostics.cjs");
+const { ScryineRuntime } = require("../scryine/runtime.cjs");
+const { compileFile } = require("../scryine/compiler.cjs");
+const { useScratchDir, installPackage } = require("../test-support/scratch.cjs");
+
+const { ethers } = hre;
+
+describe("SCRYINE Contracts", function () {
+  const scratch = useScratchDir("scryine-contracts-");
+  let godToken, aiVerifier, owner, addr1, deployment;
+
+  beforeEach(async function () {
+    [owner, addr1] = await ethers.getSigners();
+
+    const AIVerifier = await ethers.getContractFactory("AIVerifier");
+    aiVerifier = await AIVerifier.deploy();
+    await aiVerifier.deployed();
+
+    const GodToken = await ethers.getContractFactory("GodToken");
+    godToken = await GodToken.deploy(aiVerifier.address);
+    await godToken.deployed();
+
+    deployment = { godToken: godToken.address, aiVerifier: aiVerifier.address };
+    installPackage(scratch.dir);
+  });
+
+  function interpreterFor(signer = 0) {
+    const contracts = new ContractRuntime({ hre, deployment, signer });
+    return new ScryineInterpreter({ contracts });
+  }
+
+  it("Should read view methods as SCRYINE values", async function () {
+    const result = await interpreterFor().run([
+      "god main() {",
+      "  scry owner = contract_call(\"GodToken\", \"owner\")",
+      "  scry supply = contract_call(\"GodToken\", \"totalSupply\")",
+      "  scry fee = contract_call(\"AIVerifier\", \"verificationFee\")",
+      "  return owner + \" \" + supply + \" \" + fee",
+      "}"
+    ].join("\n"));
+    expect(result).to.equal(`${owner.address} 1000000000000000000000000 10000000000000000`);
+  });
+
+  it("Should return integers too large for a number as BigInts that arithmetic keeps exact", async function () {
+    const code = [
+      "god main() {",
+      "  scry supply = contract_call(\"GodToken\", \"totalSupply\")",
+      "  scry fee = contract_call(\"AIVerifier\", \"verificationFee\")",
+      "  return [supply + 1, supply * 2 - supply == supply, supply / fee, fee / 3, supply % 7, sum([fee, fee]), fee == 10000000000000000, math.max(1, fee)]",
+      "}"
+    ].join("\n");
+    const supply = 10n ** 24n;
+    const fee = 10n ** 16n;
+    const expected = [supply + 1n, true, 100000000, 3333333333333333.5, Number(supply % 7n), 2n * fee, true, fee];
+
+    for (const engine of ["vm", "ast"]) {
+      const interpreter = new ScryineInterpreter({ engine, contracts: new ContractRuntime({ hre, deployment }) });
+      expect(await interpreter.run(code)).to.deep.equal(expected);
+    }
+    const [entry] = compileFile(scratch.write("supply.scry", code), { out: path.join(scratch.dir, "supply.mjs") });
+    const { default: run } = await import(pathToFileURL(entry.out).href);
+    expect(await run({ runtime: new ScryineRuntime({ contracts: new ContractRuntime({ hre, deployment }) }) })).to.deep.equal(expected);
+
+    const sent = await interpreterFor().run([
+      "god main(to) {",
+      "  contract_call(\"GodToken\", \"transfer\", to, contract_call(\"AIVerifier\", \"verificationFee\"))",
+      "  return contract_call(\"GodToken\", \"balanceOf\", to)",
+      "}"
+    ].join("\n"), [addr1.address]);
+    expect(sent).to.equal(fee);
+  });
+
+  it("Should return multi-value results as structs", async function () {
+    const result = await interpreterFor().run([
+      "god main() {",
+      "  scry request = contract_call(\"AIVerifier\", \"getVerificationRequest\", \"0x" + "00".repeat(32) + "\")",
+      "  return request.processed == false && request.weight == 0",
+      "}"
+    ].join("\n"));
+    expect(result).to.be.true;
+  });
+
+  it("Should send transactions for state-changing methods", async function () {
+    const receipt = await interpreterFor().run([
+      "god main() {",
+      "  return contract_call(\"GodToken\", \"burn\", 1000)",
+      "}"
+    ].join("\n"));
+    expect(receipt.status).to.be.true;
+    expect(receipt.hash).to.match(/^0x[0-9a-f]{64}$/);
+    const burned = receipt.events.find(event => event.name === "TokensBurned");
+    expect(burned.args.from).to.equal(owner.address);
+    expect(burned.args.amount).to.equal(1000);
+    expect(await godToken.totalSupply()).to.equal(ethers.utils.parseEther("1000000").sub(1000));
+  });
+
+  it("Should send value to payable methods", async function () {
+    const hash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("sensor-data"));
+    const receipt = await interpreterFor().run([
+      "god main() {",
+      `  return contract_call("AIVerifier", "requestVerification", 1, 100, 999, "${hash}", "10000000000000000")`,
+      "}"
+    ].join("\n"));
+    expect(receipt.events[0].name).to.equal("VerificationRequested");
+    expect(await ethers.provider.getBalance(aiVerifier.address)).to.equal(ethers.utils.parseEther("0.01"));
+  });
+
+  it("Should use the chosen signer", async function () {
+    const receipt = await interpreterFor(1).run("god main() {\n  return contract_call(\"AIVerifier\", \"requestCount\")\n}");
+    expect(receipt).to.equal(0);
+    const contracts = new ContractRuntime({ hre, deployment, signer: addr1.address });
+    expect(await (await contracts.connect()).getAddress()).to.equal(addr1.address);
+  });
+
+  it("Should surface revert reasons as located errors", async function () {
+    try {
+      await interpreterFor(1).run("god main() {\n  contract_call(\"GodToken\", \"burn\", 1)\n}");
+      expect.fail("expected a revert");
+    } catch (err) {
+      expect(err).to.be.instanceOf(ScryineError);
+      expect(err.message).to.include("GodToken.burn reverted: Insufficient balance");
+      expect(err.line).to.equal(2);
+    }
+  });
+
+  it("Should hand revert reasons to repent blocks", async function () {
+    const result = await interpreterFor(1).run([
+      "god main() {",
+      "  try {",
+      "    contract_call(\"GodToken\", \"burn\", 1)",
+      "  } repent err {",
+      "    return err.reason + \" (\" + err.kind + \", line \" + err.line + \")\"",
+      "  }",
+      "}"
+    ].join("\n"));
+    expect(result).to.equal("Insufficient balance (runtime, line 3)");
+  });
+
+  describe("token and oracle", function () {
+    let quantumGodToken, quantumAIVerifier;
+
+    beforeEach(async function () {
+      const QuantumConsensus = await ethers.getContractFactory("QuantumConsensus");
+      const quantumConsensus = await QuantumConsensus.deploy();
+      await quantumConsensus.deployed();
+
+      const QuantumAIVerifier = await ethers.getContractFactory("QuantumAIVerifier");
+      quantumAIVerifier = await QuantumAIVerifier.deploy();
+      await quantumAIVerifier.deployed();
+
+      const QuantumGodToken = await ethers.getContractFactory("QuantumGodToken");
+      quantumGodToken = await QuantumGodToken.deploy(aiVerifier.address, quantumConsensus.address, quantumAIVerifier.address);
+      await quantumGodToken.deployed();
+
+      deployment.quantumGodToken = quantumGodToken.address;
+      deployment.quantumAIVerifier = quantumAIVerifier.address;
+    });
+
+    it("Should read balances and transfer whole tokens", async function () {
+      const result = await interpreterFor().run([
+        "god main(to) {",
+        "  token GodToken.transfer(to, 10.5)",
+        "  return token GodToken.balance(to) + \" \" + token GodToken.balance()",
+        "}"
+      ].join("\n"), [addr1.address]);
+      expect(result).to.equal("10.5 999989.5");
+    });
+
+    it("Should send concurrent transactions from one signer in turn", async function () {
+      const result = await interpreterFor().run([
+        "god main(to) {",
+        "  concord {",
+        "    scry first = token GodToken.transfer(to, 1)",
+        "    scry second = token GodToken.transfer(to, 2)",
+        "    scry supply = contract_call(\"GodToken\", \"totalSupply\")",
+        "  }",
+        "  return [first.status, second.status, supply, token GodToken.balance(to)]",
+        "}"
+      ].join("\n"), [addr1.address]);
+      expect(result).to.deep.equal([true, true, 10n ** 24n, 3]);
+    });
+
+    it("Should perform quantum transfers", async function () {
+      const receipt = await interpreterFor().run(
+        "god main(to) {\n  return token QuantumGodToken.quantumTransfer(to, 5, \"quantum-proof\")\n}",
+        [addr1.address]
+      );
+      expect(receipt.events.map(event => event.name)).to.include("QuantumTransactionExecuted");
+      expect(await quantumGodToken.balanceOf(addr1.address)).to.equal(ethers.utils.parseEther("5"));
+    });
+
+    it("Should query verification results through oracle", async function () {
+      await aiVerifier.authorizeVerifier(owner.address);
+      const sensorDataHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("sensor-data"));
+      const tx = await aiVerifier.requestVerification(1, 100, 999, sensorDataHash, { value: ethers.utils.parseEther("0.01") });
+      const { events } = await tx.wait();
+      const requestId = events.find(event => event.event === "VerificationRequested").args.requestId;
+
+      const script = "god main(id) {\n  return oracle AIVerifier(id).verified\n}";
+      expect(await interpreterFor().run(script, [requestId])).to.be.false;
+      await aiVerifier.submitVerification(requestId, true, requestId);
+      expect(await interpreterFor().run(script, [requestId])).to.be.true;
+
+      const quantum = await interpreterFor().run("god main() {\n  return oracle QuantumAIVerifier(0)\n}");
+      expect(quantum.verified).to.be.false;
+      expect(quantum.aiConfidence).to.equal(0);
+    });
+  });
+
+  it("Should reject unknown contracts and methods", async function () {
+    const contracts = new ContractRuntime({ hre, deployment });
+    try {
+      await contracts.call("GodToken", "mintForFree", []);
+      expect.fail("expected an error");
+    } catch (err) {
+      expect(err.message).to.equal("Contract \"GodToken\" has no method \"mintForFree\"");
+    }
+    try {
+      await contracts.call("GodStaking", "stake", []);
+      expect.fail("expected an error");
+    } catch (err) {
+      expect(err.message).to.include("Unknown contract \"GodStaking\"");
+    }
+  });
+
+  describe("witness", function () {
+    const script = other => [
+      `bless OTHER = "${other}"`,
+      "scry seen = 0",
+      "god main() {",
+      "  witness GodToken.Transfer(to == OTHER, value) {",
+      "    seen = seen + 1",
+      "    prophesy \"to other \" + value",
+      "  }",
+      "  witness GodToken.Transfer(from, to) {",
+      "    prophesy from + \" -> \" + to",
+      "  }",
+      "  contract_call(\"GodToken\", \"transfer\", OTHER, 1)",
+      "  contract_call(\"GodToken\", \"transfer\", \"0x742d35Cc6634C0532925a3b844Bc454e4438f44e\", 2)",
+      "  contract_call(\"GodToken\", \"transfer\", OTHER, 3)",
+      "}"
+    ].join("\n");
+
+    // Each subscription sees its events in order; the two may take turns either way
+    function expectWitnessed(output) {
+      expect(output.filter(text => text.startsWith("to other"))).to.deep.equal(["to other 1", "to other 3"]);
+      expect(output.filter(text => !text.startsWith("to other"))).to.deep.equal([
+        `${owner.address} -> ${addr1.address}`,
+        `${owner.address} -> 0x742d35Cc6634C0532925a3b844Bc454e4438f44e`,
+        `${owner.address} -> ${addr1.address}`
+      ]);
+    }
+
+    it("Should hand matching events to witness blocks until they are closed", async function () {
+      for (const engine of ["vm", "ast"]) {
+        const output = [];
+        const contracts = new ContractRuntime({ hre, deployment, pollingInterval: 50 });
+        const interpreter = new ScryineInterpreter({ engine, contracts, onProphesy: text => output.push(text) });
+        await interpreter.run(script(addr1.address));
+        expect(interpreter.witnesses.size).to.equal(2);
+        await interpreter.closeWitnesses();
+        await godToken.transfer(addr1.address, 4);
+
+        expectWitnessed(output);
+        expect(interpreter.variables.seen).to.equal(2);
+        expect(interpreter.witnesses.size).to.equal(0);
+        expect(interpreter.witnessFailures).to.equal(0);
+      }
+    });
+
+    it("Should run witness blocks in compiled scripts", async function () {
+      const file = scratch.write("witness.scry", script(addr1.address));
+      const [entry] = compileFile(file, { out: path.join(scratch.dir, "witness.mjs") });
+      const { default: run } = await import(pathToFileURL(entry.out).href);
+      const output = [];
+      const runtime = new ScryineRuntime({
+        contracts: new ContractRuntime({ hre, deployment, pollingInterval: 50 }),
+        onProphesy: text => output.push(text)
+      });
+      await run({ runtime });
+      await runtime.closeWitnesses();
+      expectWitnessed(output);
+    });
+
+    it("Should report undecodable events and polls that keep failing, and deliver the rest", async function () {
+      const output = [];
+      const contracts = new ContractRuntime({ hre, deployment, pollingInterval: 20 });
+      const interpreter = new ScryineInterpreter({ contracts, onProphesy: text => output.push(text) });
+      await interpreter.run("witness GodToken.Transfer(value) {\n  prophesy value\n}");
+
+      // The first three fetches fail, and the first event of the next one cannot be decoded
+      const { provider } = contracts;
+      let outages = 3;
+      let mangled = false;
+      let recover;
+      const recovered = new Promise(resolve => { recover = resolve; });
+      contracts.provider = {
+        getBlockNumber: () => provider.getBlockNumber(),
+        getLogs: async filter => {
+          if (outages > 0) {
+            outages--;
+            throw new Error("connection reset");
+          }
+          const logs = await provider.getLogs(filter);
+          recover();
+          return logs.map(log => (mangled ? log : (mangled = true, { ...log, data: "0x" })));
+        }
+      };
+
+      const errors = [];
+      const originalError = console.error;
+      console.error = (...args) => errors.push(args.join(" "));
+      try {
+        await godToken.transfer(addr1.address, 1);
+        await godToken.transfer(addr1.address, 2);
+        await recovered;
+        await interpreter.closeWitnesses();
+      } finally {
+        console.error = originalError;
+      }
+
+      expect(output).to.deep.equal(["2"]);
+      expect(errors).to.have.lengthOf(2);
+      expect(errors[0]).to.contain("witness GodToken.Transfer: Polling for events failed 3 times in a row: connection reset");
+      expect(errors[1]).to.match(/witness GodToken\.Transfer: Cannot decode the event in block \d+ \(.*\); it is skipped/);
+      expect(interpreter.witnessFailures).to.equal(2);
+    });
+
+    it("Should reject unknown events and filters on unindexed parameters", async function () {
+      const messages = [];
+      for (const code of [
+        "witness GodToken.Minted(to) {}",
+        "witness GodToken.Transfer(amount) {}",
+        "witness GodToken.Transfer(value == 1) {}"
+      ]) {
+        messages.push(await interpreterFor().run(code).then(() => null, err => `${err.line}: ${err.message}`));
+      }
+      expect(messages).to.deep.equal([
+        "1: witness GodToken.Minted: Contract \"GodToken\" has no event \"Minted\"",
+        "1: witness GodToken.Transfer: Event GodToken.Transfer has no parameter \"amount\" (it has from, to, value)",
+        "1: witness GodToken.Transfer: Cannot filter GodToken.Transfer on \"value\": only indexed parameters can be filtered"
+      ]);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const { expect } = require("chai");
+const path = require("path");
+const { Readable } = require("stream");
+const { ScryineDebugger } = require("../scryine/debugger.cjs");
+const { useScratchDir } = require("../test-support/scratch.cjs");
+
+describe("SCRYINE Debugger", function () {
+  const scratch = useScratchDir("scryine-debug-");
+  const { write } = scratch;
+
+  const SCRIPT = [
+    "bless base = 10",
+    "god double(x) {",
+    "  scry result = x * 2",
+    "  return result",
+    "}",
+    "god main() {",
+    "  scry total = 0",
+    "  each n in [1, 2] {",
+    "    total = total + double(n)",
+    "  }",
+    "  prophesy total + base",
+    "  return 0",
+    "}"
+  ].join("\n");
+
+  // Runs `file` under the debugger with `commands` typed in, returning the exit code and output lines
+  async function debug(file, commands, options = {}) {
+    const printed = [];
+    const output = { write: text => printed.push(...text.replace(/\n$/, "").split("\n")) };
+    const input = Readable.from(commands.map(command => `${command}\n`));
+    const code = await new ScryineDebugger({ input, output, terminal: false, ...options }).run(file);
+    return { code, printed };
+  }
+
+  // Just the "Stopped at" and "Breakpoint at" lines, as "line in function"
+  function stops(printed) {
+    return printed.filter(line => / at .*:\d+ in /.test(line)).map(line => line.replace(/^.* at .*:(\d+) in /, "$1 in "));
+  }
+
+  it("Should stop at breakpoints and show the scope, call stack and expressions", async function () {
+    const file = write("tithe.scry", SCRIPT);
+    const { code, printed } = await debug(file, ["break 3", "continue", "scope", "backtrace", "print x + base", "print missing(", "print nowhere", "clear 3", "continue"]);
+
+    expect(code).to.equal(0);
+    expect(printed[0]).to.match(/^Stopped at .*tithe\.scry:1 in <top level>$/);
+    expect(printed).to.include("> 1 | bless base = 10");
+    expect(printed).to.include("> 3 |   scry result = x * 2");
+    const scope = printed.indexOf("double locals:");
+    expect(printed.slice(scope, scope + 4)).to.deep.equal(["double locals:", "  x = 1", "globals:", "  base = 10"]);
+    expect(printed.filter(line => line.startsWith("#")).map(line => line.replace(/ at .*:/, ":"))).to.deep.equal([
+      "#0 double:3",
+      "#1 main:9",
+      "#2 <top level>:6"
+    ]);
+    expect(printed).to.include("11");
+    expect(printed.some(line => line.startsWith("Error: "))).to.equal(true);
+    expect(printed.some(line => line.startsWith("Error: Unknown identifier \"nowhere\""))).to.equal(true);
+    expect(printed).to.not.include("nowhere");
+    expect(printed.slice(-2)).to.deep.equal(["SCRYINE Output: 16", "Script finished with exit code 0"]);
+  });
+
+  it("Should step in, over and out of god functions on both engines", async function () {
+    const file = write("tithe.scry", SCRIPT);
+    const commands = ["break 9", "continue", "step", "next", "out", "next", "next", "out"];
+    const sessions = [];
+    for (const engine of ["vm", "ast"]) {
+      sessions.push(stops((await debug(file, commands, { interpreter: { engine } })).printed));
+    }
+    expect(sessions[0]).to.deep.equal([
+      "1 in <top level>",
+      "9 in main",
+      "3 in double",
+      "4 in double",
+      "8 in main",
+      "9 in main",
+      "11 in main"
+    ]);
+    expect(sessions[1]).to.deep.equal(sessions[0]);
+  });
+
+  it("Should set breakpoints in imported modules and quit past repent", async function () {
+    write("lib/psalms.scry", "god recite(n) {\n  return \"psalm \" + n\n}");
+    const file = write("main.scry", [
+      "import \"lib/psalms\"",
+      "god main() {",
+      "  try {",
+      "    prophesy psalms.recite(23)",
+      "  } repent {",
+      "    prophesy \"caught\"",
+      "  }",
+      "}"
+    ].join("\n"));
+    const { code, printed } = await debug(file, ["quit"], { breakpoints: [`${path.join(scratch.dir, "lib", "psalms.scry")}:2`], stopOnEntry: false });
+
+    expect(stops(printed)).to.deep.equal(["2 in recite"]);
+    expect(printed[0]).to.match(/^Breakpoint at .*psalms\.scry:2 in recite$/);
+    expect(printed).to.include("> 2 |   return \"psalm \" + n");
+    expect(printed).to.not.include("SCRYINE Output: caught");
+    expect(printed.slice(-1)).to.deep.equal(["Debugging stopped"]);
+    expect(code).to.equal(1);
+  });
+
+  it("Should run to the end once input runs out", async function () {
+    const file = write("fail.scry", "god main() {\n  prophesy \"begin\"\n  return [1][3]\n}");
+    const { code, printed } = await debug(file, ["step", "bogus"]);
+    expect(stops(printed)).to.deep.equal(["1 in <top level>", "2 in main"]);
+    expect(printed).to.include("Unknown command bogus, type help for a list");
+    expect(printed).to.include("SCRYINE Output: begin");
+    expect(printed.some(line => line.includes("Index 3 is out of range"))).to.equal(true);
+    expect(code).to.equal(1);
+  });
+});
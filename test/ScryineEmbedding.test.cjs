@@ -0,0 +1,116 @@
+const { expect } = require("chai");
+const ScryineInterpreter = require("../scryine/interpreter.cjs");
+const { ScryineError } = require("../scryine/diagnostics.cjs");
+
+describe("SCRYINE Embedding API", function () {
+  let interpreter, output;
+
+  beforeEach(function () {
+    output = [];
+    interpreter = new ScryineInterpreter({ strict: true, onProphesy: (text, value) => output.push({ text, value }) });
+  });
+
+  async function expectError(code, message) {
+    try {
+      await interpreter.runSource(code);
+    } catch (err) {
+      expect(err).to.be.instanceOf(ScryineError);
+      expect(err.message).to.equal(message);
+      return err;
+    }
+    expect.fail(`expected "${code}" to fail`);
+  }
+
+  describe("Host functions", function () {
+    it("Should call sync and async host functions", async function () {
+      interpreter.registerFunction("double", x => x * 2);
+      interpreter.registerFunction("price", async symbol => ({ ETH: 3000, BTC: 60000 })[symbol]);
+      expect(await interpreter.runSource("god main() {\n  return price(\"ETH\") + double(21)\n}")).to.equal(3042);
+    });
+
+    it("Should check declared parameter types and arity", async function () {
+      interpreter.registerFunction("convert", (amount, from, to) => `${amount} ${from}->${to || "USD"}`, {
+        params: { amount: "number", from: "string", to: "string?" }
+      });
+      interpreter.registerFunction("total", (...amounts) => amounts.reduce((a, b) => a + b, 0), {
+        params: { "amounts...": "number" }
+      });
+
+      expect(await interpreter.runSource("god main() {\n  return convert(5, \"ETH\")\n}")).to.equal("5 ETH->USD");
+      expect(await interpreter.runSource("god main() {\n  return total(1, 2, 3)\n}")).to.equal(6);
+
+      const err = await expectError("convert(\"5\", \"ETH\")", "convert: argument \"amount\" must be a number, got string");
+      expect(err.line).to.equal(1);
+      await expectError("convert(5)", "convert: expects 2 to 3 arguments (amount, from, to) but was called with 1");
+      await expectError("total(1, \"2\")", "total: argument \"amounts\" must be a number, got string");
+    });
+
+    it("Should turn host exceptions into located errors", async function () {
+      interpreter.registerFunction("sign", async () => {
+        throw new Error("signer is locked");
+      });
+      const err = await expectError("god main() {\n  sign()\n}", "sign: signer is locked");
+      expect(err.line).to.equal(2);
+      expect(err.cause.message).to.equal("signer is locked");
+    });
+
+    it("Should reject invalid registrations", function () {
+      expect(() => interpreter.registerFunction("divine", () => 1)).to.throw(/Invalid function name "divine"/);
+      expect(() => interpreter.registerFunction("fee", 5)).to.throw(TypeError);
+      expect(() => interpreter.registerFunction("fee", () => 1, { params: { x: "bigint" } })).to.throw(/Unknown type "bigint"/);
+    });
+  });
+
+  describe("Modules and globals", function () {
+    it("Should call module members and read module constants", async function () {
+      interpreter.registerModule("feeds", {
+        latest: { fn: symbol => symbol.length * 100, params: { symbol: "string" } },
+        base: "USD"
+      });
+      expect(await interpreter.runSource("god main() {\n  return feeds.latest(\"ETH\") + \" \" + feeds.base\n}")).to.equal("300 USD");
+      await expectError("feeds.latest(1)", "feeds.latest: argument \"symbol\" must be a string, got number");
+    });
+
+    it("Should keep injected globals read-only", async function () {
+      interpreter.defineGlobal("NETWORK", "sepolia");
+      interpreter.registerModule("feeds", { base: "USD" });
+      await expectError("NETWORK = \"mainnet\"", "Cannot assign to read-only global \"NETWORK\"");
+      await expectError("bless feeds = 1", "Cannot redeclare read-only global \"feeds\"");
+
+      // A function may still shadow a global with a local of the same name
+      expect(await interpreter.runSource("god main() {\n  bless NETWORK = \"local\"\n  return NETWORK\n}")).to.equal("local");
+      expect(await interpreter.runSource("god main() {\n  return NETWORK\n}")).to.equal("sepolia");
+    });
+  });
+
+  describe("Runs", function () {
+    it("Should send prophesy output to the callback", async function () {
+      await interpreter.runSource("prophesy [1, \"two\"]\nprophesy 3");
+      expect(output).to.deep.equal([
+        { text: "[1, \"two\"]", value: [1, "two"] },
+        { text: "3", value: 3 }
+      ]);
+    });
+
+    it("Should give each run its own context and scope", async function () {
+      const script = "bless greeting = \"Blessed be \" + user\ngod main(times) {\n  return greeting + \" x\" + times\n}";
+      expect(await interpreter.runSource(script, { context: { user: "alice" }, args: ["2"] })).to.equal("Blessed be alice x2");
+      expect(await interpreter.runSource(script, { context: { user: "bob" }, args: ["3"] })).to.equal("Blessed be bob x3");
+
+      expect(interpreter.variables).to.not.have.property("greeting");
+      expect(interpreter.functions).to.not.have.property("main");
+      await expectError("prophesy user", "Unknown identifier \"user\"");
+    });
+
+    it("Should use a per-run output callback and file name", async function () {
+      const lines = [];
+      const err = await interpreter.runSource("prophesy \"ok\"\nprophesy missing", {
+        file: "job-7.scry",
+        onProphesy: text => lines.push(text)
+      }).catch(e => e);
+      expect(lines).to.deep.equal(["ok"]);
+      expect(err.file).to.equal("job-7.scry");
+      expect(output).to.deep.equal([]);
+    });
+  });
+});
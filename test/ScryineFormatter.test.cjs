@@ -0,0 +1,135 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { formatSource, scryFiles } = require("../scryine/formatter.cjs");
+const { parse } = require("../scryine/parser.cjs");
+const { useScratchDir } = require("../test-support/scratch.cjs");
+
+describe("SCRYINE Formatter", function () {
+  const scratch = useScratchDir("scryine-fmt-");
+  const { write } = scratch;
+
+  // The syntax tree without positions, to compare a script before and after formatting
+  function shape(code) {
+    return JSON.parse(JSON.stringify(parse(code), (key, value) => key === "loc" ? undefined : value));
+  }
+
+  it("Should normalise indentation, spacing and braces", function () {
+    const code = [
+      "bless   limit:number=1+2*3",
+      "god   grade(score:number,bonus):string{",
+      "    divine score>90&&bonus{return \"A\"}",
+      "\teternal score<limit {",
+      "        score=score+1",
+      "    }",
+      "",
+      "",
+      "",
+      "    try { smite {message:\"no\", \"two words\": [1,2]} }",
+      "    repent err { prophesy err.message }",
+      "    each n in [ ] {}",
+      "    return \"B\"",
+      "}"
+    ].join("\n");
+    expect(formatSource(code)).to.equal([
+      "bless limit: number = 1 + 2 * 3",
+      "god grade(score: number, bonus): string {",
+      "  divine score > 90 && bonus {",
+      "    return \"A\"",
+      "  }",
+      "  eternal score < limit {",
+      "    score = score + 1",
+      "  }",
+      "",
+      "  try {",
+      "    smite {message: \"no\", \"two words\": [1, 2]}",
+      "  } repent err {",
+      "    prophesy err.message",
+      "  }",
+      "  each n in [] {}",
+      "  return \"B\"",
+      "}",
+      ""
+    ].join("\n"));
+  });
+
+  it("Should keep every comment", function () {
+    const code = [
+      "/* The tithe",
+      "   of a seeker */",
+      "import { add,  sub as minus } from \"lib/math\" // arithmetic",
+      "god tithe(amount) { // a tenth",
+      "  // rounded down",
+      "  scry rates = [",
+      "    10, // standard",
+      "",
+      "    // generous",
+      "    20",
+      "  ]",
+      "  return math.floor(amount / /* per */ rates[0])",
+      "  /* nothing after the return */",
+      "}"
+    ].join("\n");
+    expect(formatSource(code)).to.equal([
+      "/* The tithe",
+      "   of a seeker */",
+      "import { add, sub as minus } from \"lib/math\" // arithmetic",
+      "god tithe(amount) { // a tenth",
+      "  // rounded down",
+      "  scry rates = [",
+      "    10, // standard",
+      "",
+      "    // generous",
+      "    20",
+      "  ]",
+      "  /* per */",
+      "  return math.floor(amount / rates[0])",
+      "  /* nothing after the return */",
+      "}",
+      ""
+    ].join("\n"));
+  });
+
+  it("Should keep the parentheses that change the meaning", function () {
+    const code = "prophesy (a - b) - (c - d) * ((e))\nprophesy -(-x) + !(a == b)\nprophesy (a || b) && c\nprophesy (1 + 2).x[(i)]\n";
+    const formatted = formatSource(code);
+    expect(formatted).to.equal("prophesy a - b - (c - d) * e\nprophesy -(-x) + !(a == b)\nprophesy (a || b) && c\nprophesy (1 + 2).x[i]\n");
+    expect(shape(formatted)).to.deep.equal(shape(code));
+  });
+
+  it("Should leave the examples unchanged and be stable on its own output", function () {
+    for (const file of scryFiles([path.join(__dirname, "..", "scryine", "examples")])) {
+      const code = fs.readFileSync(file, "utf8");
+      expect(formatSource(code), file).to.equal(code);
+    }
+    const messy = "god main(){prophesy   token GodToken.balance(  )\nscry ok=oracle AIVerifier( 7 ).verified // oracle\nquantum{ initialize(\"0x1\") }\nconcord {prophesy 1\nprophesy 2}}";
+    const once = formatSource(messy);
+    expect(formatSource(once)).to.equal(once);
+    expect(shape(once)).to.deep.equal(shape(messy));
+  });
+
+  it("Should rewrite files from the command line, or fail with --check", function () {
+    const cli = path.join(__dirname, "..", "scryine", "cli.cjs");
+    const { dir } = scratch;
+    const messy = write("lib/messy.scry", "bless x=1 // one\n");
+    const tidy = write("tidy.scry", "bless x = 1\n");
+
+    const checked = spawnSync(process.execPath, [cli, "fmt", "--check", dir], { encoding: "utf8", timeout: 60000 });
+    expect(checked.status).to.equal(1);
+    expect(checked.stdout).to.contain(`${messy} is not formatted`);
+    expect(checked.stdout).to.contain("1 file of 2 need formatting");
+    expect(fs.readFileSync(messy, "utf8")).to.equal("bless x=1 // one\n");
+
+    const written = spawnSync(process.execPath, [cli, "fmt", dir], { encoding: "utf8", timeout: 60000 });
+    expect(written.status).to.equal(0);
+    expect(written.stdout.trim()).to.equal(`Formatted ${messy}`);
+    expect(fs.readFileSync(messy, "utf8")).to.equal("bless x = 1 // one\n");
+    expect(spawnSync(process.execPath, [cli, "fmt", "--check", dir], { timeout: 60000 }).status).to.equal(0);
+
+    write("tidy.scry", "bless x = (1 +\n");
+    const broken = spawnSync(process.execPath, [cli, "fmt", tidy], { encoding: "utf8", timeout: 60000 });
+    expect(broken.status).to.equal(1);
+    expect(broken.stderr).to.contain("error[syntax]: Unexpected end of input");
+  });
+});
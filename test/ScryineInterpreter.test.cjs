@@ -0,0 +1,735 @@
+const { expect } = require("chai");
+const ScryineInterpreter = require("../scryine/interpreter.cjs");
+const { ScryineError, ScryineLimitError } = require("../scryine/diagnostics.cjs");
+const { useScratchDir } = require("../test-support/scratch.cjs");
+
+describe("SCRYINE Interpreter", function () {
+  let interpreter, output, originalLog;
+
+  beforeEach(function () {
+    interpreter = new ScryineInterpreter();
+    output = [];
+    originalLog = console.log;
+    console.log = (...args) => {
+      if (args[0] === "SCRYINE Output:") output.push(args.slice(1).join(" "));
+    };
+  });
+
+  afterEach(function () {
+    console.log = originalLog;
+  });
+
+  describe("Expressions", function () {
+    it("Should evaluate arithmetic with precedence and parentheses", async function () {
+      await interpreter.run("bless a = 4\nbless b = 5\nprophesy (a + b) / 3\nprophesy 1 + 2 * 3");
+      expect(output).to.deep.equal(["3", "7"]);
+    });
+
+    it("Should evaluate logical operators and negation", async function () {
+      await interpreter.run("bless a = true\nbless b = false\nprophesy a && !b\nprophesy !a || b");
+      expect(output).to.deep.equal(["true", "false"]);
+    });
+
+    it("Should read falsy variables", async function () {
+      await interpreter.run("bless zero = 0\nprophesy zero + 1");
+      expect(output).to.deep.equal(["1"]);
+    });
+  });
+
+  describe("Statements", function () {
+    it("Should run nested divine blocks", async function () {
+      await interpreter.run([
+        "bless x = 10",
+        "divine x > 5 {",
+        "  divine x > 8 {",
+        "    prophesy \"inner\"",
+        "  }",
+        "  prophesy \"outer\"",
+        "}"
+      ].join("\n"));
+      expect(output).to.deep.equal(["inner", "outer"]);
+    });
+
+    it("Should loop with eternal", async function () {
+      await interpreter.run("bless i = 0\neternal i < 3 {\n  prophesy i\n  bless i = i + 1\n}");
+      expect(output).to.deep.equal(["0", "1", "2"]);
+    });
+  });
+
+  describe("Functions and scoping", function () {
+    it("Should return values with return", async function () {
+      await interpreter.run("god double(x) {\n  return x * 2\n}\nprophesy double(21)");
+      expect(output).to.deep.equal(["42"]);
+    });
+
+    it("Should support recursion with per-call locals", async function () {
+      await interpreter.run([
+        "god fib(n) {",
+        "  divine n < 2 {",
+        "    return n",
+        "  }",
+        "  bless a = fib(n - 1)",
+        "  bless b = fib(n - 2)",
+        "  return a + b",
+        "}",
+        "prophesy fib(10)"
+      ].join("\n"));
+      expect(output).to.deep.equal(["55"]);
+    });
+
+    it("Should keep parameters and locals out of the global scope", async function () {
+      await interpreter.run("bless x = 1\ngod f(x) {\n  bless y = x\n  return y\n}\nprophesy f(5)\nprophesy x");
+      expect(output).to.deep.equal(["5", "1"]);
+      expect(interpreter.variables).to.not.have.property("y");
+    });
+
+    it("Should assign to outer variables without a keyword", async function () {
+      await interpreter.run("bless total = 0\ngod add(n) {\n  total = total + n\n}\nadd(2)\nadd(3)\nprophesy total");
+      expect(output).to.deep.equal(["5"]);
+    });
+
+    it("Should reject assignment to undeclared variables", async function () {
+      try {
+        await interpreter.run("missing = 1");
+        expect.fail("expected an error");
+      } catch (err) {
+        expect(err.message).to.match(/undeclared variable "missing"/);
+      }
+    });
+
+    it("Should close over the defining scope", async function () {
+      await interpreter.run([
+        "god outer(base) {",
+        "  god inner(n) {",
+        "    return base + n",
+        "  }",
+        "  return inner(1)",
+        "}",
+        "prophesy outer(41)"
+      ].join("\n"));
+      expect(output).to.deep.equal(["42"]);
+    });
+  });
+
+  describe("Entry point", function () {
+    it("Should invoke main after the top level has run", async function () {
+      await interpreter.run("god main() {\n  prophesy greeting\n}\nbless greeting = \"hello\"");
+      expect(output).to.deep.equal(["hello"]);
+    });
+
+    it("Should pass arguments to main and return its result", async function () {
+      const result = await interpreter.run("god main(a, b) {\n  return a + b\n}", [2, 3]);
+      expect(result).to.equal(5);
+    });
+
+    it("Should map main's return value to an exit code", function () {
+      expect(ScryineInterpreter.exitCode(null)).to.equal(0);
+      expect(ScryineInterpreter.exitCode(3)).to.equal(3);
+      expect(ScryineInterpreter.exitCode(false)).to.equal(1);
+      expect(ScryineInterpreter.exitCode("done")).to.equal(0);
+    });
+
+    it("Should exit with 1 on an uncaught error", async function () {
+      const fs = require("fs");
+      const os = require("os");
+      const path = require("path");
+      const file = path.join(os.tmpdir(), "scryine-failing.scry");
+      fs.writeFileSync(file, "god main() {\n  missing = 1\n}");
+      const originalError = console.error;
+      console.error = () => {};
+      try {
+        expect(await interpreter.loadAndRun(file)).to.equal(1);
+      } finally {
+        console.error = originalError;
+        fs.unlinkSync(file);
+      }
+    });
+  });
+
+  describe("Diagnostics", function () {
+    let warnings, originalError;
+
+    beforeEach(function () {
+      warnings = [];
+      originalError = console.error;
+      console.error = (text) => warnings.push(text);
+    });
+
+    afterEach(function () {
+      console.error = originalError;
+    });
+
+    it("Should warn about unknown identifiers with a caret snippet", async function () {
+      await interpreter.run("bless prediction = 1\nprophesy predicton");
+      expect(interpreter.diagnostics).to.have.lengthOf(1);
+      expect(interpreter.diagnostics[0].kind).to.equal("reference");
+      expect(warnings[0]).to.include("did you mean \"prediction\"");
+      expect(warnings[0]).to.include("<input>:2:10");
+      expect(warnings[0]).to.include("         ^^^^^^^^^");
+    });
+
+    it("Should warn about arity mismatches", async function () {
+      await interpreter.run("god add(a, b) {\n  return a + b\n}\nadd(1)");
+      expect(interpreter.diagnostics[0].kind).to.equal("arity");
+      expect(interpreter.diagnostics[0].message).to.include("expects 2 arguments (a, b) but was called with 1");
+    });
+
+    it("Should warn about calls to undefined functions", async function () {
+      await interpreter.run("prophesy quantum_predit(3)");
+      expect(interpreter.diagnostics[0].message).to.include("did you mean \"quantum_predict\"");
+    });
+
+    it("Should not look names up on Object.prototype", async function () {
+      for (const engine of ["vm", "ast"]) {
+        const plain = new ScryineInterpreter({ engine });
+        await plain.run("prophesy constructor\nprophesy toString()\nbless __proto__ = 5\nprophesy __proto__ + 1");
+        expect(plain.diagnostics.map(diagnostic => diagnostic.message)).to.deep.equal([
+          "Unknown identifier \"constructor\"",
+          "Call to undefined function \"toString\""
+        ]);
+      }
+      expect(output).to.deep.equal(["constructor", "toString()", "6", "constructor", "toString()", "6"]);
+    });
+
+    it("Should turn warnings into errors in strict mode", async function () {
+      const strict = new ScryineInterpreter({ strict: true });
+      try {
+        await strict.run("god main() {\n  prophesy missing\n}");
+        expect.fail("expected a ScryineError");
+      } catch (err) {
+        expect(err).to.be.instanceOf(ScryineError);
+        expect(err.kind).to.equal("reference");
+        expect(err.line).to.equal(2);
+        expect(err.scryineStack[0].name).to.equal("main");
+      }
+    });
+
+    it("Should locate runtime errors", async function () {
+      try {
+        await interpreter.run("bless x = 1\nmissing = x");
+        expect.fail("expected a ScryineError");
+      } catch (err) {
+        expect(err).to.be.instanceOf(ScryineError);
+        expect(err.line).to.equal(2);
+        expect(err.format(interpreter.source)).to.include("2 | missing = x");
+      }
+    });
+  });
+
+  describe("Execution limits", function () {
+    async function expectLimit(options, code, limit) {
+      try {
+        await new ScryineInterpreter({ limits: options }).run(code);
+      } catch (err) {
+        expect(err).to.be.instanceOf(ScryineLimitError);
+        expect(err).to.be.instanceOf(ScryineError);
+        expect(err.kind).to.equal("limit");
+        expect(err.limit).to.equal(limit);
+        return err;
+      }
+      expect.fail(`expected the ${limit} limit to stop the script`);
+    }
+
+    const endless = "god main() {\n  bless i = 0\n  eternal i < 10 {\n    bless i = i\n  }\n}";
+
+    it("Should stop endless loops after a number of steps", async function () {
+      const err = await expectLimit({ steps: 100 }, endless, "steps");
+      expect(err.message).to.equal("Step limit of 100 exceeded");
+      expect(err.line).to.be.oneOf([3, 4]);
+      expect(err.scryineStack.map(frame => frame.name)).to.deep.equal(["main"]);
+    });
+
+    it("Should stop loops with empty bodies", async function () {
+      await expectLimit({ steps: 50 }, "eternal true {\n}", "steps");
+
+      // The legacy fallback makes an unknown name a truthy string
+      const originalError = console.error;
+      console.error = () => {};
+      try {
+        await expectLimit({ steps: 50 }, "eternal unknown_flag {\n}", "steps");
+      } finally {
+        console.error = originalError;
+      }
+    });
+
+    it("Should stop scripts that run out of time", async function () {
+      const err = await expectLimit({ time: 50 }, endless, "time");
+      expect(err.message).to.equal("Time limit of 50 ms exceeded");
+    });
+
+    it("Should bound recursion depth by default", async function () {
+      const err = await expectLimit({}, "god down(n) {\n  return down(n + 1)\n}\ndown(0)", "callDepth");
+      expect(err.message).to.equal("Call depth limit of 1000 exceeded in \"down\"");
+      expect(err.line).to.equal(2);
+      expect(err.scryineStack).to.have.length(1000);
+      expect(err.format()).to.include("... 990 more");
+    });
+
+    it("Should stop scripts that grow the heap past the memory limit", async function () {
+      const grow = "scry items = []\neternal true {\n  items = items + [\"divine insight \" + len(items)]\n}";
+      await expectLimit({ memory: 8 }, grow, "memory");
+    });
+
+    it("Should give every run a fresh budget", async function () {
+      const limited = new ScryineInterpreter({ limits: { steps: 5 } });
+      await limited.evaluate("bless a = 1\nbless b = 2\nbless c = 3");
+      await limited.evaluate("bless d = 4\nbless e = 5");
+      expect(limited.variables.e).to.equal(5);
+    });
+  });
+
+  describe("Reproducible runs", function () {
+    const fs = require("fs");
+    const os = require("os");
+    const path = require("path");
+    const predict = "god main() {\n  prophesy quantum_predict(10)\n  prophesy ai_verify(\"divine data\")\n}";
+    let traceFile;
+
+    beforeEach(function () {
+      traceFile = path.join(os.tmpdir(), `scryine-trace-${process.pid}.json`);
+    });
+
+    afterEach(function () {
+      if (fs.existsSync(traceFile)) fs.unlinkSync(traceFile);
+    });
+
+    it("Should repeat quantum_predict for the same seed", async function () {
+      await new ScryineInterpreter({ seed: 42 }).run(predict);
+      await new ScryineInterpreter({ seed: "42" }).run(predict);
+      await new ScryineInterpreter({ seed: 7 }).run(predict);
+      expect(output[0]).to.equal(output[2]);
+      expect(output[0]).to.not.equal(output[4]);
+      expect(Number(output[0])).to.be.within(10, 110);
+    });
+
+    it("Should make the quantum simulator deterministic", async function () {
+      const script = "scry s = initialize_quantum_state(\"0xabc\")\nprophesy s\nprophesy s.lastUpdate\nprophesy measure(s)";
+      await new ScryineInterpreter({ seed: 1 }).run(script);
+      await new ScryineInterpreter({ seed: 1 }).run(script);
+      expect(output.slice(0, 3)).to.deep.equal(output.slice(3));
+      expect(output[1]).to.equal(String(Date.UTC(2025, 0, 1)));
+    });
+
+    it("Should record a trace and replay it exactly", async function () {
+      const recorder = new ScryineInterpreter({ record: traceFile });
+      await recorder.run(predict);
+      const trace = JSON.parse(fs.readFileSync(traceFile, "utf8"));
+      expect(trace.seed).to.equal(recorder.seed);
+      expect(trace.calls.map(call => call.name)).to.deep.equal(["quantum_predict", "ai_verify"]);
+      expect(String(trace.calls[0].result)).to.equal(output[0]);
+
+      await new ScryineInterpreter({ replay: traceFile }).run(predict);
+      expect(output.slice(2)).to.deep.equal(output.slice(0, 2));
+    });
+
+    it("Should replay contract results without calling the contracts", async function () {
+      const script = "god main() {\n  return contract_call(\"GodToken\", \"totalSupply\")\n}";
+      const live = { call: async () => 10n ** 24n };
+      expect(await new ScryineInterpreter({ record: traceFile, contracts: live }).run(script)).to.equal(10n ** 24n);
+      expect(JSON.parse(fs.readFileSync(traceFile, "utf8")).calls[0].result).to.deep.equal({ $bigint: "1000000000000000000000000" });
+
+      const offline = { call: async () => { throw new Error("network unavailable"); } };
+      expect(await new ScryineInterpreter({ replay: traceFile, contracts: offline }).run(script)).to.equal(10n ** 24n);
+    });
+
+    it("Should report where a replay diverges from its trace", async function () {
+      await new ScryineInterpreter({ record: traceFile }).run(predict);
+
+      try {
+        await new ScryineInterpreter({ replay: traceFile }).run(predict.replace("quantum_predict(10)", "quantum_predict(11)"));
+        expect.fail("expected the replay to diverge");
+      } catch (err) {
+        expect(err).to.be.instanceOf(ScryineError);
+        expect(err.message).to.equal("quantum_predict: replay diverged at call 1: the trace has quantum_predict(10), but the script called quantum_predict(11)");
+        expect(err.line).to.equal(2);
+      }
+
+      try {
+        await new ScryineInterpreter({ replay: traceFile }).run("prophesy quantum_predict(10)");
+        expect.fail("expected the replay to diverge");
+      } catch (err) {
+        expect(err.message).to.include("the script finished with 1 recorded call left");
+      }
+    });
+  });
+
+  describe("Error handling", function () {
+    it("Should bind a caught error with its kind and location", async function () {
+      const result = await interpreter.run([
+        "try {",
+        "  prophesy \"before\"",
+        "  prophesy [1, 2][5]",
+        "  prophesy \"after\"",
+        "} repent err {",
+        "  prophesy err.kind + \" at line \" + err.line + \": \" + err.message",
+        "}",
+        "prophesy \"continued\""
+      ].join("\n"));
+      expect(result).to.be.null;
+      expect(output).to.deep.equal(["before", "runtime at line 3: Index 5 is out of range for a list of length 2", "continued"]);
+    });
+
+    it("Should raise custom errors with smite", async function () {
+      const script = [
+        "god withdraw(amount) {",
+        "  divine amount > 10 {",
+        "    smite {message: \"Insufficient faith\", kind: \"faith\", needed: amount}",
+        "  }",
+        "  smite \"No withdrawals today\"",
+        "}",
+        "try {",
+        "  withdraw(50)",
+        "} repent err {",
+        "  prophesy err.kind + \": \" + err.message + \" (\" + err.value.needed + \")\"",
+        "}",
+        "try {",
+        "  withdraw(5)",
+        "} repent err {",
+        "  prophesy err.kind + \": \" + err.message + \" on line \" + err.line",
+        "}"
+      ].join("\n");
+      await interpreter.run(script);
+      expect(output).to.deep.equal(["faith: Insufficient faith (50)", "smite: No withdrawals today on line 5"]);
+
+      const err = await interpreter.run("try {\n  smite \"first\"\n} repent err {\n  smite err\n}").catch(e => e);
+      expect(err).to.be.instanceOf(ScryineError);
+      expect(err.kind).to.equal("smite");
+      expect(err.message).to.equal("first");
+      expect(err.line).to.equal(4);
+    });
+
+    it("Should let return pass through try blocks", async function () {
+      const result = await interpreter.run("god main() {\n  try {\n    return 7\n  } repent {\n    return 0\n  }\n}");
+      expect(result).to.equal(7);
+    });
+
+    it("Should not let scripts repent of execution limits", async function () {
+      interpreter = new ScryineInterpreter({ limits: { steps: 50 } });
+      const err = await interpreter.run("try {\n  eternal true {\n  }\n} repent {\n  prophesy \"escaped\"\n}").catch(e => e);
+      expect(err).to.be.instanceOf(ScryineLimitError);
+      expect(output).to.deep.equal([]);
+    });
+  });
+
+  describe("Imports", function () {
+    const path = require("path");
+    const scratch = useScratchDir("scryine-imports-");
+    const { write } = scratch;
+
+    async function runFile(name, code) {
+      interpreter.file = write(name, code);
+      return interpreter.run(code);
+    }
+
+    beforeEach(function () {
+      write("lib/math.scry", "bless PI = 3\nprophesy \"math loaded\"\ngod double(x) {\n  return x * 2\n}\ngod quad(x) {\n  return double(double(x))\n}");
+    });
+
+    it("Should import a module as a namespace or by name", async function () {
+      const result = await runFile("main.scry", [
+        "import \"lib/math\"",
+        "import \"./lib/math.scry\" as m",
+        "import { quad, PI as pi } from \"lib/math\"",
+        "god main() {",
+        "  return math.double(pi) + m.PI + quad(1)",
+        "}"
+      ].join("\n"));
+      expect(result).to.equal(13);
+      // The module ran once, however many times it was imported
+      expect(output).to.deep.equal(["math loaded"]);
+    });
+
+    it("Should resolve imports relative to the importing file", async function () {
+      write("lib/geometry.scry", "import { double } from \"math\"\ngod perimeter(side) {\n  return double(side) * 2\n}");
+      expect(await runFile("main.scry", "import \"lib/geometry\"\ngod main() {\n  return geometry.perimeter(3)\n}")).to.equal(12);
+    });
+
+    it("Should search module paths for bare names", async function () {
+      interpreter = new ScryineInterpreter({ modulePaths: [path.join(scratch.dir, "lib")] });
+      expect(await interpreter.run("import { double } from \"math\"\nprophesy double(4)")).to.be.null;
+      expect(output).to.deep.equal(["math loaded", "8"]);
+    });
+
+    it("Should report missing modules, exports and import cycles", async function () {
+      const failure = code => runFile("main.scry", code).then(() => expect.fail("expected the import to fail"), err => err);
+
+      let err = await failure("import \"lib/missing\"");
+      expect(err.message).to.match(/^Cannot find module "lib\/missing"/);
+      expect(err.line).to.equal(1);
+
+      err = await failure("import { dubble } from \"lib/math\"");
+      expect(err.message).to.equal("Module \"lib/math\" has no export \"dubble\" (did you mean \"double\"?)");
+
+      write("a.scry", "import \"b\"");
+      write("b.scry", "import \"a\"");
+      err = await failure("import \"a\"");
+      expect(err.message).to.equal(`Import cycle: ${path.relative(process.cwd(), path.join(scratch.dir, "a.scry"))} -> ${path.relative(process.cwd(), path.join(scratch.dir, "b.scry"))} -> ${path.relative(process.cwd(), path.join(scratch.dir, "a.scry"))}`);
+    });
+
+    it("Should locate errors inside the module that raised them", async function () {
+      write("lib/broken.scry", "god explode(x) {\n  return x[5]\n}");
+      const err = await runFile("main.scry", "import \"lib/broken\"\ngod main() {\n  return broken.explode([1])\n}").catch(e => e);
+      expect(err).to.be.instanceOf(ScryineError);
+      expect(err.file).to.equal(path.relative(process.cwd(), path.join(scratch.dir, "lib", "broken.scry")));
+      expect(err.line).to.equal(2);
+      expect(err.scryineStack[0].file).to.equal(interpreter.file);
+
+      const text = err.format(interpreter.source);
+      expect(text).to.include("broken.scry:2:12");
+      expect(text).to.include("return x[5]");
+    });
+  });
+
+  describe("Concord blocks", function () {
+    const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    it("Should await host functions and run branches concurrently", async function () {
+      const events = [];
+      interpreter.registerFunction("fetch_price", async (symbol) => {
+        events.push(`start ${symbol}`);
+        await delay(50);
+        events.push(`end ${symbol}`);
+        return symbol.length;
+      });
+
+      const started = Date.now();
+      const result = await interpreter.run([
+        "god main() {",
+        "  concord {",
+        "    scry eth = fetch_price(\"ETH\")",
+        "    scry matic = fetch_price(\"MATIC\")",
+        "    scry dot = fetch_price(\"DOT\")",
+        "  }",
+        "  return [eth, matic, dot]",
+        "}"
+      ].join("\n"));
+      expect(result).to.deep.equal([3, 5, 3]);
+      expect(events.slice(0, 3)).to.deep.equal(["start ETH", "start MATIC", "start DOT"]);
+      expect(Date.now() - started).to.be.below(140);
+    });
+
+    it("Should give each branch its own call stack", async function () {
+      interpreter.registerFunction("pause", () => delay(10));
+      try {
+        await interpreter.run([
+          "god fail(n) {",
+          "  pause()",
+          "  return [][n]",
+          "}",
+          "god work(n) {",
+          "  pause()",
+          "  return n",
+          "}",
+          "god main() {",
+          "  concord {",
+          "    scry a = work(1)",
+          "    scry b = fail(2)",
+          "    scry c = work(3)",
+          "  }",
+          "}"
+        ].join("\n"));
+        expect.fail("expected a ScryineError");
+      } catch (err) {
+        expect(err.message).to.equal("Index 2 is out of range for a list of length 0");
+        expect(err.line).to.equal(3);
+        expect(err.scryineStack.map(frame => [frame.name, frame.loc.start.line])).to.deep.equal([["fail", 12], ["main", 9]]);
+      }
+      expect(interpreter.callStack).to.deep.equal([]);
+    });
+
+    it("Should finish every branch before reporting the first failure", async function () {
+      const finished = [];
+      interpreter.registerFunction("finish", async (name) => {
+        await delay(20);
+        finished.push(name);
+      });
+      interpreter.registerFunction("explode", () => {
+        throw new Error("boom");
+      });
+      try {
+        await interpreter.run("concord {\n  finish(\"slow\")\n  explode()\n}");
+        expect.fail("expected a ScryineError");
+      } catch (err) {
+        expect(err.message).to.equal("explode: boom");
+      }
+      expect(finished).to.deep.equal(["slow"]);
+    });
+  });
+
+  describe("Collections", function () {
+    it("Should print, index and measure lists and maps", async function () {
+      await interpreter.run([
+        "scry relics = [\"Shroud\", {name: \"Grail\", \"age in years\": 2000}]",
+        "prophesy relics",
+        "prophesy relics[1].name + \" \" + relics[1][\"age in years\"]",
+        "prophesy len(relics) + \" \" + len(relics[1]) + \" \" + len(\"abc\")",
+        "prophesy keys(relics[1])",
+        "prophesy \"all: \" + (relics + [3])"
+      ].join("\n"));
+      expect(output).to.deep.equal([
+        "[\"Shroud\", {name: \"Grail\", \"age in years\": 2000}]",
+        "Grail 2000",
+        "2 2 3",
+        "[\"name\", \"age in years\"]",
+        "all: [\"Shroud\", {name: \"Grail\", \"age in years\": 2000}, 3]"
+      ]);
+    });
+
+    it("Should iterate lists and map keys with each", async function () {
+      await interpreter.run([
+        "god main() {",
+        "  scry total = 0",
+        "  each amount in [10, 20, 30] {",
+        "    total = total + amount",
+        "  }",
+        "  each key in {a: 1, b: 2} {",
+        "    prophesy key",
+        "  }",
+        "  prophesy total",
+        "}"
+      ].join("\n"));
+      expect(output).to.deep.equal(["a", "b", "60"]);
+    });
+
+    it("Should sum, average, map and filter", async function () {
+      await interpreter.run([
+        "god double(x) {",
+        "  return x * 2",
+        "}",
+        "god big(x) {",
+        "  return x > 4",
+        "}",
+        "scry values = [1, 2, 3, 4]",
+        "prophesy sum(values) + \" \" + avg(values) + \" \" + avg([])",
+        "prophesy filter(map(values, double), big)",
+        "prophesy map([\"abc\", \"de\"], len)"
+      ].join("\n"));
+      expect(output).to.deep.equal(["10 2.5 0", "[6, 8]", "[3, 2]"]);
+    });
+
+    it("Should pass local functions as values", async function () {
+      const result = await interpreter.run([
+        "god main() {",
+        "  scry factor = 3",
+        "  god scale(x) {",
+        "    return x * factor",
+        "  }",
+        "  return sum(map([1, 2], scale))",
+        "}"
+      ].join("\n"));
+      expect(result).to.equal(9);
+    });
+
+    it("Should report bad indexes and callback errors at their source", async function () {
+      for (const [code, message, line] of [
+        ["scry xs = [1, 2]\nprophesy xs[2]", "Index 2 is out of range for a list of length 2", 2],
+        ["scry m = {a: 1}\nprophesy m[\"b\"]", "Map has no key \"b\"", 2],
+        ["each x in 5 {\n}", "Cannot iterate over number", 1],
+        ["prophesy sum(5)", "sum: expected a list but got number", 1]
+      ]) {
+        try {
+          await new ScryineInterpreter().run(code);
+          expect.fail(`expected "${code}" to fail`);
+        } catch (err) {
+          expect(err).to.be.instanceOf(ScryineError);
+          expect(err.message).to.include(message);
+          expect(err.line).to.equal(line);
+        }
+      }
+
+      try {
+        await interpreter.run("god first(xs) {\n  return xs[0]\n}\nprophesy map([[1], []], first)");
+        expect.fail("expected a ScryineError");
+      } catch (err) {
+        expect(err.message).to.include("Index 0 is out of range");
+        expect(err.line).to.equal(2);
+        expect(err.scryineStack.map(frame => frame.name)).to.deep.equal(["first"]);
+        expect(err.scryineStack[0].loc.start.line).to.equal(4);
+      }
+    });
+  });
+
+  describe("Quantum blocks", function () {
+    const a = "0x742d35Cc6634C0532925a3b844Bc454e4438f44e";
+    const b = "0x742d35Cc6634C0532925a3b844Bc454e4438f44f";
+
+    it("Should run quantum operations against the simulator", async function () {
+      await interpreter.run([
+        "quantum {",
+        `  scry s = initialize("${a}")`,
+        `  initialize("${b}")`,
+        `  entangle("${a}", "${b}")`,
+        `  scry r = transact("${a}", "${b}", 500, "proof")`,
+        "  prophesy s.coherence",
+        "  prophesy r.confidence >= 70",
+        "}"
+      ].join("\n"));
+      expect(output).to.deep.equal(["0.999", "true"]);
+      expect(interpreter.quantum.simulator.entanglementPairs.size).to.equal(1);
+    });
+
+    it("Should keep quantum state between blocks", async function () {
+      await interpreter.run(`quantum {\n  initialize("${a}")\n}\nquantum {\n  prophesy state("${a}").address\n}`);
+      expect(output).to.deep.equal([a]);
+    });
+
+    it("Should only resolve quantum operations inside quantum blocks", async function () {
+      const strict = new ScryineInterpreter({ strict: true });
+      try {
+        await strict.run(`initialize("${a}")`);
+        expect.fail("expected a ScryineError");
+      } catch (err) {
+        expect(err.message).to.include("can only be called inside a quantum block");
+      }
+    });
+  });
+
+  describe("Quantum states", function () {
+    const a = "0x742d35Cc6634C0532925a3b844Bc454e4438f44e";
+    const b = "0x742d35Cc6634C0532925a3b844Bc454e4438f44f";
+
+    it("Should expose live fields and print states", async function () {
+      await interpreter.run([
+        `scry s = initialize_quantum_state("${a}")`,
+        "prophesy s.coherence",
+        `quantum_simulate_transaction("${a}", "${a}", 1, "proof")`,
+        `prophesy get_quantum_state("${a}").coherence`,
+        "prophesy s"
+      ].join("\n"));
+      expect(output[0]).to.equal("1");
+      expect(output[1]).to.equal("0.998001");
+      expect(output[2]).to.match(new RegExp(`^<quantum_state ${a} entropy=\\d\\.\\d{3} coherence=0\\.998>$`));
+    });
+
+    it("Should entangle and measure states", async function () {
+      await interpreter.run([
+        `scry s = initialize_quantum_state("${a}")`,
+        `scry t = initialize_quantum_state("${b}")`,
+        "prophesy entangle_states(s, t)",
+        "prophesy t.entangled",
+        "scry outcome = measure(s)",
+        "prophesy outcome >= 0 && outcome < 256",
+        "prophesy measure(s) == outcome"
+      ].join("\n"));
+      expect(output).to.deep.equal(["true", `["${a}"]`, "true", "true"]);
+    });
+
+    it("Should reject values that are not quantum states", async function () {
+      try {
+        await interpreter.run(`measure("${a}")`);
+        expect.fail("expected a ScryineError");
+      } catch (err) {
+        expect(err.message).to.equal("measure: expected a quantum_state but got string");
+      }
+      expect(await interpreter.evaluate(`get_quantum_state("${b}")`)).to.be.null;
+    });
+
+    it("Should run the quantum_sim example end to end", async function () {
+      const path = require("path");
+      const file = path.join(__dirname, "..", "scryine", "examples", "quantum_sim.scry");
+      expect(await interpreter.loadAndRun(file)).to.equal(0);
+      expect(output).to.include("Initialized quantum states for addresses");
+      expect(output.some(line => line.startsWith("Measured basis state"))).to.be.true;
+    });
+  });
+});
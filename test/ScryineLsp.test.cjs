@@ -0,0 +1,214 @@
+const { expect } = require("chai");
+const path = require("path");
+const { PassThrough } = require("stream");
+const { spawn } = require("child_process");
+const { pathToFileURL } = require("url");
+const { ScryineLanguageServer } = require("../scryine/lsp.cjs");
+const { useScratchDir } = require("../test-support/scratch.cjs");
+
+describe("SCRYINE Language Server", function () {
+  const { write } = useScratchDir("scryine-lsp-");
+  let server;
+  let messages;
+  let nextId;
+
+  // Frames a message the way an editor sends it
+  function frame(message) {
+    const body = JSON.stringify(message);
+    return `Content-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`;
+  }
+
+  // Splits everything the server wrote back into messages
+  function unframe(text) {
+    const found = [];
+    let rest = text;
+    for (let match; (match = /^Content-Length: (\d+)\r\n\r\n/.exec(rest));) {
+      const start = match[0].length;
+      found.push(JSON.parse(Buffer.from(rest.slice(start)).slice(0, Number(match[1])).toString()));
+      rest = Buffer.from(rest.slice(start)).slice(Number(match[1])).toString();
+    }
+    return found;
+  }
+
+  function request(method, params) {
+    const id = nextId++;
+    server.input.write(frame({ jsonrpc: "2.0", id, method, params }));
+    return messages().find(message => message.id === id);
+  }
+
+  function notify(method, params) {
+    server.input.write(frame({ jsonrpc: "2.0", method, params }));
+  }
+
+  function open(name, text) {
+    const file = write(name, text);
+    const uri = pathToFileURL(file).href;
+    notify("textDocument/didOpen", { textDocument: { uri, languageId: "scryine", version: 1, text } });
+    return uri;
+  }
+
+  function diagnosticsFor(uri) {
+    return messages().filter(message => message.method === "textDocument/publishDiagnostics" && message.params.uri === uri).pop().params.diagnostics;
+  }
+
+  function labels(items) {
+    return items.map(item => item.label);
+  }
+
+  beforeEach(function () {
+    const input = new PassThrough();
+    let written = "";
+    const output = { write: text => { written += text; } };
+    server = new ScryineLanguageServer({ input, output, modulePaths: [], onExit: () => {} });
+    server.start();
+    messages = () => unframe(written);
+    nextId = 1;
+  });
+
+  it("Should announce its features and publish diagnostics as documents change", function () {
+    const { result } = request("initialize", { processId: null, rootUri: null, capabilities: {} });
+    expect(result.capabilities).to.include({ textDocumentSync: 1, definitionProvider: true, hoverProvider: true, documentSymbolProvider: true });
+
+    const uri = open("tithe.scry", "god main() {\n  scry spare = 1\n  bless x: number = \"one\"\n  return x\n}");
+    expect(diagnosticsFor(uri).map(d => `${d.range.start.line}:${d.range.start.character} ${d.severity} ${d.code} ${d.message}`)).to.deep.equal([
+      "1:2 2 unused Variable \"spare\" is never used",
+      "2:20 1 type Cannot assign string to \"x\", declared as number"
+    ]);
+
+    notify("textDocument/didChange", { textDocument: { uri, version: 2 }, contentChanges: [{ text: "god main() {\n  prophesy (1 +\n}" }] });
+    const [syntax] = diagnosticsFor(uri);
+    expect(syntax).to.include({ severity: 1, code: "syntax", source: "scryine" });
+    expect(syntax.range.start.line).to.equal(2);
+
+    notify("textDocument/didClose", { textDocument: { uri } });
+    expect(diagnosticsFor(uri)).to.deep.equal([]);
+    expect(request("textDocument/hover", { textDocument: { uri }, position: { line: 0, character: 0 } }).error.message).to.contain("is not open");
+    expect(request("workspace/symbol", { query: "" }).error.code).to.equal(-32601);
+  });
+
+  it("Should go to the definitions of god functions, variables and imports", function () {
+    open("lib/psalms.scry", "bless VERSE = 23\ngod recite(n) {\n  return \"psalm \" + n\n}");
+    const uri = open("main.scry", [
+      "import \"lib/psalms\"",
+      "import { recite as sing } from \"lib/psalms\"",
+      "bless count = 3",
+      "god double(count) {",
+      "  return count * 2",
+      "}",
+      "god main() {",
+      "  prophesy double(count) + psalms.VERSE",
+      "  prophesy sing(1)",
+      "}"
+    ].join("\n"));
+    const definition = (line, character) => {
+      const { result } = request("textDocument/definition", { textDocument: { uri }, position: { line, character } });
+      return result && `${path.basename(result.uri)} ${result.range.start.line}:${result.range.start.character}-${result.range.end.character}`;
+    };
+
+    expect(definition(7, 12)).to.equal("main.scry 3:4-10");
+    expect(definition(7, 19)).to.equal("main.scry 2:6-11");
+    expect(definition(4, 10)).to.equal("main.scry 3:11-16");
+    expect(definition(7, 36)).to.equal("psalms.scry 0:6-11");
+    expect(definition(8, 11)).to.equal("psalms.scry 1:4-10");
+    expect(definition(7, 29)).to.equal("psalms.scry 0:0-0");
+    expect(definition(7, 3)).to.equal(null);
+  });
+
+  it("Should describe keywords, builtins and declarations on hover", function () {
+    const uri = open("hover.scry", [
+      "god tithe(amount: number): number {",
+      "  return amount / 10",
+      "}",
+      "eternal false {",
+      "  prophesy tithe(len([1])) + math.round(2.5)",
+      "}"
+    ].join("\n"));
+    const hover = (line, character) => {
+      const { result } = request("textDocument/hover", { textDocument: { uri }, position: { line, character } });
+      return result && result.contents.value;
+    };
+
+    expect(hover(3, 2)).to.contain("Runs its block for as long as the condition is truthy");
+    expect(hover(4, 12)).to.contain("god tithe(amount: number): number");
+    expect(hover(4, 18)).to.contain("len(value: any): number");
+    expect(hover(4, 36)).to.contain("math.round(value: number, digits?: number): number");
+    expect(hover(1, 10)).to.contain("(parameter) amount: number");
+    expect(hover(4, 22)).to.equal(null);
+  });
+
+  it("Should complete deployed contracts, their methods, namespaces and names in scope", function () {
+    const uri = open("complete.scry", [
+      "bless treasury = \"0x1\"",
+      "god main() {",
+      "  scry balance = 0",
+      "  prophesy tre",
+      "}"
+    ].join("\n"));
+    const complete = (line, character) => request("textDocument/completion", { textDocument: { uri }, position: { line, character } }).result;
+
+    expect(labels(complete(3, 14))).to.include.members(["treasury", "balance", "main", "divine", "quantum_predict", "math"]);
+
+    // Half-typed lines do not parse; completion works from the text
+    notify("textDocument/didChange", { textDocument: { uri, version: 2 }, contentChanges: [{ text: [
+      "god main() {",
+      "  scry balance = contract_call(\"",
+      "  contract_call(\"GodToken\", \"",
+      "  prophesy string.",
+      "  prophesy \"tre",
+      "}"
+    ].join("\n") }] });
+    expect(labels(complete(1, 32))).to.include.members(["GodToken", "AIVerifier"]);
+    const methods = complete(2, 29);
+    expect(labels(methods)).to.include.members(["transfer", "balanceOf"]);
+    expect(methods.find(item => item.label === "transfer").detail).to.equal("transfer(address to, uint256 amount) returns (bool)");
+    expect(labels(complete(3, 18))).to.deep.equal(["concat", "slice", "upper", "format"]);
+    expect(complete(4, 15)).to.deep.equal([]);
+  });
+
+  it("Should outline functions with what they declare", function () {
+    const uri = open("outline.scry", [
+      "import { add } from \"lib/math\"",
+      "bless LIMIT = 3",
+      "god main(args) {",
+      "  scry total = 0",
+      "  god helper() {",
+      "    return 1",
+      "  }",
+      "  each n in args {",
+      "    total = total + n",
+      "  }",
+      "}"
+    ].join("\n"));
+    const outline = symbols => symbols.map(symbol => symbol.children ? { [`${symbol.kind} ${symbol.name}`]: outline(symbol.children) } : `${symbol.kind} ${symbol.name}`);
+    const { result } = request("textDocument/documentSymbol", { textDocument: { uri } });
+
+    expect(outline(result)).to.deep.equal([
+      "2 add",
+      "13 LIMIT",
+      { "12 main": ["13 total", { "12 helper": [] }, "13 n"] }
+    ]);
+    expect(result[2].selectionRange).to.deep.equal({ start: { line: 2, character: 4 }, end: { line: 2, character: 8 } });
+    expect(result[2].detail).to.equal("main(args)");
+  });
+
+  it("Should run over stdio from the command line", async function () {
+    const cli = path.join(__dirname, "..", "scryine", "cli.cjs");
+    const child = spawn(process.execPath, [cli, "lsp", "--stdio"], { stdio: ["pipe", "pipe", "inherit"] });
+    let written = "";
+    child.stdout.on("data", chunk => { written += chunk; });
+    const exited = new Promise(resolve => child.on("exit", resolve));
+    const timer = setTimeout(() => child.kill(), 30000);
+
+    child.stdin.write(frame({ jsonrpc: "2.0", id: 1, method: "initialize", params: { capabilities: {} } }));
+    child.stdin.write(frame({ jsonrpc: "2.0", id: 2, method: "shutdown" }));
+    child.stdin.write(frame({ jsonrpc: "2.0", method: "exit" }));
+    const code = await exited;
+    clearTimeout(timer);
+
+    expect(code).to.equal(0);
+    const replies = unframe(written);
+    expect(replies.map(reply => reply.id)).to.deep.equal([1, 2]);
+    expect(replies[0].result.serverInfo.name).to.equal("scryine");
+    expect(replies[1].result).to.equal(null);
+  });
+});
@@ -0,0 +1,153 @@
+const { expect } = require("chai");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const hre = require("hardhat");
+const ScryineInterpreter = require("../scryine/interpreter.cjs");
+const { parse } = require("../scryine/parser.cjs");
+const { formatSource } = require("../scryine/formatter.cjs");
+const { ContractRuntime } = require("../scryine/contracts.cjs");
+const { RunReport } = require("../scryine/output.cjs");
+const { ScryineSyntaxError } = require("../scryine/diagnostics.cjs");
+const { useScratchDir } = require("../test-support/scratch.cjs");
+
+describe("SCRYINE Output", function () {
+  const { write } = useScratchDir("scryine-output-");
+
+  const code = [
+    "bless reserves = 12",
+    "prophesy \"checking\" to audit at debug",
+    "prophesy reserves",
+    "divine reserves < 20 {",
+    "  prophesy {low: reserves} to treasury at warn",
+    "}"
+  ].join("\n");
+
+  it("Should parse and format prophecy channels and levels", function () {
+    const [plain, sent] = parse("prophesy to\nprophesy to + 1 to alerts at error").body;
+    expect(plain).to.include({ channel: null, level: null });
+    expect(plain.argument.name).to.equal("to");
+    expect(sent).to.include({ channel: "alerts", level: "error" });
+    expect(() => parse("prophesy 1 at loud")).to.throw(ScryineSyntaxError, /Unknown prophesy level "loud" \(expected one of debug, info, warn, error\)/);
+    expect(() => parse("prophesy 1 to \"alerts\"")).to.throw(ScryineSyntaxError, /Expected channel name/);
+    expect(formatSource("prophesy   1+1  to alerts   at warn\n")).to.equal("prophesy 1 + 1 to alerts at warn\n");
+  });
+
+  it("Should hand channels and levels to onProphesy on both engines", async function () {
+    for (const engine of ["vm", "ast"]) {
+      const prophecies = [];
+      const interpreter = new ScryineInterpreter({ engine, onProphesy: (text, value, prophecy) => prophecies.push({ text, ...prophecy }) });
+      await interpreter.run(code);
+      expect(prophecies).to.deep.equal([
+        { text: "checking", channel: "audit", level: "debug" },
+        { text: "12", channel: "main", level: "info" },
+        { text: "{low: 12}", channel: "treasury", level: "warn" }
+      ]);
+    }
+  });
+
+  it("Should print warnings to stderr and leave out debug prophecies unless asked for", async function () {
+    const printed = [];
+    const originalLog = console.log;
+    const originalError = console.error;
+    console.log = (...args) => printed.push(`out ${args.join(" ")}`);
+    console.error = (...args) => printed.push(`err ${args.join(" ")}`);
+    try {
+      await new ScryineInterpreter().run(code);
+      await new ScryineInterpreter({ level: "debug" }).run("prophesy \"verbose\" at debug");
+      await new ScryineInterpreter({ level: "error" }).run("prophesy \"quiet\" to treasury at warn");
+    } finally {
+      console.log = originalLog;
+      console.error = originalError;
+    }
+    expect(printed).to.deep.equal([
+      "out SCRYINE Output: 12",
+      "err SCRYINE Output [treasury warn]: {low: 12}",
+      "out SCRYINE Output [debug]: verbose"
+    ]);
+    expect(() => new ScryineInterpreter({ level: "loud" })).to.throw("Unknown prophesy level \"loud\"");
+  });
+
+  it("Should report a run as JSON from the command line", function () {
+    const cli = path.join(__dirname, "..", "scryine", "cli.cjs");
+    const file = write("report.scry", `${code}\ngod main(limit) {\n  bless healthy = reserves > limit\n  return healthy\n}`);
+    const ran = spawnSync(process.execPath, [cli, "run", "--format", "json", file, "10"], { encoding: "utf8", timeout: 60000 });
+    expect(ran.status).to.equal(0);
+    const report = JSON.parse(ran.stdout);
+    expect(report).to.include({ version: 1, file, status: "ok", exitCode: 0, result: true, error: null });
+    expect(report.prophecies.map(({ channel, level, text }) => `${channel} ${level} ${text}`)).to.deep.equal([
+      "audit debug checking",
+      "main info 12",
+      "treasury warn {low: 12}"
+    ]);
+    expect(report.prophecies[2].value).to.deep.equal({ low: 12 });
+    expect(report.variables).to.deep.equal({ limit: 10, healthy: true });
+    expect(report.contractCalls).to.deep.equal([]);
+    expect(report.timings.duration).to.be.a("number");
+    expect(new Date(report.timings.startedAt).toISOString()).to.equal(report.timings.startedAt);
+
+    const failing = write("failing.scry", "bless stage = 2\nprophesy \"before\"\nsmite \"the end\"");
+    const failed = spawnSync(process.execPath, [cli, "--format", "json", failing], { encoding: "utf8", timeout: 60000 });
+    expect(failed.status).to.equal(1);
+    const broken = JSON.parse(failed.stdout);
+    expect(broken).to.include({ status: "error", exitCode: 1 });
+    expect(broken.error).to.deep.equal({ kind: "smite", message: "the end", file: failing, line: 3, column: 1 });
+    expect(broken.variables).to.deep.equal({ stage: 2 });
+    expect(broken.prophecies.map(prophecy => prophecy.text)).to.deep.equal(["before"]);
+
+    expect(spawnSync(process.execPath, [cli, "--format", "yaml", file], { encoding: "utf8", timeout: 60000 }).status).to.equal(2);
+  });
+
+  it("Should keep the JSON report alone on stdout when Hardhat and the quantum simulator print", function () {
+    const cli = path.join(__dirname, "..", "scryine", "cli.cjs");
+    const file = write("noisy.scry", [
+      "quantum {",
+      "  scry state = initialize(\"0x742d35Cc6634C0532925a3b844Bc454e4438f44e\")",
+      "}",
+      "prophesy \"simulated\"",
+      "prophesy contract_call(\"GodToken\", \"totalSupply\")"
+    ].join("\n"));
+    const ran = spawnSync(process.execPath, [cli, "run", "--format", "json", file], { encoding: "utf8", timeout: 60000 });
+    expect(ran.stderr).to.include("Quantum state initialized");
+    const report = JSON.parse(ran.stdout);
+    expect(report.prophecies.map(prophecy => prophecy.text)).to.deep.equal(["simulated"]);
+    expect(report.error).to.include({ kind: "runtime", line: 5 });
+  });
+
+  it("Should record contract calls with their transaction hashes", async function () {
+    const aiVerifier = await (await hre.ethers.getContractFactory("AIVerifier")).deploy();
+    const godToken = await (await hre.ethers.getContractFactory("GodToken")).deploy(aiVerifier.address);
+    const report = new RunReport();
+    const interpreter = new ScryineInterpreter({
+      contracts: new ContractRuntime({ hre, deployment: { godToken: godToken.address }, onCall: call => report.contractCall(call) }),
+      onProphesy: (text, value, prophecy) => report.prophesy(text, value, prophecy)
+    });
+    const file = write("calls.scry", [
+      "bless HOLDER = \"0x742d35Cc6634C0532925a3b844Bc454e4438f44e\"",
+      "scry receipt = token GodToken.transfer(HOLDER, 2)",
+      "prophesy token GodToken.balance(HOLDER) to ledger",
+      "contract_call(\"GodToken\", \"burn\", \"1000000000000000000000000000\")"
+    ].join("\n"));
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      expect(await interpreter.loadAndRun(file, [], { report })).to.equal(1);
+    } finally {
+      console.error = originalError;
+    }
+
+    const { contractCalls, variables, prophecies, error } = report.toJSON();
+    expect(contractCalls.map(call => `${call.contract}.${call.method} ${call.transaction}`)).to.deep.equal([
+      "GodToken.transfer true",
+      "GodToken.balanceOf false",
+      "GodToken.burn true"
+    ]);
+    const [transfer, balance, burn] = contractCalls;
+    expect(transfer.hash).to.equal(variables.receipt.hash).and.match(/^0x[0-9a-f]{64}$/);
+    expect(transfer).to.include({ status: true, blockNumber: variables.receipt.blockNumber });
+    expect(transfer.args).to.deep.equal([variables.HOLDER, { $bigint: "2000000000000000000" }]);
+    expect(balance.result).to.deep.equal({ $bigint: "2000000000000000000" });
+    expect(burn.error).to.equal("GodToken.burn reverted: Insufficient balance");
+    expect(prophecies.map(({ channel, text }) => `${channel} ${text}`)).to.deep.equal(["ledger 2"]);
+    expect(error).to.include({ kind: "runtime", line: 4 });
+  });
+});
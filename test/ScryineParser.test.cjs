@@ -0,0 +1,225 @@
+const { expect } = require("chai");
+const { tokenize } = require("../scryine/lexer.cjs");
+const { parse, parseExpression } = require("../scryine/parser.cjs");
+const { ScryineSyntaxError } = require("../scryine/diagnostics.cjs");
+
+describe("SCRYINE Parser", function () {
+  describe("Lexer", function () {
+    it("Should track line and column of every token", function () {
+      const tokens = tokenize("bless x = 42\nprophesy x");
+      const prophesy = tokens.find(t => t.value === "prophesy");
+      expect(prophesy.start.line).to.equal(2);
+      expect(prophesy.start.column).to.equal(1);
+    });
+
+    it("Should skip single-line and multi-line comments", function () {
+      const tokens = tokenize("// note\n/* block\ncomment */ bless");
+      expect(tokens.filter(t => t.type === "keyword").map(t => t.value)).to.deep.equal(["bless"]);
+    });
+
+    it("Should ignore newlines inside parentheses", function () {
+      const tokens = tokenize("f(1,\n2)");
+      expect(tokens.some(t => t.type === "newline")).to.be.false;
+    });
+
+    it("Should reject unterminated strings", function () {
+      expect(() => tokenize("\"open")).to.throw(ScryineSyntaxError, /Unterminated string/);
+    });
+  });
+
+  describe("Expressions", function () {
+    it("Should respect operator precedence", function () {
+      const ast = parseExpression("1 + 2 * 3");
+      expect(ast.operator).to.equal("+");
+      expect(ast.right.operator).to.equal("*");
+    });
+
+    it("Should group parenthesised expressions", function () {
+      const ast = parseExpression("(a + b) / 3");
+      expect(ast.operator).to.equal("/");
+      expect(ast.left.operator).to.equal("+");
+    });
+
+    it("Should bind && tighter than ||", function () {
+      const ast = parseExpression("!a || b && c");
+      expect(ast.type).to.equal("LogicalExpression");
+      expect(ast.operator).to.equal("||");
+      expect(ast.left.type).to.equal("UnaryExpression");
+      expect(ast.right.operator).to.equal("&&");
+    });
+
+    it("Should parse field access on call results", function () {
+      const ast = parseExpression("contract_call(\"AIVerifier\", \"getVerificationRequest\", id).approved");
+      expect(ast.type).to.equal("MemberExpression");
+      expect(ast.property).to.equal("approved");
+      expect(ast.object.type).to.equal("CallExpression");
+    });
+
+    it("Should parse calls with nested arguments", function () {
+      const ast = parseExpression("quantum_predict(x * 2, ai_verify(\"data\"))");
+      expect(ast.type).to.equal("CallExpression");
+      expect(ast.arguments[1].callee.name).to.equal("ai_verify");
+    });
+
+    it("Should parse list and map literals across lines", function () {
+      const ast = parseExpression("[\n  1,\n  {name: \"relic\", \"two words\": [2]},\n]");
+      expect(ast.type).to.equal("ListExpression");
+      expect(ast.elements).to.have.length(2);
+      const map = ast.elements[1];
+      expect(map.type).to.equal("MapExpression");
+      expect(map.entries.map(entry => entry.key)).to.deep.equal(["name", "two words"]);
+      expect(map.entries[1].value.type).to.equal("ListExpression");
+    });
+
+    it("Should parse chained indexing", function () {
+      const ast = parseExpression("relics[0][\"name\"].length");
+      expect(ast.type).to.equal("MemberExpression");
+      expect(ast.object.type).to.equal("IndexExpression");
+      expect(ast.object.index.value).to.equal("name");
+      expect(ast.object.object.object.name).to.equal("relics");
+    });
+  });
+
+  describe("Statements", function () {
+    it("Should parse nested blocks with source positions", function () {
+      const ast = parse([
+        "god main() {",
+        "  divine x > 1 {",
+        "    prophesy \"big\"",
+        "  }",
+        "}"
+      ].join("\n"));
+
+      const main = ast.body[0];
+      expect(main.type).to.equal("FunctionDeclaration");
+      const divine = main.body.body[0];
+      expect(divine.type).to.equal("DivineStatement");
+      expect(divine.loc.start.line).to.equal(2);
+      expect(divine.consequent.body[0].loc.start.column).to.equal(5);
+    });
+
+    it("Should report unclosed blocks at the opening brace", function () {
+      try {
+        parse("god main() {\n  bless x = 1\n");
+        expect.fail("expected a syntax error");
+      } catch (err) {
+        expect(err).to.be.instanceOf(ScryineSyntaxError);
+        expect(err.message).to.match(/Unclosed '\{'/);
+        expect(err.line).to.equal(1);
+        expect(err.column).to.equal(12);
+      }
+    });
+
+    it("Should report unmatched closing braces", function () {
+      expect(() => parse("bless x = 1\n}")).to.throw(ScryineSyntaxError, /Unmatched '\}'/);
+    });
+
+    it("Should reject trailing tokens after a statement", function () {
+      try {
+        parse("bless x = 1 2");
+        expect.fail("expected a syntax error");
+      } catch (err) {
+        expect(err).to.be.instanceOf(ScryineSyntaxError);
+        expect(err.line).to.equal(1);
+        expect(err.column).to.equal(13);
+      }
+    });
+
+    it("Should parse concord blocks", function () {
+      const ast = parse("concord {\n  scry a = f()\n  scry b = g()\n}");
+      expect(ast.body[0].type).to.equal("ConcordBlock");
+      expect(ast.body[0].body.body).to.have.length(2);
+      expect(() => parse("god f() {\n  concord {\n    return 1\n  }\n}")).to.throw(ScryineSyntaxError, /'return' cannot be used inside a concord block/);
+      expect(() => parse("god f() {\n  concord {\n    god g() {\n      return 1\n    }\n  }\n}")).to.not.throw();
+    });
+
+    it("Should parse each loops", function () {
+      const ast = parse("each address in addresses {\n  prophesy address\n}");
+      const loop = ast.body[0];
+      expect(loop.type).to.equal("EachStatement");
+      expect(loop.variable).to.equal("address");
+      expect(loop.iterable.name).to.equal("addresses");
+      expect(loop.body.body[0].type).to.equal("ProphesyStatement");
+      expect(() => parse("each x addresses {\n}")).to.throw(ScryineSyntaxError, /Expected 'in'/);
+    });
+
+    it("Should parse try, repent and smite", function () {
+      const ast = parse("try {\n  risky()\n} repent err {\n  smite err\n}\ntry {\n}\nrepent {\n}");
+      expect(ast.body[0].type).to.equal("TryStatement");
+      expect(ast.body[0].param).to.equal("err");
+      expect(ast.body[0].block.body[0].type).to.equal("ExpressionStatement");
+      expect(ast.body[0].handler.body[0].type).to.equal("SmiteStatement");
+      expect(ast.body[1].param).to.be.null;
+      expect(() => parse("try {\n}\nprophesy 1")).to.throw(ScryineSyntaxError, /Expected 'repent' after the try block/);
+    });
+
+    it("Should parse imports", function () {
+      const ast = parse("import \"lib/math\"\nimport \"lib/math\" as m\nimport { add, mul as times } from \"lib/math\"");
+      expect(ast.body[0]).to.include({ type: "ImportDeclaration", source: "lib/math", alias: null, specifiers: null });
+      expect(ast.body[1].alias).to.equal("m");
+      expect(ast.body[2].specifiers).to.deep.equal([{ imported: "add", local: "add" }, { imported: "mul", local: "times" }]);
+      expect(parse("bless from = 1\nbless as = from").body).to.have.length(2);
+      expect(parse("import \"a\"", { file: "main.scry" }).body[0].loc.file).to.equal("main.scry");
+      expect(() => parse("god f() {\n  import \"a\"\n}")).to.throw(ScryineSyntaxError, /only allowed at the top level/);
+      expect(() => parse("import { a } \"lib\"")).to.throw(ScryineSyntaxError, /Expected 'from'/);
+    });
+
+    it("Should parse type annotations", function () {
+      const ast = parse("god tithe(amount: number, who): string {\n  scry share: number = amount / 10\n  return who\n}\nbless plain = 1");
+      const [func, plain] = ast.body;
+      expect(func.params.map(param => param.typeAnnotation && param.typeAnnotation.name)).to.deep.equal(["number", null]);
+      expect(func.returnType.name).to.equal("string");
+      expect(func.body.body[0].typeAnnotation).to.include({ type: "TypeAnnotation", name: "number" });
+      expect(plain.typeAnnotation).to.be.null;
+      expect(() => parse("bless x: integer = 1")).to.throw(ScryineSyntaxError, /Unknown type "integer" \(expected one of any, number/);
+      expect(() => parse("god f(a:) {\n}")).to.throw(ScryineSyntaxError, /Expected type name/);
+    });
+
+    it("Should parse token, oracle and quantum constructs", function () {
+      const ast = parse([
+        "scry balance = token GodToken.balance(holder)",
+        "token QuantumGodToken.quantumTransfer(to, 5, \"proof\")",
+        "scry approved = oracle AIVerifier(request_id).verified",
+        "quantum {",
+        "  entangle(a, b)",
+        "}",
+        "entangle(a, b)"
+      ].join("\n"));
+      expect(ast.body[0].init.type).to.equal("TokenExpression");
+      expect(ast.body[0].init.operation).to.equal("balance");
+      expect(ast.body[1].expression.contract).to.equal("QuantumGodToken");
+      expect(ast.body[2].init.object.type).to.equal("OracleExpression");
+      expect(ast.body[3].type).to.equal("QuantumBlock");
+      expect(ast.body[3].body.body[0].expression.quantum).to.be.true;
+      expect(ast.body[4].expression.quantum).to.be.undefined;
+    });
+
+    it("Should validate token and oracle constructs", function () {
+      expect(() => parse("token GodNFT.balance()")).to.throw(ScryineSyntaxError, /Unknown token contract 'GodNFT'/);
+      expect(() => parse("token GodToken.mint(1)")).to.throw(ScryineSyntaxError, /Unknown token operation 'mint'/);
+      expect(() => parse("token GodToken.quantumTransfer(a, 1, p)")).to.throw(ScryineSyntaxError, /only available on QuantumGodToken/);
+      expect(() => parse("token GodToken.transfer(a)")).to.throw(ScryineSyntaxError, /takes 2 arguments/);
+      expect(() => parse("oracle Ouija(1)")).to.throw(ScryineSyntaxError, /Unknown oracle 'Ouija'/);
+    });
+
+    it("Should parse witness blocks with filters", function () {
+      const [witness] = parse("witness GodToken.Transfer(from, to == holder, value) {\n  return value\n}").body;
+      expect(witness).to.include({ type: "WitnessStatement", contract: "GodToken", event: "Transfer" });
+      expect(witness.params.map(param => param.name)).to.deep.equal(["from", "to", "value"]);
+      expect(witness.params.map(param => param.filter && param.filter.name)).to.deep.equal([null, "holder", null]);
+      expect(() => parse("witness GodToken.Transfer(to, to) {}")).to.throw(ScryineSyntaxError, /Event parameter "to" is listed twice/);
+      expect(() => parse("witness GodToken.Transfer(to) {\n  import \"a\"\n}")).to.throw(ScryineSyntaxError, /only allowed at the top level/);
+    });
+
+    it("Should parse every bundled example", function () {
+      const fs = require("fs");
+      const path = require("path");
+      const dir = path.join(__dirname, "../scryine/examples");
+      const files = fs.readdirSync(dir, { recursive: true }).filter(file => file.endsWith(".scry"));
+      expect(files).to.include(path.join("lib", "meditation.scry"));
+      for (const file of files) {
+        expect(() => parse(fs.readFileSync(path.join(dir, file), "utf8")), file).to.not.throw();
+      }
+    });
+  });
+});
@@ -0,0 +1,72 @@
+const { expect } = require("chai");
+const ScryineRepl = require("../scryine/repl.cjs");
+
+describe("SCRYINE REPL", function () {
+  let repl, printed, prophecies, originalLog;
+
+  beforeEach(function () {
+    printed = [];
+    prophecies = [];
+    const output = { write: (text) => printed.push(text.replace(/\n$/, "")) };
+    repl = new ScryineRepl({ output, historyFile: null });
+    originalLog = console.log;
+    console.log = (...args) => prophecies.push(args.slice(1).join(" "));
+  });
+
+  afterEach(function () {
+    console.log = originalLog;
+  });
+
+  it("Should keep variables and functions between inputs", async function () {
+    await repl.handleLine("bless x = 20");
+    await repl.handleLine("god twice(n) {");
+    await repl.handleLine("  return n * 2");
+    await repl.handleLine("}");
+    await repl.handleLine("twice(x) + 2");
+    expect(printed).to.deep.equal(["42"]);
+  });
+
+  it("Should buffer multi-line blocks until they are closed", async function () {
+    await repl.handleLine("divine true {");
+    expect(repl.buffer).to.have.lengthOf(1);
+    await repl.handleLine("  prophesy \"inside\"");
+    expect(prophecies).to.deep.equal([]);
+    await repl.handleLine("}");
+    expect(repl.buffer).to.have.lengthOf(0);
+    expect(prophecies).to.deep.equal(["inside"]);
+  });
+
+  it("Should report errors and keep the session alive", async function () {
+    await repl.handleLine("bless x = 1");
+    await repl.handleLine("missing = 2");
+    expect(printed[0]).to.include("undeclared variable \"missing\"");
+    await repl.handleLine("x");
+    expect(printed[1]).to.equal("1");
+  });
+
+  it("Should list variables and reset the session", async function () {
+    await repl.handleLine("bless name = \"seer\"");
+    await repl.handleLine(".vars");
+    expect(printed).to.deep.equal(["name = \"seer\""]);
+    await repl.handleLine(".reset");
+    await repl.handleLine(".vars");
+    expect(printed.slice(-1)).to.deep.equal(["(no variables)"]);
+  });
+
+  it("Should load files without invoking main", async function () {
+    await repl.handleLine(".load scryine/examples/contract.scry");
+    expect(printed[0]).to.include("2 new functions");
+    expect(prophecies).to.deep.equal([]);
+  });
+
+  it("Should complete builtins, in-scope names and commands", async function () {
+    await repl.handleLine("bless quantum_seed = 1");
+    const [hits] = repl.complete("scry p = quantum_");
+    expect(hits).to.include.members(["quantum_predict", "quantum_seed"]);
+    expect(repl.complete(".re")[0]).to.deep.equal([".reset"]);
+  });
+
+  it("Should end the session on .exit", async function () {
+    expect(await repl.handleLine(".exit")).to.be.false;
+  });
+});
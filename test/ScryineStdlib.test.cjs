@@ -0,0 +1,90 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const ScryineInterpreter = require("../scryine/interpreter.cjs");
+const { ScryineError } = require("../scryine/diagnostics.cjs");
+
+describe("SCRYINE Standard Library", function () {
+  let interpreter;
+
+  beforeEach(function () {
+    interpreter = new ScryineInterpreter({ strict: true, onProphesy: () => {} });
+  });
+
+  function evaluate(expression) {
+    return interpreter.runSource(`god main() {\n  return ${expression}\n}`);
+  }
+
+  async function expectError(expression, message) {
+    const err = await evaluate(expression).catch(e => e);
+    expect(err).to.be.instanceOf(ScryineError);
+    expect(err.message).to.equal(message);
+  }
+
+  it("Should round, bound and raise numbers", async function () {
+    expect(await evaluate("math.round(2.5)")).to.equal(3);
+    expect(await evaluate("math.round(3.14159, 2)")).to.equal(3.14);
+    expect(await evaluate("math.floor(-1.5)")).to.equal(-2);
+    expect(await evaluate("math.min(4, 2, 9)")).to.equal(2);
+    expect(await evaluate("math.max([4, 2, 9])")).to.equal(9);
+    expect(await evaluate("math.pow(2, 10) + math.sqrt(81)")).to.equal(1033);
+
+    await expectError("math.sqrt(-4)", "math.sqrt: cannot take the square root of -4");
+    await expectError("math.max([])", "math.max: max needs at least one number");
+    await expectError("math.round(\"2.5\")", "math.round: argument \"value\" must be a number, got string");
+  });
+
+  it("Should concatenate, slice, upper-case and format strings", async function () {
+    expect(await evaluate("string.concat(\"GOD\", \"-\", 1, [2])")).to.equal("GOD-1[2]");
+    expect(await evaluate("string.slice(\"prophecy\", 0, 3) + string.slice(\"prophecy\", -3)")).to.equal("proecy");
+    expect(await evaluate("string.upper(\"amen\")")).to.equal("AMEN");
+    expect(await evaluate("string.format(\"{} owns {} GOD\", \"alice\", 1.5)")).to.equal("alice owns 1.5 GOD");
+    expect(await evaluate("string.format(\"{1} before {0}\", \"a\", \"b\")")).to.equal("b before a");
+    await expectError("string.format(\"{} and {}\", 1)", "string.format: no value for placeholder {} (got 1)");
+  });
+
+  it("Should read the clock in seconds and provide duration units", async function () {
+    interpreter = new ScryineInterpreter({ seed: 1 });
+    expect(await evaluate("time.now()")).to.equal(Date.UTC(2025, 0, 1) / 1000);
+    expect(await evaluate("[time.minutes, time.hours, time.days, time.weeks]")).to.deep.equal([60, 3600, 86400, 604800]);
+  });
+
+  it("Should read the latest block timestamp from the network", async function () {
+    interpreter = new ScryineInterpreter({ contracts: { blockTimestamp: async () => 1700000000 } });
+    expect(await evaluate("time.block() + time.days")).to.equal(1700086400);
+  });
+
+  it("Should convert token units and hash with ethers", async function () {
+    expect(await evaluate("eth.parseEther(1.5)")).to.equal("1500000000000000000");
+    expect(await evaluate("eth.parseEther(\"0.000000000000000001\")")).to.equal("1");
+    expect(await evaluate("eth.formatEther(eth.parseEther(\"1234.5\"))")).to.equal("1234.5");
+    expect(await evaluate("eth.formatUnits(eth.parseUnits(2.25, 6), 6)")).to.equal("2.25");
+    expect(await evaluate("eth.keccak256(\"divine\")")).to.equal(ethers.utils.id("divine"));
+    expect(await evaluate("eth.keccak256(\"0x1234\")")).to.equal(ethers.utils.keccak256("0x1234"));
+    expect(await evaluate("eth.isAddress(\"0x742d35Cc6634C0532925a3b844Bc454e4438f44e\")")).to.be.true;
+    expect(await evaluate("eth.isAddress(42)")).to.be.false;
+
+    await expectError("eth.formatEther(1.5)", "eth.formatEther: expected a whole number of wei but got 1.5; pass large amounts as strings");
+    await expectError("eth.parseEther([1])", "eth.parseEther: expected a number or decimal string but got list");
+  });
+
+  it("Should let scripts shadow the standard library but not assign to it", async function () {
+    expect(await interpreter.runSource("bless time = 5\ngod main() {\n  return time\n}")).to.equal(5);
+    expect(await evaluate("time.hours")).to.equal(3600);
+    const err = await interpreter.runSource("math = 1").catch(e => e);
+    expect(err.message).to.equal("Cannot assign to read-only global \"math\"");
+  });
+
+  it("Should leave pure helpers out of traces", async function () {
+    const fs = require("fs");
+    const os = require("os");
+    const path = require("path");
+    const traceFile = path.join(os.tmpdir(), `scryine-stdlib-trace-${process.pid}.json`);
+    try {
+      await new ScryineInterpreter({ record: traceFile, seed: 3, onProphesy: () => {} }).run("prophesy math.round(time.now() / time.days)\nprophesy eth.keccak256(\"x\")");
+      const trace = JSON.parse(fs.readFileSync(traceFile, "utf8"));
+      expect(trace.calls.map(call => call.name)).to.deep.equal(["time.now"]);
+    } finally {
+      if (fs.existsSync(traceFile)) fs.unlinkSync(traceFile);
+    }
+  });
+});
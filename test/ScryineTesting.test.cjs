@@ -0,0 +1,185 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const hre = require("hardhat");
+const ScryineInterpreter = require("../scryine/interpreter.cjs");
+const { parse } = require("../scryine/parser.cjs");
+const { checkSource } = require("../scryine/checker.cjs");
+const { CovenantRunner, findTestFiles, formatTap, formatJunit, describeCovenants } = require("../scryine/testing.cjs");
+const { deployContracts } = require("../scripts/deployment.cjs");
+const { useScratchDir } = require("../test-support/scratch.cjs");
+
+describe("SCRYINE Testing", function () {
+  const scratch = useScratchDir("scryine-test-");
+  const { write } = scratch;
+
+  it("Should only allow covenants at the top level, and skip them when a script runs", async function () {
+    expect(() => parse("god main() {\n  covenant \"inner\" {}\n}")).to.throw("'covenant' is only allowed at the top level of a file");
+    expect(() => parse("divine true {\n  covenant \"inner\" {}\n}")).to.throw("'covenant' is only allowed at the top level of a file");
+    expect(() => parse("covenant \"early\" {\n  return 1\n}")).to.throw("'return' outside of a god function");
+    expect(() => parse("covenant {}")).to.throw("Expected covenant name in quotes");
+
+    for (const engine of ["vm", "ast"]) {
+      const output = [];
+      const interpreter = new ScryineInterpreter({ engine, onProphesy: text => output.push(text) });
+      const result = await interpreter.run("covenant \"never\" {\n  prophesy \"covenant\"\n}\ngod main() {\n  return 7\n}");
+      expect(result).to.equal(7);
+      expect(output).to.deep.equal([]);
+      expect(interpreter.covenants.map(covenant => covenant.name)).to.deep.equal(["never"]);
+    }
+
+    const { diagnostics } = checkSource("covenant \"checked\" {\n  scry spare = 1\n  bless tithe: string = 10\n  expect(tithe, 10)\n}");
+    expect(diagnostics.map(d => `${d.kind} ${d.message}`)).to.deep.equal([
+      "unused Variable \"spare\" is never used",
+      "type Cannot assign number to \"tithe\", declared as string"
+    ]);
+  });
+
+  it("Should fail assert and expect with assertion errors on both engines", async function () {
+    for (const engine of ["vm", "ast"]) {
+      const interpreter = new ScryineInterpreter({ engine });
+      const code = [
+        "god main() {",
+        "  assert(1 < 2)",
+        "  expect({tithe: [1, 2]}, {tithe: [1, 2]})",
+        "  try {",
+        "    assert(false)",
+        "  } repent err {",
+        "    prophesy err.kind + \": \" + err.message",
+        "  }",
+        "  expect([1, 2], [1, 3], \"the tithe\")",
+        "}"
+      ].join("\n");
+      const output = [];
+      interpreter.onProphesy = text => output.push(text);
+      const err = await interpreter.run(code).then(() => null, e => e);
+      expect(output).to.deep.equal(["assertion: Assertion failed"]);
+      expect(err.kind).to.equal("assertion");
+      expect(err.message).to.equal("the tithe: Expected [1, 3] but got [1, 2]");
+      expect(err.line).to.equal(9);
+    }
+  });
+
+  it("Should run each covenant after its file's top level and report TAP", async function () {
+    write("lib/tithe.scry", "god tithe(amount) {\n  return amount / 10\n}");
+    write("tithe.test.scry", [
+      "import { tithe } from \"lib/tithe\"",
+      "scry paid = 0",
+      "covenant \"a tenth\" {",
+      "  paid = paid + tithe(50)",
+      "  prophesy \"paid \" + paid",
+      "  expect(paid, 5)",
+      "}",
+      "covenant \"starts afresh\" {",
+      "  expect(paid, 5, \"paid again\")",
+      "}",
+      "covenant \"seeded # twice\" {",
+      "  expect(quantum_predict(0), quantum_predict(0))",
+      "}"
+    ].join("\n"));
+    write("lib/tithe.scry.bak", "");
+    write("broken.test.scry", "covenant \"half\" {");
+
+    const files = findTestFiles([scratch.dir]).sort();
+    expect(files.map(file => path.relative(scratch.dir, file))).to.deep.equal(["broken.test.scry", "tithe.test.scry"]);
+    const runner = new CovenantRunner();
+    const suites = await runner.runFiles(files);
+    await runner.close();
+
+    const [broken, tithe] = suites.map(suite => suite.results);
+    expect(broken.map(result => result.passed)).to.deep.equal([false]);
+    expect(broken[0].error.kind).to.equal("syntax");
+    expect(tithe.map(result => result.passed)).to.deep.equal([true, false, false]);
+    expect(tithe[0].output).to.deep.equal(["paid 5"]);
+    expect(tithe[1].message).to.contain("error[assertion]: paid again: Expected 5 but got 0");
+    expect(tithe[1].message).to.contain("at covenant \"starts afresh\"");
+
+    const tap = formatTap(suites).split("\n");
+    expect(tap.slice(0, 3)).to.deep.equal(["TAP version 13", "1..4", `not ok 1 - ${path.relative(process.cwd(), files[0])}: ${path.relative(process.cwd(), files[0])}`]);
+    expect(tap).to.include(`ok 2 - ${path.relative(process.cwd(), files[1])}: a tenth`);
+    expect(tap).to.include("  message: \"paid again: Expected 5 but got 0\"");
+    expect(tap).to.include("  kind: assertion");
+    expect(tap).to.include("# pass 1");
+  });
+
+  it("Should write JUnit XML with escaped names and failures", function () {
+    const error = new Error("Expected \"<a>\" but got \"b & c\"");
+    const suites = [{
+      file: path.join(scratch.dir, "x.test.scry"),
+      results: [
+        { name: "kept", passed: true, duration: 3, output: [], error: null, message: null },
+        { name: "<broken> & 'lost'", passed: false, duration: 1500, output: ["said <this>"], error, message: error.message }
+      ]
+    }];
+    const xml = formatJunit(suites);
+    expect(xml).to.contain("<testsuites name=\"scryine\" tests=\"2\" failures=\"1\" time=\"1.503\">");
+    expect(xml).to.contain("<testcase name=\"kept\" classname=");
+    expect(xml).to.contain("<testcase name=\"&lt;broken&gt; &amp; &apos;lost&apos;\"");
+    expect(xml).to.contain("<failure message=\"Expected &quot;&lt;a&gt;&quot; but got &quot;b &amp; c&quot;\" type=\"error\">");
+    expect(xml).to.contain("<system-out>said &lt;this&gt;</system-out>");
+  });
+
+  it("Should give each covenant freshly deployed contracts", async function () {
+    const holder = "0x742d35Cc6634C0532925a3b844Bc454e4438f44e";
+    const file = write("chain.test.scry", [
+      `bless HOLDER = "${holder}"`,
+      "covenant \"first\" {",
+      "  token GodToken.transfer(HOLDER, 5)",
+      "  expect(token GodToken.balance(HOLDER), 5)",
+      "}",
+      "covenant \"second\" {",
+      "  token GodToken.transfer(HOLDER, 7)",
+      "  expect(token GodToken.balance(HOLDER), 7)",
+      "  expect(contract_call(\"AIVerifier\", \"authorizedVerifiers\", contract_call(\"GodToken\", \"owner\")), true)",
+      "  expect(contract_call(\"QuantumSafeCrypto\", \"XMSS_HEIGHT\"), 10)",
+      "}"
+    ].join("\n"));
+    const before = await hre.ethers.provider.getBlockNumber();
+    const runner = new CovenantRunner({ hre, engine: "ast" });
+    const [{ results }] = await runner.runFiles([file]);
+    await runner.close();
+
+    expect(results.map(result => result.message)).to.deep.equal([null, null]);
+    expect(await hre.ethers.provider.getBlockNumber()).to.equal(before);
+  });
+
+  it("Should deploy only the contracts that are included", async function () {
+    // Without AIVerifier there is no verifier to authorize the deployer with
+    const deployment = await deployContracts(hre, { include: async name => ["QuantumSafeCrypto", "GodNFT"].includes(name) });
+    const [deployer] = await hre.ethers.getSigners();
+    expect(Object.keys(deployment)).to.deep.equal(["quantumSafeCrypto", "godNFT", "deployer"]);
+    expect(deployment.deployer).to.equal(deployer.address);
+    expect(await hre.ethers.provider.getCode(deployment.godNFT)).to.not.equal("0x");
+  });
+
+  it("Should run from the command line and exit with 1 when a covenant breaks", function () {
+    const cli = path.join(__dirname, "..", "scryine", "cli.cjs");
+    write("kept.test.scry", [
+      "covenant \"kept\" {",
+      "  expect(contract_call(\"QuantumSafeCrypto\", \"XMSS_HEIGHT\"), 10)",
+      "  quantum {",
+      "    scry state = initialize(\"0x742d35Cc6634C0532925a3b844Bc454e4438f44e\")",
+      "  }",
+      "}"
+    ].join("\n"));
+    const passed = spawnSync(process.execPath, [cli, "test", scratch.dir], { encoding: "utf8", timeout: 60000 });
+    expect(passed.status).to.equal(0);
+    // Loading Hardhat prints the dotenv banner, which must not end up in the report
+    expect(passed.stdout.startsWith("TAP version 13\n1..1\nok 1 - ")).to.equal(true);
+    expect(passed.stderr).to.include("Quantum state initialized");
+
+    write("broken.test.scry", "covenant \"broken\" {\n  assert(false, \"never\")\n}");
+    const report = path.join(scratch.dir, "report.xml");
+    const failed = spawnSync(process.execPath, [cli, "test", "--format", "junit", "-o", report, scratch.dir], { encoding: "utf8", timeout: 60000 });
+    expect(failed.status).to.equal(1);
+    expect(failed.stdout).to.contain("1 covenant kept, 1 broken in 2 files");
+    expect(fs.readFileSync(report, "utf8")).to.contain("<failure message=\"never\" type=\"assertion\">");
+
+    expect(spawnSync(process.execPath, [cli, "test", "--format", "html", scratch.dir], { encoding: "utf8", timeout: 60000 }).status).to.equal(2);
+  });
+
+  describe("bundled examples", function () {
+    describeCovenants([path.join(__dirname, "..", "scryine", "examples")], { hre });
+  });
+});
@@ -0,0 +1,160 @@
+const { expect } = require("chai");
+const path = require("path");
+const ScryineInterpreter = require("../scryine/interpreter.cjs");
+const { parse } = require("../scryine/parser.cjs");
+const { compileProgram, compileFunction, disassemble } = require("../scryine/bytecode.cjs");
+const { ScryineError } = require("../scryine/diagnostics.cjs");
+
+describe("SCRYINE Bytecode VM", function () {
+  // Runs `code` on one engine, collecting output, the result and any error
+  async function runOn(engine, code, options = {}) {
+    const output = [];
+    const interpreter = new ScryineInterpreter({ engine, seed: 3, onProphesy: text => output.push(text), ...options });
+    try {
+      return { output, result: await interpreter.runSource(code) };
+    } catch (err) {
+      expect(err).to.be.instanceOf(ScryineError);
+      return { output, error: { message: err.message, line: err.line, stack: err.scryineStack.map(frame => frame.name) } };
+    }
+  }
+
+  async function expectSameOnBothEngines(code, options) {
+    const vm = await runOn("vm", code, options);
+    expect(vm).to.deep.equal(await runOn("ast", code, options));
+    return vm;
+  }
+
+  it("Should compile statements into a flat instruction listing", function () {
+    const chunk = compileProgram(parse("bless x = 1 + 2\ndivine x > 2 && ready {\n  prophesy double(x)\n}"));
+    expect(chunk.code).to.be.instanceOf(Int32Array);
+    expect(disassemble(chunk).split("\n")).to.deep.equal([
+      "0000 TICK x@1",
+      "0002 CONST 1",
+      "0004 CONST 2",
+      "0006 BINARY \"+\"",
+      "0008 DECLARE x@1",
+      "0010 TICK DivineStatement@2",
+      "0012 LOAD x@2",
+      "0014 CONST 2",
+      "0016 BINARY \">\"",
+      "0018 JUMP_IF_FALSE_OR_POP 22",
+      "0020 LOAD ready@2",
+      "0022 JUMP_IF_FALSE 33",
+      "0024 TICK ProphesyStatement@3",
+      "0026 LOAD x@3",
+      "0028 CALL double@3 1",
+      "0031 PROPHESY ProphesyStatement@3",
+      "0033 END"
+    ]);
+  });
+
+  it("Should compile each function body once", async function () {
+    const interpreter = new ScryineInterpreter({ onProphesy: () => {} });
+    await interpreter.run("god square(x) {\n  return x * x\n}\nprophesy square(2) + square(3)");
+    const square = interpreter.functions.square;
+    expect(compileFunction(square)).to.equal(compileFunction(square));
+    expect(compileFunction(square).kind).to.equal("function");
+  });
+
+  it("Should run loops, closures and short-circuits like the tree walker", async function () {
+    const { output, result } = await expectSameOnBothEngines([
+      "bless ledger = {\"alice\": 3, \"bob\": 4}",
+      "god total(map) {",
+      "  scry sum = 0",
+      "  each name in map {",
+      "    sum = sum + map[name]",
+      "  }",
+      "  return sum",
+      "}",
+      "god fib(n) {",
+      "  divine n < 2 {",
+      "    return n",
+      "  }",
+      "  return fib(n - 1) + fib(n - 2)",
+      "}",
+      "god main() {",
+      "  scry i = 0",
+      "  eternal i < 3 {",
+      "    prophesy [i, -i, !i, i > 0 || \"none\", i > 1 && \"many\"]",
+      "    i = i + 1",
+      "  }",
+      "  god twice(x) {",
+      "    return total(ledger) * x",
+      "  }",
+      "  prophesy map([1, 2], twice)",
+      "  prophesy string.upper(\"amen\") + \" \" + len(keys(ledger))",
+      "  return fib(10)",
+      "}"
+    ].join("\n"));
+    expect(output).to.deep.equal([
+      "[0, 0, true, \"none\", false]",
+      "[1, -1, false, true, false]",
+      "[2, -2, false, true, \"many\"]",
+      "[7, 14]",
+      "AMEN 2"
+    ]);
+    expect(result).to.equal(55);
+  });
+
+  it("Should repent, smite and run concord branches like the tree walker", async function () {
+    const { result } = await expectSameOnBothEngines([
+      "god check(x) {",
+      "  divine x > 2 {",
+      "    smite \"too big: \" + x",
+      "  }",
+      "  return x",
+      "}",
+      "god main() {",
+      "  scry seen = []",
+      "  each x in [1, 5] {",
+      "    try {",
+      "      seen = seen + [check(x)]",
+      "    } repent err {",
+      "      seen = seen + [err[\"message\"]]",
+      "    }",
+      "  }",
+      "  scry a = 0",
+      "  scry b = 0",
+      "  concord {",
+      "    a = check(1)",
+      "    b = check(2)",
+      "  }",
+      "  return seen + [a + b]",
+      "}"
+    ].join("\n"));
+    expect(result).to.deep.equal([1, "too big: 5", 3]);
+
+    const failed = await expectSameOnBothEngines("god inner() {\n  return [1][4]\n}\ngod main() {\n  return inner()\n}");
+    expect(failed.error).to.deep.equal({ message: "Index 4 is out of range for a list of length 1", line: 2, stack: ["inner", "main"] });
+  });
+
+  it("Should stop at the same statement when a limit is hit", async function () {
+    const { error } = await expectSameOnBothEngines("god main() {\n  scry i = 0\n  eternal true {\n    i = i + 1\n  }\n}", { limits: { steps: 50 } });
+    expect(error.message).to.equal("Step limit of 50 exceeded");
+    expect(error.line).to.equal(4);
+  });
+
+  it("Should reject an unknown engine", function () {
+    expect(() => new ScryineInterpreter({ engine: "jit" })).to.throw("Unknown engine \"jit\" (expected vm or ast)");
+  });
+
+  it("Should run on the tree walker unless the VM is asked for", function () {
+    expect(new ScryineInterpreter().engine).to.equal("ast");
+    expect(new ScryineInterpreter().vm).to.equal(null);
+  });
+
+  it("Should benchmark both engines against the original interpreter", async function () {
+    const { benchmark, formatTable } = require("../scryine/bench/benchmark.cjs");
+    const rows = await benchmark([
+      path.join(__dirname, "..", "scryine", "examples", "predict.scry"),
+      path.join(__dirname, "..", "scryine", "examples", "contract.scry")
+    ], 1);
+    expect(rows.map(row => row.errors)).to.deep.equal([{}, {}]);
+    for (const row of rows) {
+      expect(row.baseline).to.be.above(0);
+      expect(row.ast).to.be.above(0);
+      expect(row.vm).to.be.above(0);
+    }
+    expect(formatTable(rows)).to.contain("| scryine/examples/predict.scry |");
+  });
+});